@@ -0,0 +1,179 @@
+import React from "react";
+import { flashcardApi, jobApi } from "../services/api";
+
+const FIELD_LABELS = {
+  english: "Inglés",
+  spanish: "Español",
+  directionMode: "Dirección",
+  deckId: "Mazo",
+  partOfSpeech: "Categoría",
+  ipa: "IPA",
+  gender: "Género",
+  plural: "Plural",
+  notes: "Notas",
+  exampleSentence: "Ejemplo",
+  exampleTranslation: "Traducción del ejemplo"
+};
+
+function formatValue(value) {
+  return value === null || value === undefined || value === "" ? "(vacío)" : String(value);
+}
+
+/**
+ * Editor de una tarjeta (/api/flashcards) con su historial de cambios.
+ * Cada revisión muestra los campos cambiados, quién los cambió y cuándo;
+ * "Revertir" deja la tarjeta como estaba antes de esa revisión.
+ * Si el texto cambia, el audio y los tips se regeneran en segundo plano: al terminar,
+ * la tarjeta se vuelve a cargar y se pasa otra vez a onSaved (aunque el editor ya esté cerrado).
+ * Props:
+ *   - card: objeto (tarjeta a editar, con id, english y spanish)
+ *   - onSaved: función (recibe la tarjeta guardada o revertida, y luego con el audio y los tips nuevos)
+ *   - onClose: función (cierra el editor)
+ */
+export default function FlashcardEditor({ card, onSaved, onClose }) {
+  const [form, setForm] = React.useState({ english: card.english, spanish: card.spanish || "" });
+  const [revisions, setRevisions] = React.useState([]);
+  const [loadingHistory, setLoadingHistory] = React.useState(true);
+  const [saving, setSaving] = React.useState(false);
+  const [error, setError] = React.useState("");
+
+  const loadRevisions = React.useCallback(async () => {
+    try {
+      setLoadingHistory(true);
+      const { revisions } = await flashcardApi.getRevisions(card.id, { limit: 50 });
+      setRevisions(revisions || []);
+    } catch (error) {
+      console.error('Failed to load revisions:', error);
+    } finally {
+      setLoadingHistory(false);
+    }
+  }, [card.id]);
+
+  React.useEffect(() => {
+    loadRevisions();
+  }, [loadRevisions]);
+
+  const applySaved = ({ flashcard, jobs }) => {
+    setForm({ english: flashcard.english, spanish: flashcard.spanish || "" });
+    onSaved(flashcard);
+    loadRevisions();
+
+    if (jobs?.length) {
+      jobApi.waitForAll(jobs)
+        .then(() => flashcardApi.getById(flashcard.id))
+        .then(({ flashcard: generated }) => onSaved(generated))
+        .catch(error => console.error('Failed to wait for audio/tips generation:', error));
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!form.english.trim()) {
+      setError("El texto en inglés es obligatorio");
+      return;
+    }
+
+    try {
+      setSaving(true);
+      setError("");
+      // Cloze cards keep their optional translation out of the editor
+      const updateData = card.cardType === "cloze" ? { english: form.english } : form;
+      applySaved(await flashcardApi.update(card.id, updateData));
+    } catch (error) {
+      setError(error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRevert = async (revision) => {
+    if (!window.confirm("¿Revertir la tarjeta a como estaba antes de este cambio? Los cambios posteriores también se deshacen.")) return;
+
+    try {
+      setSaving(true);
+      setError("");
+      applySaved(await flashcardApi.revertToRevision(card.id, revision.id));
+    } catch (error) {
+      setError(error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-40 flex items-center justify-center z-50">
+      <div className="bg-white shadow rounded-lg p-6 border border-gray-200 w-full max-w-lg relative max-h-[90vh] overflow-auto">
+        <button
+          className="absolute top-2 right-2 text-gray-500 hover:text-gray-700 text-2xl"
+          onClick={onClose}
+          aria-label="Cerrar"
+          type="button"
+        >×</button>
+        <h3 className="font-semibold mb-3 text-blue-700 text-lg">Editar tarjeta</h3>
+        <form onSubmit={handleSubmit} className="flex flex-col gap-3">
+          <input
+            type="text"
+            value={form.english}
+            onChange={e => setForm({ ...form, english: e.target.value })}
+            placeholder="Texto en inglés"
+            className="border rounded px-3 py-2"
+            autoFocus
+          />
+          {card.cardType !== "cloze" && (
+            <input
+              type="text"
+              value={form.spanish}
+              onChange={e => setForm({ ...form, spanish: e.target.value })}
+              placeholder="Traducción en español"
+              className="border rounded px-3 py-2"
+            />
+          )}
+          {error && <div className="text-red-500 text-sm">{error}</div>}
+          <div className="flex gap-2">
+            <button type="submit" className="bg-blue-600 text-white rounded px-4 py-2 hover:bg-blue-700 disabled:opacity-50" disabled={saving}>
+              {saving ? "Guardando..." : "Guardar"}
+            </button>
+            <button type="button" onClick={onClose} className="px-4 py-2 bg-gray-300 rounded hover:bg-gray-400 transition">
+              Cerrar
+            </button>
+          </div>
+        </form>
+
+        <h4 className="font-semibold mt-6 mb-2 text-gray-700">Historial</h4>
+        {loadingHistory ? (
+          <div className="text-gray-500 text-sm">Cargando...</div>
+        ) : revisions.length === 0 ? (
+          <div className="text-gray-400 text-sm">Esta tarjeta no se ha editado.</div>
+        ) : (
+          <ul className="divide-y text-sm">
+            {revisions.map(revision => (
+              <li key={revision.id} className="py-2 flex items-start justify-between gap-3">
+                <div className="flex-1 min-w-0">
+                  <div className="text-xs text-gray-500">
+                    {new Date(revision.createdAt).toLocaleString()} · {revision.editorEmail || "usuario eliminado"}
+                    {revision.revertedTo && " · reversión"}
+                  </div>
+                  {Object.entries(revision.changes).map(([field, { from, to }]) => (
+                    <div key={field} className="break-words">
+                      <b>{FIELD_LABELS[field] || field}:</b>{" "}
+                      <span className="text-red-600 line-through">{formatValue(from)}</span>{" → "}
+                      <span className="text-green-700">{formatValue(to)}</span>
+                    </div>
+                  ))}
+                </div>
+                <button
+                  type="button"
+                  className="px-3 py-1 text-xs bg-yellow-200 text-yellow-900 rounded hover:bg-yellow-300 border border-yellow-400 disabled:opacity-50"
+                  onClick={() => handleRevert(revision)}
+                  disabled={saving}
+                >
+                  Revertir
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+}
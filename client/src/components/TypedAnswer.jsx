@@ -0,0 +1,83 @@
+import React from "react";
+import { studyApi } from "../services/api";
+
+const DIFF_STYLES = {
+  equal: "text-green-700",
+  extra: "bg-red-100 text-red-600 line-through",
+  missing: "bg-yellow-100 text-yellow-800 underline"
+};
+
+/**
+ * Campo para el modo de respuesta escrita.
+ * Envía la respuesta al servidor para calificarla y muestra la diferencia carácter a carácter.
+ * Props:
+ *   - flashcardId: número (tarjeta que se está repasando)
+ *   - answerField: 'english' | 'spanish' (lado que el usuario debe escribir)
+ *   - result: objeto (resultado de la calificación, o null si aún no se comprobó)
+ *   - onChecked: función (recibe el resultado de la calificación)
+ */
+export default function TypedAnswer({ flashcardId, answerField = "english", result, onChecked }) {
+  const [answer, setAnswer] = React.useState("");
+  const [checking, setChecking] = React.useState(false);
+  const inputRef = React.useRef(null);
+
+  React.useEffect(() => {
+    inputRef.current?.focus();
+  }, []);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (checking || result) return;
+
+    try {
+      setChecking(true);
+      const response = await studyApi.checkAnswer(flashcardId, { answer, answerField });
+      onChecked(response.result);
+    } catch (error) {
+      console.error('Failed to check answer:', error);
+    } finally {
+      setChecking(false);
+    }
+  };
+
+  return (
+    <div className="w-full max-w-2xl mb-6">
+      <form onSubmit={handleSubmit} className="flex gap-2">
+        <input
+          ref={inputRef}
+          type="text"
+          value={answer}
+          onChange={e => setAnswer(e.target.value)}
+          disabled={checking || !!result}
+          placeholder={answerField === "english" ? "Escribe la traducción en inglés" : "Escribe la traducción en español"}
+          className="flex-1 px-4 py-2 border border-gray-300 rounded shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:bg-gray-100"
+          autoComplete="off"
+        />
+        <button
+          type="submit"
+          disabled={checking || !!result}
+          className="px-4 py-2 bg-blue-500 text-white rounded shadow hover:bg-blue-600 transition disabled:opacity-50"
+        >
+          Comprobar
+        </button>
+      </form>
+      {result && (
+        <div className="mt-3 p-3 bg-white rounded border border-gray-200 text-center">
+          <div className="text-lg font-mono break-words">
+            {result.diff.length > 0
+              ? result.diff.map((segment, i) => (
+                  <span key={i} className={DIFF_STYLES[segment.type]}>{segment.text}</span>
+                ))
+              : <span className="text-gray-400">(sin respuesta)</span>}
+          </div>
+          {!result.correct && (
+            <div className="mt-1 text-sm text-gray-600">
+              Respuesta: <b>{result.expected}</b>
+            </div>
+          )}
+          <div className="mt-1 text-xs text-gray-400">Pulsa Enter para aceptar la calificación sugerida</div>
+        </div>
+      )}
+    </div>
+  );
+}
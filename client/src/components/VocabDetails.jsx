@@ -0,0 +1,57 @@
+import React from "react";
+
+const PART_OF_SPEECH_LABELS = {
+  noun: "sustantivo",
+  verb: "verbo",
+  adjective: "adjetivo",
+  adverb: "adverbio",
+  pronoun: "pronombre",
+  preposition: "preposición",
+  conjunction: "conjunción",
+  interjection: "interjección",
+  determiner: "determinante",
+  phrase: "frase"
+};
+
+const GENDER_LABELS = {
+  masculine: "masculino",
+  feminine: "femenino",
+  common: "común"
+};
+
+/**
+ * Detalles de vocabulario opcionales de una tarjeta (reverso).
+ * No muestra nada si la tarjeta no tiene ninguno.
+ * Props:
+ *   - card: objeto (tarjeta con partOfSpeech, ipa, gender, plural, notes,
+ *     exampleSentence y exampleTranslation)
+ */
+export default function VocabDetails({ card }) {
+  const grammar = [
+    PART_OF_SPEECH_LABELS[card.partOfSpeech],
+    GENDER_LABELS[card.gender],
+    card.plural && `pl. ${card.plural}`
+  ].filter(Boolean);
+
+  if (!card.ipa && grammar.length === 0 && !card.exampleSentence && !card.notes) {
+    return null;
+  }
+
+  return (
+    <div className="mt-1 text-sm text-gray-700 text-center space-y-1">
+      {(card.ipa || grammar.length > 0) && (
+        <div>
+          {card.ipa && <span className="font-mono mr-2">{card.ipa}</span>}
+          {grammar.length > 0 && <i>{grammar.join(" · ")}</i>}
+        </div>
+      )}
+      {card.exampleSentence && (
+        <div>
+          <span className="italic">“{card.exampleSentence}”</span>
+          {card.exampleTranslation && <span className="block text-gray-500">{card.exampleTranslation}</span>}
+        </div>
+      )}
+      {card.notes && <div className="text-xs text-gray-600 whitespace-pre-line">{card.notes}</div>}
+    </div>
+  );
+}
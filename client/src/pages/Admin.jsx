@@ -4,6 +4,7 @@ import AdminUserList from '../components/AdminUserList';
 import AdminUserManagement from '../components/AdminUserManagement';
 import TipsDisplay from '../components/TipsDisplay.jsx';
 import tokenStorage from '../utils/storageUtils.js';
+import { jobApi } from '../services/api';
 
 const API_URL = '\/api/cards';
 
@@ -154,12 +155,19 @@ function Admin() {
     };
     const url = editId ? `${API_URL}/${editId}` : API_URL;
     fetch(url, opts)
-      .then(() => {
+      .then(res => (res.ok ? res.json() : null))
+      .then(card => {
         setForm({ en: '', es: '' });
         setEditId(null);
         setAudioFile(null);
         setExistingAudio(null);
         fetchCards();
+        // El audio y los tips se generan en segundo plano: recargar cuando terminen
+        if (card?.jobs?.length) {
+          jobApi.waitForAll(card.jobs)
+            .then(fetchCards)
+            .catch(err => console.error('Error esperando la generación de audio/tips:', err));
+        }
       })
       .finally(() => setSubmitting(false));
   };
@@ -1,8 +1,11 @@
-import React, { useEffect, useState } from 'react';
+import React, { useCallback, useEffect, useState } from 'react';
 import { Navigate } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
-import { studyApi, flashcardApi } from '../services/api';
+import apiClient, { studyApi, flashcardApi, deckApi, tagApi } from '../services/api';
 import TipsDisplay from '../components/TipsDisplay.jsx';
+import TypedAnswer from '../components/TypedAnswer.jsx';
+import VocabDetails from '../components/VocabDetails.jsx';
+import FlashcardEditor from '../components/FlashcardEditor.jsx';
 
 
 function spacedRepetition(card) {
@@ -15,6 +18,62 @@ function getNextInterval(level) {
   return intervals[Math.min(level, intervals.length - 1)] * 60 * 1000;
 }
 
+// Answer buttons mapped onto the 0-5 performance rating scale
+const ANSWER_BUTTONS = [
+  { answer: 'again', label: 'Otra vez', key: '1', rating: 1, className: 'bg-red-500 hover:bg-red-600' },
+  { answer: 'hard', label: 'Difícil', key: '2', rating: 3, className: 'bg-orange-500 hover:bg-orange-600' },
+  { answer: 'good', label: 'Bien', key: '3', rating: 4, className: 'bg-green-500 hover:bg-green-600' },
+  { answer: 'easy', label: 'Fácil', key: '4', rating: 5, className: 'bg-blue-500 hover:bg-blue-600' }
+];
+
+// Answer button matching a suggested 0-5 rating from typed-answer grading
+function suggestedAnswer(rating) {
+  if (rating >= 5) return 'easy';
+  if (rating === 4) return 'good';
+  if (rating === 3) return 'hard';
+  return 'again';
+}
+
+function formatInterval(days) {
+  if (days < 30) return `${days} d`;
+  if (days < 365) return `${Math.round(days / 30)} m`;
+  return `${(days / 365).toFixed(1)} a`;
+}
+
+// Cards studied in both directions appear once per direction, cloze cards once per deletion
+function itemKey(card) {
+  return `${card.id}:${card.item || card.direction || 'en_es'}`;
+}
+
+// {{cN::answer}} or {{cN::answer::hint}} (same syntax as server/utils/cloze.js)
+const CLOZE_DELETION = /\{\{c(\d+)::(.*?)(?:::(.*?))?\}\}/g;
+
+// Blank the deletions of one cloze item on the front; the back shows the full sentence
+function renderCloze(text, item) {
+  const fill = (blank) => text.replace(CLOZE_DELETION, (match, number, answer, hint) => (
+    blank && `c${Number(number)}` === item ? `[${hint?.trim() || '...'}]` : answer.trim()
+  ));
+  return { front: fill(true), back: fill(false) };
+}
+
+async function fetchDueCards({ deckId, tag }) {
+  const { session } = await studyApi.getMySession({
+    ...(deckId && { deckId }),
+    ...(tag && { tags: tag })
+  });
+  return (session?.cards || []).filter(spacedRepetition);
+}
+
+// Flatten the deck tree depth-first, indenting subdecks under their parent
+function deckOptions(decks, parentId = null, depth = 0) {
+  return decks
+    .filter(deck => deck.parentId === parentId)
+    .flatMap(deck => [
+      { id: deck.id, label: `${'\u00a0\u00a0'.repeat(depth)}${deck.name}` },
+      ...deckOptions(decks, deck.id, depth + 1)
+    ]);
+}
+
 function Home() {
   const { isAuthenticated, isLoading: authLoading } = useAuth();
   const [cards, setCards] = useState([]);
@@ -22,16 +81,38 @@ function Home() {
   const [flipped, setFlipped] = useState(false);
   const [loading, setLoading] = useState(true);
   const [playing, setPlaying] = useState(false);
+  const [reviewHistory, setReviewHistory] = useState([]);
+  const [undoing, setUndoing] = useState(false);
+  const [mode, setMode] = useState('flip'); // 'flip' (self-graded) or 'typed' (production)
+  const [typedResult, setTypedResult] = useState(null);
+  const [decks, setDecks] = useState([]);
+  const [deckId, setDeckId] = useState(''); // '' studies all decks
+  const [tags, setTags] = useState([]);
+  const [tag, setTag] = useState(''); // '' studies all tags
+  const [editing, setEditing] = useState(false);
   const audioRef = React.useRef(null);
 
+  useEffect(() => {
+    if (!isAuthenticated) return;
+
+    deckApi.getMyDecks()
+      .then(({ decks }) => setDecks(decks || []))
+      .catch(error => console.error('Failed to load decks:', error));
+    tagApi.getMyTags()
+      .then(({ tags }) => setTags(tags || []))
+      .catch(error => console.error('Failed to load tags:', error));
+  }, [isAuthenticated]);
+
   useEffect(() => {
     if (!isAuthenticated) return;
     
     const loadCards = async () => {
       try {
         setLoading(true);
-        const dueCards = await studyApi.getMyDueCards();
-        setCards(dueCards.cards || []);
+        setCards(await fetchDueCards({ deckId, tag }));
+        setCurrent(0);
+        setFlipped(false);
+        setTypedResult(null);
       } catch (error) {
         console.error('Failed to load cards:', error);
         setCards([]);
@@ -41,32 +122,160 @@ function Home() {
     };
     
     loadCards();
-  }, [isAuthenticated]);
+  }, [isAuthenticated, deckId, tag]);
 
   const handleFlip = () => setFlipped(f => !f);
 
-  const handleAnswer = async (knewIt) => {
+  const handleModeChange = (newMode) => {
+    setMode(newMode);
+    setTypedResult(null);
+    setFlipped(false);
+  };
+
+  const handleTypedResult = (result) => {
+    setTypedResult(result);
+    setFlipped(true);
+  };
+
+  // Show the saved text (and later its regenerated audio and tips) on every study item of the edited card
+  const handleCardSaved = (flashcard) => {
+    setCards(prevCards => prevCards.map(c => (c.id === flashcard.id ? { ...c, ...flashcard } : c)));
+  };
+
+  const handleAnswer = useCallback(async (answer, ratingOverride) => {
     const card = cards[current];
-    const performanceRating = knewIt ? 4 : 1; // Good vs Again
+    if (!card) return;
+
+    const button = ANSWER_BUTTONS.find(b => b.answer === answer);
+    const performanceRating = ratingOverride
+      ?? card.studyMetadata?.intervalPreview?.[answer]?.rating
+      ?? button.rating;
     
     try {
-      await studyApi.reviewCard(card.id, { performanceRating });
+      await studyApi.reviewCard(card.id, { performanceRating, direction: card.direction, item: card.item });
+      setReviewHistory(history => [...history, card]);
       
       const newCards = cards.filter((_, i) => i !== current);
       setCards(newCards);
       setFlipped(false);
+      setTypedResult(null);
       setCurrent(0);
       
       if (newCards.length === 0) {
         setLoading(true);
-        const dueCards = await studyApi.getMyDueCards();
-        setCards(dueCards.cards || []);
+        setCards(await fetchDueCards({ deckId, tag }));
         setLoading(false);
       }
     } catch (error) {
       console.error('Failed to review card:', error);
     }
-  };
+  }, [cards, current, deckId, tag]);
+
+  const handleUndo = useCallback(async () => {
+    if (undoing || reviewHistory.length === 0) return;
+
+    const lastCard = reviewHistory[reviewHistory.length - 1];
+
+    try {
+      setUndoing(true);
+      await studyApi.undoReview(lastCard.id);
+
+      // Show the previous card again, front side up
+      setReviewHistory(history => history.slice(0, -1));
+      setCards(prevCards => [lastCard, ...prevCards.filter(c => itemKey(c) !== itemKey(lastCard))]);
+      setCurrent(0);
+      setFlipped(false);
+      setTypedResult(null);
+    } catch (error) {
+      console.error('Failed to undo review:', error);
+    } finally {
+      setUndoing(false);
+    }
+  }, [undoing, reviewHistory]);
+
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (editing || ['INPUT', 'TEXTAREA'].includes(event.target.tagName)) return;
+
+      if (event.ctrlKey || event.metaKey) {
+        if (event.key.toLowerCase() === 'z') {
+          event.preventDefault();
+          handleUndo();
+        }
+        return;
+      }
+
+      // Accept the rating suggested for a typed answer
+      if (event.key === 'Enter' && typedResult) {
+        event.preventDefault();
+        handleAnswer(suggestedAnswer(typedResult.suggestedRating), typedResult.suggestedRating);
+        return;
+      }
+
+      if (event.key === ' ') {
+        event.preventDefault();
+        // Cloze cards are always self-graded, also in typed mode
+        if (mode === 'flip' || typedResult || cards[current]?.cardType === 'cloze') setFlipped(f => !f);
+        return;
+      }
+
+      const button = ANSWER_BUTTONS.find(b => b.key === event.key);
+      if (button) {
+        event.preventDefault();
+        handleAnswer(button.answer);
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [handleUndo, handleAnswer, editing, mode, typedResult, cards, current]);
+
+  const undoButton = reviewHistory.length > 0 && (
+    <button
+      className="mt-4 px-4 py-2 text-sm text-gray-600 border border-gray-300 rounded hover:bg-gray-100 transition disabled:opacity-50"
+      onClick={handleUndo}
+      disabled={undoing}
+      type="button"
+      title="Deshacer (Ctrl+Z)"
+    >
+      ↩ Deshacer
+    </button>
+  );
+
+  const deckPicker = (decks.length > 0 || tags.length > 0) && (
+    <div className="mb-4 flex flex-wrap justify-center gap-4 text-sm text-gray-700">
+      {decks.length > 0 && (
+        <label className="flex items-center gap-2">
+          Mazo:
+          <select
+            className="px-2 py-1 border border-gray-300 rounded bg-white"
+            value={deckId}
+            onChange={(event) => setDeckId(event.target.value)}
+          >
+            <option value="">Todos los mazos</option>
+            {deckOptions(decks).map(({ id, label }) => (
+              <option key={id} value={id}>{label}</option>
+            ))}
+          </select>
+        </label>
+      )}
+      {tags.length > 0 && (
+        <label className="flex items-center gap-2">
+          Etiqueta:
+          <select
+            className="px-2 py-1 border border-gray-300 rounded bg-white"
+            value={tag}
+            onChange={(event) => setTag(event.target.value)}
+          >
+            <option value="">Todas las etiquetas</option>
+            {tags.map(({ id, name, cardCount }) => (
+              <option key={id} value={name}>{name} ({cardCount})</option>
+            ))}
+          </select>
+        </label>
+      )}
+    </div>
+  );
 
   const playAudio = () => {
     if (audioRef.current) {
@@ -94,43 +303,91 @@ function Home() {
   if (cards.length === 0) return (
     <div className="flex items-center justify-center h-64">
       <div className="text-center">
+        {deckPicker}
         <div className="text-4xl mb-4">🎉</div>
         <h2 className="text-xl font-semibold text-gray-900 mb-2">All caught up!</h2>
         <p className="text-gray-600">No cards are due for review right now. Great job!</p>
+        {undoButton}
       </div>
     </div>
   );
 
   const card = cards[current];
+  const englishText = card.english || card.en;
+  const spanishText = card.spanish || card.es;
+  const isCloze = card.cardType === 'cloze';
+  const cloze = isCloze && renderCloze(englishText, card.item);
+  // es_en items show the Spanish side and ask for the English one
+  const reverse = card.direction === 'es_en';
+  const frontText = isCloze ? cloze.front : reverse ? spanishText : englishText;
+  const backText = isCloze ? cloze.back : reverse ? englishText : spanishText;
+  const suggested = typedResult && suggestedAnswer(typedResult.suggestedRating);
+  // In typed mode the answer stays hidden until it has been checked (cloze cards are always self-graded)
+  const canFlip = mode === 'flip' || Boolean(typedResult) || isCloze;
+  const cardImage = card.imageUrl && (
+    <img
+      src={apiClient.mediaUrl(card.imageThumbnailUrl || card.imageUrl)}
+      alt={englishText}
+      className="max-h-28 sm:max-h-36 object-contain rounded mb-2"
+    />
+  );
 
   return (
     <div className="min-h-screen bg-gray-50 py-8">
       <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8">
         <div className="flex flex-col items-center">
       <h2 className="text-2xl font-semibold mb-4">Repaso de Tarjetas</h2>
+      {deckPicker}
+      <div className="flex mb-4 rounded border border-gray-300 overflow-hidden text-sm">
+        {[['flip', 'Voltear'], ['typed', 'Escribir']].map(([value, label]) => (
+          <button
+            key={value}
+            type="button"
+            className={`px-4 py-1 transition ${mode === value ? 'bg-blue-500 text-white' : 'bg-white text-gray-700 hover:bg-gray-100'}`}
+            onClick={() => handleModeChange(value)}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
       <div className="w-full max-w-2xl h-64 sm:h-80 perspective mb-6">
         <div
           className={`relative w-full h-full transition-transform duration-500 ${flipped ? 'rotate-y-180' : ''}`}
           style={{ transformStyle: 'preserve-3d' }}
-          onClick={handleFlip}
+          onClick={canFlip ? handleFlip : undefined}
         >
           {/* Front */}
-          <div className="absolute w-full h-full bg-white rounded-lg shadow-lg flex items-center justify-center cursor-pointer backface-hidden px-6 py-4 overflow-auto">
+          <div className={`absolute w-full h-full bg-white rounded-lg shadow-lg flex flex-col items-center justify-center ${canFlip ? 'cursor-pointer' : ''} backface-hidden px-6 py-4 overflow-auto`}>
+            {card.imageSide === 'front' && cardImage}
             <span className="block text-xl sm:text-2xl font-bold text-center break-words whitespace-pre-line leading-snug">
-              {card.english || card.en}
+              {frontText}
             </span>
           </div>
           {/* Back */}
-          <div className="absolute w-full h-full bg-blue-100 rounded-lg shadow-lg flex flex-col items-center justify-center cursor-pointer rotate-y-180 backface-hidden px-6 py-4 overflow-auto">
+          <div className={`absolute w-full h-full bg-blue-100 rounded-lg shadow-lg flex flex-col items-center justify-center ${canFlip ? 'cursor-pointer' : ''} rotate-y-180 backface-hidden px-6 py-4 overflow-auto`}>
+            {card.imageSide !== 'front' && cardImage}
             <span className="block text-xl sm:text-2xl font-bold text-center break-words whitespace-pre-line leading-snug mb-2">
-              {card.spanish || card.es}
+              {backText}
             </span>
+            {isCloze && spanishText && (
+              <span className="block text-sm text-gray-600 text-center mb-2">{spanishText}</span>
+            )}
+            <VocabDetails card={card} />
             {/* Tips de Gemini */}
             {card.tips && <TipsDisplay tips={card.tips} />}
           </div>
         </div>
       </div>
-      {card.audio_url && (
+      {mode === 'typed' && !isCloze && (
+        <TypedAnswer
+          key={itemKey(card)}
+          flashcardId={card.id}
+          answerField={reverse ? 'english' : 'spanish'}
+          result={typedResult}
+          onChecked={handleTypedResult}
+        />
+      )}
+      {card.audioUrl && (
         <div className="mb-4 flex flex-col items-center">
           <button
             className="mb-2 px-4 py-2 bg-blue-500 text-white rounded shadow hover:bg-blue-600 transition"
@@ -141,27 +398,48 @@ function Home() {
           </button>
           <audio
             ref={audioRef}
-            src={card.audio_url ? `/audio/${card.audio_url.replace(/^.*[\\\/]/, '')}` : ''}
+            src={apiClient.mediaUrl(card.audioUrl)}
             onEnded={() => setPlaying(false)}
             preload="auto"
           />
         </div>
       )}
-      <div className="flex gap-4">
-        <button
-          className="px-6 py-2 bg-green-500 text-white rounded shadow hover:bg-green-600 transition"
-          onClick={() => handleAnswer(true)}
-        >
-          Lo sé
-        </button>
+      <div className="flex flex-wrap justify-center gap-3">
+        {ANSWER_BUTTONS.map(({ answer, label, key, className }) => {
+          const preview = card.studyMetadata?.intervalPreview?.[answer];
+          return (
+            <button
+              key={answer}
+              className={`px-5 py-2 text-white rounded shadow transition flex flex-col items-center ${className} ${suggested === answer ? 'ring-4 ring-yellow-300' : ''}`}
+              onClick={() => handleAnswer(answer, suggested === answer ? typedResult.suggestedRating : undefined)}
+              title={`Atajo: ${key}`}
+              type="button"
+            >
+              <span>{label}</span>
+              {preview && <span className="text-xs opacity-80">{formatInterval(preview.intervalDays)}</span>}
+            </button>
+          );
+        })}
+      </div>
+      <div className="flex gap-3">
+        {undoButton}
         <button
-          className="px-6 py-2 bg-red-500 text-white rounded shadow hover:bg-red-600 transition"
-          onClick={() => handleAnswer(false)}
+          className="mt-4 px-4 py-2 text-sm text-gray-600 border border-gray-300 rounded hover:bg-gray-100 transition"
+          onClick={() => setEditing(true)}
+          type="button"
         >
-          No lo sé
+          ✏️ Editar tarjeta
         </button>
       </div>
-          <div className="mt-4 text-gray-400 text-sm">Haz click en la tarjeta para ver la respuesta</div>
+      {editing && (
+        <FlashcardEditor
+          key={card.id}
+          card={card}
+          onSaved={handleCardSaved}
+          onClose={() => setEditing(false)}
+        />
+      )}
+          <div className="mt-4 text-gray-400 text-sm">Haz click en la tarjeta o pulsa Espacio para ver la respuesta · Teclas 1–4 para responder</div>
         </div>
       </div>
     </div>
@@ -96,6 +96,7 @@ class ApiClient {
     error.status = response.status;
     error.code = errorData.code;
     error.errors = errorData.errors;
+    error.existingFlashcard = errorData.existingFlashcard; // DUPLICATE_FLASHCARD conflicts
 
     throw error;
   }
@@ -180,6 +181,34 @@ class ApiClient {
     
     return response.json();
   }
+
+  /**
+   * Multipart upload request
+   * @param {string} endpoint - API endpoint
+   * @param {FormData} formData - Form data with the file(s)
+   * @param {Object} options - Request options (method defaults to PUT)
+   * @returns {Promise<any>} - Response data
+   */
+  async upload(endpoint, formData, options = {}) {
+    const response = await this.request(endpoint, {
+      method: 'PUT',
+      body: formData,
+      headers: {}, // Let the browser set the multipart boundary
+      ...options
+    });
+    
+    return response.json();
+  }
+
+  /**
+   * Resolve a media URL returned by the API
+   * Locally stored media is served by the API server under a relative path.
+   * @param {string} url - Media URL
+   * @returns {string} - Absolute URL
+   */
+  mediaUrl(url) {
+    return url && url.startsWith('/') ? `${this.baseURL}${url}` : url;
+  }
 }
 
 // Create API client instance
@@ -321,6 +350,23 @@ export const userApi = {
    */
   getMyStats: () => apiClient.get('/api/users/me/stats'),
 
+  /**
+   * Get current user's preferences
+   * @returns {Promise<Object>} - Current user's preferences
+   */
+  getMyPreferences: () => apiClient.get('/api/users/me/preferences'),
+
+  /**
+   * Update current user's preferences
+   * @param {Object} preferences - Preference values to set (null removes a key)
+   * @param {string} preferences.scheduler - Spaced repetition scheduler ('sm2' or 'fsrs')
+   * @param {number} preferences.desiredRetention - Target recall probability for FSRS (0.7-0.97)
+   * @param {string} preferences.direction - Default study direction ('en_es', 'es_en' or 'both')
+   * @param {number} preferences.leechThreshold - Lapses before a card is flagged as a leech and suspended (1-100)
+   * @returns {Promise<Object>} - Updated preferences
+   */
+  updateMyPreferences: (preferences) => apiClient.put('/api/users/me/preferences', preferences),
+
   /**
    * Check if user exists
    * @param {number} userId - User ID
@@ -336,10 +382,20 @@ export const flashcardApi = {
   /**
    * Create new flashcard
    * @param {Object} flashcardData - Flashcard data
-   * @param {string} flashcardData.english - English text
-   * @param {string} flashcardData.spanish - Spanish text
+   * @param {string} flashcardData.english - English text (sentence with {{c1::...}} deletions for cloze cards)
+   * @param {string} flashcardData.spanish - Spanish text (optional translation for cloze cards)
+   * @param {string} flashcardData.cardType - Card type (basic or cloze)
    * @param {number} flashcardData.difficulty - Initial difficulty
-   * @returns {Promise<Object>} - Created flashcard
+   * @param {number} flashcardData.deckId - Deck to file the card in
+   * @param {Array<string>} flashcardData.tags - Tag names (created if needed)
+   * @param {string} flashcardData.partOfSpeech - Part of speech (noun, verb, adjective...)
+   * @param {string} flashcardData.ipa - IPA pronunciation
+   * @param {string} flashcardData.gender - Gender (masculine, feminine, common)
+   * @param {string} flashcardData.plural - Plural form(s)
+   * @param {string} flashcardData.notes - Free-form notes
+   * @param {string} flashcardData.exampleSentence - Example sentence
+   * @param {string} flashcardData.exampleTranslation - Translation of the example sentence
+   * @returns {Promise<Object>} - Created flashcard, and the jobs generating its audio and tips (see jobApi.waitForAll)
    */
   create: (flashcardData) => apiClient.post('/api/flashcards', flashcardData),
 
@@ -354,22 +410,87 @@ export const flashcardApi = {
    * Update flashcard
    * @param {number} flashcardId - Flashcard ID
    * @param {Object} updateData - Update data
-   * @returns {Promise<Object>} - Updated flashcard
+   * @returns {Promise<Object>} - Updated flashcard, and the jobs regenerating its audio and tips after text changes
    */
   update: (flashcardId, updateData) => apiClient.put(`/api/flashcards/${flashcardId}`, updateData),
 
   /**
-   * Delete flashcard
+   * Delete flashcard (moves it to the trash)
    * @param {number} flashcardId - Flashcard ID
    * @returns {Promise<Object>} - Success response
    */
   delete: (flashcardId) => apiClient.delete(`/api/flashcards/${flashcardId}`),
 
   /**
-   * Get user's flashcards
+   * Get current user's deleted flashcards
+   * @param {Object} options - Pagination (page, limit)
+   * @returns {Promise<Object>} - Trashed flashcards, pagination and retention period in days
+   */
+  getMyTrash: (options = {}) => {
+    const params = new URLSearchParams(options);
+    return apiClient.get(`/api/flashcards/my/trash?${params}`);
+  },
+
+  /**
+   * Restore flashcard from the trash
+   * @param {number} flashcardId - Flashcard ID
+   * @returns {Promise<Object>} - Restored flashcard
+   */
+  restore: (flashcardId) => apiClient.post(`/api/flashcards/${flashcardId}/restore`),
+
+  /**
+   * Permanently delete flashcard from the trash
+   * @param {number} flashcardId - Flashcard ID
+   * @returns {Promise<Object>} - Success response
+   */
+  purge: (flashcardId) => apiClient.delete(`/api/flashcards/${flashcardId}/purge`),
+
+  /**
+   * Permanently delete every flashcard in current user's trash
+   * @returns {Promise<Object>} - Number of purged flashcards
+   */
+  emptyTrash: () => apiClient.delete('/api/flashcards/my/trash'),
+
+  /**
+   * Upload (or replace) flashcard image
+   * @param {number} flashcardId - Flashcard ID
+   * @param {File} file - Image file (JPEG, PNG, WebP or GIF, max 5 MB)
+   * @param {string} side - Side to show it on (front or back, optional)
+   * @returns {Promise<Object>} - Updated flashcard
+   */
+  uploadImage: (flashcardId, file, side) => {
+    const formData = new FormData();
+    formData.append('image', file);
+    if (side) formData.append('side', side);
+    return apiClient.upload(`/api/flashcards/${flashcardId}/image`, formData);
+  },
+
+  /**
+   * Remove flashcard image
+   * @param {number} flashcardId - Flashcard ID
+   * @returns {Promise<Object>} - Updated flashcard
+   */
+  removeImage: (flashcardId) => apiClient.delete(`/api/flashcards/${flashcardId}/image`),
+
+  /**
+   * Generate the flashcard's pronunciation audio again
+   * @param {number} flashcardId - Flashcard ID
+   * @returns {Promise<Object>} - Updated flashcard (audioUrl)
+   */
+  regenerateAudio: (flashcardId) => apiClient.post(`/api/flashcards/${flashcardId}/regenerate-audio`),
+
+  /**
+   * Generate the flashcard's study tips again
+   * @param {number} flashcardId - Flashcard ID
+   * @returns {Promise<Object>} - Updated flashcard (tips)
+   */
+  regenerateTips: (flashcardId) => apiClient.post(`/api/flashcards/${flashcardId}/regenerate-tips`),
+
+  /**
+   * Get a page of a user's flashcards
    * @param {number} userId - User ID
-   * @param {Object} options - Query options
-   * @returns {Promise<Object>} - User's flashcards
+   * @param {Object} options - Same query options as getMyFlashcards
+   * @returns {Promise<Object>} - Page of flashcards with total and nextCursor
    */
   getUserFlashcards: (userId, options = {}) => {
     const params = new URLSearchParams(options);
@@ -377,15 +498,48 @@ export const flashcardApi = {
   },
 
   /**
-   * Get current user's flashcards
-   * @param {Object} options - Query options
-   * @returns {Promise<Object>} - Current user's flashcards
+   * Get a page of the current user's flashcards
+   * Pass the returned nextCursor back as options.cursor to get the next page; it is null on the last one.
+   * @param {Object} options - limit (max 100), cursor, orderBy, order, deckId, tags, tagMatch,
+   *   difficultyMin, difficultyMax, reviewed, dueBefore, dueAfter, createdAfter, createdBefore
+   * @returns {Promise<Object>} - Page of flashcards with total (across all pages) and nextCursor
    */
   getMyFlashcards: (options = {}) => {
     const params = new URLSearchParams(options);
     return apiClient.get(`/api/flashcards/my/cards?${params}`);
   },
 
+  /**
+   * Get every flashcard of the current user matching the options, following nextCursor page by page
+   * @param {Object} options - Same query options as getMyFlashcards (without cursor)
+   * @returns {Promise<Object>} - All matching flashcards with total
+   */
+  getAllMyFlashcards: async (options = {}) => {
+    const flashcards = [];
+    let cursor = null;
+    let total = 0;
+
+    do {
+      const page = await flashcardApi.getMyFlashcards({ limit: 100, ...options, ...(cursor && { cursor }) });
+      flashcards.push(...page.flashcards);
+      total = page.total;
+      cursor = page.nextCursor;
+    } while (cursor);
+
+    return { flashcards, total };
+  },
+
+  /**
+   * Search flashcards by text (prefix and accent-insensitive matching)
+   * @param {string} query - Search text
+   * @param {Object} options - Pagination (page, limit); admins may also pass userId
+   * @returns {Promise<Object>} - Matching flashcards with <mark>-highlighted snippets, and pagination
+   */
+  search: (query, options = {}) => {
+    const params = new URLSearchParams({ ...options, q: query });
+    return apiClient.get(`/api/flashcards/search?${params}`);
+  },
+
   /**
    * Review a flashcard
    * @param {number} flashcardId - Flashcard ID
@@ -412,9 +566,142 @@ export const flashcardApi = {
    * Bulk import flashcards
    * @param {Object} importData - Import data
    * @param {Array} importData.flashcards - Array of flashcard data
-   * @returns {Promise<Object>} - Import results
+   * @returns {Promise<Object>} - Import results, with the jobs generating the imported cards' audio and tips (see jobApi.waitForAll)
+   */
+  bulkImport: (importData) => apiClient.post('/api/flashcards/import', importData),
+
+  /**
+   * Get groups of current user's flashcards with the same text
+   * @returns {Promise<Object>} - Duplicate groups
+   */
+  getMyDuplicates: () => apiClient.get('/api/flashcards/my/duplicates'),
+
+  /**
+   * Merge duplicate flashcards into one (the duplicates are deleted)
+   * @param {number} flashcardId - Flashcard to keep
+   * @param {Array<number>} duplicateIds - Flashcards merged into it
+   * @returns {Promise<Object>} - Merged flashcard
+   */
+  merge: (flashcardId, duplicateIds) => apiClient.post(`/api/flashcards/${flashcardId}/merge`, { duplicateIds }),
+
+  /**
+   * Get flashcard's edit history
+   * @param {number} flashcardId - Flashcard ID
+   * @param {Object} options - Pagination (page, limit)
+   * @returns {Promise<Object>} - Revisions (changed fields with old and new values, editor, time) and pagination
+   */
+  getRevisions: (flashcardId, options = {}) => {
+    const params = new URLSearchParams(options);
+    return apiClient.get(`/api/flashcards/${flashcardId}/revisions?${params}`);
+  },
+
+  /**
+   * Revert flashcard to how it was before a revision (later edits are undone too)
+   * @param {number} flashcardId - Flashcard ID
+   * @param {number} revisionId - Revision to revert
+   * @returns {Promise<Object>} - Reverted flashcard, and the jobs regenerating its audio and tips after text changes
+   */
+  revertToRevision: (flashcardId, revisionId) => apiClient.post(`/api/flashcards/${flashcardId}/revisions/${revisionId}/revert`),
+
+  /**
+   * Suspend flashcard (left out of study until resumed)
+   * @param {number} flashcardId - Flashcard ID
+   * @returns {Promise<Object>} - Updated flashcard
+   */
+  suspend: (flashcardId) => apiClient.post(`/api/flashcards/${flashcardId}/suspend`),
+
+  /**
+   * Resume a suspended flashcard (also clears its leech flag)
+   * @param {number} flashcardId - Flashcard ID
+   * @returns {Promise<Object>} - Updated flashcard
+   */
+  unsuspend: (flashcardId) => apiClient.post(`/api/flashcards/${flashcardId}/unsuspend`),
+
+  /**
+   * Bury flashcard until tomorrow
+   * @param {number} flashcardId - Flashcard ID
+   * @returns {Promise<Object>} - Updated flashcard
+   */
+  bury: (flashcardId) => apiClient.post(`/api/flashcards/${flashcardId}/bury`),
+
+  /**
+   * Get current user's leeches (cards suspended after lapsing too often)
+   * @returns {Promise<Object>} - Leech flashcards
+   */
+  getMyLeeches: () => apiClient.get('/api/flashcards/my/leeches')
+};
+
+/**
+ * Deck API endpoints
+ */
+export const deckApi = {
+  /**
+   * Get current user's decks (flat list, nested through parentId)
+   * @returns {Promise<Object>} - Decks
+   */
+  getMyDecks: () => apiClient.get('/api/decks'),
+
+  /**
+   * Get deck by ID
+   * @param {number} deckId - Deck ID
+   * @returns {Promise<Object>} - Deck data
    */
-  bulkImport: (importData) => apiClient.post('/api/flashcards/import', importData)
+  getById: (deckId) => apiClient.get(`/api/decks/${deckId}`),
+
+  /**
+   * Create new deck
+   * @param {Object} deckData - Deck data (name, description, parentId)
+   * @returns {Promise<Object>} - Created deck
+   */
+  create: (deckData) => apiClient.post('/api/decks', deckData),
+
+  /**
+   * Update deck
+   * @param {number} deckId - Deck ID
+   * @param {Object} updateData - Fields to update (name, description, parentId)
+   * @returns {Promise<Object>} - Updated deck
+   */
+  update: (deckId, updateData) => apiClient.put(`/api/decks/${deckId}`, updateData),
+
+  /**
+   * Delete deck and its subdecks (cards are kept, unfiled)
+   * @param {number} deckId - Deck ID
+   * @returns {Promise<Object>} - Deletion result
+   */
+  delete: (deckId) => apiClient.delete(`/api/decks/${deckId}`)
+};
+
+/**
+ * Tag API endpoints
+ */
+export const tagApi = {
+  /**
+   * Get current user's tags with card counts
+   * @returns {Promise<Object>} - Tags
+   */
+  getMyTags: () => apiClient.get('/api/tags'),
+
+  /**
+   * Create new tag
+   * @param {Object} tagData - Tag data ({ name })
+   * @returns {Promise<Object>} - Created tag
+   */
+  create: (tagData) => apiClient.post('/api/tags', tagData),
+
+  /**
+   * Rename tag
+   * @param {number} tagId - Tag ID
+   * @param {Object} updateData - New tag data ({ name })
+   * @returns {Promise<Object>} - Updated tag
+   */
+  update: (tagId, updateData) => apiClient.put(`/api/tags/${tagId}`, updateData),
+
+  /**
+   * Delete tag (removes it from all cards)
+   * @param {number} tagId - Tag ID
+   * @returns {Promise<Object>} - Deletion result
+   */
+  delete: (tagId) => apiClient.delete(`/api/tags/${tagId}`)
 };
 
 /**
@@ -434,7 +721,7 @@ export const studyApi = {
 
   /**
    * Get study session for current user
-   * @param {Object} options - Session options
+   * @param {Object} options - Session options (limit, deckId, tags, tagMatch)
    * @returns {Promise<Object>} - Study session data
    */
   getMySession: (options = {}) => {
@@ -445,18 +732,70 @@ export const studyApi = {
   /**
    * Review flashcard in study session
    * @param {number} flashcardId - Flashcard ID
-   * @param {Object} reviewData - Review data
+   * @param {Object} reviewData - Review data (performanceRating, timeSpent, direction, item)
    * @returns {Promise<Object>} - Review results
    */
   reviewCard: (flashcardId, reviewData) => apiClient.post(`/api/study/review/${flashcardId}`, reviewData),
 
   /**
-   * Complete study session
-   * @param {Object} sessionData - Session completion data
-   * @returns {Promise<Object>} - Session results
+   * Grade a typed answer
+   * @param {number} flashcardId - Flashcard ID
+   * @param {Object} answerData - Typed answer and the field being produced (answerField)
+   * @returns {Promise<Object>} - Suggested rating and character diff
+   */
+  checkAnswer: (flashcardId, answerData) => apiClient.post(`/api/study/review/${flashcardId}/check`, answerData),
+
+  /**
+   * Undo the most recent review of a flashcard
+   * @param {number} flashcardId - Flashcard ID
+   * @returns {Promise<Object>} - Restored flashcard
+   */
+  undoReview: (flashcardId) => apiClient.post(`/api/study/review/${flashcardId}/undo`),
+
+  /**
+   * Complete current user's active study session
+   * @param {Object} [sessionData] - Session completion data, summarized when no session is open
+   * @returns {Promise<Object>} - Session results (computed by the server for an open session)
    */
   completeSession: (sessionData) => apiClient.post('/api/study/session/complete', sessionData),
 
+  /**
+   * Start a new study session
+   * @param {Object} options - Session options (limit)
+   * @returns {Promise<Object>} - Created session and its cards
+   */
+  startSession: (options = {}) => apiClient.post('/api/study/sessions', options),
+
+  /**
+   * Get current user's open study session
+   * @returns {Promise<Object>} - Active session with progress
+   */
+  getActiveSession: () => apiClient.get('/api/study/sessions/active'),
+
+  /**
+   * Get current user's study session history
+   * @param {Object} options - Query options (status, page, limit)
+   * @returns {Promise<Object>} - Sessions with pagination
+   */
+  getSessions: (options = {}) => {
+    const params = new URLSearchParams(options);
+    return apiClient.get(`/api/study/sessions?${params}`);
+  },
+
+  /**
+   * Resume an open or abandoned study session
+   * @param {number} sessionId - Session ID
+   * @returns {Promise<Object>} - Reopened session and its cards
+   */
+  resumeSession: (sessionId) => apiClient.post(`/api/study/sessions/${sessionId}/resume`),
+
+  /**
+   * Complete a study session by ID
+   * @param {number} sessionId - Session ID
+   * @returns {Promise<Object>} - Session results computed by the server
+   */
+  completeSessionById: (sessionId) => apiClient.post(`/api/study/sessions/${sessionId}/complete`),
+
   /**
    * Get cards due for review
    * @param {number} userId - User ID
@@ -478,6 +817,16 @@ export const studyApi = {
     return apiClient.get(`/api/study/my-due?${params}`);
   },
 
+  /**
+   * Get current user's review history
+   * @param {Object} options - Query options (from, to, flashcardId, page, limit)
+   * @returns {Promise<Object>} - Review log entries with pagination
+   */
+  getMyHistory: (options = {}) => {
+    const params = new URLSearchParams(options);
+    return apiClient.get(`/api/study/my-history?${params}`);
+  },
+
   /**
    * Get study recommendations
    * @param {number} userId - User ID
@@ -612,10 +961,10 @@ export const adminApi = {
   demoteUser: (userId) => apiClient.post(`/api/admin/users/${userId}/demote`),
 
   /**
-   * Get user's flashcards (admin only)
+   * Get a page of a user's flashcards (admin only)
    * @param {number} userId - User ID
-   * @param {Object} options - Query options
-   * @returns {Promise<Object>} - User's flashcards
+   * @param {Object} options - Same query options as flashcardApi.getMyFlashcards
+   * @returns {Promise<Object>} - Page of flashcards with total and nextCursor
    */
   getUserFlashcards: (userId, options = {}) => {
     const params = new URLSearchParams(options);
@@ -651,6 +1000,53 @@ export const adminApi = {
   performMaintenance: (maintenanceData) => apiClient.post('/api/admin/system/maintenance', maintenanceData)
 };
 
+/**
+ * Background job API endpoints (audio and tips generation)
+ */
+export const jobApi = {
+  /**
+   * Get background job status
+   * @param {number} jobId - Job ID
+   * @returns {Promise<Object>} - Job (status: pending, running, completed or dead; result; lastError)
+   */
+  get: (jobId) => apiClient.get(`/api/jobs/${jobId}`),
+
+  /**
+   * Poll background jobs until they have all finished
+   * @param {Array<Object|number>} jobs - Jobs (as returned with a created or updated card) or job IDs
+   * @param {Object} options - interval between polls (ms, default 2000), timeout (ms, default 120000)
+   * @returns {Promise<Array<Object>>} - Finished jobs (completed or dead); unfinished ones when the timeout is reached
+   */
+  waitForAll: async (jobs, options = {}) => {
+    const { interval = 2000, timeout = 120000 } = options;
+    const deadline = Date.now() + timeout;
+    let pending = jobs.map(job => (typeof job === 'object' ? job.id : job));
+    const finished = [];
+
+    while (pending.length > 0) {
+      const results = await Promise.all(pending.map(jobId => jobApi.get(jobId)));
+      const unfinished = [];
+      for (const { job } of results) {
+        if (job.status === 'completed' || job.status === 'dead') {
+          finished.push(job);
+        } else {
+          unfinished.push(job);
+        }
+      }
+      pending = unfinished.map(job => job.id);
+
+      if (pending.length > 0 && Date.now() + interval > deadline) {
+        return [...finished, ...unfinished];
+      }
+      if (pending.length > 0) {
+        await new Promise(resolve => setTimeout(resolve, interval));
+      }
+    }
+
+    return finished;
+  }
+};
+
 /**
  * Bulk operations API endpoints
  */
@@ -658,7 +1054,7 @@ export const bulkApi = {
   /**
    * Bulk import flashcards
    * @param {Object} importData - Import data
-   * @returns {Promise<Object>} - Import results
+   * @returns {Promise<Object>} - Import results, with the jobs generating the imported cards' audio and tips (see jobApi.waitForAll)
    */
   importFlashcards: (importData) => apiClient.post('/api/bulk/flashcards/import', importData),
 
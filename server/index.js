@@ -1,15 +1,18 @@
 import express from 'express';
 import cors from 'cors';
 import { queryD1 } from './cloudflare-d1.js';
+import { encodeCursor, decodeCursor } from './utils/cursor.js';
 import dotenv from 'dotenv';
 import fs from 'fs';
 import path from 'path';
-import { S3Client, PutObjectCommand, ListObjectsV2Command, GetObjectCommand } from '@aws-sdk/client-s3';
 import { fileURLToPath } from 'url';
 import fetch from 'node-fetch';
 import multer from 'multer';
-import { GoogleGenAI } from '@google/genai';
-import { generateAudio } from './services/gemini-tts.js';
+import { generateTips } from './services/gemini-tips.js';
+import { getScheduler } from './services/schedulers/index.js';
+import { getStorage } from './services/storage/index.js';
+import TtsCacheService from './services/TtsCacheService.js';
+import JobQueue from './services/JobQueue.js';
 
 // Import route modules
 import authRoutes from './routes/auth.js';
@@ -19,27 +22,15 @@ import flashcardRoutes from './routes/flashcards.js';
 import studyRoutes from './routes/study.js';
 import statsRoutes from './routes/stats.js';
 import bulkRoutes from './routes/bulk.js';
+import deckRoutes from './routes/decks.js';
+import tagRoutes from './routes/tags.js';
+import mediaRoutes from './routes/media.js';
+import jobRoutes from './routes/jobs.js';
 
 const upload = multer({ storage: multer.memoryStorage() });
+const sm2Scheduler = getScheduler('sm2');
 
 dotenv.config();
-const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
-
-// Cloudflare R2 config
-const R2_ACCESS_KEY_ID = process.env.R2_ACCESS_KEY_ID;
-const R2_SECRET_ACCESS_KEY = process.env.R2_SECRET_ACCESS_KEY;
-const R2_BUCKET = process.env.R2_BUCKET;
-const R2_ENDPOINT = process.env.R2_ENDPOINT;
-const R2_PUBLIC_URL = process.env.R2_PUBLIC_URL; // e.g. https://<accountid>.r2.cloudflarestorage.com/<bucket>
-
-const s3Client = new S3Client({
-  region: 'auto',
-  endpoint: R2_ENDPOINT,
-  credentials: {
-    accessKeyId: R2_ACCESS_KEY_ID,
-    secretAccessKey: R2_SECRET_ACCESS_KEY,
-  },
-});
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -58,6 +49,12 @@ app.use('/api/flashcards', flashcardRoutes);
 app.use('/api/study', studyRoutes);
 app.use('/api/stats', statsRoutes);
 app.use('/api/bulk', bulkRoutes);
+app.use('/api/decks', deckRoutes);
+app.use('/api/tags', tagRoutes);
+app.use('/api/jobs', jobRoutes);
+
+// Card images and audio, read from media storage (local directory or R2, see services/storage)
+app.use('/media', mediaRoutes);
 
 // Legacy basic auth middleware for old /api/cards endpoints
 function adminAuth(req, res, next) {
@@ -78,41 +75,58 @@ function adminAuth(req, res, next) {
 }
 app.use(adminAuth);
 
-// Endpoint para servir audios desde R2
+// Endpoint para servir audios desde el almacenamiento de medios
 app.get('/audio/:filename', async (req, res) => {
   res.setHeader('Cache-Control', 'no-store');
   const { filename } = req.params;
   try {
-    const command = new GetObjectCommand({
-      Bucket: R2_BUCKET,
-      Key: filename,
-    });
-    const data = await s3Client.send(command);
-    res.set('Content-Type', 'audio/mpeg');
-    // Cloudflare R2 SDK: data.Body es un stream
-    data.Body.pipe(res);
+    // El audio generado se guarda en audio/<hash>.wav (caché de TTS)
+    const object = await getStorage().get(filename) || await getStorage().get(`audio/${filename}`);
+    if (!object) return res.status(404).send('Audio no encontrado');
+    res.set('Content-Type', object.contentType);
+    object.stream.pipe(res);
   } catch (err) {
     console.error('Error al obtener el archivo:', err);
     res.status(404).send('Audio no encontrado');
   }
 });
 
-// Servir archivos locales SOLO en test (por compatibilidad)
 const isTest = process.env.NODE_ENV === 'test' || (process.argv[1] && process.argv[1].includes('jest'));
-if (isTest) {
-  app.use('/audio', express.static(path.join(__dirname, 'audio')));
-}
 
 // Database initialization moved to database.js migrations
 // This immediate execution was causing circular dependency issues in tests
 
 // GET todas las tarjetas
+// Con ?limit (1-100) y ?cursor devuelve una página { cards, nextCursor } ordenada por id
 app.get('/api/cards', async (req, res) => {
   res.setHeader('Cache-Control', 'no-store');
   try {
-    const result = await queryD1('SELECT * FROM cards');
-    const data = result.result?.[0]?.results || [];
-    res.json(data);
+    if (req.query.limit === undefined) {
+      const result = await queryD1('SELECT * FROM cards');
+      const data = result.result?.[0]?.results || [];
+      return res.json(data);
+    }
+
+    const limit = Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+      return res.status(400).json({ error: 'Limit must be between 1 and 100' });
+    }
+
+    let afterId = 0;
+    if (req.query.cursor) {
+      const position = decodeCursor(req.query.cursor, 'id', 'ASC');
+      if (!position) return res.status(400).json({ error: 'Invalid cursor' });
+      afterId = position.id;
+    }
+
+    const result = await queryD1('SELECT * FROM cards WHERE id > ? ORDER BY id LIMIT ?', [afterId, limit + 1]);
+    const rows = result.result?.[0]?.results || result.results || [];
+    const cards = rows.slice(0, limit);
+    const last = cards[cards.length - 1];
+    const nextCursor = rows.length > limit
+      ? encodeCursor({ orderBy: 'id', order: 'ASC', value: last.id, id: last.id })
+      : null;
+    res.json({ cards, nextCursor });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
@@ -125,93 +139,74 @@ function getFirstResult(res) {
   return null;
 }
 
-async function generateTipsWithGemini(en, es) {
-  const ai = new GoogleGenAI({ apiKey: GEMINI_API_KEY });
-  const config = { responseMimeType: 'text/plain' };
-  const model = 'gemini-2.5-flash-preview-04-17';
-  const prompt = `Dame tips, sinónimos (en inglés), ejemplos y una curiosidad para aprender la palabra inglesa "${en}" (traducción: "${es}").\nDevuelve la respuesta en formato markdown, usando un bloque de código JSON así:\n\n\u0060\u0060\u0060json\n{\n  \"tips\": [\n    \"Ejemplo de tip 1\",\n    \"Ejemplo de tip 2\"\n  ],\n  \"sinonimos\": [\n    \"Synonym 1\",\n    \"Synonym 2\"\n  ],\n  \"ejemplos\": [\n    \"Frase de ejemplo en inglés (traducción corta al español).\"\n  ],\n  \"curiosidad\": \"Una curiosidad breve sobre la palabra.\"\n}\n\u0060\u0060\u0060\n\n- "tips": máximo 2 consejos prácticos, frases cortas.\n- "sinonimos": máximo 2 sinónimos o expresiones equivalentes en inglés.\n- "ejemplos": máximo 1 frase de ejemplo en inglés, con traducción corta al español.\n- "curiosidad": una sola curiosidad breve.\nNo uses explicaciones largas ni listas extensas.`;
-  const contents = [
-    {
-      role: 'user',
-      parts: [ { text: prompt } ],
-    },
-  ];
-  let tips = '';
+// Suelta la referencia de una tarjeta a su audio generado; la recolección de basura
+// de la caché de TTS lo borra cuando ninguna tarjeta lo usa. El audio subido no se toca.
+async function releaseCardAudio(audioUrl) {
+  if (!audioUrl) return;
   try {
-    const response = await ai.models.generateContentStream({ model, config, contents });
-    for await (const chunk of response) {
-      if (chunk.text) tips += chunk.text;
-    }
-  } catch (e) {
-    throw new Error('Gemini SDK error: ' + e.message);
+    await TtsCacheService.releaseUrl(audioUrl);
+  } catch (err) {
+    console.error('No se pudo liberar el audio:', err);
+  }
+}
+
+// Generación en segundo plano del audio y los tips de las tarjetas (ver services/JobQueue.js).
+// Si la tarjeta se borró o su texto cambió desde que se encoló el trabajo, no se hace nada:
+// la edición encola sus propios trabajos.
+JobQueue.register('card.audio', async ({ cardId, en }) => {
+  const card = getFirstResult(await queryD1('SELECT * FROM cards WHERE id = ?', [cardId]));
+  if (!card || card.en !== en) return { skipped: true };
+
+  const audio = await TtsCacheService.acquire(en, { language: 'en' });
+  await queryD1('UPDATE cards SET audio_url = ? WHERE id = ?', [audio.url, cardId]);
+  await releaseCardAudio(card.audio_url);
+  return { audio_url: audio.url };
+});
+
+JobQueue.register('card.tips', async ({ cardId, en, es }) => {
+  const card = getFirstResult(await queryD1('SELECT * FROM cards WHERE id = ?', [cardId]));
+  if (!card || card.en !== en || card.es !== es) return { skipped: true };
+
+  const tipsResult = await generateTips(en, es);
+  if (!tipsResult.success) throw new Error(`Error generando tips: ${tipsResult.error}`);
+  await queryD1('UPDATE cards SET tips = ? WHERE id = ?', [tipsResult.tips, cardId]);
+  return { tips: tipsResult.tips };
+});
+
+// Encola la generación de audio y/o tips de una tarjeta; devuelve los trabajos (consultables en GET /api/jobs/:id)
+async function enqueueCardGeneration(card, parts) {
+  const jobs = [];
+  for (const part of parts) {
+    const job = await JobQueue.enqueue(`card.${part}`, { cardId: card.id, en: card.en, es: card.es }, {
+      resourceType: 'card',
+      resourceId: card.id
+    });
+    jobs.push(JobQueue.toStatus(job));
   }
-  return tips;
+  return jobs;
 }
 
-// POST nueva tarjeta (genera audio)
+// POST nueva tarjeta (el audio y los tips se generan en segundo plano)
 app.post('/api/cards', upload.single('audio'), async (req, res) => {
   const { en, es } = req.body;
   if (!en || !es) return res.status(400).send('Faltan campos');
   let audio_url = null;
-  let tips = null;
 
   try {
     let audioBuffer = null;
     let filename = `card_${Date.now()}.mp3`;
     if (req.file) {
-      // Si el usuario subió un audio, usarlo y subirlo a R2
+      // Si el usuario subió un audio, usarlo y guardarlo en el almacenamiento de medios
       audioBuffer = req.file.buffer;
-      await s3Client.send(new PutObjectCommand({
-        Bucket: R2_BUCKET,
-        Key: filename,
-        Body: audioBuffer,
-        ContentType: req.file.mimetype || 'audio/mpeg',
-      }));
-      audio_url = `${R2_PUBLIC_URL}/${filename}`;
-    } else if (!isTest) {
-      // Si no hay archivo y no es test, generar con Gemini TTS y subir a R2
-      const ttsResult = await generateAudio(en, 'en');
-      if (!ttsResult.success) {
-        console.error('[Gemini TTS ERROR]', { error: ttsResult.error });
-        return res.status(500).json({ error: 'Error generando audio' });
-      }
-      
-      audioBuffer = ttsResult.audioBuffer;
-      await s3Client.send(new PutObjectCommand({
-        Bucket: R2_BUCKET,
-        Key: filename,
-        Body: audioBuffer,
-        ContentType: 'audio/mpeg',
-      }));
-      audio_url = `${R2_PUBLIC_URL}/${filename}`;
-    }
-    // Si es test, deja audio_url = null
-
-    // Generar tips con Gemini
-    if (!isTest) {
-      try {
-        tips = await generateTipsWithGemini(en, es);
-        // Limpiar formato Markdown si Gemini responde con ```json ... ```
-        if (typeof tips === 'string' && tips.trim().startsWith('```json')) {
-          tips = tips.trim().replace(/^```json[\r\n]+/, '').replace(/```\s*$/, '').trim();
-        }
-        // Validar que sea JSON válido antes de guardar
-        try {
-          JSON.parse(tips);
-        } catch {
-          tips = null;
-        }
-      } catch (e) {
-        console.error('Error generando tips con Gemini:', e);
-        tips = null;
-      }
+      await getStorage().put(filename, audioBuffer, { contentType: req.file.mimetype || 'audio/mpeg' });
+      audio_url = getStorage().publicUrl(filename);
     }
 
     // Inicializa level=0 y nextReview=ahora
     const now = new Date().toISOString();
     const insertRes = await queryD1(
       'INSERT INTO cards (en, es, audio_url, level, nextReview, tips) VALUES (?, ?, ?, ?, ?, ?)',
-      [en, es, audio_url, 0, now, tips]
+      [en, es, audio_url, 0, now, null]
     );
     // D1 no retorna lastInsertRowid, así que buscamos la última tarjeta insertada por en, es, audio_url, nextReview
     const selectRes = await queryD1(
@@ -219,7 +214,10 @@ app.post('/api/cards', upload.single('audio'), async (req, res) => {
       [en, es, audio_url, now]
     );
     const card = selectRes.results?.[0] || null;
-    res.status(201).json(card);
+
+    // Sin audio subido se genera con TTS (o se reutiliza el de la caché); en test no se generan
+    const jobs = card && !isTest ? await enqueueCardGeneration(card, audio_url ? ['tips'] : ['audio', 'tips']) : [];
+    res.status(201).json(card && { ...card, jobs });
   } catch (err) {
     console.error('Error creando tarjeta:', err);
     res.status(500).json({ error: err.message });
@@ -235,28 +233,11 @@ app.put('/api/cards/:id', upload.single('audio'), async (req, res) => {
   if (!card) return res.status(404).send('Not found');
 
   let audio_url = card.audio_url;
-  // Si el campo 'en' cambia, regenerar audio (solo si no es test)
-  if (en && en !== card.en && !isTest) {
-    try {
-      const ttsResult = await generateAudio(en, 'en');
-      if (!ttsResult.success) {
-        throw new Error(`Error generando audio: ${ttsResult.error}`);
-      }
-      
-      const filename = `card_${Date.now()}.mp3`;
-      // Subir a Cloudflare R2
-      await s3Client.send(new PutObjectCommand({
-        Bucket: R2_BUCKET,
-        Key: filename,
-        Body: ttsResult.audioBuffer,
-        ContentType: 'audio/mpeg',
-      }));
-      audio_url = `${R2_PUBLIC_URL}/${filename}`;
-    } catch (err) {
-      console.error('No se pudo regenerar audio:', err);
-      audio_url = null;
-    }
-  } else if (en && en !== card.en && isTest) {
+  // Si el campo 'en' cambia, el audio anterior deja de valer y se regenera en segundo plano;
+  // si cambia 'en' o 'es', se regeneran los tips
+  const enChanged = en && en !== card.en;
+  const esChanged = es && es !== card.es;
+  if (enChanged) {
     audio_url = null;
   }
 
@@ -268,15 +249,25 @@ app.put('/api/cards/:id', upload.single('audio'), async (req, res) => {
     audio_url = ?
     WHERE id = ?
   `, [en, es, level, nextReview, audio_url, id]);
+  if (enChanged) {
+    await releaseCardAudio(card.audio_url);
+  }
   const updatedRes = await queryD1('SELECT * FROM cards WHERE id = ?', [id]);
   const updated = getFirstResult(updatedRes);
-  res.json(updated);
+  const parts = [...(enChanged ? ['audio'] : []), ...(enChanged || esChanged ? ['tips'] : [])];
+  const jobs = parts.length > 0 && updated && !isTest ? await enqueueCardGeneration(updated, parts) : [];
+  res.json(updated && { ...updated, jobs });
 });
 
 // DELETE tarjeta
 app.delete('/api/cards/:id', async (req, res) => {
   try {
+    const selectRes = await queryD1('SELECT audio_url FROM cards WHERE id = ?', [req.params.id]);
+    const card = getFirstResult(selectRes);
     await queryD1('DELETE FROM cards WHERE id = ?', [req.params.id]);
+    if (card) {
+      await releaseCardAudio(card.audio_url);
+    }
     res.status(204).send();
   } catch (err) {
     res.status(500).json({ error: err.message });
@@ -308,32 +299,15 @@ app.post('/api/cards/:id/review', async (req, res) => {
     const selectRes = await queryD1('SELECT * FROM cards WHERE id = ?', [id]);
     const card = selectRes.results?.[0] || null;
     if (!card) return res.status(404).send('Not found');
-    // SM-2 variables
-    let easeFactor = card.easeFactor || 2.5;
-    let repetitions = card.repetitions || 0;
-    let lastInterval = card.lastInterval || 0;
-    let nextReview;
-    if (grade < 3) {
-      repetitions = 0;
-      lastInterval = 1;
-      nextReview = new Date(Date.now() + 24*60*60*1000).toISOString(); // 1 día
-    } else {
-      repetitions += 1;
-      if (repetitions === 1) {
-        lastInterval = 1;
-      } else if (repetitions === 2) {
-        lastInterval = 6;
-      } else {
-        lastInterval = Math.round(lastInterval * easeFactor);
-      }
-      nextReview = new Date(Date.now() + lastInterval * 24*60*60*1000).toISOString();
-      // Actualizar easeFactor
-      easeFactor = easeFactor + (0.1 - (5 - grade) * (0.08 + (5 - grade) * 0.02));
-      if (easeFactor < 1.3) easeFactor = 1.3;
-    }
+    // SM-2 (mismo algoritmo que las tarjetas por usuario)
+    const { easeFactor, repetitions, intervalDays, nextReview } = sm2Scheduler.schedule({
+      easeFactor: card.easeFactor,
+      repetitions: card.repetitions,
+      intervalDays: card.lastInterval
+    }, grade);
     // Opcional: actualizar level para compatibilidad visual
     let level = repetitions;
-    await queryD1('UPDATE cards SET easeFactor = ?, repetitions = ?, lastInterval = ?, nextReview = ?, level = ? WHERE id = ?', [easeFactor, repetitions, lastInterval, nextReview, level, id]);
+    await queryD1('UPDATE cards SET easeFactor = ?, repetitions = ?, lastInterval = ?, nextReview = ?, level = ? WHERE id = ?', [easeFactor, repetitions, intervalDays, nextReview, level, id]);
     const updatedRes = await queryD1('SELECT * FROM cards WHERE id = ?', [id]);
     const updated = updatedRes.results?.[0] || null;
     res.json(updated);
@@ -356,36 +330,26 @@ app.post('/api/cards/:id/regenerate-audio', async (req, res) => {
     let audio_url = card.audio_url;
 
     if (!isTest) {
-      // 3. Generamos el audio con Gemini TTS
-      const ttsResult = await generateAudio(card.en, 'en');
-      
-      if (!ttsResult.success) {
-        console.error('[Gemini TTS ERROR]', ttsResult.error);
+      // 3. Generamos el audio con Gemini TTS (o lo reutilizamos de la caché si el texto ya tiene audio)
+      try {
+        audio_url = (await TtsCacheService.acquire(card.en, { language: 'en' })).url;
+      } catch (err) {
+        console.error('[Gemini TTS ERROR]', err.message);
         return res.status(502).json({ error: 'Error generando audio' });
       }
-
-      const filename = `card_${Date.now()}.mp3`;
-
-      // 4. Subimos el audio a R2
-      await s3Client.send(new PutObjectCommand({
-        Bucket: R2_BUCKET,
-        Key: filename,
-        Body: ttsResult.audioBuffer,
-        ContentType: 'audio/mpeg',
-      }));
-      audio_url = `${R2_PUBLIC_URL}/${filename}`;
     } else {
       // En test, dejamos audio_url en null para no hacer llamadas externas
       audio_url = null;
     }
 
-    // 5. Actualizamos la URL en la base de datos
+    // 4. Actualizamos la URL en la base de datos y soltamos el audio anterior
     await queryD1(
       'UPDATE cards SET audio_url = ? WHERE id = ?',
       [audio_url, id]
     );
+    await releaseCardAudio(card.audio_url);
 
-    // 6. Devolvemos la tarjeta actualizada
+    // 5. Devolvemos la tarjeta actualizada
     const updatedRes = await queryD1('SELECT * FROM cards WHERE id = ?', [id]);
     const updatedCard = getFirstResult(updatedRes);
     return res.json(updatedCard);
@@ -403,23 +367,8 @@ app.post('/api/cards/:id/regenerate-tips', async (req, res) => {
     const selectRes = await queryD1('SELECT * FROM cards WHERE id = ?', [id]);
     const card = getFirstResult(selectRes);
     if (!card) return res.status(404).send('Not found');
-    let tips = null;
-    try {
-      tips = await generateTipsWithGemini(card.en, card.es);
-      // Limpiar formato Markdown si Gemini responde con ```json ... ```
-      if (typeof tips === 'string' && tips.trim().startsWith('```json')) {
-        tips = tips.trim().replace(/^```json[\r\n]+/, '').replace(/```\s*$/, '').trim();
-      }
-      // Validar que sea JSON válido antes de guardar
-      try {
-        JSON.parse(tips);
-      } catch {
-        tips = null;
-      }
-    } catch (e) {
-      console.error('Error generando tips con Gemini:', e);
-      tips = null;
-    }
+    const tipsResult = await generateTips(card.en, card.es);
+    const tips = tipsResult.success ? tipsResult.tips : null;
     await queryD1('UPDATE cards SET tips = ? WHERE id = ?', [tips, id]);
     res.json({ tips });
   } catch (err) {
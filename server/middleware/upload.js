@@ -0,0 +1,62 @@
+import multer from 'multer';
+import ImageService from '../services/ImageService.js';
+
+/**
+ * Upload Middleware
+ *
+ * Parses multipart uploads into memory and rejects files that are too large
+ * or of an unsupported type before they reach the route handler. Multer
+ * errors are turned into the usual JSON error responses.
+ */
+
+const imageMulter = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: ImageService.maxFileSize,
+    files: 1
+  },
+  fileFilter: (req, file, callback) => {
+    if (!ImageService.isAllowedType(file.mimetype)) {
+      return callback(new Error('Unsupported image type'));
+    }
+    callback(null, true);
+  }
+});
+
+/**
+ * Accept a single image in the "image" form field
+ * Middleware that stores the file in req.file (buffer, mimetype, size)
+ */
+export const uploadImage = (req, res, next) => {
+  imageMulter.single('image')(req, res, (error) => {
+    if (!error) {
+      return next();
+    }
+
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({
+        error: 'Image too large',
+        message: `Images cannot be larger than ${ImageService.maxFileSize / (1024 * 1024)} MB`,
+        code: 'IMAGE_TOO_LARGE'
+      });
+    }
+
+    if (error.message === 'Unsupported image type') {
+      return res.status(415).json({
+        error: 'Unsupported image type',
+        message: `Images must be one of: ${ImageService.allowedTypes.join(', ')}`,
+        code: 'UNSUPPORTED_IMAGE_TYPE'
+      });
+    }
+
+    res.status(400).json({
+      error: 'Invalid upload',
+      message: error.message,
+      code: 'INVALID_UPLOAD'
+    });
+  });
+};
+
+export default {
+  uploadImage
+};
@@ -0,0 +1,47 @@
+-- Migration 003: Add SM-2 Scheduling State to User Flashcards
+-- Brings the per-card spaced repetition state used by the legacy cards table
+-- (easeFactor, repetitions, lastInterval, nextReview) into the multi-user flashcards table
+-- Compatible with D1 database (SQLite syntax)
+
+-- Create flashcards table if it doesn't exist (base columns only, scheduling added below)
+CREATE TABLE IF NOT EXISTS flashcards (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    english TEXT NOT NULL,
+    spanish TEXT NOT NULL,
+    user_id INTEGER NOT NULL,
+    difficulty INTEGER DEFAULT 0,
+    review_count INTEGER DEFAULT 0,
+    last_reviewed TEXT,
+    created_at TEXT NOT NULL DEFAULT (datetime('now')),
+    updated_at TEXT NOT NULL DEFAULT (datetime('now')),
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- Add SM-2 scheduling columns
+ALTER TABLE flashcards ADD COLUMN ease_factor REAL DEFAULT 2.5;
+ALTER TABLE flashcards ADD COLUMN repetitions INTEGER DEFAULT 0;
+ALTER TABLE flashcards ADD COLUMN interval_days INTEGER DEFAULT 0;
+ALTER TABLE flashcards ADD COLUMN next_review TEXT; -- ISO timestamp, NULL = new card (due now)
+
+-- Backfill reviewed cards from the old difficulty-based intervals [1, 2, 4, 8, 16, 32]
+-- so their first due date matches what FlashcardService used to compute
+UPDATE flashcards
+SET ease_factor = 2.5,
+    repetitions = review_count,
+    interval_days = CASE difficulty
+        WHEN 0 THEN 1
+        WHEN 1 THEN 2
+        WHEN 2 THEN 4
+        WHEN 3 THEN 8
+        WHEN 4 THEN 16
+        ELSE 32
+    END
+WHERE last_reviewed IS NOT NULL;
+
+UPDATE flashcards
+SET next_review = strftime('%Y-%m-%dT%H:%M:%fZ', last_reviewed, '+' || interval_days || ' days')
+WHERE last_reviewed IS NOT NULL AND next_review IS NULL;
+
+-- Indexes for user isolation and due-card queries
+CREATE INDEX IF NOT EXISTS idx_flashcards_user_id ON flashcards(user_id);
+CREATE INDEX IF NOT EXISTS idx_flashcards_user_next_review ON flashcards(user_id, next_review);
@@ -0,0 +1,9 @@
+-- Migration 004: Add FSRS Memory State to User Flashcards
+-- Stores the extra per-card state needed by the FSRS scheduler alongside the SM-2 columns
+-- Compatible with D1 database (SQLite syntax)
+
+ALTER TABLE flashcards ADD COLUMN stability REAL;        -- Days until recall probability drops to 90%
+ALTER TABLE flashcards ADD COLUMN fsrs_difficulty REAL;  -- FSRS difficulty (1-10), separate from legacy difficulty level
+ALTER TABLE flashcards ADD COLUMN lapses INTEGER DEFAULT 0; -- Number of times a reviewed card was forgotten
+
+-- Scheduler selection lives in users.preferences (JSON), e.g. {"scheduler": "fsrs"}
@@ -0,0 +1,21 @@
+-- Migration 005: Add Review Log
+-- Records every flashcard review with the scheduling state before and after it,
+-- so reviews are no longer lost when the card row is overwritten
+-- Compatible with D1 database (SQLite syntax)
+
+CREATE TABLE IF NOT EXISTS review_log (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    flashcard_id INTEGER NOT NULL,
+    user_id INTEGER NOT NULL,            -- Card owner
+    rating INTEGER NOT NULL CHECK (rating >= 0 AND rating <= 5),
+    time_spent INTEGER,                  -- Seconds, as reported by the client
+    scheduler TEXT,                      -- Scheduler that computed new_state (sm2, fsrs)
+    previous_state TEXT NOT NULL,        -- JSON snapshot of scheduling fields before the review
+    new_state TEXT NOT NULL,             -- JSON snapshot of scheduling fields after the review
+    reviewed_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    FOREIGN KEY (flashcard_id) REFERENCES flashcards(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_review_log_user_reviewed ON review_log(user_id, reviewed_at);
+CREATE INDEX IF NOT EXISTS idx_review_log_flashcard ON review_log(flashcard_id, reviewed_at);
@@ -0,0 +1,24 @@
+-- Migration 006: Add Study Sessions
+-- Persists study sessions so reviews can be grouped, summarised from the review log
+-- and abandoned sessions can be resumed
+-- Compatible with D1 database (SQLite syntax)
+
+CREATE TABLE IF NOT EXISTS study_sessions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    status TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'completed', 'abandoned')),
+    card_limit INTEGER,                  -- Number of cards requested when the session started
+    started_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    last_activity_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    ended_at TEXT,
+    summary TEXT,                        -- JSON summary computed from review_log on completion
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_study_sessions_user_status ON study_sessions(user_id, status);
+CREATE INDEX IF NOT EXISTS idx_study_sessions_user_started ON study_sessions(user_id, started_at);
+
+-- Reviews made while a session is open are attached to it
+ALTER TABLE review_log ADD COLUMN session_id INTEGER REFERENCES study_sessions(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_review_log_session ON review_log(session_id);
@@ -0,0 +1,31 @@
+-- Migration 007: Add Study Directions
+-- Cards can be studied English -> Spanish, Spanish -> English or both, and each
+-- direction keeps its own scheduling state
+-- Compatible with D1 database (SQLite syntax)
+
+-- Per-card direction override; NULL follows the owner's "direction" preference
+ALTER TABLE flashcards ADD COLUMN direction_mode TEXT CHECK (direction_mode IN ('en_es', 'es_en', 'both'));
+
+-- Scheduling state of study items other than the card's primary en_es item,
+-- which keeps using the scheduling columns on the flashcards row
+CREATE TABLE IF NOT EXISTS flashcard_item_states (
+    flashcard_id INTEGER NOT NULL,
+    item TEXT NOT NULL,                  -- Study item, e.g. es_en
+    difficulty INTEGER DEFAULT 0,
+    review_count INTEGER DEFAULT 0,
+    last_reviewed TEXT,
+    ease_factor REAL DEFAULT 2.5,
+    repetitions INTEGER DEFAULT 0,
+    interval_days INTEGER DEFAULT 0,
+    next_review TEXT,
+    lapses INTEGER DEFAULT 0,
+    stability REAL,
+    fsrs_difficulty REAL,
+    PRIMARY KEY (flashcard_id, item),
+    FOREIGN KEY (flashcard_id) REFERENCES flashcards(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_flashcard_item_states_next_review ON flashcard_item_states(item, next_review);
+
+-- Which study item a review graded
+ALTER TABLE review_log ADD COLUMN item TEXT NOT NULL DEFAULT 'en_es';
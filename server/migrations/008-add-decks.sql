@@ -0,0 +1,22 @@
+-- Migration 008: Add Decks
+-- Lets users organise their flashcards into (optionally nested) decks
+-- Compatible with D1 database (SQLite syntax)
+
+CREATE TABLE IF NOT EXISTS decks (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    parent_id INTEGER,                   -- NULL for top-level decks
+    name TEXT NOT NULL,
+    description TEXT,
+    created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    updated_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (parent_id) REFERENCES decks(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_decks_user_parent ON decks(user_id, parent_id);
+
+-- Cards of a deleted deck (or of its subdecks) become unfiled
+ALTER TABLE flashcards ADD COLUMN deck_id INTEGER REFERENCES decks(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_flashcards_deck ON flashcards(deck_id);
@@ -0,0 +1,15 @@
+-- Migration 010: Add Vocabulary Fields
+-- Optional structured details shown on the back of a card: part of speech,
+-- IPA pronunciation, gender and plural forms, notes and an example sentence
+-- Compatible with D1 database (SQLite syntax)
+
+ALTER TABLE flashcards ADD COLUMN part_of_speech TEXT CHECK (part_of_speech IN (
+    'noun', 'verb', 'adjective', 'adverb', 'pronoun', 'preposition',
+    'conjunction', 'interjection', 'determiner', 'phrase'
+));
+ALTER TABLE flashcards ADD COLUMN ipa TEXT;                      -- e.g. /ˈæp.əl/
+ALTER TABLE flashcards ADD COLUMN gender TEXT CHECK (gender IN ('masculine', 'feminine', 'common'));
+ALTER TABLE flashcards ADD COLUMN plural TEXT;                   -- Plural form(s), e.g. "mice / ratones"
+ALTER TABLE flashcards ADD COLUMN notes TEXT;
+ALTER TABLE flashcards ADD COLUMN example_sentence TEXT;         -- English example
+ALTER TABLE flashcards ADD COLUMN example_translation TEXT;      -- Its Spanish translation
@@ -0,0 +1,9 @@
+-- Migration 011: Add Flashcard Images
+-- One optional image per card, stored in media storage (local filesystem in
+-- development, R2 in production) with a generated thumbnail
+-- Compatible with D1 database (SQLite syntax)
+
+ALTER TABLE flashcards ADD COLUMN image_key TEXT;               -- Storage key of the original image
+ALTER TABLE flashcards ADD COLUMN image_url TEXT;
+ALTER TABLE flashcards ADD COLUMN image_thumbnail_url TEXT;
+ALTER TABLE flashcards ADD COLUMN image_side TEXT NOT NULL DEFAULT 'back' CHECK (image_side IN ('front', 'back'));
@@ -0,0 +1,7 @@
+-- Migration 012: Add Cloze Cards
+-- A cloze card stores a sentence with {{cN::...}} deletion markers in its
+-- english column (spanish optionally holds a translation). Each deletion
+-- number is a study item with its own row in flashcard_item_states.
+-- Compatible with D1 database (SQLite syntax)
+
+ALTER TABLE flashcards ADD COLUMN card_type TEXT NOT NULL DEFAULT 'basic' CHECK (card_type IN ('basic', 'cloze'));
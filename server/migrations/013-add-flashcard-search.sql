@@ -0,0 +1,29 @@
+-- Migration 013: Add Flashcard Search
+-- FTS5 index over the english and spanish text of flashcards. It is an
+-- external-content table (rowid = flashcards.id) kept in sync by triggers.
+-- remove_diacritics makes matching accent-insensitive ("cafe" finds "café").
+-- Compatible with D1 database (SQLite syntax)
+
+CREATE VIRTUAL TABLE IF NOT EXISTS flashcards_fts USING fts5(
+    english,
+    spanish,
+    content = 'flashcards',
+    content_rowid = 'id',
+    tokenize = 'unicode61 remove_diacritics 2'
+);
+
+CREATE TRIGGER IF NOT EXISTS flashcards_fts_insert AFTER INSERT ON flashcards BEGIN
+    INSERT INTO flashcards_fts (rowid, english, spanish) VALUES (new.id, new.english, new.spanish);
+END;
+
+CREATE TRIGGER IF NOT EXISTS flashcards_fts_delete AFTER DELETE ON flashcards BEGIN
+    INSERT INTO flashcards_fts (flashcards_fts, rowid, english, spanish) VALUES ('delete', old.id, old.english, old.spanish);
+END;
+
+CREATE TRIGGER IF NOT EXISTS flashcards_fts_update AFTER UPDATE OF english, spanish ON flashcards BEGIN
+    INSERT INTO flashcards_fts (flashcards_fts, rowid, english, spanish) VALUES ('delete', old.id, old.english, old.spanish);
+    INSERT INTO flashcards_fts (rowid, english, spanish) VALUES (new.id, new.english, new.spanish);
+END;
+
+-- Index existing flashcards
+INSERT INTO flashcards_fts (flashcards_fts) VALUES ('rebuild');
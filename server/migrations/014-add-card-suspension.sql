@@ -0,0 +1,11 @@
+-- Migration 014: Add Suspended, Buried and Leech Cards
+-- Suspended cards are left out of study until resumed; buried cards until the
+-- owner's next day starts. Cards failed too often are flagged as leeches
+-- (and suspended) once their lapses reach the owner's leech threshold.
+-- Compatible with D1 database (SQLite syntax)
+
+ALTER TABLE flashcards ADD COLUMN suspended_at TEXT;  -- NULL when the card is studied normally
+ALTER TABLE flashcards ADD COLUMN buried_until TEXT;  -- Skipped while this ISO timestamp is in the future
+ALTER TABLE flashcards ADD COLUMN leech_at TEXT;      -- When the card was last flagged as a leech
+
+CREATE INDEX IF NOT EXISTS idx_flashcards_user_leech ON flashcards(user_id, leech_at);
@@ -0,0 +1,10 @@
+-- Migration 015: Add Flashcard Trash
+-- Deleting a flashcard moves it to the trash instead of removing the row, so its
+-- review history and scheduling state survive until the card is purged (by its
+-- owner, or automatically once it has been in the trash past the retention period).
+-- Compatible with D1 database (SQLite syntax)
+
+ALTER TABLE flashcards ADD COLUMN deleted_at TEXT;  -- NULL unless the card is in the trash
+
+CREATE INDEX IF NOT EXISTS idx_flashcards_user_deleted ON flashcards(user_id, deleted_at);
+CREATE INDEX IF NOT EXISTS idx_flashcards_deleted_at ON flashcards(deleted_at);
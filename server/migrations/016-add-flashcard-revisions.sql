@@ -0,0 +1,18 @@
+-- Migration 016: Add Flashcard Revisions
+-- Records every edit of a flashcard's content: the changed fields with their old
+-- and new values, who made the edit (owner or admin) and when, so edits can be
+-- audited and reverted
+-- Compatible with D1 database (SQLite syntax)
+
+CREATE TABLE IF NOT EXISTS flashcard_revisions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    flashcard_id INTEGER NOT NULL,
+    editor_id INTEGER,                   -- User who made the edit (NULL once that account is deleted)
+    changes TEXT NOT NULL,               -- JSON object: field -> { from, to }
+    reverted_to INTEGER,                 -- Revision whose prior state this edit restored, if it was a revert
+    created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    FOREIGN KEY (flashcard_id) REFERENCES flashcards(id) ON DELETE CASCADE,
+    FOREIGN KEY (editor_id) REFERENCES users(id) ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_flashcard_revisions_flashcard ON flashcard_revisions(flashcard_id, id);
@@ -0,0 +1,8 @@
+-- Migration 017: Add Flashcard Audio and Tips
+-- Pronunciation audio of the english side, generated with Gemini TTS and kept in
+-- media storage, and Gemini study tips. Both are regenerated when the text changes.
+-- Compatible with D1 database (SQLite syntax)
+
+ALTER TABLE flashcards ADD COLUMN audio_key TEXT;  -- Storage key of the audio file
+ALTER TABLE flashcards ADD COLUMN audio_url TEXT;
+ALTER TABLE flashcards ADD COLUMN tips TEXT;       -- JSON: tips, sinonimos, ejemplos, curiosidad
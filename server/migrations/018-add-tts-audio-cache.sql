@@ -0,0 +1,21 @@
+-- Migration 018: Add TTS Audio Cache
+-- Generated speech is stored once per distinct (normalized text, language, voice,
+-- model) and shared by every card that speaks the same text. Cards referencing an
+-- entry are counted so entries nobody uses any more can be garbage-collected.
+-- Compatible with D1 database (SQLite syntax)
+
+CREATE TABLE IF NOT EXISTS tts_audio (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    hash TEXT NOT NULL UNIQUE,           -- SHA-256 of normalized text + language + voice + model
+    storage_key TEXT NOT NULL UNIQUE,    -- Media storage key of the audio file
+    url TEXT NOT NULL,
+    language TEXT NOT NULL,
+    voice TEXT NOT NULL,
+    model TEXT NOT NULL,
+    ref_count INTEGER NOT NULL DEFAULT 0 CHECK (ref_count >= 0),
+    released_at TEXT,                    -- When ref_count last dropped to 0 (NULL while referenced)
+    created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_tts_audio_url ON tts_audio(url);
+CREATE INDEX IF NOT EXISTS idx_tts_audio_released ON tts_audio(ref_count, released_at);
@@ -0,0 +1,27 @@
+-- Migration 019: Add Jobs
+-- Persistent queue of background work (audio and tips generation). Jobs are run
+-- by the in-process worker; failed attempts are retried with exponential backoff
+-- until max_attempts, after which the job is dead-lettered (status 'dead')
+-- Compatible with D1 database (SQLite syntax)
+
+CREATE TABLE IF NOT EXISTS jobs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    type TEXT NOT NULL,                  -- Handler name, e.g. flashcard.audio
+    payload TEXT NOT NULL,               -- JSON handler input
+    status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'running', 'completed', 'dead')),
+    user_id INTEGER,                     -- User who may see the job (NULL: admins only)
+    resource_type TEXT,                  -- What the job works on, e.g. flashcard
+    resource_id INTEGER,
+    attempts INTEGER NOT NULL DEFAULT 0,
+    max_attempts INTEGER NOT NULL DEFAULT 5,
+    run_at TEXT NOT NULL,                -- Earliest time of the next attempt
+    last_error TEXT,
+    result TEXT,                         -- JSON handler output
+    created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    updated_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    completed_at TEXT,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_jobs_status_run_at ON jobs(status, run_at);
+CREATE INDEX IF NOT EXISTS idx_jobs_resource ON jobs(resource_type, resource_id, status);
@@ -0,0 +1,10 @@
+-- Migration 020: Add Flashcard Duplicate Key
+-- Normalized text shared by duplicate cards (see server/utils/duplicates.js), so
+-- duplicates are found with one indexed lookup instead of scanning a user's cards.
+-- The key folds accents and punctuation in JavaScript: the Flashcard model fills it
+-- in for existing cards (NULL) the first time it connects.
+-- Compatible with D1 database (SQLite syntax)
+
+ALTER TABLE flashcards ADD COLUMN duplicate_key TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_flashcards_duplicate_key ON flashcards (user_id, duplicate_key);
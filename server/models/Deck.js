@@ -0,0 +1,271 @@
+import databaseConfig from '../config/database.js';
+
+/**
+ * Deck Model
+ *
+ * Handles persistence of decks, the user-owned collections flashcards are
+ * organised in. Decks can be nested through parent_id; deleting a deck also
+ * deletes its subdecks and leaves their cards unfiled.
+ *
+ * Compatible with D1 database (SQLite syntax)
+ */
+
+class Deck {
+  constructor() {
+    this.db = null;
+  }
+
+  /**
+   * Initialize the model with database connection
+   */
+  async initialize() {
+    if (!this.db) {
+      await databaseConfig.initialize();
+      this.db = databaseConfig.getDatabase();
+    }
+    return this;
+  }
+
+  /**
+   * Create a new deck
+   * @param {Object} deckData - Deck data
+   * @param {number} deckData.userId - Owner user ID
+   * @param {string} deckData.name - Deck name
+   * @param {string} [deckData.description] - Deck description
+   * @param {number} [deckData.parentId] - Parent deck ID (must belong to the same user)
+   * @returns {Object} Created deck
+   */
+  async create(deckData) {
+    await this.initialize();
+
+    const { userId, name, description = null, parentId = null } = deckData;
+
+    if (!userId || !Number.isInteger(Number(userId))) {
+      throw new Error('Valid user ID is required');
+    }
+
+    const now = new Date().toISOString();
+    const result = this.db.prepare(`
+      INSERT INTO decks (user_id, parent_id, name, description, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `).run(Number(userId), parentId, name.trim(), description, now, now);
+
+    return this.findById(result.lastInsertRowid, userId);
+  }
+
+  /**
+   * Find deck by ID
+   * @param {number} id - Deck ID
+   * @param {number} userId - Owner user ID
+   * @returns {Object|null} Deck with its direct card count
+   */
+  async findById(id, userId) {
+    await this.initialize();
+
+    if (!id || !Number.isInteger(Number(id))) {
+      throw new Error('Valid deck ID is required');
+    }
+
+    const row = this.db.prepare(`
+      SELECT d.*, (SELECT COUNT(*) FROM flashcards f WHERE f.deck_id = d.id AND f.deleted_at IS NULL) as card_count
+      FROM decks d
+      WHERE d.id = ? AND d.user_id = ?
+    `).get(Number(id), Number(userId));
+
+    return row ? Deck.format(row) : null;
+  }
+
+  /**
+   * Get all decks of a user
+   * @param {number} userId - Owner user ID
+   * @returns {Array} Decks ordered by name; nesting is expressed through parentId
+   */
+  async findByUserId(userId) {
+    await this.initialize();
+
+    if (!userId || !Number.isInteger(Number(userId))) {
+      throw new Error('Valid user ID is required');
+    }
+
+    const rows = this.db.prepare(`
+      SELECT d.*, (SELECT COUNT(*) FROM flashcards f WHERE f.deck_id = d.id AND f.deleted_at IS NULL) as card_count
+      FROM decks d
+      WHERE d.user_id = ?
+      ORDER BY d.name COLLATE NOCASE ASC, d.id ASC
+    `).all(Number(userId));
+
+    return rows.map(row => Deck.format(row));
+  }
+
+  /**
+   * Find a sibling deck with the same name (case-insensitive)
+   * @param {number} userId - Owner user ID
+   * @param {number|null} parentId - Parent deck ID (null for top level)
+   * @param {string} name - Deck name
+   * @returns {Object|null} Matching deck
+   */
+  async findByName(userId, parentId, name) {
+    await this.initialize();
+
+    const row = this.db.prepare(`
+      SELECT id FROM decks
+      WHERE user_id = ? AND parent_id IS ? AND name = ? COLLATE NOCASE
+    `).get(Number(userId), parentId, name.trim());
+
+    return row ? this.findById(row.id, userId) : null;
+  }
+
+  /**
+   * Get the IDs of a deck and all of its subdecks
+   * @param {number} id - Deck ID
+   * @param {number} userId - Owner user ID
+   * @returns {Array<number>} Deck IDs (empty if the deck does not belong to the user)
+   */
+  async getDescendantIds(id, userId) {
+    await this.initialize();
+
+    const rows = this.db.prepare(`
+      WITH RECURSIVE subtree(id) AS (
+        SELECT id FROM decks WHERE id = ? AND user_id = ?
+        UNION
+        SELECT d.id FROM decks d JOIN subtree s ON d.parent_id = s.id
+      )
+      SELECT id FROM subtree
+    `).all(Number(id), Number(userId));
+
+    return rows.map(row => row.id);
+  }
+
+  /**
+   * Update deck
+   * @param {number} id - Deck ID
+   * @param {Object} updateData - Fields to update (name, description, parentId)
+   * @param {number} userId - Owner user ID
+   * @returns {Object|null} Updated deck
+   */
+  async update(id, updateData, userId) {
+    await this.initialize();
+
+    const fieldMap = { name: 'name', description: 'description', parentId: 'parent_id' };
+    const updates = {};
+
+    for (const [field, column] of Object.entries(fieldMap)) {
+      if (updateData[field] !== undefined) {
+        updates[column] = field === 'name' ? updateData[field].trim() : updateData[field];
+      }
+    }
+
+    if (Object.keys(updates).length === 0) {
+      return this.findById(id, userId);
+    }
+
+    updates.updated_at = new Date().toISOString();
+
+    const setClause = Object.keys(updates).map(column => `${column} = ?`).join(', ');
+    const result = this.db.prepare(`
+      UPDATE decks SET ${setClause} WHERE id = ? AND user_id = ?
+    `).run(...Object.values(updates), Number(id), Number(userId));
+
+    if (result.changes === 0) {
+      return null; // Not found or no access
+    }
+
+    return this.findById(id, userId);
+  }
+
+  /**
+   * Delete deck together with its subdecks
+   * Cards in the deleted decks are kept and become unfiled.
+   * @param {number} id - Deck ID
+   * @param {number} userId - Owner user ID
+   * @returns {Object|null} Number of deleted decks and unfiled cards
+   */
+  async delete(id, userId) {
+    await this.initialize();
+
+    const deckIds = await this.getDescendantIds(id, userId);
+    if (deckIds.length === 0) {
+      return null;
+    }
+
+    const placeholders = deckIds.map(() => '?').join(', ');
+    const { count } = this.db.prepare(
+      `SELECT COUNT(*) as count FROM flashcards WHERE deck_id IN (${placeholders}) AND deleted_at IS NULL`
+    ).get(...deckIds);
+
+    // Subdecks and card references are handled by the foreign key actions
+    this.db.prepare('DELETE FROM decks WHERE id = ? AND user_id = ?').run(Number(id), Number(userId));
+
+    return {
+      deletedDecks: deckIds.length,
+      unfiledCards: count
+    };
+  }
+
+  /**
+   * Get per-deck card statistics for a user
+   * Counts only the cards filed directly in each deck (due items are counted by
+   * Flashcard.countDueItemsByDeck).
+   * @param {number} userId - Owner user ID
+   * @returns {Array} Deck statistics ordered by name
+   */
+  async getStatsByUserId(userId) {
+    await this.initialize();
+
+    if (!userId || !Number.isInteger(Number(userId))) {
+      throw new Error('Valid user ID is required');
+    }
+
+    const rows = this.db.prepare(`
+      SELECT
+        d.id,
+        d.name,
+        d.parent_id,
+        COUNT(f.id) as total_flashcards,
+        COUNT(CASE WHEN f.last_reviewed IS NOT NULL THEN 1 END) as reviewed_cards,
+        COUNT(CASE WHEN f.id IS NOT NULL AND f.last_reviewed IS NULL THEN 1 END) as new_cards,
+        SUM(f.review_count) as total_reviews,
+        AVG(f.difficulty) as average_difficulty,
+        MAX(f.last_reviewed) as last_reviewed
+      FROM decks d
+      LEFT JOIN flashcards f ON f.deck_id = d.id AND f.deleted_at IS NULL
+      WHERE d.user_id = ?
+      GROUP BY d.id
+      ORDER BY d.name COLLATE NOCASE ASC, d.id ASC
+    `).all(Number(userId));
+
+    return rows.map(row => ({
+      deckId: row.id,
+      name: row.name,
+      parentId: row.parent_id,
+      totalFlashcards: row.total_flashcards,
+      reviewedCards: row.reviewed_cards,
+      newCards: row.new_cards,
+      totalReviews: row.total_reviews || 0,
+      averageDifficulty: row.average_difficulty ? Math.round(row.average_difficulty * 100) / 100 : 0,
+      lastReviewed: row.last_reviewed
+    }));
+  }
+
+  /**
+   * Format a database row for API responses
+   * @param {Object} row - decks row
+   * @returns {Object} Formatted deck
+   */
+  static format(row) {
+    return {
+      id: row.id,
+      userId: row.user_id,
+      parentId: row.parent_id,
+      name: row.name,
+      description: row.description,
+      cardCount: row.card_count ?? 0,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+}
+
+// Export singleton instance
+const deckModel = new Deck();
+export default deckModel;
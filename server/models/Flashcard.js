@@ -1,4 +1,164 @@
 import databaseConfig from '../config/database.js';
+import { getClozeItems, validateCloze } from '../utils/cloze.js';
+import { buildSearchQuery } from '../utils/search.js';
+import { encodeCursor, decodeCursor } from '../utils/cursor.js';
+import { getDuplicateKey } from '../utils/duplicates.js';
+
+// Columns returned by every flashcard query (snake_case DB -> camelCase API)
+const FLASHCARD_COLUMNS = `
+        id, 
+        english, 
+        spanish, 
+        user_id as userId,
+        difficulty, 
+        review_count as reviewCount,
+        last_reviewed as lastReviewed,
+        ease_factor as easeFactor,
+        repetitions,
+        interval_days as intervalDays,
+        next_review as nextReview,
+        stability,
+        fsrs_difficulty as fsrsDifficulty,
+        lapses,
+        card_type as cardType,
+        direction_mode as directionMode,
+        deck_id as deckId,
+        part_of_speech as partOfSpeech,
+        ipa,
+        gender,
+        plural,
+        notes,
+        example_sentence as exampleSentence,
+        example_translation as exampleTranslation,
+        image_url as imageUrl,
+        image_thumbnail_url as imageThumbnailUrl,
+        image_side as imageSide,
+        audio_url as audioUrl,
+        tips,
+        suspended_at as suspendedAt,
+        buried_until as buriedUntil,
+        leech_at as leechAt,
+        deleted_at as deletedAt,
+        created_at as createdAt`;
+
+// basic cards pair english and spanish; cloze cards hold a sentence with {{cN::...}}
+// deletions in english (and an optional translation in spanish)
+export const CARD_TYPES = ['basic', 'cloze'];
+
+// Study directions: en_es shows English and asks for Spanish, es_en the reverse
+export const DIRECTIONS = ['en_es', 'es_en'];
+export const DIRECTION_MODES = [...DIRECTIONS, 'both'];
+export const DEFAULT_DIRECTION_MODE = 'en_es';
+
+export const PARTS_OF_SPEECH = [
+  'noun', 'verb', 'adjective', 'adverb', 'pronoun', 'preposition',
+  'conjunction', 'interjection', 'determiner', 'phrase'
+];
+export const GENDERS = ['masculine', 'feminine', 'common'];
+
+// Side of the card an attached image is shown on
+export const IMAGE_SIDES = ['front', 'back'];
+
+// Lapses after which a card is flagged as a leech, unless the owner chose another threshold
+export const DEFAULT_LEECH_THRESHOLD = 8;
+
+// Condition on STUDY_ITEMS rows leaving out suspended cards and cards buried past
+// the given time (parameter: now)
+const IN_ROTATION = 'suspendedAt IS NULL AND (buriedUntil IS NULL OR buriedUntil <= ?)';
+
+// Fields card listings can be sorted by, with the expression they sort on. Nullable
+// timestamps sort as '' (before any date, as SQLite orders NULLs) so they can be
+// compared in pagination cursors.
+const ORDER_FIELDS = {
+  id: 'id',
+  english: 'english',
+  spanish: 'spanish',
+  difficulty: 'difficulty',
+  review_count: 'review_count',
+  last_reviewed: "COALESCE(last_reviewed, '')",
+  next_review: "COALESCE(next_review, '')",
+  created_at: 'created_at'
+};
+
+// Deleted cards stay in the trash (deleted_at set) until purged; every query
+// outside the trash methods leaves them out
+const NOT_TRASHED = 'deleted_at IS NULL';
+
+// Optional vocabulary fields: API name -> column, with either allowed values or a max length.
+// Empty strings and null clear a field.
+const VOCAB_FIELDS = {
+  partOfSpeech: { column: 'part_of_speech', label: 'Part of speech', values: PARTS_OF_SPEECH },
+  ipa: { column: 'ipa', label: 'IPA pronunciation', maxLength: 100 },
+  gender: { column: 'gender', label: 'Gender', values: GENDERS },
+  plural: { column: 'plural', label: 'Plural form', maxLength: 500 },
+  notes: { column: 'notes', label: 'Notes', maxLength: 2000 },
+  exampleSentence: { column: 'example_sentence', label: 'Example sentence', maxLength: 500 },
+  exampleTranslation: { column: 'example_translation', label: 'Example translation', maxLength: 500 }
+};
+
+// Content fields recorded in a card's edit history (difficulty and the image side
+// also change through reviews and image uploads, so they are left out)
+export const REVISION_FIELDS = ['english', 'spanish', 'directionMode', 'deckId', ...Object.keys(VOCAB_FIELDS)];
+
+// The primary direction of a basic card keeps its scheduling state on the flashcards
+// row; every other study item (reverse direction, cloze deletions) lives in flashcard_item_states
+const PRIMARY_DIRECTION = 'en_es';
+
+// Same shape as FLASHCARD_COLUMNS with the scheduling fields of a secondary item
+// (flashcards f LEFT JOIN flashcard_item_states s); unreviewed items get the defaults
+const ITEM_STATE_COLUMNS = `
+        f.id, 
+        f.english, 
+        f.spanish, 
+        f.user_id as userId,
+        COALESCE(s.difficulty, 0) as difficulty, 
+        COALESCE(s.review_count, 0) as reviewCount,
+        s.last_reviewed as lastReviewed,
+        COALESCE(s.ease_factor, 2.5) as easeFactor,
+        COALESCE(s.repetitions, 0) as repetitions,
+        COALESCE(s.interval_days, 0) as intervalDays,
+        s.next_review as nextReview,
+        s.stability,
+        s.fsrs_difficulty as fsrsDifficulty,
+        COALESCE(s.lapses, 0) as lapses,
+        f.card_type as cardType,
+        f.direction_mode as directionMode,
+        f.deck_id as deckId,
+        f.part_of_speech as partOfSpeech,
+        f.ipa,
+        f.gender,
+        f.plural,
+        f.notes,
+        f.example_sentence as exampleSentence,
+        f.example_translation as exampleTranslation,
+        f.image_url as imageUrl,
+        f.image_thumbnail_url as imageThumbnailUrl,
+        f.image_side as imageSide,
+        f.audio_url as audioUrl,
+        f.tips,
+        f.suspended_at as suspendedAt,
+        f.buried_until as buriedUntil,
+        f.leech_at as leechAt,
+        f.deleted_at as deletedAt,
+        f.created_at as createdAt`;
+
+// One row per study item of a user's cards, tagged with the item: each enabled direction
+// of a basic card (also given as direction) and each deletion of a cloze card.
+// Parameters: userId, default direction mode, userId, default direction mode, userId
+const STUDY_ITEMS = `
+      SELECT ${FLASHCARD_COLUMNS}, 'en_es' as direction, 'en_es' as item
+      FROM flashcards
+      WHERE user_id = ? AND ${NOT_TRASHED} AND card_type = 'basic' AND COALESCE(direction_mode, ?) IN ('en_es', 'both')
+      UNION ALL
+      SELECT ${ITEM_STATE_COLUMNS}, 'es_en' as direction, 'es_en' as item
+      FROM flashcards f
+      LEFT JOIN flashcard_item_states s ON s.flashcard_id = f.id AND s.item = 'es_en'
+      WHERE f.user_id = ? AND f.${NOT_TRASHED} AND f.card_type = 'basic' AND COALESCE(f.direction_mode, ?) IN ('es_en', 'both')
+      UNION ALL
+      SELECT ${ITEM_STATE_COLUMNS}, NULL as direction, s.item
+      FROM flashcards f
+      JOIN flashcard_item_states s ON s.flashcard_id = f.id
+      WHERE f.user_id = ? AND f.${NOT_TRASHED} AND f.card_type = 'cloze'`;
 
 /**
  * Flashcard Model (Enhanced with User Isolation)
@@ -22,26 +182,66 @@ class Flashcard {
     if (!this.db) {
       await databaseConfig.initialize();
       this.db = databaseConfig.getDatabase();
+      this.fillDuplicateKeys();
     }
     return this;
   }
 
+  /**
+   * Compute the duplicate key of cards that have none (cards created before the
+   * duplicate_key column existed)
+   */
+  fillDuplicateKeys() {
+    const rows = this.db.prepare(`
+      SELECT id, english, spanish, card_type as cardType FROM flashcards WHERE duplicate_key IS NULL
+    `).all();
+
+    if (rows.length > 0) {
+      const update = this.db.prepare('UPDATE flashcards SET duplicate_key = ? WHERE id = ?');
+      this.db.transaction(() => {
+        rows.forEach(row => update.run(getDuplicateKey(row), row.id));
+      })();
+    }
+  }
+
   /**
    * Create a new flashcard for a specific user
    * @param {Object} flashcardData - Flashcard data
-   * @param {string} flashcardData.english - English text
-   * @param {string} flashcardData.spanish - Spanish text
+   * @param {string} flashcardData.english - English text (the sentence with deletions for cloze cards)
+   * @param {string} flashcardData.spanish - Spanish text (optional translation for cloze cards)
    * @param {number} flashcardData.userId - Owner user ID
    * @param {number} [flashcardData.difficulty=0] - Initial difficulty
+   * @param {string} [flashcardData.cardType='basic'] - Card type (basic or cloze)
+   * @param {string|null} [flashcardData.directionMode] - Study direction override (en_es, es_en, both)
+   * @param {number|null} [flashcardData.deckId] - Deck the card is filed in
+   * @param {string|null} [flashcardData.partOfSpeech] - Part of speech (see PARTS_OF_SPEECH)
+   * @param {string|null} [flashcardData.ipa] - IPA pronunciation
+   * @param {string|null} [flashcardData.gender] - Grammatical gender (see GENDERS)
+   * @param {string|null} [flashcardData.plural] - Plural form(s)
+   * @param {string|null} [flashcardData.notes] - Free-form notes
+   * @param {string|null} [flashcardData.exampleSentence] - Example sentence
+   * @param {string|null} [flashcardData.exampleTranslation] - Translation of the example sentence
+   * @param {Object} [options] - Create options
+   * @param {boolean} [options.rejectDuplicates=false] - Throw 'Duplicate flashcard' (with the card as
+   *   existingFlashcard) if the user already has a card with the same duplicate key; the check and
+   *   the insert share one transaction, so concurrent creates cannot both pass it
    * @returns {Object} Created flashcard
    */
-  async create(flashcardData) {
+  async create(flashcardData, options = {}) {
     await this.initialize();
 
-    const { english, spanish, userId, difficulty = 0 } = flashcardData;
+    const { rejectDuplicates = false } = options;
+
+    const {
+      english, spanish = '', userId, difficulty = 0, cardType = 'basic', directionMode = null, deckId = null
+    } = flashcardData;
+
+    if (!CARD_TYPES.includes(cardType)) {
+      throw new Error(`Card type must be one of: ${CARD_TYPES.join(', ')}`);
+    }
 
-    // Validate required fields
-    if (!english || !spanish || !userId) {
+    // Validate required fields (the translation of a cloze sentence is optional)
+    if (!english || (cardType === 'basic' && !spanish) || !userId) {
       throw new Error('English, Spanish, and userId are required');
     }
 
@@ -49,7 +249,7 @@ class Flashcard {
     const englishText = english.trim();
     const spanishText = spanish.trim();
 
-    if (!englishText || !spanishText) {
+    if (!englishText || (cardType === 'basic' && !spanishText)) {
       throw new Error('English and Spanish text cannot be empty');
     }
 
@@ -57,6 +257,13 @@ class Flashcard {
       throw new Error('Text fields cannot exceed 500 characters');
     }
 
+    if (cardType === 'cloze') {
+      const clozeErrors = validateCloze(englishText);
+      if (clozeErrors.length > 0) {
+        throw new Error(clozeErrors.join(', '));
+      }
+    }
+
     // Validate userId
     if (!Number.isInteger(Number(userId))) {
       throw new Error('Valid userId is required');
@@ -67,22 +274,57 @@ class Flashcard {
       throw new Error('Difficulty must be a non-negative integer');
     }
 
+    if (directionMode !== null && !this.isValidDirectionMode(directionMode)) {
+      throw new Error(`Direction mode must be one of: ${DIRECTION_MODES.join(', ')}`);
+    }
+
+    const vocab = {};
+    for (const [field, { column }] of Object.entries(VOCAB_FIELDS)) {
+      const error = this.vocabFieldError(field, flashcardData[field]);
+      if (error) {
+        throw new Error(error);
+      }
+      vocab[column] = this.normalizeVocabField(flashcardData[field]);
+    }
+
+    const duplicateKey = getDuplicateKey({ english: englishText, spanish: spanishText, cardType });
+
     try {
-      // Insert new flashcard
-      const insertStatement = this.db.prepare(`
-        INSERT INTO flashcards (english, spanish, user_id, difficulty, review_count, last_reviewed) 
-        VALUES (?, ?, ?, ?, 0, NULL)
-      `);
+      // Insert new flashcard (immediate: the duplicate check holds the write lock until the insert)
+      const id = this.db.transaction(() => {
+        if (rejectDuplicates) {
+          const duplicate = this.findByDuplicateKeySync(userId, duplicateKey);
+          if (duplicate) {
+            const error = new Error('Duplicate flashcard');
+            error.existingFlashcard = duplicate;
+            throw error;
+          }
+        }
 
-      const result = insertStatement.run(
-        englishText,
-        spanishText,
-        Number(userId),
-        difficulty
-      );
+        const result = this.db.prepare(`
+          INSERT INTO flashcards (english, spanish, user_id, difficulty, review_count, last_reviewed, card_type, direction_mode, deck_id, duplicate_key, ${Object.keys(vocab).join(', ')}) 
+          VALUES (?, ?, ?, ?, 0, NULL, ?, ?, ?, ?, ${Object.keys(vocab).map(() => '?').join(', ')})
+        `).run(
+          englishText,
+          spanishText,
+          Number(userId),
+          difficulty,
+          cardType,
+          directionMode,
+          deckId,
+          duplicateKey,
+          ...Object.values(vocab)
+        );
+
+        if (cardType === 'cloze') {
+          this.syncClozeItems(result.lastInsertRowid, getClozeItems(englishText));
+        }
+
+        return result.lastInsertRowid;
+      }).immediate();
 
       // Return created flashcard
-      return this.findById(result.lastInsertRowid, userId);
+      return this.findById(id, userId);
 
     } catch (error) {
       if (error.message.includes('FOREIGN KEY constraint failed')) {
@@ -92,6 +334,60 @@ class Flashcard {
     }
   }
 
+  /**
+   * Find a user's flashcard with a duplicate key
+   * @param {number} userId - Owner user ID
+   * @param {string} duplicateKey - Duplicate key (see getDuplicateKey)
+   * @returns {Object|null} Oldest flashcard with the key (trashed cards are left out)
+   */
+  async findByDuplicateKey(userId, duplicateKey) {
+    await this.initialize();
+
+    return this.findByDuplicateKeySync(userId, duplicateKey);
+  }
+
+  /**
+   * Find a user's flashcard with a duplicate key synchronously, so it can run in a transaction
+   * @param {number} userId - Owner user ID
+   * @param {string} duplicateKey - Duplicate key (see getDuplicateKey)
+   * @returns {Object|null} Oldest flashcard with the key
+   */
+  findByDuplicateKeySync(userId, duplicateKey) {
+    return this.db.prepare(`
+      SELECT ${FLASHCARD_COLUMNS}
+      FROM flashcards
+      WHERE user_id = ? AND duplicate_key = ? AND ${NOT_TRASHED}
+      ORDER BY id ASC
+      LIMIT 1
+    `).get(Number(userId), duplicateKey) || null;
+  }
+
+  /**
+   * Find a user's flashcards that share their duplicate key with another card
+   * @param {number} userId - Owner user ID
+   * @returns {Array<Object>} Flashcards with their duplicateKey, grouped by key and oldest first
+   */
+  async findDuplicatesByUserId(userId) {
+    await this.initialize();
+
+    if (!userId || !Number.isInteger(Number(userId))) {
+      throw new Error('Valid user ID is required');
+    }
+
+    return this.db.prepare(`
+      SELECT ${FLASHCARD_COLUMNS}, duplicate_key as duplicateKey
+      FROM flashcards
+      WHERE user_id = ? AND ${NOT_TRASHED} AND duplicate_key IN (
+        SELECT duplicate_key
+        FROM flashcards
+        WHERE user_id = ? AND ${NOT_TRASHED}
+        GROUP BY duplicate_key
+        HAVING COUNT(*) > 1
+      )
+      ORDER BY duplicate_key, id
+    `).all(Number(userId), Number(userId));
+  }
+
   /**
    * Find flashcard by ID with user ownership validation
    * @param {number} id - Flashcard ID
@@ -111,16 +407,9 @@ class Flashcard {
     }
 
     let query = `
-      SELECT 
-        id, 
-        english, 
-        spanish, 
-        user_id as userId,
-        difficulty, 
-        review_count as reviewCount,
-        last_reviewed as lastReviewed
+      SELECT ${FLASHCARD_COLUMNS}
       FROM flashcards 
-      WHERE id = ?
+      WHERE id = ? AND ${NOT_TRASHED}
     `;
 
     const params = [Number(id)];
@@ -135,6 +424,59 @@ class Flashcard {
     return flashcard || null;
   }
 
+  /**
+   * Find a flashcard with the scheduling state of one study item
+   * @param {number} id - Flashcard ID
+   * @param {string} item - Study item: a direction (en_es, es_en) of a basic card, or a deletion (c1, c2...) of a cloze card
+   * @param {number} requestingUserId - ID of user requesting access
+   * @param {string} [userRole='user'] - Role of requesting user
+   * @returns {Object|null} Flashcard tagged with its item (and direction for basic cards)
+   */
+  async findItemById(id, item, requestingUserId, userRole = 'user') {
+    const flashcard = await this.findById(id, requestingUserId, userRole);
+    if (!flashcard) {
+      return null;
+    }
+
+    if (!this.getItems(flashcard).includes(item)) {
+      throw new Error(`Study item must be one of: ${this.getItems(flashcard).join(', ')}`);
+    }
+
+    const direction = flashcard.cardType === 'cloze' ? null : item;
+
+    if (this.storesStateOnRow(flashcard, item)) {
+      return { ...flashcard, direction, item };
+    }
+
+    const row = this.db.prepare(`
+      SELECT ${ITEM_STATE_COLUMNS}
+      FROM flashcards f
+      LEFT JOIN flashcard_item_states s ON s.flashcard_id = f.id AND s.item = ?
+      WHERE f.id = ?
+    `).get(item, flashcard.id);
+
+    return { ...row, direction, item };
+  }
+
+  /**
+   * Get the study items a flashcard can have
+   * @param {Object} flashcard - Flashcard
+   * @returns {Array<string>} Both directions for basic cards, one item per deletion for cloze cards
+   */
+  getItems(flashcard) {
+    return flashcard.cardType === 'cloze' ? getClozeItems(flashcard.english) : DIRECTIONS;
+  }
+
+  /**
+   * Check if a study item keeps its scheduling state on the flashcards row
+   * @param {Object} flashcard - Flashcard
+   * @param {string} item - Study item
+   * @returns {boolean} True for the primary direction of a basic card
+   */
+  storesStateOnRow(flashcard, item) {
+    return flashcard.cardType !== 'cloze' && item === PRIMARY_DIRECTION;
+  }
+
   /**
    * Find all flashcards for a specific user
    * @param {number} userId - User ID
@@ -142,6 +484,9 @@ class Flashcard {
    * @param {number} [options.limit] - Maximum number of results
    * @param {string} [options.orderBy='last_reviewed'] - Sort field
    * @param {string} [options.order='ASC'] - Sort direction
+   * @param {Array<number>} [options.deckIds] - Only cards filed in these decks
+   * @param {Array<string>} [options.tags] - Only cards with these tags
+   * @param {string} [options.tagMatch='all'] - Whether cards need all or any of the tags
    * @returns {Array} Array of flashcards
    */
   async findByUserId(userId, options = {}) {
@@ -151,12 +496,11 @@ class Flashcard {
       throw new Error('Valid user ID is required');
     }
 
-    const { limit, orderBy = 'last_reviewed', order = 'ASC' } = options;
+    const { limit, orderBy = 'last_reviewed', order = 'ASC', ...filters } = options;
 
     // Validate orderBy field
-    const allowedOrderFields = ['id', 'english', 'spanish', 'difficulty', 'review_count', 'last_reviewed'];
-    if (!allowedOrderFields.includes(orderBy)) {
-      throw new Error(`Invalid orderBy field. Allowed: ${allowedOrderFields.join(', ')}`);
+    if (!ORDER_FIELDS[orderBy]) {
+      throw new Error(`Invalid orderBy field. Allowed: ${Object.keys(ORDER_FIELDS).join(', ')}`);
     }
 
     // Validate order direction
@@ -165,22 +509,16 @@ class Flashcard {
       throw new Error('Order must be ASC or DESC');
     }
 
+    const { conditions, params: filterParams } = Flashcard.buildFilters(filters, 'deck_id');
+    const params = [Number(userId), ...filterParams];
+
     let query = `
-      SELECT 
-        id, 
-        english, 
-        spanish, 
-        user_id as userId,
-        difficulty, 
-        review_count as reviewCount,
-        last_reviewed as lastReviewed
+      SELECT ${FLASHCARD_COLUMNS}
       FROM flashcards 
-      WHERE user_id = ?
+      WHERE ${['user_id = ?', NOT_TRASHED, ...conditions].join(' AND ')}
       ORDER BY ${orderBy} ${normalizedOrder}
     `;
 
-    const params = [Number(userId)];
-
     // Add limit if specified
     if (limit && Number.isInteger(limit) && limit > 0) {
       query += ' LIMIT ?';
@@ -191,6 +529,204 @@ class Flashcard {
     return flashcards;
   }
 
+  /**
+   * Get one page of a user's flashcards (cursor pagination)
+   * @param {number} userId - User ID
+   * @param {Object} [options] - Query options
+   * @param {number} [options.limit=50] - Page size (1-100)
+   * @param {string} [options.cursor] - nextCursor of the previous page (same sort required)
+   * @param {string} [options.orderBy='id'] - Sort field (see ORDER_FIELDS)
+   * @param {string} [options.order='ASC'] - Sort direction
+   * @param {number} [options.difficultyMin] - Only cards with at least this difficulty
+   * @param {number} [options.difficultyMax] - Only cards with at most this difficulty
+   * @param {boolean} [options.reviewed] - Only reviewed (true) or never reviewed (false) cards
+   * @param {string} [options.dueBefore] - Only cards due before this ISO timestamp (unreviewed cards are due now)
+   * @param {string} [options.dueAfter] - Only cards due at or after this ISO timestamp
+   * @param {string} [options.createdAfter] - Only cards created at or after this ISO timestamp
+   * @param {string} [options.createdBefore] - Only cards created before this ISO timestamp
+   * @param {Array<number>} [options.deckIds] - Only cards filed in these decks
+   * @param {Array<string>} [options.tags] - Only cards with these tags
+   * @param {string} [options.tagMatch='all'] - Whether cards need all or any of the tags
+   * @returns {Object} Flashcards, total matching the filters and the cursor of the next page (null on the last page)
+   */
+  async findPageByUserId(userId, options = {}) {
+    await this.initialize();
+
+    if (!userId || !Number.isInteger(Number(userId))) {
+      throw new Error('Valid user ID is required');
+    }
+
+    const {
+      limit = 50, cursor, orderBy = 'id', order = 'ASC',
+      difficultyMin, difficultyMax, reviewed, dueBefore, dueAfter, createdAfter, createdBefore,
+      ...filters
+    } = options;
+
+    if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+      throw new Error('Limit must be between 1 and 100');
+    }
+
+    const sortKey = ORDER_FIELDS[orderBy];
+    if (!sortKey) {
+      throw new Error(`Invalid orderBy field. Allowed: ${Object.keys(ORDER_FIELDS).join(', ')}`);
+    }
+
+    const normalizedOrder = order.toUpperCase();
+    if (!['ASC', 'DESC'].includes(normalizedOrder)) {
+      throw new Error('Order must be ASC or DESC');
+    }
+
+    const { conditions, params } = Flashcard.buildFilters(filters, 'deck_id');
+    conditions.unshift('user_id = ?', NOT_TRASHED);
+    params.unshift(Number(userId));
+
+    if (difficultyMin !== undefined) {
+      conditions.push('difficulty >= ?');
+      params.push(difficultyMin);
+    }
+    if (difficultyMax !== undefined) {
+      conditions.push('difficulty <= ?');
+      params.push(difficultyMax);
+    }
+    if (reviewed !== undefined) {
+      conditions.push(reviewed ? 'last_reviewed IS NOT NULL' : 'last_reviewed IS NULL');
+    }
+    if (dueBefore !== undefined || dueAfter !== undefined) {
+      const now = new Date().toISOString();
+      if (dueBefore !== undefined) {
+        conditions.push('COALESCE(next_review, ?) < ?');
+        params.push(now, dueBefore);
+      }
+      if (dueAfter !== undefined) {
+        conditions.push('COALESCE(next_review, ?) >= ?');
+        params.push(now, dueAfter);
+      }
+    }
+    // created_at is stored in SQLite datetime format, so compare against datetime()
+    if (createdAfter !== undefined) {
+      conditions.push('created_at >= datetime(?)');
+      params.push(createdAfter);
+    }
+    if (createdBefore !== undefined) {
+      conditions.push('created_at < datetime(?)');
+      params.push(createdBefore);
+    }
+
+    const { total } = this.db.prepare(`
+      SELECT COUNT(*) as total FROM flashcards WHERE ${conditions.join(' AND ')}
+    `).get(...params);
+
+    const pageConditions = [...conditions];
+    const pageParams = [...params];
+    if (cursor) {
+      const position = decodeCursor(cursor, orderBy, normalizedOrder);
+      if (!position) {
+        throw new Error('Invalid cursor');
+      }
+      const comparison = normalizedOrder === 'ASC' ? '>' : '<';
+      pageConditions.push(`(${sortKey} ${comparison} ? OR (${sortKey} = ? AND id ${comparison} ?))`);
+      pageParams.push(position.value, position.value, position.id);
+    }
+
+    // One extra row tells whether there is a next page
+    const rows = this.db.prepare(`
+      SELECT ${FLASHCARD_COLUMNS}, ${sortKey} as sort_key
+      FROM flashcards
+      WHERE ${pageConditions.join(' AND ')}
+      ORDER BY ${sortKey} ${normalizedOrder}, id ${normalizedOrder}
+      LIMIT ?
+    `).all(...pageParams, limit + 1);
+
+    const page = rows.slice(0, limit);
+    const last = page[page.length - 1];
+
+    return {
+      flashcards: page.map(({ sort_key, ...flashcard }) => flashcard),
+      total,
+      nextCursor: rows.length > limit
+        ? encodeCursor({ orderBy, order: normalizedOrder, value: last.sort_key, id: last.id })
+        : null
+    };
+  }
+
+  /**
+   * Full-text search over the english and spanish text of flashcards
+   * Every word matches as a prefix and accents are ignored. Results are ordered by
+   * relevance and carry snippets of both sides with matches wrapped in <mark> tags.
+   * @param {string} text - Search text
+   * @param {number} requestingUserId - ID of user searching
+   * @param {string} [userRole='user'] - Role of user searching
+   * @param {Object} [options] - Search options
+   * @param {number} [options.page=1] - Page number
+   * @param {number} [options.limit=20] - Results per page
+   * @param {number} [options.userId] - Only cards of this user (admins; others always search their own)
+   * @returns {Object} Matching flashcards with snippets, and pagination
+   */
+  async search(text, requestingUserId, userRole = 'user', options = {}) {
+    await this.initialize();
+
+    if (!requestingUserId || !Number.isInteger(Number(requestingUserId))) {
+      throw new Error('Valid requesting user ID is required');
+    }
+
+    const { page = 1, limit = 20, userId } = options;
+
+    if (!Number.isInteger(page) || page < 1) {
+      throw new Error('Page must be a positive integer');
+    }
+
+    if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+      throw new Error('Limit must be between 1 and 100');
+    }
+
+    const match = buildSearchQuery(text);
+    if (!match) {
+      throw new Error('Validation failed: Search query must contain at least one letter or digit');
+    }
+
+    const ownerId = userRole === 'admin' ? userId : requestingUserId;
+    const ownerCondition = ownerId ? 'AND owner.user_id = ?' : '';
+    const whereParams = ownerId ? [match, Number(ownerId)] : [match];
+
+    const matches = `
+      FROM flashcards_fts
+      JOIN flashcards owner ON owner.id = flashcards_fts.rowid
+      WHERE flashcards_fts MATCH ? AND owner.${NOT_TRASHED} ${ownerCondition}`;
+
+    const { total } = this.db.prepare(`SELECT COUNT(*) as total ${matches}`).get(...whereParams);
+
+    const rows = this.db.prepare(`
+      SELECT ${FLASHCARD_COLUMNS}, english_snippet, spanish_snippet
+      FROM flashcards
+      JOIN (
+        SELECT
+          flashcards_fts.rowid as match_id,
+          bm25(flashcards_fts) as match_rank,
+          snippet(flashcards_fts, 0, '<mark>', '</mark>', '…', 12) as english_snippet,
+          snippet(flashcards_fts, 1, '<mark>', '</mark>', '…', 12) as spanish_snippet
+        ${matches}
+        ORDER BY match_rank, match_id
+        LIMIT ? OFFSET ?
+      ) ON match_id = flashcards.id
+      ORDER BY match_rank, match_id
+    `).all(...whereParams, limit, (page - 1) * limit);
+
+    const flashcards = rows.map(({ english_snippet, spanish_snippet, ...flashcard }) => ({
+      ...flashcard,
+      snippets: { english: english_snippet, spanish: spanish_snippet }
+    }));
+
+    return {
+      flashcards,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    };
+  }
+
   /**
    * Update flashcard with user ownership validation
    * @param {number} id - Flashcard ID
@@ -217,7 +753,7 @@ class Flashcard {
     }
 
     // Only allow updating specific fields
-    const allowedFields = ['english', 'spanish', 'difficulty'];
+    const allowedFields = ['english', 'spanish', 'difficulty', 'directionMode', 'deckId', 'imageSide', ...Object.keys(VOCAB_FIELDS)];
     const updates = {};
     let hasUpdates = false;
 
@@ -225,12 +761,19 @@ class Flashcard {
       if (updateData[field] !== undefined) {
         if (field === 'english' || field === 'spanish') {
           const text = updateData[field].trim();
-          if (!text) {
+          // The translation of a cloze sentence may be cleared
+          if (!text && !(field === 'spanish' && existingFlashcard.cardType === 'cloze')) {
             throw new Error(`${field} text cannot be empty`);
           }
           if (text.length > 500) {
             throw new Error(`${field} text cannot exceed 500 characters`);
           }
+          if (field === 'english' && existingFlashcard.cardType === 'cloze') {
+            const clozeErrors = validateCloze(text);
+            if (clozeErrors.length > 0) {
+              throw new Error(clozeErrors.join(', '));
+            }
+          }
           updates[field] = text;
         } else if (field === 'difficulty') {
           const difficulty = Number(updateData[field]);
@@ -238,6 +781,29 @@ class Flashcard {
             throw new Error('Difficulty must be a non-negative integer');
           }
           updates[field] = difficulty;
+        } else if (field === 'directionMode') {
+          // null clears the override so the owner's preference applies again
+          if (updateData[field] !== null && !this.isValidDirectionMode(updateData[field])) {
+            throw new Error(`Direction mode must be one of: ${DIRECTION_MODES.join(', ')}`);
+          }
+          updates.direction_mode = updateData[field];
+        } else if (field === 'deckId') {
+          // null unfiles the card; deck ownership is checked by the service
+          if (updateData[field] !== null && !Number.isInteger(updateData[field])) {
+            throw new Error('Deck ID must be an integer');
+          }
+          updates.deck_id = updateData[field];
+        } else if (field === 'imageSide') {
+          if (!IMAGE_SIDES.includes(updateData[field])) {
+            throw new Error(`Image side must be one of: ${IMAGE_SIDES.join(', ')}`);
+          }
+          updates.image_side = updateData[field];
+        } else {
+          const error = this.vocabFieldError(field, updateData[field]);
+          if (error) {
+            throw new Error(error);
+          }
+          updates[VOCAB_FIELDS[field].column] = this.normalizeVocabField(updateData[field]);
         }
         hasUpdates = true;
       }
@@ -248,12 +814,16 @@ class Flashcard {
       return existingFlashcard;
     }
 
+    if (updates.english !== undefined || updates.spanish !== undefined) {
+      updates.duplicate_key = getDuplicateKey({ ...existingFlashcard, ...updates });
+    }
+
     // Build dynamic update query
     const setClause = Object.keys(updates).map(field => `${field} = ?`).join(', ');
     const values = Object.values(updates);
 
     // Add WHERE conditions
-    let whereClause = 'WHERE id = ?';
+    let whereClause = `WHERE id = ? AND ${NOT_TRASHED}`;
     values.push(Number(id));
 
     // Add user ownership filter unless admin
@@ -273,6 +843,10 @@ class Flashcard {
         return null; // Not found or no access
       }
 
+      if (updates.english !== undefined && existingFlashcard.cardType === 'cloze') {
+        this.syncClozeItems(existingFlashcard.id, getClozeItems(updates.english));
+      }
+
       return this.findById(id, requestingUserId, userRole);
 
     } catch (error) {
@@ -281,7 +855,27 @@ class Flashcard {
   }
 
   /**
-   * Delete flashcard with user ownership validation
+   * Make the study items of a cloze card match its deletions
+   * New deletions start unscheduled; deletions that still exist keep their state.
+   * Callers are responsible for ownership checks.
+   * @param {number} id - Flashcard ID
+   * @param {Array<string>} items - Cloze items of the current sentence (e.g. ['c1', 'c2'])
+   */
+  syncClozeItems(id, items) {
+    this.db.transaction(() => {
+      this.db.prepare(`
+        DELETE FROM flashcard_item_states
+        WHERE flashcard_id = ? AND item NOT IN (${items.map(() => '?').join(', ')})
+      `).run(Number(id), ...items);
+
+      const insert = this.db.prepare('INSERT OR IGNORE INTO flashcard_item_states (flashcard_id, item) VALUES (?, ?)');
+      items.forEach(item => insert.run(Number(id), item));
+    })();
+  }
+
+  /**
+   * Move flashcard to the trash with user ownership validation
+   * The row, its study items, tags and review history are kept until the card is purged.
    * @param {number} id - Flashcard ID
    * @param {number} requestingUserId - ID of user requesting deletion
    * @param {string} [userRole='user'] - Role of requesting user
@@ -299,8 +893,8 @@ class Flashcard {
     }
 
     // Build WHERE clause with ownership validation
-    let whereClause = 'WHERE id = ?';
-    const params = [Number(id)];
+    let whereClause = `WHERE id = ? AND ${NOT_TRASHED}`;
+    const params = [new Date().toISOString(), Number(id)];
 
     // Add user ownership filter unless admin
     if (userRole !== 'admin') {
@@ -308,121 +902,778 @@ class Flashcard {
       params.push(Number(requestingUserId));
     }
 
-    const deleteStatement = this.db.prepare(`
-      DELETE FROM flashcards ${whereClause}
+    const trashStatement = this.db.prepare(`
+      UPDATE flashcards SET deleted_at = ? ${whereClause}
     `);
 
-    const result = deleteStatement.run(...params);
+    const result = trashStatement.run(...params);
     return result.changes > 0;
   }
 
   /**
-   * Review flashcard (update difficulty and statistics)
+   * Find the flashcards in a user's trash
+   * @param {number} userId - User ID
+   * @param {Object} [options] - Query options
+   * @param {number} [options.page=1] - Page number
+   * @param {number} [options.limit=20] - Results per page
+   * @returns {Object} Trashed flashcards (most recently deleted first) and pagination
+   */
+  async findTrashByUserId(userId, options = {}) {
+    await this.initialize();
+
+    if (!userId || !Number.isInteger(Number(userId))) {
+      throw new Error('Valid user ID is required');
+    }
+
+    const { page = 1, limit = 20 } = options;
+
+    if (!Number.isInteger(page) || page < 1) {
+      throw new Error('Page must be a positive integer');
+    }
+
+    if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+      throw new Error('Limit must be between 1 and 100');
+    }
+
+    const { total } = this.db.prepare(`
+      SELECT COUNT(*) as total FROM flashcards WHERE user_id = ? AND deleted_at IS NOT NULL
+    `).get(Number(userId));
+
+    const flashcards = this.db.prepare(`
+      SELECT ${FLASHCARD_COLUMNS}
+      FROM flashcards
+      WHERE user_id = ? AND deleted_at IS NOT NULL
+      ORDER BY deleted_at DESC, id DESC
+      LIMIT ? OFFSET ?
+    `).all(Number(userId), limit, (page - 1) * limit);
+
+    return {
+      flashcards,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * Restore a flashcard from the trash
    * @param {number} id - Flashcard ID
-   * @param {number} difficulty - New difficulty level (0-5)
-   * @param {number} requestingUserId - ID of user reviewing
+   * @param {number} requestingUserId - ID of user requesting the restore
    * @param {string} [userRole='user'] - Role of requesting user
-   * @returns {Object|null} Updated flashcard
+   * @returns {Object|null} Restored flashcard (null if it is not in the trash or not accessible)
    */
-  async review(id, difficulty, requestingUserId, userRole = 'user') {
+  async restore(id, requestingUserId, userRole = 'user') {
     await this.initialize();
 
     if (!id || !Number.isInteger(Number(id))) {
       throw new Error('Valid flashcard ID is required');
     }
 
-    if (!Number.isInteger(difficulty) || difficulty < 0 || difficulty > 5) {
-      throw new Error('Difficulty must be an integer between 0 and 5');
-    }
-
     if (!requestingUserId || !Number.isInteger(Number(requestingUserId))) {
       throw new Error('Valid requesting user ID is required');
     }
 
-    // First check if flashcard exists and user has access
-    const existingFlashcard = await this.findById(id, requestingUserId, userRole);
-    if (!existingFlashcard) {
-      return null; // Not found or no access
+    const params = [Number(id)];
+    if (userRole !== 'admin') {
+      params.push(Number(requestingUserId));
     }
 
-    const now = new Date().toISOString();
-
-    // Build WHERE clause with ownership validation
-    let whereClause = 'WHERE id = ?';
-    const params = [difficulty, now, Number(id)];
+    const result = this.db.prepare(`
+      UPDATE flashcards SET deleted_at = NULL
+      WHERE id = ? AND deleted_at IS NOT NULL ${userRole !== 'admin' ? 'AND user_id = ?' : ''}
+    `).run(...params);
 
-    // Add user ownership filter unless admin
-    if (userRole !== 'admin') {
-      whereClause += ' AND user_id = ?';
-      params.push(Number(requestingUserId));
+    if (result.changes === 0) {
+      return null; // Not in the trash or no access
     }
 
-    try {
-      const updateStatement = this.db.prepare(`
-        UPDATE flashcards 
-        SET difficulty = ?, 
-            last_reviewed = ?, 
-            review_count = review_count + 1 
-        ${whereClause}
-      `);
+    return this.findById(id, requestingUserId, userRole);
+  }
 
-      const result = updateStatement.run(...params);
+  /**
+   * Permanently delete a flashcard from the trash
+   * Its study items, tags and review history are deleted with it.
+   * @param {number} id - Flashcard ID
+   * @param {number} requestingUserId - ID of user requesting the purge
+   * @param {string} [userRole='user'] - Role of requesting user
+   * @returns {Object|null} Purged card's id, image key and audio key (for the caller to delete the files),
+   *   or null if it is not in the trash or not accessible
+   */
+  async purge(id, requestingUserId, userRole = 'user') {
+    await this.initialize();
 
-      if (result.changes === 0) {
-        return null; // Not found or no access
-      }
+    if (!id || !Number.isInteger(Number(id))) {
+      throw new Error('Valid flashcard ID is required');
+    }
 
-      return this.findById(id, requestingUserId, userRole);
+    if (!requestingUserId || !Number.isInteger(Number(requestingUserId))) {
+      throw new Error('Valid requesting user ID is required');
+    }
 
-    } catch (error) {
-      throw error;
+    const params = [Number(id)];
+    if (userRole !== 'admin') {
+      params.push(Number(requestingUserId));
     }
+
+    const [purged] = this.purgeWhere(`id = ? ${userRole !== 'admin' ? 'AND user_id = ?' : ''}`, params);
+    return purged ?? null;
   }
 
   /**
-   * Get flashcards for study session (spaced repetition)
+   * Permanently delete every flashcard in a user's trash
    * @param {number} userId - User ID
-   * @param {number} [limit=10] - Maximum number of flashcards
-   * @returns {Array} Array of flashcards ordered by spaced repetition priority
+   * @returns {Array<Object>} Purged cards' ids, image keys and audio keys
    */
-  async getStudyCards(userId, limit = 10) {
+  async purgeAllByUserId(userId) {
     await this.initialize();
 
     if (!userId || !Number.isInteger(Number(userId))) {
       throw new Error('Valid user ID is required');
     }
 
-    if (!Number.isInteger(limit) || limit < 1 || limit > 50) {
-      throw new Error('Limit must be between 1 and 50');
-    }
+    return this.purgeWhere('user_id = ?', [Number(userId)]);
+  }
 
-    // Spaced repetition query: prioritize cards that haven't been reviewed recently
-    // or have lower difficulty (need more practice)
-    const query = `
-      SELECT 
-        id, 
-        english, 
-        spanish, 
-        user_id as userId,
-        difficulty, 
-        review_count as reviewCount,
-        last_reviewed as lastReviewed
-      FROM flashcards 
-      WHERE user_id = ?
+  /**
+   * Get the stored media of all of a user's flashcards, including trashed ones
+   * Used to release the files when the flashcards are removed with their user.
+   * @param {number} userId - User ID
+   * @returns {Array<Object>} Cards with media ({ id, imageKey, audioKey })
+   */
+  async findMediaByUserId(userId) {
+    await this.initialize();
+
+    return this.db.prepare(`
+      SELECT id, image_key as imageKey, audio_key as audioKey FROM flashcards
+      WHERE user_id = ? AND (image_key IS NOT NULL OR audio_key IS NOT NULL)
+    `).all(Number(userId));
+  }
+
+  /**
+   * Permanently delete flashcards that were moved to the trash before a given time
+   * @param {string} cutoff - ISO timestamp
+   * @returns {Array<Object>} Purged cards' ids, image keys and audio keys
+   */
+  async purgeDeletedBefore(cutoff) {
+    await this.initialize();
+
+    if (!cutoff || isNaN(new Date(cutoff).getTime())) {
+      throw new Error('Valid cutoff date is required');
+    }
+
+    return this.purgeWhere('deleted_at < ?', [cutoff]);
+  }
+
+  /**
+   * Delete trashed flashcards matching a condition
+   * @param {string} condition - SQL condition on flashcards
+   * @param {Array} params - Condition parameters
+   * @returns {Array<Object>} Purged cards ({ id, imageKey, audioKey })
+   */
+  purgeWhere(condition, params) {
+    const where = `WHERE deleted_at IS NOT NULL AND ${condition}`;
+
+    return this.db.transaction(() => {
+      const purged = this.db.prepare(`
+        SELECT id, image_key as imageKey, audio_key as audioKey FROM flashcards ${where}
+      `).all(...params);
+      this.db.prepare(`DELETE FROM flashcards ${where}`).run(...params);
+      return purged;
+    })();
+  }
+
+  /**
+   * Get the storage key of a flashcard's image
+   * @param {number} id - Flashcard ID
+   * @param {number} requestingUserId - ID of user requesting access
+   * @param {string} [userRole='user'] - Role of requesting user
+   * @returns {string|null} Image key, or null if the card has no image (or is not accessible)
+   */
+  async getImageKey(id, requestingUserId, userRole = 'user') {
+    await this.initialize();
+
+    const row = this.db.prepare(`
+      SELECT image_key FROM flashcards
+      WHERE id = ? AND ${NOT_TRASHED} ${userRole !== 'admin' ? 'AND user_id = ?' : ''}
+    `).get(...(userRole !== 'admin' ? [Number(id), Number(requestingUserId)] : [Number(id)]));
+
+    return row?.image_key ?? null;
+  }
+
+  /**
+   * Attach or remove a flashcard's image
+   * Storage of the image files is handled by the caller.
+   * @param {number} id - Flashcard ID
+   * @param {Object|null} image - Stored image, or null to remove it
+   * @param {string} image.key - Storage key of the original image
+   * @param {string} image.url - Public URL of the image
+   * @param {string} image.thumbnailUrl - Public URL of the thumbnail
+   * @param {string} [image.side] - Side the image is shown on (keeps the current side if omitted)
+   * @param {number} requestingUserId - ID of user requesting the change
+   * @param {string} [userRole='user'] - Role of requesting user
+   * @returns {Object|null} Updated flashcard
+   */
+  async setImage(id, image, requestingUserId, userRole = 'user') {
+    await this.initialize();
+
+    if (image?.side !== undefined && !IMAGE_SIDES.includes(image.side)) {
+      throw new Error(`Image side must be one of: ${IMAGE_SIDES.join(', ')}`);
+    }
+
+    const params = [
+      image?.key ?? null,
+      image?.url ?? null,
+      image?.thumbnailUrl ?? null,
+      image?.side ?? null,
+      Number(id)
+    ];
+    if (userRole !== 'admin') {
+      params.push(Number(requestingUserId));
+    }
+
+    const result = this.db.prepare(`
+      UPDATE flashcards
+      SET image_key = ?, image_url = ?, image_thumbnail_url = ?, image_side = COALESCE(?, image_side)
+      WHERE id = ? AND ${NOT_TRASHED} ${userRole !== 'admin' ? 'AND user_id = ?' : ''}
+    `).run(...params);
+
+    if (result.changes === 0) {
+      return null; // Not found or no access
+    }
+
+    return this.findById(id, requestingUserId, userRole);
+  }
+
+  /**
+   * Get the storage key of a flashcard's audio
+   * @param {number} id - Flashcard ID
+   * @param {number} requestingUserId - ID of user requesting access
+   * @param {string} [userRole='user'] - Role of requesting user
+   * @returns {string|null} Audio key, or null if the card has no audio (or is not accessible)
+   */
+  async getAudioKey(id, requestingUserId, userRole = 'user') {
+    await this.initialize();
+
+    const row = this.db.prepare(`
+      SELECT audio_key FROM flashcards
+      WHERE id = ? AND ${NOT_TRASHED} ${userRole !== 'admin' ? 'AND user_id = ?' : ''}
+    `).get(...(userRole !== 'admin' ? [Number(id), Number(requestingUserId)] : [Number(id)]));
+
+    return row?.audio_key ?? null;
+  }
+
+  /**
+   * Attach or remove a flashcard's audio
+   * Storage of the audio file is handled by the caller.
+   * @param {number} id - Flashcard ID
+   * @param {Object|null} audio - Stored audio ({ key, url }), or null to remove it
+   * @param {number} requestingUserId - ID of user requesting the change
+   * @param {string} [userRole='user'] - Role of requesting user
+   * @returns {Object|null} Updated flashcard
+   */
+  async setAudio(id, audio, requestingUserId, userRole = 'user') {
+    await this.initialize();
+
+    const params = [audio?.key ?? null, audio?.url ?? null, Number(id)];
+    if (userRole !== 'admin') {
+      params.push(Number(requestingUserId));
+    }
+
+    const result = this.db.prepare(`
+      UPDATE flashcards
+      SET audio_key = ?, audio_url = ?
+      WHERE id = ? AND ${NOT_TRASHED} ${userRole !== 'admin' ? 'AND user_id = ?' : ''}
+    `).run(...params);
+
+    if (result.changes === 0) {
+      return null; // Not found or no access
+    }
+
+    return this.findById(id, requestingUserId, userRole);
+  }
+
+  /**
+   * Set or clear a flashcard's study tips
+   * @param {number} id - Flashcard ID
+   * @param {string|null} tips - Tips as a JSON string, or null to clear them
+   * @param {number} requestingUserId - ID of user requesting the change
+   * @param {string} [userRole='user'] - Role of requesting user
+   * @returns {Object|null} Updated flashcard
+   */
+  async setTips(id, tips, requestingUserId, userRole = 'user') {
+    await this.initialize();
+
+    const params = [tips ?? null, Number(id)];
+    if (userRole !== 'admin') {
+      params.push(Number(requestingUserId));
+    }
+
+    const result = this.db.prepare(`
+      UPDATE flashcards
+      SET tips = ?
+      WHERE id = ? AND ${NOT_TRASHED} ${userRole !== 'admin' ? 'AND user_id = ?' : ''}
+    `).run(...params);
+
+    if (result.changes === 0) {
+      return null; // Not found or no access
+    }
+
+    return this.findById(id, requestingUserId, userRole);
+  }
+
+  /**
+   * Take a flashcard out of study rotation or put it back
+   * Only the given fields are changed.
+   * @param {number} id - Flashcard ID
+   * @param {Object} changes - New values
+   * @param {string|null} [changes.suspendedAt] - When the card was suspended (null resumes it)
+   * @param {string|null} [changes.buriedUntil] - Skip the card until this ISO timestamp (null unburies it)
+   * @param {string|null} [changes.leechAt] - When the card was flagged as a leech (null clears the flag)
+   * @param {number} requestingUserId - ID of user requesting the change
+   * @param {string} [userRole='user'] - Role of requesting user
+   * @returns {Object|null} Updated flashcard
+   */
+  async setRotationState(id, changes, requestingUserId, userRole = 'user') {
+    await this.initialize();
+
+    const columns = { suspendedAt: 'suspended_at', buriedUntil: 'buried_until', leechAt: 'leech_at' };
+    const fields = Object.keys(columns).filter(field => changes[field] !== undefined);
+    if (fields.length === 0) {
+      return this.findById(id, requestingUserId, userRole);
+    }
+
+    const params = [...fields.map(field => changes[field]), Number(id)];
+    if (userRole !== 'admin') {
+      params.push(Number(requestingUserId));
+    }
+
+    const result = this.db.prepare(`
+      UPDATE flashcards
+      SET ${fields.map(field => `${columns[field]} = ?`).join(', ')}
+      WHERE id = ? AND ${NOT_TRASHED} ${userRole !== 'admin' ? 'AND user_id = ?' : ''}
+    `).run(...params);
+
+    if (result.changes === 0) {
+      return null; // Not found or no access
+    }
+
+    return this.findById(id, requestingUserId, userRole);
+  }
+
+  /**
+   * Find a user's flashcards flagged as leeches
+   * @param {number} userId - User ID
+   * @returns {Array} Leeches, most recently flagged first
+   */
+  async findLeechesByUserId(userId) {
+    await this.initialize();
+
+    if (!userId || !Number.isInteger(Number(userId))) {
+      throw new Error('Valid user ID is required');
+    }
+
+    return this.db.prepare(`
+      SELECT ${FLASHCARD_COLUMNS}
+      FROM flashcards
+      WHERE user_id = ? AND ${NOT_TRASHED} AND leech_at IS NOT NULL
+      ORDER BY leech_at DESC, id DESC
+    `).all(Number(userId));
+  }
+
+  /**
+   * Review flashcard (update difficulty, scheduling state and statistics)
+   * @param {number} id - Flashcard ID
+   * @param {number} difficulty - New difficulty level (0-5)
+   * @param {number} requestingUserId - ID of user reviewing
+   * @param {string} [userRole='user'] - Role of requesting user
+   * @param {Object} [scheduling] - New scheduling state computed by a scheduler
+   * @param {number} scheduling.easeFactor - SM-2 ease factor (>= 1.3)
+   * @param {number} scheduling.repetitions - Consecutive successful reviews
+   * @param {number} scheduling.intervalDays - Interval until next review in days
+   * @param {string} scheduling.nextReview - ISO timestamp when the card is due again
+   * @param {number} [scheduling.lapses] - Times the card was forgotten
+   * @param {number|null} [scheduling.stability] - FSRS stability in days
+   * @param {number|null} [scheduling.fsrsDifficulty] - FSRS difficulty (1-10)
+   * @param {string} [item='en_es'] - Study item that was reviewed (see findItemById)
+   * @param {Function} [recordReview] - Synchronous callback given the new scheduling state and the
+   *   database connection, run in the same transaction as the update (e.g. to log the review);
+   *   if it throws, the update is rolled back
+   * @returns {Object|null} Updated flashcard tagged with its item
+   */
+  async review(id, difficulty, requestingUserId, userRole = 'user', scheduling = null, item = PRIMARY_DIRECTION, recordReview = null) {
+    await this.initialize();
+
+    if (!id || !Number.isInteger(Number(id))) {
+      throw new Error('Valid flashcard ID is required');
+    }
+
+    if (!Number.isInteger(difficulty) || difficulty < 0 || difficulty > 5) {
+      throw new Error('Difficulty must be an integer between 0 and 5');
+    }
+
+    if (!requestingUserId || !Number.isInteger(Number(requestingUserId))) {
+      throw new Error('Valid requesting user ID is required');
+    }
+
+    if (scheduling) {
+      const { easeFactor, repetitions, intervalDays, nextReview, lapses, stability, fsrsDifficulty } = scheduling;
+      if (typeof easeFactor !== 'number' || easeFactor < 1.3) {
+        throw new Error('Ease factor must be a number >= 1.3');
+      }
+      if (!Number.isInteger(repetitions) || repetitions < 0) {
+        throw new Error('Repetitions must be a non-negative integer');
+      }
+      if (!Number.isInteger(intervalDays) || intervalDays < 0) {
+        throw new Error('Interval must be a non-negative integer');
+      }
+      if (!nextReview || isNaN(new Date(nextReview).getTime())) {
+        throw new Error('Next review must be a valid date');
+      }
+      if (lapses !== undefined && (!Number.isInteger(lapses) || lapses < 0)) {
+        throw new Error('Lapses must be a non-negative integer');
+      }
+      if (stability != null && (typeof stability !== 'number' || stability <= 0)) {
+        throw new Error('Stability must be a positive number');
+      }
+      if (fsrsDifficulty != null && (typeof fsrsDifficulty !== 'number' || fsrsDifficulty < 1 || fsrsDifficulty > 10)) {
+        throw new Error('FSRS difficulty must be a number between 1 and 10');
+      }
+    }
+
+    // First check if flashcard exists and user has access
+    const existingFlashcard = await this.findItemById(id, item, requestingUserId, userRole);
+    if (!existingFlashcard) {
+      return null; // Not found or no access
+    }
+
+    const now = new Date().toISOString();
+
+    // Keep current scheduling state for any field not provided
+    const {
+      easeFactor = existingFlashcard.easeFactor,
+      repetitions = existingFlashcard.repetitions,
+      intervalDays = existingFlashcard.intervalDays,
+      nextReview = existingFlashcard.nextReview,
+      lapses = existingFlashcard.lapses,
+      stability = existingFlashcard.stability,
+      fsrsDifficulty = existingFlashcard.fsrsDifficulty
+    } = scheduling || {};
+
+    const state = {
+      difficulty,
+      reviewCount: existingFlashcard.reviewCount + 1,
+      lastReviewed: now,
+      easeFactor, repetitions, intervalDays, nextReview, lapses, stability, fsrsDifficulty
+    };
+
+    const reviewed = this.db.transaction(() => {
+      if (!this.storesStateOnRow(existingFlashcard, item)) {
+        this.saveItemState(existingFlashcard.id, item, state);
+      } else {
+        // Build WHERE clause with ownership validation
+        let whereClause = `WHERE id = ? AND ${NOT_TRASHED}`;
+        const params = [
+          difficulty, now, easeFactor, repetitions, intervalDays, nextReview, lapses, stability, fsrsDifficulty,
+          Number(id)
+        ];
+
+        // Add user ownership filter unless admin
+        if (userRole !== 'admin') {
+          whereClause += ' AND user_id = ?';
+          params.push(Number(requestingUserId));
+        }
+
+        const result = this.db.prepare(`
+          UPDATE flashcards 
+          SET difficulty = ?, 
+              last_reviewed = ?, 
+              review_count = review_count + 1,
+              ease_factor = ?,
+              repetitions = ?,
+              interval_days = ?,
+              next_review = ?,
+              lapses = ?,
+              stability = ?,
+              fsrs_difficulty = ?
+          ${whereClause}
+        `).run(...params);
+
+        if (result.changes === 0) {
+          return false; // Not found or no access
+        }
+      }
+
+      if (recordReview) {
+        recordReview(state, this.db);
+      }
+      return true;
+    })();
+
+    if (!reviewed) {
+      return null;
+    }
+
+    return this.findItemById(id, item, requestingUserId, userRole);
+  }
+
+  /**
+   * Restore a flashcard's scheduling state from a review log snapshot
+   * @param {number} id - Flashcard ID
+   * @param {Object} state - Snapshot taken before a review
+   * @param {number} requestingUserId - User making the request
+   * @param {string} userRole - Role of requesting user
+   * @param {string} [item='en_es'] - Study item the snapshot belongs to
+   * @param {Object} [options] - Restore options
+   * @param {boolean} [options.rotation=false] - Also restore the snapshot's leech flag and suspension when
+   *   the card was flagged as a leech since (used to undo the review that made it one)
+   * @param {Function} [options.onRestore] - Synchronous callback given the database connection, run in
+   *   the same transaction as the restore (e.g. to delete the undone review's log entry)
+   * @returns {Object|null} Restored flashcard tagged with its item
+   */
+  async restoreSchedulingState(id, state, requestingUserId, userRole = 'user', item = PRIMARY_DIRECTION, options = {}) {
+    await this.initialize();
+
+    const { rotation = false, onRestore = null } = options;
+
+    if (!id || !Number.isInteger(Number(id))) {
+      throw new Error('Valid flashcard ID is required');
+    }
+
+    if (!state || typeof state !== 'object') {
+      throw new Error('Scheduling state is required');
+    }
+
+    const flashcard = await this.findItemById(id, item, requestingUserId, userRole);
+    if (!flashcard) {
+      return null; // Not found or no access
+    }
+
+    let whereClause = `WHERE id = ? AND ${NOT_TRASHED}`;
+    const params = [
+      state.difficulty,
+      state.reviewCount,
+      state.lastReviewed,
+      state.easeFactor,
+      state.repetitions,
+      state.intervalDays,
+      state.nextReview,
+      state.lapses,
+      state.stability,
+      state.fsrsDifficulty,
+      Number(id)
+    ];
+
+    // Add user ownership filter unless admin
+    if (userRole !== 'admin') {
+      whereClause += ' AND user_id = ?';
+      params.push(Number(requestingUserId));
+    }
+
+    const restored = this.db.transaction(() => {
+      if (!this.storesStateOnRow(flashcard, item)) {
+        this.saveItemState(flashcard.id, item, state);
+      } else {
+        const result = this.db.prepare(`
+          UPDATE flashcards 
+          SET difficulty = ?, 
+              review_count = ?, 
+              last_reviewed = ?, 
+              ease_factor = ?,
+              repetitions = ?,
+              interval_days = ?,
+              next_review = ?,
+              lapses = ?,
+              stability = ?,
+              fsrs_difficulty = ?
+          ${whereClause}
+        `).run(...params);
+
+        if (result.changes === 0) {
+          return false; // Not found or no access
+        }
+      }
+
+      // Snapshots taken before leech flags were recorded have no rotation fields
+      if (rotation && state.leechAt !== undefined && state.leechAt !== flashcard.leechAt) {
+        this.db.prepare('UPDATE flashcards SET leech_at = ?, suspended_at = ? WHERE id = ?')
+          .run(state.leechAt, state.suspendedAt ?? null, flashcard.id);
+      }
+
+      if (onRestore) {
+        onRestore(this.db);
+      }
+      return true;
+    })();
+
+    if (!restored) {
+      return null;
+    }
+
+    return this.findItemById(id, item, requestingUserId, userRole);
+  }
+
+  /**
+   * Insert or replace the scheduling state of a secondary study item
+   * Callers are responsible for ownership checks.
+   * @param {number} id - Flashcard ID
+   * @param {string} item - Study item (e.g. es_en, c1)
+   * @param {Object} state - Scheduling state (same fields as a review log snapshot)
+   */
+  saveItemState(id, item, state) {
+    this.db.prepare(`
+      INSERT INTO flashcard_item_states (
+        flashcard_id, item, difficulty, review_count, last_reviewed, ease_factor,
+        repetitions, interval_days, next_review, lapses, stability, fsrs_difficulty
+      )
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT (flashcard_id, item) DO UPDATE SET
+        difficulty = excluded.difficulty,
+        review_count = excluded.review_count,
+        last_reviewed = excluded.last_reviewed,
+        ease_factor = excluded.ease_factor,
+        repetitions = excluded.repetitions,
+        interval_days = excluded.interval_days,
+        next_review = excluded.next_review,
+        lapses = excluded.lapses,
+        stability = excluded.stability,
+        fsrs_difficulty = excluded.fsrs_difficulty
+    `).run(
+      Number(id),
+      item,
+      state.difficulty,
+      state.reviewCount,
+      state.lastReviewed,
+      state.easeFactor,
+      state.repetitions,
+      state.intervalDays,
+      state.nextReview,
+      state.lapses,
+      state.stability,
+      state.fsrsDifficulty
+    );
+  }
+
+  /**
+   * Get study items for a study session (spaced repetition)
+   * A card studied in both directions yields one item per direction, a cloze card one per deletion.
+   * Suspended cards and cards buried until later are left out.
+   * @param {number} userId - User ID
+   * @param {number} [limit=10] - Maximum number of items
+   * @param {string} [defaultMode='en_es'] - Direction mode for cards without an override
+   * @param {Object} [filters] - Deck and tag filters (see buildFilters)
+   * @returns {Array} Item-tagged flashcards ordered by spaced repetition priority
+   */
+  async getStudyCards(userId, limit = 10, defaultMode = DEFAULT_DIRECTION_MODE, filters = {}) {
+    await this.initialize();
+
+    if (!userId || !Number.isInteger(Number(userId))) {
+      throw new Error('Valid user ID is required');
+    }
+
+    if (!Number.isInteger(limit) || limit < 1 || limit > 50) {
+      throw new Error('Limit must be between 1 and 50');
+    }
+
+    if (!this.isValidDirectionMode(defaultMode)) {
+      throw new Error(`Direction mode must be one of: ${DIRECTION_MODES.join(', ')}`);
+    }
+
+    // Spaced repetition query: due items first (most overdue first, then new items),
+    // followed by items not yet due ordered by how soon they become due
+    const { conditions, params } = Flashcard.buildFilters(filters, 'deckId');
+    const query = `
+      SELECT * FROM (${STUDY_ITEMS})
+      WHERE ${[IN_ROTATION, ...conditions].join(' AND ')}
       ORDER BY 
         CASE 
-          WHEN last_reviewed IS NULL THEN 0
-          ELSE julianday('now') - julianday(last_reviewed) 
-        END DESC,
+          WHEN nextReview IS NULL OR nextReview <= ? THEN 0
+          ELSE 1
+        END ASC,
+        nextReview IS NULL ASC,
+        nextReview ASC,
         difficulty ASC,
-        review_count ASC
+        reviewCount ASC
+      LIMIT ?
+    `;
+
+    const now = new Date().toISOString();
+    const flashcards = this.db.prepare(query).all(
+      Number(userId), defaultMode, Number(userId), defaultMode, Number(userId), now, ...params, now, limit
+    );
+    return flashcards;
+  }
+
+  /**
+   * Get study items whose stored due date has passed (or that were never reviewed)
+   * Suspended cards and cards buried until later are left out.
+   * @param {number} userId - User ID
+   * @param {number} [limit=20] - Maximum number of items
+   * @param {string} [defaultMode='en_es'] - Direction mode for cards without an override
+   * @param {Object} [filters] - Deck and tag filters (see buildFilters)
+   * @returns {Array} Due item-tagged flashcards, most overdue first, new items last
+   */
+  async getDueCards(userId, limit = 20, defaultMode = DEFAULT_DIRECTION_MODE, filters = {}) {
+    await this.initialize();
+
+    if (!userId || !Number.isInteger(Number(userId))) {
+      throw new Error('Valid user ID is required');
+    }
+
+    if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+      throw new Error('Limit must be between 1 and 100');
+    }
+
+    if (!this.isValidDirectionMode(defaultMode)) {
+      throw new Error(`Direction mode must be one of: ${DIRECTION_MODES.join(', ')}`);
+    }
+
+    const { conditions, params } = Flashcard.buildFilters(filters, 'deckId');
+    const query = `
+      SELECT * FROM (${STUDY_ITEMS})
+      WHERE ${['(nextReview IS NULL OR nextReview <= ?)', IN_ROTATION, ...conditions].join(' AND ')}
+      ORDER BY nextReview IS NULL ASC, nextReview ASC, id ASC, item ASC
       LIMIT ?
     `;
 
-    const flashcards = this.db.prepare(query).all(Number(userId), limit);
+    const now = new Date().toISOString();
+    const flashcards = this.db.prepare(query).all(
+      Number(userId), defaultMode, Number(userId), defaultMode, Number(userId), now, now, ...params, limit
+    );
     return flashcards;
   }
 
+  /**
+   * Count the due study items filed directly in each deck
+   * Items are counted as getDueCards serves them: one per enabled direction or cloze
+   * deletion, new items included, suspended and buried cards left out.
+   * @param {number} userId - User ID
+   * @param {string} [defaultMode='en_es'] - Direction mode for cards without an override
+   * @returns {Object} Due item count keyed by deck ID (decks without due items are omitted)
+   */
+  async countDueItemsByDeck(userId, defaultMode = DEFAULT_DIRECTION_MODE) {
+    await this.initialize();
+
+    if (!userId || !Number.isInteger(Number(userId))) {
+      throw new Error('Valid user ID is required');
+    }
+
+    if (!this.isValidDirectionMode(defaultMode)) {
+      throw new Error(`Direction mode must be one of: ${DIRECTION_MODES.join(', ')}`);
+    }
+
+    const now = new Date().toISOString();
+    const rows = this.db.prepare(`
+      SELECT deckId, COUNT(*) as count FROM (${STUDY_ITEMS})
+      WHERE ${['deckId IS NOT NULL', '(nextReview IS NULL OR nextReview <= ?)', IN_ROTATION].join(' AND ')}
+      GROUP BY deckId
+    `).all(Number(userId), defaultMode, Number(userId), defaultMode, Number(userId), now, now);
+
+    return Object.fromEntries(rows.map(row => [row.deckId, row.count]));
+  }
+
   /**
    * Get flashcard statistics for a user
    * @param {number} userId - User ID
@@ -450,7 +1701,7 @@ class Flashcard {
         COUNT(CASE WHEN difficulty = 5 THEN 1 END) as difficulty_5,
         MAX(last_reviewed) as last_study_session
       FROM flashcards 
-      WHERE user_id = ?
+      WHERE user_id = ? AND ${NOT_TRASHED}
     `;
 
     const stats = this.db.prepare(statsQuery).get(Number(userId));
@@ -486,16 +1737,9 @@ class Flashcard {
     }
 
     const query = `
-      SELECT 
-        id, 
-        english, 
-        spanish, 
-        user_id as userId,
-        difficulty, 
-        review_count as reviewCount,
-        last_reviewed as lastReviewed
+      SELECT ${FLASHCARD_COLUMNS}
       FROM flashcards 
-      WHERE user_id = ?
+      WHERE user_id = ? AND ${NOT_TRASHED}
       ORDER BY id ASC
     `;
 
@@ -504,7 +1748,7 @@ class Flashcard {
   }
 
   /**
-   * Delete all flashcards for a user (used when deleting user account)
+   * Move all flashcards of a user to the trash
    * @param {number} userId - User ID
    * @returns {number} Number of deleted flashcards
    */
@@ -515,8 +1759,8 @@ class Flashcard {
       throw new Error('Valid user ID is required');
     }
 
-    const deleteStatement = this.db.prepare('DELETE FROM flashcards WHERE user_id = ?');
-    const result = deleteStatement.run(Number(userId));
+    const trashStatement = this.db.prepare(`UPDATE flashcards SET deleted_at = ? WHERE user_id = ? AND ${NOT_TRASHED}`);
+    const result = trashStatement.run(new Date().toISOString(), Number(userId));
 
     return result.changes;
   }
@@ -537,6 +1781,7 @@ class Flashcard {
         COUNT(CASE WHEN last_reviewed > datetime('now', '-7 days') THEN 1 END) as reviewed_last_week,
         COUNT(CASE WHEN last_reviewed > datetime('now', '-30 days') THEN 1 END) as reviewed_last_month
       FROM flashcards
+      WHERE ${NOT_TRASHED}
     `;
 
     const stats = this.db.prepare(statsQuery).get();
@@ -565,7 +1810,7 @@ class Flashcard {
     }
 
     const flashcard = this.db.prepare(
-      'SELECT id FROM flashcards WHERE id = ? AND user_id = ?'
+      `SELECT id FROM flashcards WHERE id = ? AND user_id = ? AND ${NOT_TRASHED}`
     ).get(Number(id), Number(userId));
 
     return !!flashcard;
@@ -584,7 +1829,7 @@ class Flashcard {
     }
 
     const result = this.db.prepare(
-      'SELECT COUNT(*) as count FROM flashcards WHERE user_id = ?'
+      `SELECT COUNT(*) as count FROM flashcards WHERE user_id = ? AND ${NOT_TRASHED}`
     ).get(Number(userId));
 
     return result.count;
@@ -608,24 +1853,148 @@ class Flashcard {
     return Number.isInteger(Number(flashcardId)) && Number.isInteger(Number(userId));
   }
 
+  /**
+   * Build SQL conditions restricting flashcards to decks and tags
+   * @param {Object} filters - Filters
+   * @param {Array<number>} [filters.deckIds] - Only cards filed in these decks
+   * @param {Array<string>} [filters.tags] - Only cards with these tag names
+   * @param {string} [filters.tagMatch='all'] - all: cards with every tag, any: cards with at least one
+   * @param {string} deckColumn - Name of the deck column in the filtered query
+   * @returns {Object} SQL conditions and their parameters
+   */
+  static buildFilters(filters, deckColumn) {
+    const { deckIds, tags, tagMatch = 'all' } = filters;
+    const conditions = [];
+    const params = [];
+
+    if (deckIds) {
+      conditions.push(`${deckColumn} IN (${deckIds.map(() => '?').join(', ')})`);
+      params.push(...deckIds);
+    }
+
+    if (tags && tags.length > 0) {
+      conditions.push(`id IN (
+        SELECT ft.flashcard_id FROM flashcard_tags ft
+        JOIN tags t ON t.id = ft.tag_id
+        WHERE t.name IN (${tags.map(() => '?').join(', ')})
+        ${tagMatch === 'any' ? '' : 'GROUP BY ft.flashcard_id HAVING COUNT(*) = ?'}
+      )`);
+      params.push(...tags);
+      if (tagMatch !== 'any') {
+        params.push(tags.length);
+      }
+    }
+
+    return { conditions, params };
+  }
+
+  /**
+   * Check if a study direction is valid
+   * @param {string} direction - Direction to check
+   * @returns {boolean} Whether direction is en_es or es_en
+   */
+  isValidDirection(direction) {
+    return DIRECTIONS.includes(direction);
+  }
+
+  /**
+   * Check if a direction mode is valid
+   * @param {string} mode - Mode to check
+   * @returns {boolean} Whether mode is en_es, es_en or both
+   */
+  isValidDirectionMode(mode) {
+    return DIRECTION_MODES.includes(mode);
+  }
+
+  /**
+   * Check an optional vocabulary field
+   * @param {string} field - API field name (key of VOCAB_FIELDS)
+   * @param {*} value - Field value
+   * @returns {string|null} Error message, or null if the value is valid
+   */
+  vocabFieldError(field, value) {
+    const { label, values, maxLength } = VOCAB_FIELDS[field];
+    const normalized = this.normalizeVocabField(value);
+
+    if (value !== undefined && value !== null && typeof value !== 'string') {
+      return `${label} must be a string`;
+    }
+    if (normalized === null) {
+      return null;
+    }
+    if (values && !values.includes(normalized)) {
+      return `${label} must be one of: ${values.join(', ')}`;
+    }
+    if (maxLength && normalized.length > maxLength) {
+      return `${label} cannot exceed ${maxLength} characters`;
+    }
+    return null;
+  }
+
+  /**
+   * Normalise an optional vocabulary field for storage
+   * @param {*} value - Field value
+   * @returns {string|null} Trimmed text, or null when empty
+   */
+  normalizeVocabField(value) {
+    return typeof value === 'string' && value.trim() ? value.trim() : null;
+  }
+
   /**
    * Validate flashcard data
    * @param {Object} data - Flashcard data to validate
+   * @param {Object} [options] - Validation options
+   * @param {boolean} [options.partial=false] - Only validate the fields present (updates)
+   * @param {string} [options.cardType] - Type of the card being updated (defaults to data.cardType, then basic)
    * @returns {Object} Validation result
    */
-  static validate(data) {
+  validate(data, options = {}) {
     const errors = [];
+    const { partial = false } = options;
+    const cardType = options.cardType ?? data.cardType ?? 'basic';
 
-    if (!data.english || !data.english.trim()) {
-      errors.push('English text is required');
-    } else if (data.english.trim().length > 500) {
-      errors.push('English text cannot exceed 500 characters');
+    if (!CARD_TYPES.includes(cardType)) {
+      errors.push(`Card type must be one of: ${CARD_TYPES.join(', ')}`);
     }
 
-    if (!data.spanish || !data.spanish.trim()) {
-      errors.push('Spanish text is required');
-    } else if (data.spanish.trim().length > 500) {
-      errors.push('Spanish text cannot exceed 500 characters');
+    if (!partial || data.english !== undefined) {
+      if (typeof data.english !== 'string' || !data.english.trim()) {
+        errors.push('English text is required');
+      } else if (data.english.trim().length > 500) {
+        errors.push('English text cannot exceed 500 characters');
+      } else if (cardType === 'cloze') {
+        errors.push(...validateCloze(data.english));
+      }
+    }
+
+    // Cloze cards only have an optional translation
+    if (cardType === 'cloze' ? data.spanish !== undefined : (!partial || data.spanish !== undefined)) {
+      if (typeof data.spanish !== 'string' || (cardType !== 'cloze' && !data.spanish.trim())) {
+        errors.push('Spanish text is required');
+      } else if (data.spanish.trim().length > 500) {
+        errors.push('Spanish text cannot exceed 500 characters');
+      }
+    }
+
+    if (data.deckId !== undefined && data.deckId !== null &&
+        (!Number.isInteger(data.deckId) || data.deckId < 1)) {
+      errors.push('Deck ID must be a positive integer');
+    }
+
+    if (data.directionMode !== undefined && data.directionMode !== null &&
+        !this.isValidDirectionMode(data.directionMode)) {
+      errors.push(`Direction mode must be one of: ${DIRECTION_MODES.join(', ')}`);
+    }
+
+    if (data.imageSide !== undefined && !IMAGE_SIDES.includes(data.imageSide)) {
+      errors.push(`Image side must be one of: ${IMAGE_SIDES.join(', ')}`);
+    }
+
+    for (const field of Object.keys(VOCAB_FIELDS)) {
+      const error = this.vocabFieldError(field, data[field]);
+      if (error) {
+        errors.push(error);
+      }
     }
 
     if (data.difficulty !== undefined) {
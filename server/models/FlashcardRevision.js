@@ -0,0 +1,174 @@
+import databaseConfig from '../config/database.js';
+
+/**
+ * FlashcardRevision Model
+ *
+ * Append-only edit history of flashcards. Each entry stores the fields changed
+ * by one edit with their old and new values, and the user who made it (the
+ * owner, or an admin editing someone else's card).
+ *
+ * Compatible with D1 database (SQLite syntax)
+ */
+
+class FlashcardRevision {
+  constructor() {
+    this.db = null;
+  }
+
+  /**
+   * Initialize the model with database connection
+   */
+  async initialize() {
+    if (!this.db) {
+      await databaseConfig.initialize();
+      this.db = databaseConfig.getDatabase();
+    }
+    return this;
+  }
+
+  /**
+   * Record an edit
+   * @param {Object} entry - Revision data
+   * @param {number} entry.flashcardId - Edited flashcard ID
+   * @param {number} entry.editorId - User who made the edit
+   * @param {Object} entry.changes - Changed fields: field -> { from, to }
+   * @param {number} [entry.revertedTo] - Revision whose prior state the edit restored
+   * @returns {Object} Created revision
+   */
+  async create(entry) {
+    await this.initialize();
+
+    const { flashcardId, editorId, changes, revertedTo = null } = entry;
+
+    if (!flashcardId || !Number.isInteger(Number(flashcardId))) {
+      throw new Error('Valid flashcard ID is required');
+    }
+
+    if (!editorId || !Number.isInteger(Number(editorId))) {
+      throw new Error('Valid editor ID is required');
+    }
+
+    if (!changes || Object.keys(changes).length === 0) {
+      throw new Error('At least one changed field is required');
+    }
+
+    const result = this.db.prepare(`
+      INSERT INTO flashcard_revisions (flashcard_id, editor_id, changes, reverted_to, created_at)
+      VALUES (?, ?, ?, ?, ?)
+    `).run(
+      Number(flashcardId),
+      Number(editorId),
+      JSON.stringify(changes),
+      revertedTo,
+      new Date().toISOString()
+    );
+
+    return this.findById(result.lastInsertRowid);
+  }
+
+  /**
+   * Find revision by ID
+   * @param {number} id - Revision ID
+   * @returns {Object|null} Revision with its editor's email
+   */
+  async findById(id) {
+    await this.initialize();
+
+    const row = this.db.prepare(`
+      SELECT r.*, u.email as editor_email
+      FROM flashcard_revisions r
+      LEFT JOIN users u ON u.id = r.editor_id
+      WHERE r.id = ?
+    `).get(Number(id));
+
+    return row ? FlashcardRevision.format(row) : null;
+  }
+
+  /**
+   * Get paginated edit history of a flashcard
+   * @param {number} flashcardId - Flashcard ID
+   * @param {Object} [options] - Query options
+   * @param {number} [options.page=1] - Page number (1-based)
+   * @param {number} [options.limit=20] - Items per page
+   * @returns {Object} Revisions (newest first) with pagination metadata
+   */
+  async findByFlashcardId(flashcardId, options = {}) {
+    await this.initialize();
+
+    if (!flashcardId || !Number.isInteger(Number(flashcardId))) {
+      throw new Error('Valid flashcard ID is required');
+    }
+
+    const { page = 1, limit = 20 } = options;
+
+    if (!Number.isInteger(page) || page < 1) {
+      throw new Error('Page must be a positive integer');
+    }
+
+    if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+      throw new Error('Limit must be between 1 and 100');
+    }
+
+    const { total } = this.db.prepare(
+      'SELECT COUNT(*) as total FROM flashcard_revisions WHERE flashcard_id = ?'
+    ).get(Number(flashcardId));
+
+    const rows = this.db.prepare(`
+      SELECT r.*, u.email as editor_email
+      FROM flashcard_revisions r
+      LEFT JOIN users u ON u.id = r.editor_id
+      WHERE r.flashcard_id = ?
+      ORDER BY r.id DESC
+      LIMIT ? OFFSET ?
+    `).all(Number(flashcardId), limit, (page - 1) * limit);
+
+    return {
+      revisions: rows.map(row => FlashcardRevision.format(row)),
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * Get a revision of a flashcard and every later one
+   * @param {number} flashcardId - Flashcard ID
+   * @param {number} revisionId - Oldest revision to include
+   * @returns {Array} Revisions, newest first
+   */
+  async findSince(flashcardId, revisionId) {
+    await this.initialize();
+
+    return this.db.prepare(`
+      SELECT r.*, u.email as editor_email
+      FROM flashcard_revisions r
+      LEFT JOIN users u ON u.id = r.editor_id
+      WHERE r.flashcard_id = ? AND r.id >= ?
+      ORDER BY r.id DESC
+    `).all(Number(flashcardId), Number(revisionId)).map(row => FlashcardRevision.format(row));
+  }
+
+  /**
+   * Format a database row for API responses
+   * @param {Object} row - flashcard_revisions row (with editor_email)
+   * @returns {Object} Formatted revision
+   */
+  static format(row) {
+    return {
+      id: row.id,
+      flashcardId: row.flashcard_id,
+      editorId: row.editor_id,
+      editorEmail: row.editor_email ?? null,
+      changes: JSON.parse(row.changes),
+      revertedTo: row.reverted_to,
+      createdAt: row.created_at
+    };
+  }
+}
+
+// Export singleton instance
+const flashcardRevisionModel = new FlashcardRevision();
+export default flashcardRevisionModel;
@@ -0,0 +1,229 @@
+import databaseConfig from '../config/database.js';
+
+/**
+ * Job Model
+ *
+ * Persistent background jobs. A job is pending until the worker claims it
+ * (running), then either completed, pending again for a retry at run_at, or
+ * dead once it has failed max_attempts times.
+ *
+ * Compatible with D1 database (SQLite syntax)
+ */
+
+class Job {
+  constructor() {
+    this.db = null;
+  }
+
+  /**
+   * Initialize the model with database connection
+   */
+  async initialize() {
+    if (!this.db) {
+      await databaseConfig.initialize();
+      this.db = databaseConfig.getDatabase();
+    }
+    return this;
+  }
+
+  /**
+   * Create a pending job
+   * @param {Object} job - Job data
+   * @param {string} job.type - Handler name
+   * @param {Object} [job.payload] - Handler input
+   * @param {number} [job.userId] - User who may see the job
+   * @param {string} [job.resourceType] - What the job works on
+   * @param {number} [job.resourceId] - ID of what the job works on
+   * @param {number} [job.maxAttempts=5] - Attempts before the job is dead-lettered
+   * @param {string} [job.runAt] - Earliest start time (now by default)
+   * @returns {Object} Created job
+   */
+  async create(job) {
+    await this.initialize();
+
+    const { type, payload = {}, userId = null, resourceType = null, resourceId = null, maxAttempts = 5, runAt } = job;
+
+    if (!type) {
+      throw new Error('Job type is required');
+    }
+
+    const now = new Date().toISOString();
+    const result = this.db.prepare(`
+      INSERT INTO jobs (type, payload, user_id, resource_type, resource_id, max_attempts, run_at, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(type, JSON.stringify(payload), userId, resourceType, resourceId, maxAttempts, runAt || now, now, now);
+
+    return this.findById(result.lastInsertRowid);
+  }
+
+  /**
+   * Find job by ID
+   * @param {number} id - Job ID
+   * @returns {Object|null} Job
+   */
+  async findById(id) {
+    await this.initialize();
+
+    const row = this.db.prepare('SELECT * FROM jobs WHERE id = ?').get(Number(id));
+    return row ? Job.format(row) : null;
+  }
+
+  /**
+   * Find the unfinished jobs working on a resource
+   * @param {string} resourceType - Resource type
+   * @param {number} resourceId - Resource ID
+   * @returns {Array<Object>} Pending and running jobs, oldest first
+   */
+  async findActiveByResource(resourceType, resourceId) {
+    await this.initialize();
+
+    const rows = this.db.prepare(`
+      SELECT * FROM jobs
+      WHERE resource_type = ? AND resource_id = ? AND status IN ('pending', 'running')
+      ORDER BY id
+    `).all(resourceType, Number(resourceId));
+
+    return rows.map(row => Job.format(row));
+  }
+
+  /**
+   * Claim the next job that is due, marking it running
+   * @param {Array<string>} types - Job types the worker can run
+   * @returns {Object|null} Claimed job (attempts includes this attempt), or null if none is due
+   */
+  async claimNext(types) {
+    await this.initialize();
+
+    if (types.length === 0) {
+      return null;
+    }
+
+    const now = new Date().toISOString();
+    const placeholders = types.map(() => '?').join(', ');
+
+    const row = this.db.transaction(() => {
+      const next = this.db.prepare(`
+        SELECT id FROM jobs
+        WHERE status = 'pending' AND run_at <= ? AND type IN (${placeholders})
+        ORDER BY run_at, id
+        LIMIT 1
+      `).get(now, ...types);
+
+      if (!next) {
+        return null;
+      }
+
+      this.db.prepare(`
+        UPDATE jobs SET status = 'running', attempts = attempts + 1, updated_at = ? WHERE id = ?
+      `).run(now, next.id);
+
+      return this.db.prepare('SELECT * FROM jobs WHERE id = ?').get(next.id);
+    })();
+
+    return row ? Job.format(row) : null;
+  }
+
+  /**
+   * Mark a running job completed
+   * @param {number} id - Job ID
+   * @param {*} result - Handler output
+   */
+  async complete(id, result) {
+    await this.initialize();
+
+    const now = new Date().toISOString();
+    this.db.prepare(`
+      UPDATE jobs SET status = 'completed', result = ?, last_error = NULL, updated_at = ?, completed_at = ?
+      WHERE id = ? AND status = 'running'
+    `).run(JSON.stringify(result ?? null), now, now, Number(id));
+  }
+
+  /**
+   * Schedule another attempt of a failed job
+   * @param {number} id - Job ID
+   * @param {string} error - Error of the failed attempt
+   * @param {string} runAt - Time of the next attempt
+   */
+  async retry(id, error, runAt) {
+    await this.initialize();
+
+    this.db.prepare(`
+      UPDATE jobs SET status = 'pending', last_error = ?, run_at = ?, updated_at = ?
+      WHERE id = ? AND status = 'running'
+    `).run(error, runAt, new Date().toISOString(), Number(id));
+  }
+
+  /**
+   * Dead-letter a job that will not be retried
+   * @param {number} id - Job ID
+   * @param {string} error - Error of the last attempt
+   */
+  async markDead(id, error) {
+    await this.initialize();
+
+    const now = new Date().toISOString();
+    this.db.prepare(`
+      UPDATE jobs SET status = 'dead', last_error = ?, updated_at = ?, completed_at = ?
+      WHERE id = ? AND status = 'running'
+    `).run(error, now, now, Number(id));
+  }
+
+  /**
+   * Return running jobs to the queue
+   * Used at startup: jobs still marked running were interrupted by a restart.
+   * @returns {number} Number of requeued jobs
+   */
+  async requeueRunning() {
+    await this.initialize();
+
+    const result = this.db.prepare(`
+      UPDATE jobs SET status = 'pending', updated_at = ? WHERE status = 'running'
+    `).run(new Date().toISOString());
+
+    return result.changes;
+  }
+
+  /**
+   * Delete finished jobs
+   * @param {string} cutoff - ISO timestamp; completed and dead jobs finished before it are deleted
+   * @returns {number} Number of deleted jobs
+   */
+  async deleteFinishedBefore(cutoff) {
+    await this.initialize();
+
+    const result = this.db.prepare(`
+      DELETE FROM jobs WHERE status IN ('completed', 'dead') AND completed_at < ?
+    `).run(cutoff);
+
+    return result.changes;
+  }
+
+  /**
+   * Format a database row
+   * @param {Object} row - jobs row
+   * @returns {Object} Formatted job
+   */
+  static format(row) {
+    return {
+      id: row.id,
+      type: row.type,
+      status: row.status,
+      payload: JSON.parse(row.payload),
+      userId: row.user_id,
+      resourceType: row.resource_type,
+      resourceId: row.resource_id,
+      attempts: row.attempts,
+      maxAttempts: row.max_attempts,
+      runAt: row.run_at,
+      lastError: row.last_error,
+      result: row.result !== null ? JSON.parse(row.result) : null,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at,
+      completedAt: row.completed_at
+    };
+  }
+}
+
+// Export singleton instance
+const jobModel = new Job();
+export default jobModel;
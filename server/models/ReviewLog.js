@@ -0,0 +1,348 @@
+import databaseConfig from '../config/database.js';
+
+/**
+ * ReviewLog Model
+ *
+ * Append-only audit trail of flashcard reviews. Each entry stores the rating,
+ * time spent and a snapshot of the card's scheduling state before and after
+ * the review.
+ *
+ * Compatible with D1 database (SQLite syntax)
+ */
+
+class ReviewLog {
+  constructor() {
+    this.db = null;
+  }
+
+  /**
+   * Initialize the model with database connection
+   */
+  async initialize() {
+    if (!this.db) {
+      await databaseConfig.initialize();
+      this.db = databaseConfig.getDatabase();
+    }
+    return this;
+  }
+
+  /**
+   * Record a review
+   * @param {Object} entry - Review data
+   * @param {number} entry.flashcardId - Reviewed flashcard ID
+   * @param {number} entry.userId - Card owner ID
+   * @param {number} entry.rating - Performance rating (0-5)
+   * @param {number} [entry.timeSpent] - Seconds spent on the card
+   * @param {string} [entry.scheduler] - Scheduler that computed the new state
+   * @param {Object} entry.previousState - Scheduling state before the review
+   * @param {Object} entry.newState - Scheduling state after the review
+   * @param {number} [entry.sessionId] - Study session the review belongs to
+   * @param {string} [entry.item='en_es'] - Study item that was graded (e.g. es_en)
+   * @param {string} [entry.reviewedAt] - ISO timestamp (defaults to now)
+   * @returns {Object} Created log entry
+   */
+  async create(entry) {
+    await this.initialize();
+
+    return this.findById(this.insert(entry));
+  }
+
+  /**
+   * Record a review synchronously, so it can share a transaction with the card update
+   * @param {Object} entry - Review data (see create)
+   * @param {Object} [db] - Connection to write with (the one that holds the caller's transaction)
+   * @returns {number} ID of the created log entry
+   */
+  insert(entry, db = this.db) {
+    const {
+      flashcardId,
+      userId,
+      rating,
+      timeSpent = null,
+      scheduler = null,
+      previousState,
+      newState,
+      sessionId = null,
+      item = 'en_es',
+      reviewedAt = new Date().toISOString()
+    } = entry;
+
+    if (!flashcardId || !Number.isInteger(Number(flashcardId))) {
+      throw new Error('Valid flashcard ID is required');
+    }
+
+    if (!userId || !Number.isInteger(Number(userId))) {
+      throw new Error('Valid user ID is required');
+    }
+
+    if (!Number.isInteger(rating) || rating < 0 || rating > 5) {
+      throw new Error('Rating must be an integer between 0 and 5');
+    }
+
+    if (timeSpent !== null && (!Number.isInteger(timeSpent) || timeSpent < 0)) {
+      throw new Error('Time spent must be a non-negative integer');
+    }
+
+    if (!previousState || !newState) {
+      throw new Error('Previous and new state are required');
+    }
+
+    const result = db.prepare(`
+      INSERT INTO review_log (flashcard_id, user_id, rating, time_spent, scheduler, previous_state, new_state, session_id, item, reviewed_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      Number(flashcardId),
+      Number(userId),
+      rating,
+      timeSpent,
+      scheduler,
+      JSON.stringify(previousState),
+      JSON.stringify(newState),
+      sessionId,
+      item,
+      reviewedAt
+    );
+
+    return result.lastInsertRowid;
+  }
+
+  /**
+   * Find log entry by ID
+   * @param {number} id - Log entry ID
+   * @returns {Object|null} Log entry
+   */
+  async findById(id) {
+    await this.initialize();
+
+    const row = this.db.prepare(`
+      SELECT * FROM review_log WHERE id = ?
+    `).get(Number(id));
+
+    return row ? ReviewLog.format(row) : null;
+  }
+
+  /**
+   * Find the most recent review of a flashcard
+   * @param {number} flashcardId - Flashcard ID
+   * @returns {Object|null} Latest log entry
+   */
+  async findLatestByFlashcardId(flashcardId) {
+    await this.initialize();
+
+    const row = this.db.prepare(`
+      SELECT * FROM review_log
+      WHERE flashcard_id = ?
+      ORDER BY reviewed_at DESC, id DESC
+      LIMIT 1
+    `).get(Number(flashcardId));
+
+    return row ? ReviewLog.format(row) : null;
+  }
+
+  /**
+   * Delete a log entry (used when a review is undone)
+   * @param {number} id - Log entry ID
+   * @returns {boolean} Whether an entry was deleted
+   */
+  async delete(id) {
+    await this.initialize();
+
+    return this.remove(id);
+  }
+
+  /**
+   * Delete a log entry synchronously, so it can share a transaction with the card restore
+   * @param {number} id - Log entry ID
+   * @param {Object} [db] - Connection to write with (the one that holds the caller's transaction)
+   * @returns {boolean} Whether an entry was deleted
+   */
+  remove(id, db = this.db) {
+    const result = db.prepare('DELETE FROM review_log WHERE id = ?').run(Number(id));
+    return result.changes > 0;
+  }
+
+  /**
+   * Move the review history of flashcards to another flashcard (used when merging duplicates)
+   * @param {Array<number>} fromIds - Flashcards whose entries are moved
+   * @param {number} toId - Flashcard receiving the entries
+   * @returns {number} Number of entries moved
+   */
+  async moveToFlashcard(fromIds, toId) {
+    await this.initialize();
+
+    const result = this.db.prepare(`
+      UPDATE review_log SET flashcard_id = ?
+      WHERE flashcard_id IN (${fromIds.map(() => '?').join(', ')})
+    `).run(Number(toId), ...fromIds.map(Number));
+
+    return result.changes;
+  }
+
+  /**
+   * Get paginated review history for a user
+   * @param {number} userId - Card owner ID
+   * @param {Object} [options] - Query options
+   * @param {string} [options.from] - Only reviews at or after this ISO timestamp
+   * @param {string} [options.to] - Only reviews at or before this ISO timestamp
+   * @param {number} [options.flashcardId] - Only reviews of this flashcard
+   * @param {number} [options.page=1] - Page number (1-based)
+   * @param {number} [options.limit=50] - Items per page
+   * @returns {Object} Review history with pagination metadata (newest first)
+   */
+  async findByUserId(userId, options = {}) {
+    await this.initialize();
+
+    if (!userId || !Number.isInteger(Number(userId))) {
+      throw new Error('Valid user ID is required');
+    }
+
+    const { from, to, flashcardId, page = 1, limit = 50 } = options;
+
+    if (!Number.isInteger(page) || page < 1) {
+      throw new Error('Page must be a positive integer');
+    }
+
+    if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+      throw new Error('Limit must be between 1 and 100');
+    }
+
+    let whereClause = 'WHERE user_id = ?';
+    const whereParams = [Number(userId)];
+
+    if (from) {
+      whereClause += ' AND reviewed_at >= ?';
+      whereParams.push(from);
+    }
+
+    if (to) {
+      whereClause += ' AND reviewed_at <= ?';
+      whereParams.push(to);
+    }
+
+    if (flashcardId) {
+      whereClause += ' AND flashcard_id = ?';
+      whereParams.push(Number(flashcardId));
+    }
+
+    const { total } = this.db.prepare(
+      `SELECT COUNT(*) as total FROM review_log ${whereClause}`
+    ).get(...whereParams);
+
+    const rows = this.db.prepare(`
+      SELECT * FROM review_log
+      ${whereClause}
+      ORDER BY reviewed_at DESC, id DESC
+      LIMIT ? OFFSET ?
+    `).all(...whereParams, limit, (page - 1) * limit);
+
+    return {
+      entries: rows.map(row => ReviewLog.format(row)),
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * Get lightweight review events for analytics
+   * @param {number} userId - Card owner ID
+   * @param {string} [since] - Only reviews at or after this ISO timestamp
+   * @returns {Array} Events ({ reviewedAt, rating, difficulty }) in chronological order
+   */
+  async getReviewEvents(userId, since = null) {
+    await this.initialize();
+
+    if (!userId || !Number.isInteger(Number(userId))) {
+      throw new Error('Valid user ID is required');
+    }
+
+    let query = `
+      SELECT reviewed_at as reviewedAt, rating,
+        json_extract(new_state, '$.difficulty') as difficulty
+      FROM review_log
+      WHERE user_id = ?
+    `;
+    const params = [Number(userId)];
+
+    if (since) {
+      query += ' AND reviewed_at >= ?';
+      params.push(since);
+    }
+
+    query += ' ORDER BY reviewed_at ASC';
+
+    return this.db.prepare(query).all(...params);
+  }
+
+  /**
+   * Summarise the reviews attached to a study session
+   * @param {number} sessionId - Study session ID
+   * @returns {Object} Review counts, rating breakdown, accuracy and timing
+   */
+  async getSessionSummary(sessionId) {
+    await this.initialize();
+
+    const totals = this.db.prepare(`
+      SELECT
+        COUNT(*) as total_reviewed,
+        COUNT(DISTINCT flashcard_id) as unique_cards,
+        AVG(rating) as average_rating,
+        COUNT(CASE WHEN rating >= 2 THEN 1 END) as correct_answers,
+        SUM(time_spent) as total_time_spent,
+        MIN(reviewed_at) as first_review_at,
+        MAX(reviewed_at) as last_review_at
+      FROM review_log
+      WHERE session_id = ?
+    `).get(Number(sessionId));
+
+    const breakdown = this.db.prepare(`
+      SELECT rating, COUNT(*) as count
+      FROM review_log
+      WHERE session_id = ?
+      GROUP BY rating
+    `).all(Number(sessionId));
+
+    return {
+      totalReviewed: totals.total_reviewed,
+      uniqueCards: totals.unique_cards,
+      performanceBreakdown: Object.fromEntries(breakdown.map(row => [row.rating, row.count])),
+      averagePerformance: totals.average_rating !== null
+        ? Math.round(totals.average_rating * 100) / 100
+        : null,
+      accuracyRate: totals.total_reviewed > 0
+        ? Math.round((totals.correct_answers / totals.total_reviewed) * 100) / 100
+        : null,
+      totalTimeSpent: totals.total_time_spent || 0,
+      firstReviewAt: totals.first_review_at,
+      lastReviewAt: totals.last_review_at
+    };
+  }
+
+  /**
+   * Format a database row for API responses
+   * @param {Object} row - review_log row
+   * @returns {Object} Formatted log entry
+   */
+  static format(row) {
+    return {
+      id: row.id,
+      flashcardId: row.flashcard_id,
+      userId: row.user_id,
+      rating: row.rating,
+      timeSpent: row.time_spent,
+      scheduler: row.scheduler,
+      previousState: JSON.parse(row.previous_state),
+      newState: JSON.parse(row.new_state),
+      sessionId: row.session_id,
+      item: row.item,
+      reviewedAt: row.reviewed_at
+    };
+  }
+}
+
+// Export singleton instance
+const reviewLogModel = new ReviewLog();
+export default reviewLogModel;
@@ -0,0 +1,230 @@
+import databaseConfig from '../config/database.js';
+
+/**
+ * StudySession Model
+ *
+ * Handles persistence of study sessions. A user has at most one active
+ * session; reviews made while it is open are linked to it through
+ * review_log.session_id.
+ *
+ * Compatible with D1 database (SQLite syntax)
+ */
+
+class StudySession {
+  constructor() {
+    this.db = null;
+  }
+
+  /**
+   * Initialize the model with database connection
+   */
+  async initialize() {
+    if (!this.db) {
+      await databaseConfig.initialize();
+      this.db = databaseConfig.getDatabase();
+    }
+    return this;
+  }
+
+  /**
+   * Create a new active session
+   * @param {number} userId - Owner user ID
+   * @param {Object} [options] - Session options
+   * @param {number} [options.cardLimit] - Number of cards requested
+   * @returns {Object} Created session
+   */
+  async create(userId, options = {}) {
+    await this.initialize();
+
+    if (!userId || !Number.isInteger(Number(userId))) {
+      throw new Error('Valid user ID is required');
+    }
+
+    const now = new Date().toISOString();
+    const result = this.db.prepare(`
+      INSERT INTO study_sessions (user_id, status, card_limit, started_at, last_activity_at)
+      VALUES (?, 'active', ?, ?, ?)
+    `).run(Number(userId), options.cardLimit ?? null, now, now);
+
+    return this.findById(result.lastInsertRowid, userId);
+  }
+
+  /**
+   * Find session by ID
+   * @param {number} id - Session ID
+   * @param {number} userId - Owner user ID
+   * @returns {Object|null} Session
+   */
+  async findById(id, userId) {
+    await this.initialize();
+
+    if (!id || !Number.isInteger(Number(id))) {
+      throw new Error('Valid session ID is required');
+    }
+
+    const row = this.db.prepare(`
+      SELECT * FROM study_sessions WHERE id = ? AND user_id = ?
+    `).get(Number(id), Number(userId));
+
+    return row ? StudySession.format(row) : null;
+  }
+
+  /**
+   * Find user's active session
+   * @param {number} userId - Owner user ID
+   * @returns {Object|null} Active session
+   */
+  async findActiveByUserId(userId) {
+    await this.initialize();
+
+    const row = this.db.prepare(`
+      SELECT * FROM study_sessions
+      WHERE user_id = ? AND status = 'active'
+      ORDER BY started_at DESC
+      LIMIT 1
+    `).get(Number(userId));
+
+    return row ? StudySession.format(row) : null;
+  }
+
+  /**
+   * Get paginated session history for a user
+   * @param {number} userId - Owner user ID
+   * @param {Object} [options] - Query options
+   * @param {string} [options.status] - Filter by status
+   * @param {number} [options.page=1] - Page number
+   * @param {number} [options.limit=20] - Items per page
+   * @returns {Object} Sessions (newest first) with pagination metadata
+   */
+  async findByUserId(userId, options = {}) {
+    await this.initialize();
+
+    const { status, page = 1, limit = 20 } = options;
+
+    let whereClause = 'WHERE user_id = ?';
+    const whereParams = [Number(userId)];
+
+    if (status) {
+      whereClause += ' AND status = ?';
+      whereParams.push(status);
+    }
+
+    const { total } = this.db.prepare(
+      `SELECT COUNT(*) as total FROM study_sessions ${whereClause}`
+    ).get(...whereParams);
+
+    const rows = this.db.prepare(`
+      SELECT * FROM study_sessions
+      ${whereClause}
+      ORDER BY started_at DESC, id DESC
+      LIMIT ? OFFSET ?
+    `).all(...whereParams, limit, (page - 1) * limit);
+
+    return {
+      sessions: rows.map(row => StudySession.format(row)),
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * Record activity on a session
+   * @param {number} id - Session ID
+   * @param {string} [timestamp] - Activity time (defaults to now)
+   */
+  async touch(id, timestamp = new Date().toISOString()) {
+    await this.initialize();
+
+    this.db.prepare(`
+      UPDATE study_sessions SET last_activity_at = ? WHERE id = ?
+    `).run(timestamp, Number(id));
+  }
+
+  /**
+   * Reopen a session
+   * @param {number} id - Session ID
+   * @param {number} userId - Owner user ID
+   * @returns {Object|null} Reopened session
+   */
+  async reopen(id, userId) {
+    await this.initialize();
+
+    this.db.prepare(`
+      UPDATE study_sessions
+      SET status = 'active', ended_at = NULL, last_activity_at = ?
+      WHERE id = ? AND user_id = ?
+    `).run(new Date().toISOString(), Number(id), Number(userId));
+
+    return this.findById(id, userId);
+  }
+
+  /**
+   * Mark a session as completed
+   * @param {number} id - Session ID
+   * @param {number} userId - Owner user ID
+   * @param {string} endedAt - Completion time
+   * @param {Object} summary - Session summary
+   * @returns {Object|null} Completed session
+   */
+  async complete(id, userId, endedAt, summary) {
+    await this.initialize();
+
+    this.db.prepare(`
+      UPDATE study_sessions
+      SET status = 'completed', ended_at = ?, summary = ?
+      WHERE id = ? AND user_id = ?
+    `).run(endedAt, JSON.stringify(summary), Number(id), Number(userId));
+
+    return this.findById(id, userId);
+  }
+
+  /**
+   * Abandon user's active sessions
+   * @param {number} userId - Owner user ID
+   * @param {string} [inactiveSince] - Only abandon sessions idle since before this ISO timestamp
+   * @returns {number} Number of sessions abandoned
+   */
+  async abandonActive(userId, inactiveSince = null) {
+    await this.initialize();
+
+    let query = `
+      UPDATE study_sessions
+      SET status = 'abandoned', ended_at = last_activity_at
+      WHERE user_id = ? AND status = 'active'
+    `;
+    const params = [Number(userId)];
+
+    if (inactiveSince) {
+      query += ' AND last_activity_at < ?';
+      params.push(inactiveSince);
+    }
+
+    return this.db.prepare(query).run(...params).changes;
+  }
+
+  /**
+   * Format a database row for API responses
+   * @param {Object} row - study_sessions row
+   * @returns {Object} Formatted session
+   */
+  static format(row) {
+    return {
+      id: row.id,
+      userId: row.user_id,
+      status: row.status,
+      cardLimit: row.card_limit,
+      startedAt: row.started_at,
+      lastActivityAt: row.last_activity_at,
+      endedAt: row.ended_at,
+      summary: row.summary ? JSON.parse(row.summary) : null
+    };
+  }
+}
+
+// Export singleton instance
+const studySessionModel = new StudySession();
+export default studySessionModel;
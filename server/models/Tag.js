@@ -0,0 +1,258 @@
+import databaseConfig from '../config/database.js';
+
+/**
+ * Tag Model
+ *
+ * Handles persistence of user-defined tags and their many-to-many link to
+ * flashcards (flashcard_tags). Tag names are unique per user and compared
+ * case-insensitively.
+ *
+ * Compatible with D1 database (SQLite syntax)
+ */
+
+class Tag {
+  constructor() {
+    this.db = null;
+  }
+
+  /**
+   * Initialize the model with database connection
+   */
+  async initialize() {
+    if (!this.db) {
+      await databaseConfig.initialize();
+      this.db = databaseConfig.getDatabase();
+    }
+    return this;
+  }
+
+  /**
+   * Create a new tag
+   * @param {number} userId - Owner user ID
+   * @param {string} name - Tag name
+   * @returns {Object} Created tag
+   */
+  async create(userId, name) {
+    await this.initialize();
+
+    if (!userId || !Number.isInteger(Number(userId))) {
+      throw new Error('Valid user ID is required');
+    }
+
+    const result = this.db.prepare(`
+      INSERT INTO tags (user_id, name, created_at) VALUES (?, ?, ?)
+    `).run(Number(userId), name, new Date().toISOString());
+
+    return this.findById(result.lastInsertRowid, userId);
+  }
+
+  /**
+   * Find tag by ID
+   * @param {number} id - Tag ID
+   * @param {number} userId - Owner user ID
+   * @returns {Object|null} Tag with the number of tagged cards
+   */
+  async findById(id, userId) {
+    await this.initialize();
+
+    if (!id || !Number.isInteger(Number(id))) {
+      throw new Error('Valid tag ID is required');
+    }
+
+    const row = this.db.prepare(`
+      SELECT t.*, (
+        SELECT COUNT(*) FROM flashcard_tags ft
+        JOIN flashcards f ON f.id = ft.flashcard_id
+        WHERE ft.tag_id = t.id AND f.deleted_at IS NULL
+      ) as card_count
+      FROM tags t
+      WHERE t.id = ? AND t.user_id = ?
+    `).get(Number(id), Number(userId));
+
+    return row ? Tag.format(row) : null;
+  }
+
+  /**
+   * Find tag by name (case-insensitive)
+   * @param {number} userId - Owner user ID
+   * @param {string} name - Tag name
+   * @returns {Object|null} Tag
+   */
+  async findByName(userId, name) {
+    await this.initialize();
+
+    const row = this.db.prepare(
+      'SELECT id FROM tags WHERE user_id = ? AND name = ?'
+    ).get(Number(userId), name);
+
+    return row ? this.findById(row.id, userId) : null;
+  }
+
+  /**
+   * Get all tags of a user
+   * @param {number} userId - Owner user ID
+   * @returns {Array} Tags ordered by name
+   */
+  async findByUserId(userId) {
+    await this.initialize();
+
+    if (!userId || !Number.isInteger(Number(userId))) {
+      throw new Error('Valid user ID is required');
+    }
+
+    const rows = this.db.prepare(`
+      SELECT t.*, (
+        SELECT COUNT(*) FROM flashcard_tags ft
+        JOIN flashcards f ON f.id = ft.flashcard_id
+        WHERE ft.tag_id = t.id AND f.deleted_at IS NULL
+      ) as card_count
+      FROM tags t
+      WHERE t.user_id = ?
+      ORDER BY t.name ASC
+    `).all(Number(userId));
+
+    return rows.map(row => Tag.format(row));
+  }
+
+  /**
+   * Get the IDs of a user's tags, creating the ones that do not exist yet
+   * @param {number} userId - Owner user ID
+   * @param {Array<string>} names - Tag names
+   * @returns {Array<number>} Tag IDs
+   */
+  async findOrCreateIds(userId, names) {
+    await this.initialize();
+
+    const insert = this.db.prepare('INSERT OR IGNORE INTO tags (user_id, name, created_at) VALUES (?, ?, ?)');
+    const select = this.db.prepare('SELECT id FROM tags WHERE user_id = ? AND name = ?');
+    const now = new Date().toISOString();
+
+    return names.map(name => {
+      insert.run(Number(userId), name, now);
+      return select.get(Number(userId), name).id;
+    });
+  }
+
+  /**
+   * Rename a tag
+   * @param {number} id - Tag ID
+   * @param {string} name - New name
+   * @param {number} userId - Owner user ID
+   * @returns {Object|null} Updated tag
+   */
+  async rename(id, name, userId) {
+    await this.initialize();
+
+    const result = this.db.prepare(
+      'UPDATE tags SET name = ? WHERE id = ? AND user_id = ?'
+    ).run(name, Number(id), Number(userId));
+
+    if (result.changes === 0) {
+      return null; // Not found or no access
+    }
+
+    return this.findById(id, userId);
+  }
+
+  /**
+   * Delete a tag (removes it from every card)
+   * @param {number} id - Tag ID
+   * @param {number} userId - Owner user ID
+   * @returns {boolean} Whether a tag was deleted
+   */
+  async delete(id, userId) {
+    await this.initialize();
+
+    const result = this.db.prepare(
+      'DELETE FROM tags WHERE id = ? AND user_id = ?'
+    ).run(Number(id), Number(userId));
+
+    return result.changes > 0;
+  }
+
+  /**
+   * Get the tag names of a set of flashcards
+   * @param {Array<number>} flashcardIds - Flashcard IDs
+   * @returns {Map<number, Array<string>>} Tag names (sorted) keyed by flashcard ID
+   */
+  async getNamesByFlashcardIds(flashcardIds) {
+    await this.initialize();
+
+    const tagsByCard = new Map(flashcardIds.map(id => [id, []]));
+    if (flashcardIds.length === 0) {
+      return tagsByCard;
+    }
+
+    const rows = this.db.prepare(`
+      SELECT ft.flashcard_id, t.name
+      FROM flashcard_tags ft
+      JOIN tags t ON t.id = ft.tag_id
+      WHERE ft.flashcard_id IN (${flashcardIds.map(() => '?').join(', ')})
+      ORDER BY t.name ASC
+    `).all(...flashcardIds);
+
+    rows.forEach(row => tagsByCard.get(row.flashcard_id).push(row.name));
+    return tagsByCard;
+  }
+
+  /**
+   * Attach tags to a flashcard (already attached tags are kept)
+   * Callers are responsible for ownership checks.
+   * @param {number} flashcardId - Flashcard ID
+   * @param {Array<number>} tagIds - Tag IDs
+   * @returns {number} Number of newly attached tags
+   */
+  async addToFlashcard(flashcardId, tagIds) {
+    await this.initialize();
+
+    const insert = this.db.prepare('INSERT OR IGNORE INTO flashcard_tags (flashcard_id, tag_id) VALUES (?, ?)');
+    return tagIds.reduce((added, tagId) => added + insert.run(Number(flashcardId), tagId).changes, 0);
+  }
+
+  /**
+   * Detach tags from a flashcard
+   * @param {number} flashcardId - Flashcard ID
+   * @param {Array<number>} tagIds - Tag IDs
+   * @returns {number} Number of detached tags
+   */
+  async removeFromFlashcard(flashcardId, tagIds) {
+    await this.initialize();
+
+    const remove = this.db.prepare('DELETE FROM flashcard_tags WHERE flashcard_id = ? AND tag_id = ?');
+    return tagIds.reduce((removed, tagId) => removed + remove.run(Number(flashcardId), tagId).changes, 0);
+  }
+
+  /**
+   * Replace all tags of a flashcard
+   * @param {number} flashcardId - Flashcard ID
+   * @param {Array<number>} tagIds - Tag IDs
+   */
+  async setForFlashcard(flashcardId, tagIds) {
+    await this.initialize();
+
+    this.db.transaction(() => {
+      this.db.prepare('DELETE FROM flashcard_tags WHERE flashcard_id = ?').run(Number(flashcardId));
+      const insert = this.db.prepare('INSERT OR IGNORE INTO flashcard_tags (flashcard_id, tag_id) VALUES (?, ?)');
+      tagIds.forEach(tagId => insert.run(Number(flashcardId), tagId));
+    })();
+  }
+
+  /**
+   * Format a database row for API responses
+   * @param {Object} row - tags row
+   * @returns {Object} Formatted tag
+   */
+  static format(row) {
+    return {
+      id: row.id,
+      userId: row.user_id,
+      name: row.name,
+      cardCount: row.card_count ?? 0,
+      createdAt: row.created_at
+    };
+  }
+}
+
+// Export singleton instance
+const tagModel = new Tag();
+export default tagModel;
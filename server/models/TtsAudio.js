@@ -0,0 +1,155 @@
+import databaseConfig from '../config/database.js';
+
+/**
+ * TtsAudio Model
+ *
+ * Cache of generated speech, one entry per distinct speech request (see
+ * utils/speech.js). Each entry counts the cards referencing its audio file;
+ * entries left unreferenced are removed by garbage collection.
+ *
+ * Compatible with D1 database (SQLite syntax)
+ */
+
+class TtsAudio {
+  constructor() {
+    this.db = null;
+  }
+
+  /**
+   * Initialize the model with database connection
+   */
+  async initialize() {
+    if (!this.db) {
+      await databaseConfig.initialize();
+      this.db = databaseConfig.getDatabase();
+    }
+    return this;
+  }
+
+  /**
+   * Take a reference to a cached entry
+   * @param {string} hash - Speech hash
+   * @returns {Object|null} Entry, or null if the speech is not cached
+   */
+  async acquire(hash) {
+    await this.initialize();
+
+    const result = this.db.prepare(`
+      UPDATE tts_audio SET ref_count = ref_count + 1, released_at = NULL WHERE hash = ?
+    `).run(hash);
+
+    return result.changes > 0 ? this.findByHash(hash) : null;
+  }
+
+  /**
+   * Cache newly generated speech with one reference
+   * If the same speech was cached meanwhile, a reference to that entry is taken instead.
+   * @param {Object} entry - Entry data
+   * @param {string} entry.hash - Speech hash
+   * @param {string} entry.storageKey - Media storage key of the audio file
+   * @param {string} entry.url - Public URL of the audio file
+   * @param {string} entry.language - Language code
+   * @param {string} entry.voice - Voice name
+   * @param {string} entry.model - Model that generated the audio
+   * @returns {Object} Entry
+   */
+  async create(entry) {
+    await this.initialize();
+
+    const { hash, storageKey, url, language, voice, model } = entry;
+
+    this.db.prepare(`
+      INSERT INTO tts_audio (hash, storage_key, url, language, voice, model, ref_count, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, 1, ?)
+      ON CONFLICT(hash) DO UPDATE SET ref_count = ref_count + 1, released_at = NULL
+    `).run(hash, storageKey, url, language, voice, model, new Date().toISOString());
+
+    return this.findByHash(hash);
+  }
+
+  /**
+   * Find a cached entry
+   * @param {string} hash - Speech hash
+   * @returns {Object|null} Entry
+   */
+  async findByHash(hash) {
+    await this.initialize();
+
+    const row = this.db.prepare('SELECT * FROM tts_audio WHERE hash = ?').get(hash);
+    return row ? TtsAudio.format(row) : null;
+  }
+
+  /**
+   * Drop a reference to a cached entry
+   * @param {Object} audio - Audio file to release ({ storageKey } or { url })
+   * @returns {boolean} Whether the file belongs to the cache
+   */
+  async release(audio) {
+    await this.initialize();
+
+    const [column, value] = audio.storageKey !== undefined ? ['storage_key', audio.storageKey] : ['url', audio.url];
+
+    const result = this.db.prepare(`
+      UPDATE tts_audio
+      SET ref_count = MAX(ref_count - 1, 0),
+          released_at = CASE WHEN ref_count <= 1 THEN ? ELSE released_at END
+      WHERE ${column} = ?
+    `).run(new Date().toISOString(), value);
+
+    return result.changes > 0;
+  }
+
+  /**
+   * Remove entries that have had no references since before a given time
+   * Deleting the audio files is left to the caller.
+   * @param {string} cutoff - ISO timestamp
+   * @returns {Array<Object>} Removed entries
+   */
+  async removeUnreferencedBefore(cutoff) {
+    await this.initialize();
+
+    const where = 'WHERE ref_count = 0 AND released_at < ?';
+
+    return this.db.transaction(() => {
+      const rows = this.db.prepare(`SELECT * FROM tts_audio ${where}`).all(cutoff);
+      this.db.prepare(`DELETE FROM tts_audio ${where}`).run(cutoff);
+      return rows.map(row => TtsAudio.format(row));
+    })();
+  }
+
+  /**
+   * Get cache size statistics
+   * @returns {Object} Number of entries and of unreferenced entries
+   */
+  async getStats() {
+    await this.initialize();
+
+    return this.db.prepare(`
+      SELECT COUNT(*) as entries, COALESCE(SUM(ref_count = 0), 0) as unreferenced FROM tts_audio
+    `).get();
+  }
+
+  /**
+   * Format a database row for API responses
+   * @param {Object} row - tts_audio row
+   * @returns {Object} Formatted entry
+   */
+  static format(row) {
+    return {
+      id: row.id,
+      hash: row.hash,
+      storageKey: row.storage_key,
+      url: row.url,
+      language: row.language,
+      voice: row.voice,
+      model: row.model,
+      refCount: row.ref_count,
+      releasedAt: row.released_at,
+      createdAt: row.created_at
+    };
+  }
+}
+
+// Export singleton instance
+const ttsAudioModel = new TtsAudio();
+export default ttsAudioModel;
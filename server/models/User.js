@@ -271,6 +271,98 @@ class User {
     return result.changes > 0;
   }
 
+  /**
+   * Get user preferences
+   * @param {number} id - User ID
+   * @returns {Object|null} Parsed preferences ({} if none stored), null if user not found
+   */
+  async getPreferences(id) {
+    await this.initialize();
+
+    if (!id || !Number.isInteger(Number(id))) {
+      throw new Error('Valid user ID is required');
+    }
+
+    const row = this.db.prepare(
+      'SELECT preferences FROM users WHERE id = ?'
+    ).get(Number(id));
+
+    if (!row) {
+      return null;
+    }
+
+    if (!row.preferences) {
+      return {};
+    }
+
+    try {
+      return JSON.parse(row.preferences);
+    } catch {
+      return {};
+    }
+  }
+
+  /**
+   * Get user's time zone
+   * @param {number} id - User ID
+   * @returns {string|null} IANA time zone name, null if user not found
+   */
+  async getTimezone(id) {
+    await this.initialize();
+
+    if (!id || !Number.isInteger(Number(id))) {
+      throw new Error('Valid user ID is required');
+    }
+
+    const row = this.db.prepare(
+      'SELECT timezone FROM users WHERE id = ?'
+    ).get(Number(id));
+
+    if (!row) {
+      return null;
+    }
+
+    return row.timezone || 'UTC';
+  }
+
+  /**
+   * Merge new values into user preferences
+   * @param {number} id - User ID
+   * @param {Object} preferences - Preference values to set (null removes a key)
+   * @returns {Object|null} Updated preferences, null if user not found
+   */
+  async updatePreferences(id, preferences) {
+    await this.initialize();
+
+    if (!preferences || typeof preferences !== 'object' || Array.isArray(preferences)) {
+      throw new Error('Preferences must be an object');
+    }
+
+    const current = await this.getPreferences(id);
+    if (current === null) {
+      return null;
+    }
+
+    const merged = { ...current };
+    for (const [key, value] of Object.entries(preferences)) {
+      if (value === null) {
+        delete merged[key];
+      } else {
+        merged[key] = value;
+      }
+    }
+
+    const now = new Date().toISOString();
+
+    this.db.prepare(`
+      UPDATE users 
+      SET preferences = ?, updated_at = ? 
+      WHERE id = ?
+    `).run(JSON.stringify(merged), now, Number(id));
+
+    return merged;
+  }
+
   /**
    * Delete user by ID
    * @param {number} id - User ID
@@ -342,7 +434,7 @@ class User {
         u.created_at,
         COUNT(f.id) as flashcard_count
       FROM users u
-      LEFT JOIN flashcards f ON u.id = f.user_id
+      LEFT JOIN flashcards f ON u.id = f.user_id AND f.deleted_at IS NULL
       ${whereClause}
       GROUP BY u.id, u.email, u.role, u.created_at
       ORDER BY u.created_at DESC
@@ -394,7 +486,7 @@ class User {
         COUNT(f.id) as flashcard_count,
         MAX(f.last_reviewed) as last_activity
       FROM users u
-      LEFT JOIN flashcards f ON u.id = f.user_id
+      LEFT JOIN flashcards f ON u.id = f.user_id AND f.deleted_at IS NULL
       WHERE u.id = ?
       GROUP BY u.id, u.email, u.role, u.created_at, u.updated_at
     `;
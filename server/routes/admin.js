@@ -293,26 +293,39 @@ router.get('/users/:userId/flashcards',
   async (req, res) => {
     try {
       const userId = parseInt(req.params.userId);
-      const { limit, orderBy = 'id', order = 'ASC' } = req.query;
 
-      const options = {
-        orderBy,
-        order,
-        ...(limit && { limit: parseInt(limit) })
-      };
+      if (req.query.deckId !== undefined && !(parseInt(req.query.deckId) > 0)) {
+        return res.status(400).json({
+          error: 'Invalid deck ID',
+          message: 'Deck ID must be a positive integer',
+          code: 'INVALID_DECK_ID'
+        });
+      }
 
-      const flashcards = await FlashcardService.getUserFlashcards(userId, options);
+      const options = FlashcardService.parseListingQuery(req.query);
+      const { flashcards, total, nextCursor } = await FlashcardService.getUserFlashcardPage(userId, options);
       
       res.json({
         flashcards,
         count: flashcards.length,
+        total,
+        nextCursor,
         userId
       });
 
     } catch (error) {
       console.error('Admin get user flashcards error:', error);
       
-      if (error.message.includes('Invalid orderBy field') || error.message.includes('Order must be')) {
+      if (error.message === 'Invalid cursor') {
+        return res.status(400).json({
+          error: 'Invalid cursor',
+          message: 'The cursor is malformed or was issued for a different sort order',
+          code: 'INVALID_CURSOR'
+        });
+      }
+
+      if (error.message.includes('Invalid orderBy field') || error.message.includes('Order must be') ||
+          error.message.includes('Limit must be') || error.message.includes('Validation failed')) {
         return res.status(400).json({
           error: 'Invalid query parameters',
           message: error.message,
@@ -331,7 +344,7 @@ router.get('/users/:userId/flashcards',
 
 /**
  * DELETE /api/admin/users/:userId/flashcards
- * Delete all flashcards for a user (admin action)
+ * Delete all flashcards for a user (admin action; moves them to the user's trash)
  */
 router.delete('/users/:userId/flashcards',
   requireSuperAdmin,
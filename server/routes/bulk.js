@@ -1,6 +1,7 @@
 import express from 'express';
 import FlashcardService from '../services/FlashcardService.js';
 import UserService from '../services/UserService.js';
+import TagService from '../services/TagService.js';
 import { requireAuth } from '../middleware/auth.js';
 import { requireAdmin, requireSuperAdmin, logAdminAction } from '../middleware/admin.js';
 import { validateBulkOwnership, validateResourceCreation } from '../middleware/ownership.js';
@@ -10,6 +11,7 @@ const router = express.Router();
 /**
  * POST /api/bulk/flashcards/import
  * Bulk import flashcards for current user
+ * Audio and tips of the imported cards are generated in the background (`jobs`, see GET /api/jobs/:id)
  */
 router.post('/flashcards/import',
   requireAuth,
@@ -38,10 +40,12 @@ router.post('/flashcards/import',
           successful: importResult.successful.length,
           failed: importResult.failed.length,
           successfulFlashcards: importResult.successful.map(item => item.flashcard),
+          jobs: importResult.successful.flatMap(item => item.jobs),
           errors: importResult.failed.map(item => ({
             index: item.index,
             errors: item.errors,
-            data: item.data
+            data: item.data,
+            ...(item.code && { code: item.code, existingFlashcard: item.existingFlashcard })
           }))
         }
       });
@@ -77,13 +81,17 @@ router.post('/flashcards/import',
 /**
  * PUT /api/bulk/flashcards/update
  * Bulk update flashcards
+ * Body: updates (per-card changes), and/or addTags and removeTags (tag names)
+ * applied to every card listed in ids
  */
 router.put('/flashcards/update',
   requireAuth,
   validateBulkOwnership('flashcard'),
   async (req, res) => {
     try {
-      const { updates } = req.body;
+      const { updates = [], addTags, removeTags } = req.body;
+      const ids = req.body.ids || req.body.flashcardIds || [];
+      const hasTagChanges = addTags !== undefined || removeTags !== undefined;
 
       if (!Array.isArray(updates)) {
         return res.status(400).json({
@@ -93,7 +101,20 @@ router.put('/flashcards/update',
         });
       }
 
-      if (updates.length === 0) {
+      if (hasTagChanges) {
+        try {
+          TagService.normalizeNames(addTags ?? []);
+          TagService.normalizeNames(removeTags ?? []);
+        } catch (error) {
+          return res.status(400).json({
+            error: 'Invalid tag changes',
+            message: error.message,
+            code: 'INVALID_TAG_CHANGES'
+          });
+        }
+      }
+
+      if (updates.length === 0 && !hasTagChanges) {
         return res.status(400).json({
           error: 'Empty update request',
           message: 'At least one update is required',
@@ -164,6 +185,33 @@ router.put('/flashcards/update',
         }
       }
 
+      // Tag changes apply to every listed card, keeping the card's other tags
+      if (hasTagChanges) {
+        updateResults.tagChanges = {
+          successful: [],
+          failed: []
+        };
+
+        for (const id of ids) {
+          try {
+            const flashcard = await FlashcardService.changeFlashcardTags(
+              id,
+              { add: addTags, remove: removeTags },
+              req.user.id,
+              req.user.role
+            );
+
+            if (flashcard) {
+              updateResults.tagChanges.successful.push({ id: flashcard.id, tags: flashcard.tags });
+            } else {
+              updateResults.tagChanges.failed.push({ id, error: 'Flashcard not found or access denied' });
+            }
+          } catch (error) {
+            updateResults.tagChanges.failed.push({ id, error: error.message });
+          }
+        }
+      }
+
       res.json({
         message: 'Bulk update completed',
         result: updateResults
@@ -183,7 +231,7 @@ router.put('/flashcards/update',
 
 /**
  * DELETE /api/bulk/flashcards/delete
- * Bulk delete flashcards
+ * Bulk delete flashcards (moves them to the trash)
  */
 router.delete('/flashcards/delete',
   requireAuth,
@@ -310,7 +358,7 @@ router.post('/flashcards/review',
       // Process each review
       for (const [index, review] of reviews.entries()) {
         try {
-          const { id, performanceRating } = review;
+          const { id, performanceRating, timeSpent, direction, item } = review;
 
           if (!id) {
             reviewResults.failed.push({
@@ -332,11 +380,22 @@ router.post('/flashcards/review',
             continue;
           }
 
+          // Validate time spent (optional)
+          if (timeSpent !== undefined && (!Number.isInteger(timeSpent) || timeSpent < 0)) {
+            reviewResults.failed.push({
+              index,
+              error: 'Time spent must be a non-negative integer (seconds)',
+              data: review
+            });
+            continue;
+          }
+
           const reviewedFlashcard = await FlashcardService.reviewFlashcard(
             id, 
             performanceRating, 
             req.user.id, 
-            req.user.role
+            req.user.role,
+            { timeSpent, direction, item }
           );
           
           if (reviewedFlashcard) {
@@ -0,0 +1,213 @@
+import express from 'express';
+import DeckService from '../services/DeckService.js';
+import { requireAuth } from '../middleware/auth.js';
+
+const router = express.Router();
+
+/**
+ * Send the error response for a failed deck operation
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown by DeckService
+ * @param {Object} fallback - Response body for unexpected errors
+ */
+function sendDeckError(res, error, fallback) {
+  if (error.message.includes('Validation failed')) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      message: error.message,
+      code: 'VALIDATION_FAILED'
+    });
+  }
+
+  if (error.message === 'Deck not found') {
+    return res.status(404).json({
+      error: 'Deck not found',
+      message: 'The requested deck does not exist or you do not have access to it',
+      code: 'DECK_NOT_FOUND'
+    });
+  }
+
+  if (error.message === 'Parent deck not found' || error.message.includes('cannot be moved into itself')) {
+    return res.status(400).json({
+      error: 'Invalid parent deck',
+      message: error.message,
+      code: 'INVALID_PARENT_DECK'
+    });
+  }
+
+  if (error.message === 'Deck name already exists') {
+    return res.status(409).json({
+      error: 'Deck name already exists',
+      message: 'Another deck at this level already uses that name',
+      code: 'DECK_NAME_TAKEN'
+    });
+  }
+
+  res.status(500).json(fallback);
+}
+
+/**
+ * Parse the deck ID route parameter
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {number|null} Deck ID, or null after sending a 400 response
+ */
+function parseDeckId(req, res) {
+  const deckId = parseInt(req.params.deckId);
+  if (!deckId || deckId < 1) {
+    res.status(400).json({
+      error: 'Invalid deck ID',
+      message: 'Deck ID must be a positive integer',
+      code: 'INVALID_DECK_ID'
+    });
+    return null;
+  }
+  return deckId;
+}
+
+/**
+ * GET /api/decks
+ * Get current user's decks (flat list; nesting is given by parentId)
+ */
+router.get('/',
+  requireAuth,
+  async (req, res) => {
+    try {
+      const decks = await DeckService.getDecks(req.user.id);
+
+      res.json({
+        decks,
+        count: decks.length
+      });
+
+    } catch (error) {
+      console.error('Get decks error:', error);
+
+      res.status(500).json({
+        error: 'Failed to get decks',
+        message: 'An error occurred while fetching your decks',
+        code: 'DECKS_FETCH_ERROR'
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/decks
+ * Create a deck for current user
+ * Body: name, description, parentId (optional, for subdecks)
+ */
+router.post('/',
+  requireAuth,
+  async (req, res) => {
+    try {
+      const deck = await DeckService.createDeck(req.body, req.user.id);
+
+      res.status(201).json({
+        message: 'Deck created successfully',
+        deck
+      });
+
+    } catch (error) {
+      console.error('Create deck error:', error);
+
+      sendDeckError(res, error, {
+        error: 'Failed to create deck',
+        message: 'An error occurred while creating the deck',
+        code: 'DECK_CREATE_ERROR'
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/decks/:deckId
+ * Get one of current user's decks
+ */
+router.get('/:deckId',
+  requireAuth,
+  async (req, res) => {
+    try {
+      const deckId = parseDeckId(req, res);
+      if (deckId === null) return;
+
+      const deck = await DeckService.getDeck(deckId, req.user.id);
+      if (!deck) {
+        throw new Error('Deck not found');
+      }
+
+      res.json({ deck });
+
+    } catch (error) {
+      console.error('Get deck error:', error);
+
+      sendDeckError(res, error, {
+        error: 'Failed to get deck',
+        message: 'An error occurred while fetching the deck',
+        code: 'DECK_FETCH_ERROR'
+      });
+    }
+  }
+);
+
+/**
+ * PUT /api/decks/:deckId
+ * Rename, describe or move a deck (parentId null moves it to the top level)
+ */
+router.put('/:deckId',
+  requireAuth,
+  async (req, res) => {
+    try {
+      const deckId = parseDeckId(req, res);
+      if (deckId === null) return;
+
+      const deck = await DeckService.updateDeck(deckId, req.body, req.user.id);
+
+      res.json({
+        message: 'Deck updated successfully',
+        deck
+      });
+
+    } catch (error) {
+      console.error('Update deck error:', error);
+
+      sendDeckError(res, error, {
+        error: 'Failed to update deck',
+        message: 'An error occurred while updating the deck',
+        code: 'DECK_UPDATE_ERROR'
+      });
+    }
+  }
+);
+
+/**
+ * DELETE /api/decks/:deckId
+ * Delete a deck and its subdecks; their flashcards are kept and become unfiled
+ */
+router.delete('/:deckId',
+  requireAuth,
+  async (req, res) => {
+    try {
+      const deckId = parseDeckId(req, res);
+      if (deckId === null) return;
+
+      const result = await DeckService.deleteDeck(deckId, req.user.id);
+
+      res.json({
+        message: 'Deck deleted successfully',
+        ...result
+      });
+
+    } catch (error) {
+      console.error('Delete deck error:', error);
+
+      sendDeckError(res, error, {
+        error: 'Failed to delete deck',
+        message: 'An error occurred while deleting the deck',
+        code: 'DECK_DELETE_ERROR'
+      });
+    }
+  }
+);
+
+export default router;
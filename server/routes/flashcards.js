@@ -3,12 +3,14 @@ import FlashcardService from '../services/FlashcardService.js';
 import { requireAuth } from '../middleware/auth.js';
 import { requireAdminOrSelf } from '../middleware/admin.js';
 import { validateFlashcardOwnership, validateResourceCreation } from '../middleware/ownership.js';
+import { uploadImage } from '../middleware/upload.js';
 
 const router = express.Router();
 
 /**
  * POST /api/flashcards
  * Create a new flashcard
+ * Audio and tips are generated in the background: `jobs` lists the queued jobs (see GET /api/jobs/:id)
  */
 router.post('/',
   requireAuth,
@@ -32,11 +34,21 @@ router.post('/',
       
       res.status(201).json({
         message: 'Flashcard created successfully',
-        flashcard: newFlashcard
+        flashcard: newFlashcard,
+        jobs: await FlashcardService.getGenerationJobs(newFlashcard.id)
       });
 
     } catch (error) {
       console.error('Create flashcard error:', error);
+
+      if (error.message === 'Duplicate flashcard') {
+        return res.status(409).json({
+          error: 'Duplicate flashcard',
+          message: 'You already have a flashcard with this text',
+          code: 'DUPLICATE_FLASHCARD',
+          existingFlashcard: error.existingFlashcard
+        });
+      }
       
       if (error.message.includes('Validation failed')) {
         return res.status(400).json({
@@ -55,6 +67,87 @@ router.post('/',
   }
 );
 
+/**
+ * GET /api/flashcards/search
+ * Full-text search over flashcard text (prefix and accent-insensitive matching)
+ * Query: q, page, limit, userId (admins only; admins search every user's cards by default)
+ */
+router.get('/search',
+  requireAuth,
+  async (req, res) => {
+    try {
+      const { q, page = 1, limit = 20, userId } = req.query;
+
+      if (typeof q !== 'string' || !q.trim()) {
+        return res.status(400).json({
+          error: 'Invalid search query',
+          message: 'Search query (q) is required',
+          code: 'INVALID_SEARCH_QUERY'
+        });
+      }
+
+      if (q.length > 200) {
+        return res.status(400).json({
+          error: 'Invalid search query',
+          message: 'Search query cannot exceed 200 characters',
+          code: 'INVALID_SEARCH_QUERY'
+        });
+      }
+
+      if (userId !== undefined && !(parseInt(userId) > 0)) {
+        return res.status(400).json({
+          error: 'Invalid user ID',
+          message: 'User ID must be a positive integer',
+          code: 'INVALID_USER_ID'
+        });
+      }
+
+      if (userId !== undefined && req.user.role !== 'admin' && parseInt(userId) !== req.user.id) {
+        return res.status(403).json({
+          error: 'Access denied',
+          message: 'You can only search your own flashcards',
+          code: 'ACCESS_DENIED'
+        });
+      }
+
+      const options = {
+        page: parseInt(page),
+        limit: Math.min(parseInt(limit), 100), // Cap at 100 per page
+        ...(userId && { userId: parseInt(userId) })
+      };
+
+      const results = await FlashcardService.searchFlashcards(q, req.user.id, req.user.role, options);
+
+      res.json({ query: q, ...results });
+
+    } catch (error) {
+      console.error('Search flashcards error:', error);
+
+      if (error.message.includes('Page must be') || error.message.includes('Limit must be')) {
+        return res.status(400).json({
+          error: 'Invalid pagination parameters',
+          message: error.message,
+          code: 'INVALID_PAGINATION'
+        });
+      }
+
+      if (error.message.includes('Validation failed')) {
+        return res.status(400).json({
+          error: 'Invalid search query',
+          message: error.message,
+          code: 'INVALID_SEARCH_QUERY'
+        });
+      }
+
+      res.status(500).json({
+        error: 'Failed to search flashcards',
+        message: 'An error occurred while searching flashcards',
+        code: 'FLASHCARD_SEARCH_ERROR'
+      });
+    }
+  }
+);
+
 /**
  * GET /api/flashcards/:flashcardId
  * Get flashcard by ID
@@ -95,6 +188,7 @@ router.get('/:flashcardId',
 /**
  * PUT /api/flashcards/:flashcardId
  * Update flashcard
+ * Text changes regenerate audio and tips in the background (`jobs`, as for POST)
  */
 router.put('/:flashcardId',
   requireAuth,
@@ -127,7 +221,8 @@ router.put('/:flashcardId',
 
       res.json({
         message: 'Flashcard updated successfully',
-        flashcard: updatedFlashcard
+        flashcard: updatedFlashcard,
+        jobs: await FlashcardService.getGenerationJobs(updatedFlashcard.id)
       });
 
     } catch (error) {
@@ -152,7 +247,7 @@ router.put('/:flashcardId',
 
 /**
  * DELETE /api/flashcards/:flashcardId
- * Delete flashcard
+ * Delete flashcard (moves it to the trash, see /my/trash)
  */
 router.delete('/:flashcardId',
   requireAuth,
@@ -187,9 +282,171 @@ router.delete('/:flashcardId',
   }
 );
 
+/**
+ * GET /api/flashcards/my/trash
+ * Get current user's deleted flashcards, most recently deleted first
+ * Query: page, limit
+ */
+router.get('/my/trash',
+  requireAuth,
+  async (req, res) => {
+    try {
+      const { page = 1, limit = 20 } = req.query;
+
+      const options = {
+        page: parseInt(page),
+        limit: Math.min(parseInt(limit), 100) // Cap at 100 per page
+      };
+
+      const trash = await FlashcardService.getTrash(req.user.id, options);
+
+      res.json({
+        ...trash,
+        retentionDays: FlashcardService.trashRetentionDays
+      });
+
+    } catch (error) {
+      console.error('Get trash error:', error);
+
+      if (error.message.includes('Page must be') || error.message.includes('Limit must be')) {
+        return res.status(400).json({
+          error: 'Invalid pagination parameters',
+          message: error.message,
+          code: 'INVALID_PAGINATION'
+        });
+      }
+
+      res.status(500).json({
+        error: 'Failed to get trash',
+        message: 'An error occurred while fetching your deleted flashcards',
+        code: 'TRASH_FETCH_ERROR'
+      });
+    }
+  }
+);
+
+/**
+ * DELETE /api/flashcards/my/trash
+ * Permanently delete every flashcard in the current user's trash
+ */
+router.delete('/my/trash',
+  requireAuth,
+  async (req, res) => {
+    try {
+      const purgedCount = await FlashcardService.emptyTrash(req.user.id);
+
+      res.json({
+        message: 'Trash emptied successfully',
+        purgedCount
+      });
+
+    } catch (error) {
+      console.error('Empty trash error:', error);
+
+      res.status(500).json({
+        error: 'Failed to empty trash',
+        message: 'An error occurred while emptying your trash',
+        code: 'TRASH_PURGE_ERROR'
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/flashcards/:flashcardId/restore
+ * Restore a flashcard from the trash
+ * Trashed cards are invisible to validateFlashcardOwnership; the model checks ownership.
+ */
+router.post('/:flashcardId/restore',
+  requireAuth,
+  async (req, res) => {
+    try {
+      const flashcardId = parseInt(req.params.flashcardId);
+
+      if (!(flashcardId > 0)) {
+        return res.status(400).json({
+          error: 'Invalid flashcard ID',
+          message: 'Flashcard ID must be a valid number',
+          code: 'INVALID_FLASHCARD_ID'
+        });
+      }
+
+      const flashcard = await FlashcardService.restoreFlashcard(flashcardId, req.user.id, req.user.role);
+
+      if (!flashcard) {
+        return res.status(404).json({
+          error: 'Flashcard not found',
+          message: 'The requested flashcard is not in your trash',
+          code: 'FLASHCARD_NOT_FOUND'
+        });
+      }
+
+      res.json({
+        message: 'Flashcard restored successfully',
+        flashcard
+      });
+
+    } catch (error) {
+      console.error('Restore flashcard error:', error);
+
+      res.status(500).json({
+        error: 'Failed to restore flashcard',
+        message: 'An error occurred while restoring the flashcard',
+        code: 'FLASHCARD_RESTORE_ERROR'
+      });
+    }
+  }
+);
+
+/**
+ * DELETE /api/flashcards/:flashcardId/purge
+ * Permanently delete a flashcard from the trash, with its review history
+ * Trashed cards are invisible to validateFlashcardOwnership; the model checks ownership.
+ */
+router.delete('/:flashcardId/purge',
+  requireAuth,
+  async (req, res) => {
+    try {
+      const flashcardId = parseInt(req.params.flashcardId);
+
+      if (!(flashcardId > 0)) {
+        return res.status(400).json({
+          error: 'Invalid flashcard ID',
+          message: 'Flashcard ID must be a valid number',
+          code: 'INVALID_FLASHCARD_ID'
+        });
+      }
+
+      const purged = await FlashcardService.purgeFlashcard(flashcardId, req.user.id, req.user.role);
+
+      if (!purged) {
+        return res.status(404).json({
+          error: 'Flashcard not found',
+          message: 'The requested flashcard is not in your trash',
+          code: 'FLASHCARD_NOT_FOUND'
+        });
+      }
+
+      res.json({
+        message: 'Flashcard permanently deleted'
+      });
+
+    } catch (error) {
+      console.error('Purge flashcard error:', error);
+
+      res.status(500).json({
+        error: 'Failed to purge flashcard',
+        message: 'An error occurred while permanently deleting the flashcard',
+        code: 'FLASHCARD_PURGE_ERROR'
+      });
+    }
+  }
+);
+
 /**
  * GET /api/flashcards/user/:userId
- * Get all flashcards for a user
+ * Get a page of a user's flashcards
+ * Query: same as /my/cards
  */
 router.get('/user/:userId',
   requireAuth,
@@ -197,26 +454,39 @@ router.get('/user/:userId',
   async (req, res) => {
     try {
       const userId = parseInt(req.params.userId);
-      const { limit, orderBy = 'last_reviewed', order = 'ASC' } = req.query;
 
-      const options = {
-        orderBy,
-        order,
-        ...(limit && { limit: parseInt(limit) })
-      };
+      if (req.query.deckId !== undefined && !(parseInt(req.query.deckId) > 0)) {
+        return res.status(400).json({
+          error: 'Invalid deck ID',
+          message: 'Deck ID must be a positive integer',
+          code: 'INVALID_DECK_ID'
+        });
+      }
 
-      const flashcards = await FlashcardService.getUserFlashcards(userId, options);
+      const options = FlashcardService.parseListingQuery(req.query, { orderBy: 'last_reviewed' });
+      const { flashcards, total, nextCursor } = await FlashcardService.getUserFlashcardPage(userId, options);
       
       res.json({
         flashcards,
         count: flashcards.length,
+        total,
+        nextCursor,
         userId
       });
 
     } catch (error) {
       console.error('Get user flashcards error:', error);
       
-      if (error.message.includes('Invalid orderBy field') || error.message.includes('Order must be')) {
+      if (error.message === 'Invalid cursor') {
+        return res.status(400).json({
+          error: 'Invalid cursor',
+          message: 'The cursor is malformed or was issued for a different sort order',
+          code: 'INVALID_CURSOR'
+        });
+      }
+
+      if (error.message.includes('Invalid orderBy field') || error.message.includes('Order must be') ||
+          error.message.includes('Limit must be') || error.message.includes('Validation failed')) {
         return res.status(400).json({
           error: 'Invalid query parameters',
           message: error.message,
@@ -224,6 +494,14 @@ router.get('/user/:userId',
         });
       }
 
+      if (error.message === 'Deck not found') {
+        return res.status(404).json({
+          error: 'Deck not found',
+          message: 'The requested deck does not exist or does not belong to this user',
+          code: 'DECK_NOT_FOUND'
+        });
+      }
+
       res.status(500).json({
         error: 'Failed to get flashcards',
         message: 'An error occurred while fetching flashcards',
@@ -235,31 +513,47 @@ router.get('/user/:userId',
 
 /**
  * GET /api/flashcards/my/cards
- * Get current user's flashcards
+ * Get a page of the current user's flashcards (pass nextCursor as cursor for the next page)
+ * Query: limit (default 50, max 100), cursor, orderBy, order, deckId (includes subdecks),
+ *        tags (comma-separated names), tagMatch (all or any, default all),
+ *        difficultyMin, difficultyMax, reviewed (true or false), dueBefore, dueAfter,
+ *        createdAfter, createdBefore (ISO dates; cards never reviewed are due now)
  */
 router.get('/my/cards',
   requireAuth,
   async (req, res) => {
     try {
-      const { limit, orderBy = 'last_reviewed', order = 'ASC' } = req.query;
-
-      const options = {
-        orderBy,
-        order,
-        ...(limit && { limit: parseInt(limit) })
-      };
+      if (req.query.deckId !== undefined && !(parseInt(req.query.deckId) > 0)) {
+        return res.status(400).json({
+          error: 'Invalid deck ID',
+          message: 'Deck ID must be a positive integer',
+          code: 'INVALID_DECK_ID'
+        });
+      }
 
-      const flashcards = await FlashcardService.getUserFlashcards(req.user.id, options);
+      const options = FlashcardService.parseListingQuery(req.query, { orderBy: 'last_reviewed' });
+      const { flashcards, total, nextCursor } = await FlashcardService.getUserFlashcardPage(req.user.id, options);
       
       res.json({
         flashcards,
-        count: flashcards.length
+        count: flashcards.length,
+        total,
+        nextCursor
       });
 
     } catch (error) {
       console.error('Get current user flashcards error:', error);
       
-      if (error.message.includes('Invalid orderBy field') || error.message.includes('Order must be')) {
+      if (error.message === 'Invalid cursor') {
+        return res.status(400).json({
+          error: 'Invalid cursor',
+          message: 'The cursor is malformed or was issued for a different sort order',
+          code: 'INVALID_CURSOR'
+        });
+      }
+
+      if (error.message.includes('Invalid orderBy field') || error.message.includes('Order must be') ||
+          error.message.includes('Limit must be') || error.message.includes('Validation failed')) {
         return res.status(400).json({
           error: 'Invalid query parameters',
           message: error.message,
@@ -267,6 +561,14 @@ router.get('/my/cards',
         });
       }
 
+      if (error.message === 'Deck not found') {
+        return res.status(404).json({
+          error: 'Deck not found',
+          message: 'The requested deck does not exist or you do not have access to it',
+          code: 'DECK_NOT_FOUND'
+        });
+      }
+
       res.status(500).json({
         error: 'Failed to get flashcards',
         message: 'An error occurred while fetching your flashcards',
@@ -286,7 +588,7 @@ router.post('/:flashcardId/review',
   async (req, res) => {
     try {
       const flashcardId = parseInt(req.params.flashcardId);
-      const { performanceRating } = req.body;
+      const { performanceRating, direction, item } = req.body;
 
       // Validate performance rating
       const validation = FlashcardService.validatePerformanceRating(performanceRating);
@@ -299,11 +601,30 @@ router.post('/:flashcardId/review',
         });
       }
 
+      // Validate study direction (optional, defaults to en_es)
+      if (direction !== undefined && !['en_es', 'es_en'].includes(direction)) {
+        return res.status(400).json({
+          error: 'Invalid direction',
+          message: 'Direction must be en_es or es_en',
+          code: 'INVALID_DIRECTION'
+        });
+      }
+
+      // Validate study item (optional, defaults to direction; c1, c2... for cloze cards)
+      if (item !== undefined && typeof item !== 'string') {
+        return res.status(400).json({
+          error: 'Invalid study item',
+          message: 'Study item must be a string such as en_es, es_en or c1',
+          code: 'INVALID_ITEM'
+        });
+      }
+
       const reviewedFlashcard = await FlashcardService.reviewFlashcard(
         flashcardId, 
         performanceRating, 
         req.user.id, 
-        req.user.role
+        req.user.role,
+        { direction, item }
       );
       
       if (!reviewedFlashcard) {
@@ -330,6 +651,14 @@ router.post('/:flashcardId/review',
         });
       }
 
+      if (error.message.startsWith('Study item must be one of')) {
+        return res.status(400).json({
+          error: 'Invalid study item',
+          message: error.message,
+          code: 'INVALID_ITEM'
+        });
+      }
+
       res.status(500).json({
         error: 'Failed to review flashcard',
         message: 'An error occurred while reviewing the flashcard',
@@ -339,6 +668,547 @@ router.post('/:flashcardId/review',
   }
 );
 
+/**
+ * PUT /api/flashcards/:flashcardId/image
+ * Upload (or replace) the flashcard's image
+ * Multipart body: image (JPEG, PNG, WebP or GIF, max 5 MB), side (front or back, optional)
+ */
+router.put('/:flashcardId/image',
+  requireAuth,
+  validateFlashcardOwnership,
+  uploadImage,
+  async (req, res) => {
+    try {
+      const flashcardId = parseInt(req.params.flashcardId);
+
+      const flashcard = await FlashcardService.setFlashcardImage(
+        flashcardId,
+        req.file,
+        req.body.side,
+        req.user.id,
+        req.user.role
+      );
+
+      if (!flashcard) {
+        return res.status(404).json({
+          error: 'Flashcard not found',
+          message: 'The requested flashcard does not exist',
+          code: 'FLASHCARD_NOT_FOUND'
+        });
+      }
+
+      res.json({
+        message: 'Image uploaded successfully',
+        flashcard
+      });
+
+    } catch (error) {
+      console.error('Upload flashcard image error:', error);
+
+      if (error.message.includes('Validation failed')) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          message: error.message,
+          code: 'INVALID_IMAGE'
+        });
+      }
+
+      res.status(500).json({
+        error: 'Failed to upload image',
+        message: 'An error occurred while uploading the image',
+        code: 'IMAGE_UPLOAD_ERROR'
+      });
+    }
+  }
+);
+
+/**
+ * DELETE /api/flashcards/:flashcardId/image
+ * Remove the flashcard's image
+ */
+router.delete('/:flashcardId/image',
+  requireAuth,
+  validateFlashcardOwnership,
+  async (req, res) => {
+    try {
+      const flashcardId = parseInt(req.params.flashcardId);
+
+      const flashcard = await FlashcardService.removeFlashcardImage(flashcardId, req.user.id, req.user.role);
+
+      if (!flashcard) {
+        return res.status(404).json({
+          error: 'Flashcard not found',
+          message: 'The requested flashcard does not exist',
+          code: 'FLASHCARD_NOT_FOUND'
+        });
+      }
+
+      res.json({
+        message: 'Image removed successfully',
+        flashcard
+      });
+
+    } catch (error) {
+      console.error('Remove flashcard image error:', error);
+
+      res.status(500).json({
+        error: 'Failed to remove image',
+        message: 'An error occurred while removing the image',
+        code: 'IMAGE_DELETE_ERROR'
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/flashcards/:flashcardId/regenerate-audio
+ * Generate the flashcard's pronunciation audio again with Gemini
+ */
+router.post('/:flashcardId/regenerate-audio',
+  requireAuth,
+  validateFlashcardOwnership,
+  async (req, res) => {
+    try {
+      const flashcardId = parseInt(req.params.flashcardId);
+
+      const flashcard = await FlashcardService.regenerateFlashcardAudio(flashcardId, req.user.id, req.user.role);
+
+      if (!flashcard) {
+        return res.status(404).json({
+          error: 'Flashcard not found',
+          message: 'The requested flashcard does not exist',
+          code: 'FLASHCARD_NOT_FOUND'
+        });
+      }
+
+      res.json({
+        message: 'Audio regenerated successfully',
+        flashcard
+      });
+
+    } catch (error) {
+      console.error('Regenerate flashcard audio error:', error);
+
+      if (error.message === 'Generation is not configured') {
+        return res.status(503).json({
+          error: 'Audio generation unavailable',
+          message: 'Audio generation is not configured on this server',
+          code: 'GENERATION_UNAVAILABLE'
+        });
+      }
+
+      if (error.message.startsWith('Audio generation failed')) {
+        return res.status(502).json({
+          error: 'Audio generation failed',
+          message: error.message,
+          code: 'AUDIO_GENERATION_FAILED'
+        });
+      }
+
+      res.status(500).json({
+        error: 'Failed to regenerate audio',
+        message: 'An error occurred while regenerating the audio',
+        code: 'AUDIO_REGENERATE_ERROR'
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/flashcards/:flashcardId/regenerate-tips
+ * Generate the flashcard's study tips again with Gemini
+ */
+router.post('/:flashcardId/regenerate-tips',
+  requireAuth,
+  validateFlashcardOwnership,
+  async (req, res) => {
+    try {
+      const flashcardId = parseInt(req.params.flashcardId);
+
+      const flashcard = await FlashcardService.regenerateFlashcardTips(flashcardId, req.user.id, req.user.role);
+
+      if (!flashcard) {
+        return res.status(404).json({
+          error: 'Flashcard not found',
+          message: 'The requested flashcard does not exist',
+          code: 'FLASHCARD_NOT_FOUND'
+        });
+      }
+
+      res.json({
+        message: 'Tips regenerated successfully',
+        flashcard
+      });
+
+    } catch (error) {
+      console.error('Regenerate flashcard tips error:', error);
+
+      if (error.message === 'Generation is not configured') {
+        return res.status(503).json({
+          error: 'Tips generation unavailable',
+          message: 'Tips generation is not configured on this server',
+          code: 'GENERATION_UNAVAILABLE'
+        });
+      }
+
+      if (error.message.startsWith('Tips generation failed')) {
+        return res.status(502).json({
+          error: 'Tips generation failed',
+          message: error.message,
+          code: 'TIPS_GENERATION_FAILED'
+        });
+      }
+
+      res.status(500).json({
+        error: 'Failed to regenerate tips',
+        message: 'An error occurred while regenerating the tips',
+        code: 'TIPS_REGENERATE_ERROR'
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/flashcards/my/duplicates
+ * List groups of the current user's flashcards with the same text
+ * (ignoring case, accents, punctuation and leading articles)
+ */
+router.get('/my/duplicates',
+  requireAuth,
+  async (req, res) => {
+    try {
+      const groups = await FlashcardService.getDuplicateGroups(req.user.id);
+
+      res.json({
+        groups,
+        count: groups.length
+      });
+
+    } catch (error) {
+      console.error('Get duplicate flashcards error:', error);
+
+      res.status(500).json({
+        error: 'Failed to get duplicates',
+        message: 'An error occurred while looking for duplicate flashcards',
+        code: 'DUPLICATES_FETCH_ERROR'
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/flashcards/:flashcardId/merge
+ * Merge duplicate flashcards into this one and delete them
+ * Body: duplicateIds (flashcard IDs)
+ */
+router.post('/:flashcardId/merge',
+  requireAuth,
+  validateFlashcardOwnership,
+  async (req, res) => {
+    try {
+      const flashcardId = parseInt(req.params.flashcardId);
+      const { duplicateIds } = req.body;
+
+      const flashcard = await FlashcardService.mergeFlashcards(flashcardId, duplicateIds, req.user.id, req.user.role);
+
+      if (!flashcard) {
+        return res.status(404).json({
+          error: 'Flashcard not found',
+          message: 'The requested flashcard does not exist',
+          code: 'FLASHCARD_NOT_FOUND'
+        });
+      }
+
+      res.json({
+        message: 'Flashcards merged successfully',
+        flashcard,
+        mergedIds: [...new Set(duplicateIds)]
+      });
+
+    } catch (error) {
+      console.error('Merge flashcards error:', error);
+
+      if (error.message.includes('Validation failed')) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          message: error.message,
+          code: 'VALIDATION_FAILED'
+        });
+      }
+
+      if (error.message === 'Flashcard not found') {
+        return res.status(404).json({
+          error: 'Flashcard not found',
+          message: 'One or more flashcards to merge do not exist',
+          code: 'FLASHCARD_NOT_FOUND'
+        });
+      }
+
+      res.status(500).json({
+        error: 'Failed to merge flashcards',
+        message: 'An error occurred while merging the flashcards',
+        code: 'FLASHCARD_MERGE_ERROR'
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/flashcards/:flashcardId/revisions
+ * Get the flashcard's edit history (changed fields with old and new values, editor and time)
+ * Query: page, limit
+ */
+router.get('/:flashcardId/revisions',
+  requireAuth,
+  validateFlashcardOwnership,
+  async (req, res) => {
+    try {
+      const flashcardId = parseInt(req.params.flashcardId);
+      const { page = 1, limit = 20 } = req.query;
+
+      const options = {
+        page: parseInt(page),
+        limit: Math.min(parseInt(limit), 100) // Cap at 100 per page
+      };
+
+      const history = await FlashcardService.getRevisions(flashcardId, req.user.id, req.user.role, options);
+
+      if (!history) {
+        return res.status(404).json({
+          error: 'Flashcard not found',
+          message: 'The requested flashcard does not exist',
+          code: 'FLASHCARD_NOT_FOUND'
+        });
+      }
+
+      res.json(history);
+
+    } catch (error) {
+      console.error('Get flashcard revisions error:', error);
+
+      if (error.message.includes('Page must be') || error.message.includes('Limit must be')) {
+        return res.status(400).json({
+          error: 'Invalid pagination parameters',
+          message: error.message,
+          code: 'INVALID_PAGINATION'
+        });
+      }
+
+      res.status(500).json({
+        error: 'Failed to get revisions',
+        message: 'An error occurred while fetching the flashcard history',
+        code: 'REVISIONS_FETCH_ERROR'
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/flashcards/:flashcardId/revisions/:revisionId/revert
+ * Revert the flashcard to how it was before the revision (later edits are undone too)
+ * Text changes regenerate audio and tips in the background (`jobs`, as for PUT)
+ */
+router.post('/:flashcardId/revisions/:revisionId/revert',
+  requireAuth,
+  validateFlashcardOwnership,
+  async (req, res) => {
+    try {
+      const flashcardId = parseInt(req.params.flashcardId);
+      const revisionId = parseInt(req.params.revisionId);
+
+      if (!(revisionId > 0)) {
+        return res.status(400).json({
+          error: 'Invalid revision ID',
+          message: 'Revision ID must be a positive integer',
+          code: 'INVALID_REVISION_ID'
+        });
+      }
+
+      const flashcard = await FlashcardService.revertToRevision(flashcardId, revisionId, req.user.id, req.user.role);
+
+      if (!flashcard) {
+        return res.status(404).json({
+          error: 'Flashcard not found',
+          message: 'The requested flashcard does not exist',
+          code: 'FLASHCARD_NOT_FOUND'
+        });
+      }
+
+      res.json({
+        message: 'Flashcard reverted successfully',
+        flashcard,
+        jobs: await FlashcardService.getGenerationJobs(flashcard.id)
+      });
+
+    } catch (error) {
+      console.error('Revert flashcard error:', error);
+
+      if (error.message === 'Revision not found') {
+        return res.status(404).json({
+          error: 'Revision not found',
+          message: 'The requested revision does not exist for this flashcard',
+          code: 'REVISION_NOT_FOUND'
+        });
+      }
+
+      if (error.message.includes('Validation failed')) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          message: error.message,
+          code: 'VALIDATION_FAILED'
+        });
+      }
+
+      res.status(500).json({
+        error: 'Failed to revert flashcard',
+        message: 'An error occurred while reverting the flashcard',
+        code: 'FLASHCARD_REVERT_ERROR'
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/flashcards/:flashcardId/suspend
+ * Suspend the flashcard (left out of study sessions and due counts until resumed)
+ */
+router.post('/:flashcardId/suspend',
+  requireAuth,
+  validateFlashcardOwnership,
+  async (req, res) => {
+    try {
+      const flashcardId = parseInt(req.params.flashcardId);
+
+      const flashcard = await FlashcardService.suspendFlashcard(flashcardId, req.user.id, req.user.role);
+
+      if (!flashcard) {
+        return res.status(404).json({
+          error: 'Flashcard not found',
+          message: 'The requested flashcard does not exist',
+          code: 'FLASHCARD_NOT_FOUND'
+        });
+      }
+
+      res.json({
+        message: 'Flashcard suspended successfully',
+        flashcard
+      });
+
+    } catch (error) {
+      console.error('Suspend flashcard error:', error);
+
+      res.status(500).json({
+        error: 'Failed to suspend flashcard',
+        message: 'An error occurred while suspending the flashcard',
+        code: 'FLASHCARD_SUSPEND_ERROR'
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/flashcards/:flashcardId/unsuspend
+ * Resume a suspended flashcard (also clears its leech flag)
+ */
+router.post('/:flashcardId/unsuspend',
+  requireAuth,
+  validateFlashcardOwnership,
+  async (req, res) => {
+    try {
+      const flashcardId = parseInt(req.params.flashcardId);
+
+      const flashcard = await FlashcardService.unsuspendFlashcard(flashcardId, req.user.id, req.user.role);
+
+      if (!flashcard) {
+        return res.status(404).json({
+          error: 'Flashcard not found',
+          message: 'The requested flashcard does not exist',
+          code: 'FLASHCARD_NOT_FOUND'
+        });
+      }
+
+      res.json({
+        message: 'Flashcard resumed successfully',
+        flashcard
+      });
+
+    } catch (error) {
+      console.error('Unsuspend flashcard error:', error);
+
+      res.status(500).json({
+        error: 'Failed to resume flashcard',
+        message: 'An error occurred while resuming the flashcard',
+        code: 'FLASHCARD_UNSUSPEND_ERROR'
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/flashcards/:flashcardId/bury
+ * Bury the flashcard until the start of the user's next day
+ */
+router.post('/:flashcardId/bury',
+  requireAuth,
+  validateFlashcardOwnership,
+  async (req, res) => {
+    try {
+      const flashcardId = parseInt(req.params.flashcardId);
+
+      const flashcard = await FlashcardService.buryFlashcard(flashcardId, req.user.id, req.user.role);
+
+      if (!flashcard) {
+        return res.status(404).json({
+          error: 'Flashcard not found',
+          message: 'The requested flashcard does not exist',
+          code: 'FLASHCARD_NOT_FOUND'
+        });
+      }
+
+      res.json({
+        message: 'Flashcard buried successfully',
+        flashcard
+      });
+
+    } catch (error) {
+      console.error('Bury flashcard error:', error);
+
+      res.status(500).json({
+        error: 'Failed to bury flashcard',
+        message: 'An error occurred while burying the flashcard',
+        code: 'FLASHCARD_BURY_ERROR'
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/flashcards/my/leeches
+ * List the current user's leeches (cards suspended after lapsing too often)
+ */
+router.get('/my/leeches',
+  requireAuth,
+  async (req, res) => {
+    try {
+      const flashcards = await FlashcardService.getLeeches(req.user.id);
+
+      res.json({
+        flashcards,
+        count: flashcards.length
+      });
+
+    } catch (error) {
+      console.error('Get leeches error:', error);
+
+      res.status(500).json({
+        error: 'Failed to get leeches',
+        message: 'An error occurred while fetching your leeches',
+        code: 'LEECHES_FETCH_ERROR'
+      });
+    }
+  }
+);
+
 /**
  * GET /api/flashcards/count/:userId
  * Get flashcard count for a user
@@ -398,6 +1268,7 @@ router.get('/my/count',
 /**
  * POST /api/flashcards/import
  * Bulk import flashcards
+ * Audio and tips of the imported cards are generated in the background (`jobs`, as for POST)
  */
 router.post('/import',
   requireAuth,
@@ -426,6 +1297,7 @@ router.post('/import',
           successful: importResult.successful.length,
           failed: importResult.failed.length,
           successfulFlashcards: importResult.successful.map(item => item.flashcard),
+          jobs: importResult.successful.flatMap(item => item.jobs),
           errors: importResult.failed
         }
       });
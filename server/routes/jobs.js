@@ -0,0 +1,52 @@
+import express from 'express';
+import JobQueue from '../services/JobQueue.js';
+import { requireAuth } from '../middleware/auth.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/jobs/:jobId
+ * Get the status of a background job (audio or tips generation)
+ * Users see the jobs working on their own cards; admins see every job.
+ * Status: pending (queued or waiting for a retry), running, completed (see result) or dead (see lastError)
+ */
+router.get('/:jobId',
+  requireAuth,
+  async (req, res) => {
+    try {
+      const jobId = parseInt(req.params.jobId);
+
+      if (!(jobId > 0)) {
+        return res.status(400).json({
+          error: 'Invalid job ID',
+          message: 'Job ID must be a valid number',
+          code: 'INVALID_JOB_ID'
+        });
+      }
+
+      const job = await JobQueue.getJobStatus(jobId, req.user.id, req.user.role);
+
+      if (!job) {
+        return res.status(404).json({
+          error: 'Job not found',
+          message: 'The requested job does not exist',
+          code: 'JOB_NOT_FOUND'
+        });
+      }
+
+      res.set('Cache-Control', 'no-store');
+      res.json({ job });
+
+    } catch (error) {
+      console.error('Get job error:', error);
+
+      res.status(500).json({
+        error: 'Failed to get job',
+        message: 'An error occurred while retrieving the job',
+        code: 'JOB_FETCH_ERROR'
+      });
+    }
+  }
+);
+
+export default router;
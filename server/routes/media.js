@@ -0,0 +1,57 @@
+import express from 'express';
+import { pipeline } from 'stream';
+import { getStorage } from '../services/storage/index.js';
+
+const router = express.Router();
+
+/**
+ * GET /media/:key
+ * Stream a stored image or audio file from media storage
+ * Keys are never reused (new files get new keys), so responses can be cached.
+ */
+router.get('/*', async (req, res) => {
+  const key = req.params[0];
+
+  try {
+    const object = await getStorage().get(key);
+
+    if (!object) {
+      return res.status(404).json({
+        error: 'Media not found',
+        message: 'The requested file does not exist',
+        code: 'MEDIA_NOT_FOUND'
+      });
+    }
+
+    res.set('Content-Type', object.contentType);
+    res.set('Cache-Control', 'public, max-age=31536000, immutable');
+    if (object.size !== undefined) {
+      res.set('Content-Length', String(object.size));
+    }
+
+    pipeline(object.stream, res, (error) => {
+      if (error) {
+        console.error(`Stream media ${key} error:`, error);
+      }
+    });
+
+  } catch (error) {
+    if (error.message === 'Invalid storage key') {
+      return res.status(404).json({
+        error: 'Media not found',
+        message: 'The requested file does not exist',
+        code: 'MEDIA_NOT_FOUND'
+      });
+    }
+
+    console.error('Get media error:', error);
+
+    res.status(500).json({
+      error: 'Failed to get media',
+      message: 'An error occurred while reading the file',
+      code: 'MEDIA_READ_ERROR'
+    });
+  }
+});
+
+export default router;
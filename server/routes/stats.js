@@ -1,6 +1,7 @@
 import express from 'express';
 import UserService from '../services/UserService.js';
 import FlashcardService from '../services/FlashcardService.js';
+import DeckService from '../services/DeckService.js';
 import { requireAuth } from '../middleware/auth.js';
 import { requireAdmin, requireAdminOrSelf } from '../middleware/admin.js';
 
@@ -213,9 +214,10 @@ router.get('/my-dashboard',
   async (req, res) => {
     try {
       // Get comprehensive stats for dashboard
-      const [flashcardStats, flashcardCount] = await Promise.all([
+      const [flashcardStats, flashcardCount, deckStats] = await Promise.all([
         FlashcardService.getUserStats(req.user.id),
-        FlashcardService.getFlashcardCount(req.user.id)
+        FlashcardService.getFlashcardCount(req.user.id),
+        DeckService.getDeckStats(req.user.id)
       ]);
 
       // Calculate dashboard metrics
@@ -238,6 +240,7 @@ router.get('/my-dashboard',
           studyLoad: flashcardStats.unreviewedCards
         },
         difficultyDistribution: flashcardStats.difficultyDistribution || {},
+        decks: deckStats,
         studyRecommendations: flashcardStats.studyRecommendations || []
       };
 
@@ -300,23 +303,13 @@ router.get('/performance/:userId',
         });
       }
 
-      // Get user statistics
-      const userStats = await FlashcardService.getUserStats(userId);
-
-      // This would be expanded with actual performance data from the database
-      // For now, we'll return computed metrics
-      const performanceData = {
-        period: `${period} days`,
-        metric,
-        data: {
-          totalReviews: userStats.totalReviews,
-          averageDifficulty: userStats.averageDifficulty,
-          difficultyDistribution: userStats.difficultyDistribution,
-          studyStreak: calculateStudyStreak(userStats.lastStudySession),
-          improvementTrend: 'stable' // This would be calculated from historical data
-        },
-        insights: generatePerformanceInsights(userStats, period, metric)
-      };
+      // Get user statistics and review log time series
+      const [userStats, analytics] = await Promise.all([
+        FlashcardService.getUserStats(userId),
+        FlashcardService.getPerformanceAnalytics(userId, { period: parseInt(period), metric })
+      ]);
+
+      const performanceData = buildPerformanceData(userStats, analytics, period, metric);
 
       res.json({
         userId,
@@ -374,21 +367,13 @@ router.get('/my-performance',
         });
       }
 
-      // Get user statistics
-      const userStats = await FlashcardService.getUserStats(req.user.id);
-
-      const performanceData = {
-        period: `${period} days`,
-        metric,
-        data: {
-          totalReviews: userStats.totalReviews,
-          averageDifficulty: userStats.averageDifficulty,
-          difficultyDistribution: userStats.difficultyDistribution,
-          studyStreak: calculateStudyStreak(userStats.lastStudySession),
-          improvementTrend: 'stable'
-        },
-        insights: generatePerformanceInsights(userStats, period, metric)
-      };
+      // Get user statistics and review log time series
+      const [userStats, analytics] = await Promise.all([
+        FlashcardService.getUserStats(req.user.id),
+        FlashcardService.getPerformanceAnalytics(req.user.id, { period: parseInt(period), metric })
+      ]);
+
+      const performanceData = buildPerformanceData(userStats, analytics, period, metric);
 
       res.json({
         performance: performanceData,
@@ -490,21 +475,49 @@ router.get('/export/:userId',
   }
 );
 
-// Helper function to calculate study streak
-function calculateStudyStreak(lastStudySession) {
-  if (!lastStudySession) return 0;
-  
-  const lastStudy = new Date(lastStudySession);
-  const now = new Date();
-  const daysDiff = Math.floor((now - lastStudy) / (1000 * 60 * 60 * 24));
-  
-  // Simple streak calculation - would be more sophisticated in real implementation
-  return daysDiff <= 1 ? 1 : 0;
+// Helper function to shape the performance response
+function buildPerformanceData(userStats, analytics, period, metric) {
+  return {
+    period: `${period} days`,
+    metric,
+    timezone: analytics.timezone,
+    data: {
+      totalReviews: userStats.totalReviews,
+      averageDifficulty: userStats.averageDifficulty,
+      difficultyDistribution: userStats.difficultyDistribution,
+      studyStreak: analytics.studyStreak,
+      longestStreak: analytics.longestStreak,
+      improvementTrend: analytics.improvementTrend,
+      trendSlope: analytics.trendSlope,
+      periodSummary: analytics.summary,
+      series: analytics.series
+    },
+    insights: generatePerformanceInsights(userStats, period, metric, analytics)
+  };
 }
 
 // Helper function to generate performance insights
-function generatePerformanceInsights(userStats, period, metric) {
+function generatePerformanceInsights(userStats, period, metric, analytics) {
   const insights = [];
+
+  if (analytics.improvementTrend === 'improving') {
+    insights.push({
+      type: 'positive',
+      message: `Your ${metric} trend is improving over the last ${period} days`
+    });
+  } else if (analytics.improvementTrend === 'declining') {
+    insights.push({
+      type: 'suggestion',
+      message: `Your ${metric} trend is declining over the last ${period} days`
+    });
+  }
+
+  if (analytics.studyStreak >= 7) {
+    insights.push({
+      type: 'achievement',
+      message: `${analytics.studyStreak}-day study streak - keep it going!`
+    });
+  }
   
   if (userStats.averageDifficulty < 2) {
     insights.push({
@@ -1,5 +1,6 @@
 import express from 'express';
 import FlashcardService from '../services/FlashcardService.js';
+import StudySessionService from '../services/StudySessionService.js';
 import { requireAuth } from '../middleware/auth.js';
 import { requireAdminOrSelf } from '../middleware/admin.js';
 
@@ -49,19 +50,36 @@ router.get('/session/:userId',
 /**
  * GET /api/study/my-session
  * Get study session for current user
+ * Query: limit, deckId (includes subdecks), tags (comma-separated names), tagMatch (all or any)
  */
 router.get('/my-session',
   requireAuth,
   async (req, res) => {
     try {
-      const { limit = 10 } = req.query;
+      const { limit = 10, deckId, tags, tagMatch } = req.query;
+
+      if (deckId !== undefined && !(parseInt(deckId) > 0)) {
+        return res.status(400).json({
+          error: 'Invalid deck ID',
+          message: 'Deck ID must be a positive integer',
+          code: 'INVALID_DECK_ID'
+        });
+      }
 
       const studyLimit = Math.min(parseInt(limit), 50); // Cap at 50 cards
 
-      const studySession = await FlashcardService.getStudySession(req.user.id, studyLimit);
+      const [studySession, activeSession] = await Promise.all([
+        FlashcardService.getStudySession(req.user.id, studyLimit, {
+          deckId: deckId && parseInt(deckId),
+          tags,
+          tagMatch
+        }),
+        StudySessionService.getActiveSession(req.user.id)
+      ]);
       
       res.json({
-        session: studySession
+        session: studySession,
+        activeSession
       });
 
     } catch (error) {
@@ -75,6 +93,22 @@ router.get('/my-session',
         });
       }
 
+      if (error.message.includes('Validation failed')) {
+        return res.status(400).json({
+          error: 'Invalid query parameters',
+          message: error.message,
+          code: 'INVALID_QUERY_PARAMS'
+        });
+      }
+
+      if (error.message === 'Deck not found') {
+        return res.status(404).json({
+          error: 'Deck not found',
+          message: 'The requested deck does not exist or you do not have access to it',
+          code: 'DECK_NOT_FOUND'
+        });
+      }
+
       res.status(500).json({
         error: 'Failed to get study session',
         message: 'An error occurred while preparing your study session',
@@ -93,7 +127,7 @@ router.post('/review/:flashcardId',
   async (req, res) => {
     try {
       const flashcardId = parseInt(req.params.flashcardId);
-      const { performanceRating, timeSpent } = req.body;
+      const { performanceRating, timeSpent, direction, item } = req.body;
 
       // Validate performance rating
       const validation = FlashcardService.validatePerformanceRating(performanceRating);
@@ -115,11 +149,33 @@ router.post('/review/:flashcardId',
         });
       }
 
+      // Validate study direction (optional, defaults to en_es)
+      if (direction !== undefined && !['en_es', 'es_en'].includes(direction)) {
+        return res.status(400).json({
+          error: 'Invalid direction',
+          message: 'Direction must be en_es or es_en',
+          code: 'INVALID_DIRECTION'
+        });
+      }
+
+      // Validate study item (optional, defaults to direction; c1, c2... for cloze cards)
+      if (item !== undefined && typeof item !== 'string') {
+        return res.status(400).json({
+          error: 'Invalid study item',
+          message: 'Study item must be a string such as en_es, es_en or c1',
+          code: 'INVALID_ITEM'
+        });
+      }
+
+      // Reviews attach to the reviewer's open study session, if any
+      const sessionId = await StudySessionService.getSessionIdForReview(req.user.id);
+
       const reviewedFlashcard = await FlashcardService.reviewFlashcard(
         flashcardId, 
         performanceRating, 
         req.user.id, 
-        req.user.role
+        req.user.role,
+        { timeSpent, sessionId, direction, item }
       );
       
       if (!reviewedFlashcard) {
@@ -136,7 +192,11 @@ router.post('/review/:flashcardId',
         studyMetadata: {
           timeSpent,
           performanceRating,
-          nextReviewDate: reviewedFlashcard.nextReviewDate
+          direction: reviewedFlashcard.direction,
+          item: reviewedFlashcard.item,
+          nextReviewDate: reviewedFlashcard.nextReviewDate,
+          sessionId: reviewedFlashcard.studyMetadata.sessionId,
+          leech: reviewedFlashcard.studyMetadata.leech
         }
       });
 
@@ -159,6 +219,14 @@ router.post('/review/:flashcardId',
         });
       }
 
+      if (error.message.startsWith('Study item must be one of')) {
+        return res.status(400).json({
+          error: 'Invalid study item',
+          message: error.message,
+          code: 'INVALID_ITEM'
+        });
+      }
+
       res.status(500).json({
         error: 'Failed to review flashcard',
         message: 'An error occurred while reviewing the flashcard',
@@ -168,9 +236,127 @@ router.post('/review/:flashcardId',
   }
 );
 
+/**
+ * POST /api/study/review/:flashcardId/check
+ * Grade a typed answer with accent/case normalization and typo tolerance
+ * Returns a suggested rating to submit with POST /api/study/review/:flashcardId
+ */
+router.post('/review/:flashcardId/check',
+  requireAuth,
+  async (req, res) => {
+    try {
+      const flashcardId = parseInt(req.params.flashcardId);
+      const { answer, answerField = 'english' } = req.body;
+
+      if (typeof answer !== 'string' || answer.length > 500) {
+        return res.status(400).json({
+          error: 'Invalid answer',
+          message: 'Answer must be a string of at most 500 characters',
+          code: 'INVALID_ANSWER'
+        });
+      }
+
+      if (!['english', 'spanish'].includes(answerField)) {
+        return res.status(400).json({
+          error: 'Invalid answer field',
+          message: 'Answer field must be english or spanish',
+          code: 'INVALID_ANSWER_FIELD'
+        });
+      }
+
+      const result = await FlashcardService.checkAnswer(
+        flashcardId,
+        answer,
+        req.user.id,
+        req.user.role,
+        answerField
+      );
+
+      res.json({ result });
+
+    } catch (error) {
+      console.error('Check typed answer error:', error);
+
+      if (error.message === 'Flashcard not found' || error.message === 'Valid flashcard ID is required') {
+        return res.status(404).json({
+          error: 'Flashcard not found',
+          message: 'The requested flashcard does not exist or you do not have access to it',
+          code: 'FLASHCARD_NOT_FOUND'
+        });
+      }
+
+      res.status(500).json({
+        error: 'Failed to check answer',
+        message: 'An error occurred while checking the answer',
+        code: 'ANSWER_CHECK_ERROR'
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/study/review/:flashcardId/undo
+ * Undo the most recent review of a flashcard, restoring its previous scheduling state
+ */
+router.post('/review/:flashcardId/undo',
+  requireAuth,
+  async (req, res) => {
+    try {
+      const flashcardId = parseInt(req.params.flashcardId);
+      if (!flashcardId) {
+        return res.status(400).json({
+          error: 'Invalid flashcard ID',
+          message: 'Flashcard ID must be a positive integer',
+          code: 'INVALID_FLASHCARD_ID'
+        });
+      }
+
+      const { flashcard, undoneReview } = await FlashcardService.undoLastReview(
+        flashcardId,
+        req.user.id,
+        req.user.role
+      );
+
+      res.json({
+        message: 'Review undone successfully',
+        flashcard,
+        undoneReview
+      });
+
+    } catch (error) {
+      console.error('Undo review error:', error);
+
+      if (error.message === 'Flashcard not found') {
+        return res.status(404).json({
+          error: 'Flashcard not found',
+          message: 'The requested flashcard does not exist or you do not have access to it',
+          code: 'FLASHCARD_NOT_FOUND'
+        });
+      }
+
+      if (error.message === 'No review to undo') {
+        return res.status(409).json({
+          error: 'Nothing to undo',
+          message: 'This flashcard has no review to undo',
+          code: 'NO_REVIEW_TO_UNDO'
+        });
+      }
+
+      res.status(500).json({
+        error: 'Failed to undo review',
+        message: 'An error occurred while undoing the review',
+        code: 'REVIEW_UNDO_ERROR'
+      });
+    }
+  }
+);
+
 /**
  * POST /api/study/session/complete
  * Complete a study session and get results
+ * If the user has an open persisted session, it is completed and its summary is
+ * computed from the server's review log; otherwise the summary is computed from
+ * the reviewed cards sent by the client
  */
 router.post('/session/complete',
   requireAuth,
@@ -200,30 +386,40 @@ router.post('/session/complete',
         });
       }
 
-      // Calculate session statistics
-      const sessionStats = {
-        totalReviewed: reviewedCards.length,
-        sessionDuration,
-        sessionStartTime,
-        sessionEndTime,
-        performanceBreakdown: {}
-      };
-
-      // Count performance ratings
-      reviewedCards.forEach(card => {
-        const rating = card.performanceRating;
-        if (rating !== undefined) {
-          sessionStats.performanceBreakdown[rating] = (sessionStats.performanceBreakdown[rating] || 0) + 1;
-        }
-      });
+      const activeSession = await StudySessionService.getActiveSession(req.user.id);
+
+      let session = null;
+      let sessionStats;
+
+      if (activeSession) {
+        session = await StudySessionService.completeSession(activeSession.id, req.user.id);
+        sessionStats = session.summary;
+      } else {
+        // Calculate session statistics
+        sessionStats = {
+          totalReviewed: reviewedCards.length,
+          sessionDuration,
+          sessionStartTime,
+          sessionEndTime,
+          performanceBreakdown: {}
+        };
+
+        // Count performance ratings
+        reviewedCards.forEach(card => {
+          const rating = card.performanceRating;
+          if (rating !== undefined) {
+            sessionStats.performanceBreakdown[rating] = (sessionStats.performanceBreakdown[rating] || 0) + 1;
+          }
+        });
 
-      // Calculate performance metrics
-      if (reviewedCards.length > 0) {
-        const totalRating = reviewedCards.reduce((sum, card) => sum + (card.performanceRating || 0), 0);
-        sessionStats.averagePerformance = totalRating / reviewedCards.length;
-        
-        const correctAnswers = reviewedCards.filter(card => (card.performanceRating || 0) >= 2).length;
-        sessionStats.accuracyRate = correctAnswers / reviewedCards.length;
+        // Calculate performance metrics
+        if (reviewedCards.length > 0) {
+          const totalRating = reviewedCards.reduce((sum, card) => sum + (card.performanceRating || 0), 0);
+          sessionStats.averagePerformance = totalRating / reviewedCards.length;
+          
+          const correctAnswers = reviewedCards.filter(card => (card.performanceRating || 0) >= 2).length;
+          sessionStats.accuracyRate = correctAnswers / reviewedCards.length;
+        }
       }
 
       // Get updated user statistics
@@ -231,6 +427,7 @@ router.post('/session/complete',
 
       res.json({
         message: 'Study session completed successfully',
+        ...(session && { session }),
         sessionSummary: sessionStats,
         updatedUserStats: userStats
       });
@@ -247,6 +444,234 @@ router.post('/session/complete',
   }
 );
 
+/**
+ * POST /api/study/sessions
+ * Start a new study session for current user
+ * Any session still open is marked abandoned
+ */
+router.post('/sessions',
+  requireAuth,
+  async (req, res) => {
+    try {
+      const { limit = 10 } = req.body;
+
+      if (!Number.isInteger(limit) || limit < 1) {
+        return res.status(400).json({
+          error: 'Invalid limit',
+          message: 'Limit must be a positive integer',
+          code: 'INVALID_STUDY_LIMIT'
+        });
+      }
+
+      const { session, studySession } = await StudySessionService.startSession(req.user.id, limit);
+
+      res.status(201).json({
+        message: 'Study session started successfully',
+        session,
+        cards: studySession.cards,
+        sessionMetadata: studySession.sessionMetadata
+      });
+
+    } catch (error) {
+      console.error('Start study session error:', error);
+
+      if (error.message.includes('Study session limit cannot exceed')) {
+        return res.status(400).json({
+          error: 'Invalid limit',
+          message: error.message,
+          code: 'INVALID_STUDY_LIMIT'
+        });
+      }
+
+      res.status(500).json({
+        error: 'Failed to start study session',
+        message: 'An error occurred while starting the study session',
+        code: 'SESSION_START_ERROR'
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/study/sessions
+ * Get current user's session history
+ * Query: status (active, completed, abandoned), page, limit
+ */
+router.get('/sessions',
+  requireAuth,
+  async (req, res) => {
+    try {
+      const { status, page = 1, limit = 20 } = req.query;
+
+      const history = await StudySessionService.getSessionHistory(req.user.id, {
+        status,
+        page: Math.max(parseInt(page) || 1, 1),
+        limit: Math.min(Math.max(parseInt(limit) || 20, 1), 100)
+      });
+
+      res.json(history);
+
+    } catch (error) {
+      console.error('Get study sessions error:', error);
+
+      if (error.message === 'Invalid session status') {
+        return res.status(400).json({
+          error: 'Invalid status',
+          message: 'Status must be one of: active, completed, abandoned',
+          code: 'INVALID_SESSION_STATUS'
+        });
+      }
+
+      res.status(500).json({
+        error: 'Failed to get study sessions',
+        message: 'An error occurred while fetching your study sessions',
+        code: 'SESSION_HISTORY_ERROR'
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/study/sessions/active
+ * Get current user's open study session with progress so far
+ */
+router.get('/sessions/active',
+  requireAuth,
+  async (req, res) => {
+    try {
+      const session = await StudySessionService.getActiveSession(req.user.id);
+
+      if (!session) {
+        return res.status(404).json({
+          error: 'No active session',
+          message: 'There is no open study session',
+          code: 'NO_ACTIVE_SESSION'
+        });
+      }
+
+      res.json({ session });
+
+    } catch (error) {
+      console.error('Get active study session error:', error);
+
+      res.status(500).json({
+        error: 'Failed to get active session',
+        message: 'An error occurred while fetching your active study session',
+        code: 'STUDY_SESSION_ERROR'
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/study/sessions/:sessionId
+ * Get one of current user's study sessions
+ */
+router.get('/sessions/:sessionId',
+  requireAuth,
+  async (req, res) => {
+    try {
+      const sessionId = parseInt(req.params.sessionId);
+      if (!sessionId) {
+        return res.status(400).json({
+          error: 'Invalid session ID',
+          message: 'Session ID must be a positive integer',
+          code: 'INVALID_SESSION_ID'
+        });
+      }
+
+      const session = await StudySessionService.getSession(sessionId, req.user.id);
+
+      if (!session) {
+        return res.status(404).json({
+          error: 'Session not found',
+          message: 'The requested study session does not exist',
+          code: 'SESSION_NOT_FOUND'
+        });
+      }
+
+      res.json({ session });
+
+    } catch (error) {
+      console.error('Get study session by ID error:', error);
+
+      res.status(500).json({
+        error: 'Failed to get study session',
+        message: 'An error occurred while fetching the study session',
+        code: 'STUDY_SESSION_ERROR'
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/study/sessions/:sessionId/resume
+ * Resume an open or abandoned study session
+ */
+router.post('/sessions/:sessionId/resume',
+  requireAuth,
+  async (req, res) => {
+    try {
+      const sessionId = parseInt(req.params.sessionId);
+      if (!sessionId) {
+        return res.status(400).json({
+          error: 'Invalid session ID',
+          message: 'Session ID must be a positive integer',
+          code: 'INVALID_SESSION_ID'
+        });
+      }
+
+      const { session, studySession } = await StudySessionService.resumeSession(sessionId, req.user.id);
+
+      res.json({
+        message: 'Study session resumed successfully',
+        session,
+        cards: studySession.cards,
+        sessionMetadata: studySession.sessionMetadata
+      });
+
+    } catch (error) {
+      console.error('Resume study session error:', error);
+      sendSessionError(res, error, 'Failed to resume study session', 'SESSION_RESUME_ERROR');
+    }
+  }
+);
+
+/**
+ * POST /api/study/sessions/:sessionId/complete
+ * Complete a study session
+ * The summary is computed from the server's review log
+ */
+router.post('/sessions/:sessionId/complete',
+  requireAuth,
+  async (req, res) => {
+    try {
+      const sessionId = parseInt(req.params.sessionId);
+      if (!sessionId) {
+        return res.status(400).json({
+          error: 'Invalid session ID',
+          message: 'Session ID must be a positive integer',
+          code: 'INVALID_SESSION_ID'
+        });
+      }
+
+      const session = await StudySessionService.completeSession(sessionId, req.user.id);
+      const userStats = await FlashcardService.getUserStats(req.user.id);
+
+      res.json({
+        message: 'Study session completed successfully',
+        session,
+        sessionSummary: session.summary,
+        updatedUserStats: userStats
+      });
+
+    } catch (error) {
+      console.error('Complete study session by ID error:', error);
+      sendSessionError(res, error, 'Failed to complete study session', 'SESSION_COMPLETE_ERROR');
+    }
+  }
+);
+
 /**
  * GET /api/study/due/:userId
  * Get cards due for review for a specific user
@@ -259,46 +684,13 @@ router.get('/due/:userId',
       const userId = parseInt(req.params.userId);
       const { limit = 20 } = req.query;
 
-      const studyLimit = Math.min(parseInt(limit), 100); // Cap at 100 cards
-
-      // Get user's flashcards ordered by spaced repetition priority
-      const flashcards = await FlashcardService.getUserFlashcards(userId, {
-        orderBy: 'last_reviewed',
-        order: 'ASC',
-        limit: studyLimit
-      });
+      const studyLimit = Math.min(parseInt(limit) || 20, 100); // Cap at 100 cards
 
-      // Filter and prioritize cards that are due for review
-      const now = new Date();
-      const dueCards = [];
-      const overdueCards = [];
-      const newCards = [];
-
-      flashcards.forEach(card => {
-        if (!card.lastReviewed) {
-          newCards.push(card);
-        } else {
-          // Simple logic: cards are due based on their difficulty level
-          const daysSinceReview = Math.floor((now - new Date(card.lastReviewed)) / (1000 * 60 * 60 * 24));
-          const intervalDays = Math.pow(2, card.difficulty); // 2^difficulty days
-          
-          if (daysSinceReview >= intervalDays) {
-            if (daysSinceReview > intervalDays * 1.5) {
-              overdueCards.push(card);
-            } else {
-              dueCards.push(card);
-            }
-          }
-        }
-      });
+      // Get cards whose stored next review date has passed
+      const dueForReview = await FlashcardService.getDueFlashcards(userId, studyLimit);
 
       res.json({
-        dueForReview: {
-          dueCards,
-          overdueCards,
-          newCards,
-          totalDue: dueCards.length + overdueCards.length + newCards.length
-        },
+        dueForReview,
         userId
       });
 
@@ -317,58 +709,54 @@ router.get('/due/:userId',
 /**
  * GET /api/study/my-due
  * Get cards due for review for current user
+ * Query: limit, deckId (includes subdecks), tags (comma-separated names), tagMatch (all or any)
  */
 router.get('/my-due',
   requireAuth,
   async (req, res) => {
     try {
-      const { limit = 20 } = req.query;
+      const { limit = 20, deckId, tags, tagMatch } = req.query;
 
-      const studyLimit = Math.min(parseInt(limit), 100); // Cap at 100 cards
+      if (deckId !== undefined && !(parseInt(deckId) > 0)) {
+        return res.status(400).json({
+          error: 'Invalid deck ID',
+          message: 'Deck ID must be a positive integer',
+          code: 'INVALID_DECK_ID'
+        });
+      }
 
-      // Get user's flashcards ordered by spaced repetition priority
-      const flashcards = await FlashcardService.getUserFlashcards(req.user.id, {
-        orderBy: 'last_reviewed',
-        order: 'ASC',
-        limit: studyLimit
-      });
+      const studyLimit = Math.min(parseInt(limit) || 20, 100); // Cap at 100 cards
 
-      // Filter and prioritize cards that are due for review
-      const now = new Date();
-      const dueCards = [];
-      const overdueCards = [];
-      const newCards = [];
-
-      flashcards.forEach(card => {
-        if (!card.lastReviewed) {
-          newCards.push(card);
-        } else {
-          // Simple logic: cards are due based on their difficulty level
-          const daysSinceReview = Math.floor((now - new Date(card.lastReviewed)) / (1000 * 60 * 60 * 24));
-          const intervalDays = Math.pow(2, card.difficulty); // 2^difficulty days
-          
-          if (daysSinceReview >= intervalDays) {
-            if (daysSinceReview > intervalDays * 1.5) {
-              overdueCards.push(card);
-            } else {
-              dueCards.push(card);
-            }
-          }
-        }
+      // Get cards whose stored next review date has passed
+      const dueForReview = await FlashcardService.getDueFlashcards(req.user.id, studyLimit, {
+        deckId: deckId && parseInt(deckId),
+        tags,
+        tagMatch
       });
 
       res.json({
-        dueForReview: {
-          dueCards,
-          overdueCards,
-          newCards,
-          totalDue: dueCards.length + overdueCards.length + newCards.length
-        }
+        dueForReview
       });
 
     } catch (error) {
       console.error('Get current user due cards error:', error);
       
+      if (error.message.includes('Validation failed')) {
+        return res.status(400).json({
+          error: 'Invalid query parameters',
+          message: error.message,
+          code: 'INVALID_QUERY_PARAMS'
+        });
+      }
+
+      if (error.message === 'Deck not found') {
+        return res.status(404).json({
+          error: 'Deck not found',
+          message: 'The requested deck does not exist or you do not have access to it',
+          code: 'DECK_NOT_FOUND'
+        });
+      }
+
       res.status(500).json({
         error: 'Failed to get due cards',
         message: 'An error occurred while fetching your cards due for review',
@@ -378,6 +766,58 @@ router.get('/my-due',
   }
 );
 
+/**
+ * GET /api/study/my-history
+ * Get review history for current user
+ * Query: from, to (ISO dates), flashcardId, page, limit
+ */
+router.get('/my-history',
+  requireAuth,
+  async (req, res) => {
+    try {
+      const { from, to, flashcardId, page = 1, limit = 50 } = req.query;
+
+      if (flashcardId !== undefined && (!Number.isInteger(Number(flashcardId)) || Number(flashcardId) < 1)) {
+        return res.status(400).json({
+          error: 'Invalid flashcard ID',
+          message: 'Flashcard ID must be a positive integer',
+          code: 'INVALID_FLASHCARD_ID'
+        });
+      }
+
+      const history = await FlashcardService.getReviewHistory(req.user.id, {
+        from,
+        to,
+        flashcardId: flashcardId !== undefined ? Number(flashcardId) : undefined,
+        page: Math.max(parseInt(page) || 1, 1),
+        limit: Math.min(Math.max(parseInt(limit) || 50, 1), 100) // Cap at 100 entries
+      });
+
+      res.json({
+        history: history.entries,
+        pagination: history.pagination
+      });
+
+    } catch (error) {
+      console.error('Get review history error:', error);
+
+      if (error.message.startsWith('Invalid')) {
+        return res.status(400).json({
+          error: 'Invalid date range',
+          message: error.message,
+          code: 'INVALID_DATE_RANGE'
+        });
+      }
+
+      res.status(500).json({
+        error: 'Failed to get review history',
+        message: 'An error occurred while fetching your review history',
+        code: 'REVIEW_HISTORY_ERROR'
+      });
+    }
+  }
+);
+
 /**
  * GET /api/study/recommendations/:userId
  * Get study recommendations for a specific user
@@ -444,4 +884,29 @@ router.get('/my-recommendations',
   }
 );
 
+// Helper function to map session lifecycle errors to responses
+function sendSessionError(res, error, fallbackMessage, fallbackCode) {
+  if (error.message === 'Session not found') {
+    return res.status(404).json({
+      error: 'Session not found',
+      message: 'The requested study session does not exist',
+      code: 'SESSION_NOT_FOUND'
+    });
+  }
+
+  if (error.message === 'Session already completed') {
+    return res.status(409).json({
+      error: 'Session already completed',
+      message: 'This study session has already been completed',
+      code: 'SESSION_ALREADY_COMPLETED'
+    });
+  }
+
+  res.status(500).json({
+    error: fallbackMessage,
+    message: 'An error occurred while updating the study session',
+    code: fallbackCode
+  });
+}
+
 export default router;
\ No newline at end of file
@@ -0,0 +1,204 @@
+import express from 'express';
+import TagService from '../services/TagService.js';
+import { requireAuth } from '../middleware/auth.js';
+
+const router = express.Router();
+
+/**
+ * Send the error response for a failed tag operation
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown by TagService
+ * @param {Object} fallback - Response body for unexpected errors
+ */
+function sendTagError(res, error, fallback) {
+  if (error.message.includes('Validation failed')) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      message: error.message,
+      code: 'VALIDATION_FAILED'
+    });
+  }
+
+  if (error.message === 'Tag not found') {
+    return res.status(404).json({
+      error: 'Tag not found',
+      message: 'The requested tag does not exist or you do not have access to it',
+      code: 'TAG_NOT_FOUND'
+    });
+  }
+
+  if (error.message === 'Tag name already exists') {
+    return res.status(409).json({
+      error: 'Tag name already exists',
+      message: 'You already have a tag with that name',
+      code: 'TAG_NAME_TAKEN'
+    });
+  }
+
+  res.status(500).json(fallback);
+}
+
+/**
+ * Parse the tag ID route parameter
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {number|null} Tag ID, or null after sending a 400 response
+ */
+function parseTagId(req, res) {
+  const tagId = parseInt(req.params.tagId);
+  if (!tagId || tagId < 1) {
+    res.status(400).json({
+      error: 'Invalid tag ID',
+      message: 'Tag ID must be a positive integer',
+      code: 'INVALID_TAG_ID'
+    });
+    return null;
+  }
+  return tagId;
+}
+
+/**
+ * GET /api/tags
+ * Get current user's tags with the number of cards using each one
+ */
+router.get('/',
+  requireAuth,
+  async (req, res) => {
+    try {
+      const tags = await TagService.getTags(req.user.id);
+
+      res.json({
+        tags,
+        count: tags.length
+      });
+
+    } catch (error) {
+      console.error('Get tags error:', error);
+
+      res.status(500).json({
+        error: 'Failed to get tags',
+        message: 'An error occurred while fetching your tags',
+        code: 'TAGS_FETCH_ERROR'
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/tags
+ * Create a tag for current user
+ * Body: name
+ */
+router.post('/',
+  requireAuth,
+  async (req, res) => {
+    try {
+      const tag = await TagService.createTag(req.body, req.user.id);
+
+      res.status(201).json({
+        message: 'Tag created successfully',
+        tag
+      });
+
+    } catch (error) {
+      console.error('Create tag error:', error);
+
+      sendTagError(res, error, {
+        error: 'Failed to create tag',
+        message: 'An error occurred while creating the tag',
+        code: 'TAG_CREATE_ERROR'
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/tags/:tagId
+ * Get one of current user's tags
+ */
+router.get('/:tagId',
+  requireAuth,
+  async (req, res) => {
+    try {
+      const tagId = parseTagId(req, res);
+      if (tagId === null) return;
+
+      const tag = await TagService.getTag(tagId, req.user.id);
+      if (!tag) {
+        throw new Error('Tag not found');
+      }
+
+      res.json({ tag });
+
+    } catch (error) {
+      console.error('Get tag error:', error);
+
+      sendTagError(res, error, {
+        error: 'Failed to get tag',
+        message: 'An error occurred while fetching the tag',
+        code: 'TAG_FETCH_ERROR'
+      });
+    }
+  }
+);
+
+/**
+ * PUT /api/tags/:tagId
+ * Rename a tag (cards keep it under the new name)
+ */
+router.put('/:tagId',
+  requireAuth,
+  async (req, res) => {
+    try {
+      const tagId = parseTagId(req, res);
+      if (tagId === null) return;
+
+      const tag = await TagService.updateTag(tagId, req.body, req.user.id);
+
+      res.json({
+        message: 'Tag updated successfully',
+        tag
+      });
+
+    } catch (error) {
+      console.error('Update tag error:', error);
+
+      sendTagError(res, error, {
+        error: 'Failed to update tag',
+        message: 'An error occurred while updating the tag',
+        code: 'TAG_UPDATE_ERROR'
+      });
+    }
+  }
+);
+
+/**
+ * DELETE /api/tags/:tagId
+ * Delete a tag and remove it from all cards
+ */
+router.delete('/:tagId',
+  requireAuth,
+  async (req, res) => {
+    try {
+      const tagId = parseTagId(req, res);
+      if (tagId === null) return;
+
+      await TagService.deleteTag(tagId, req.user.id);
+
+      res.json({
+        message: 'Tag deleted successfully'
+      });
+
+    } catch (error) {
+      console.error('Delete tag error:', error);
+
+      sendTagError(res, error, {
+        error: 'Failed to delete tag',
+        message: 'An error occurred while deleting the tag',
+        code: 'TAG_DELETE_ERROR'
+      });
+    }
+  }
+);
+
+export default router;
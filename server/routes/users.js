@@ -206,6 +206,77 @@ router.put('/me',
   }
 );
 
+/**
+ * GET /api/users/me/preferences
+ * Get current user's preferences (e.g. spaced repetition scheduler)
+ */
+router.get('/me/preferences',
+  requireAuth,
+  async (req, res) => {
+    try {
+      const preferences = await UserService.getPreferences(req.user.id);
+
+      res.json({
+        preferences: preferences || {}
+      });
+
+    } catch (error) {
+      console.error('Get current user preferences error:', error);
+
+      res.status(500).json({
+        error: 'Failed to get preferences',
+        message: 'An error occurred while fetching your preferences',
+        code: 'PREFERENCES_FETCH_ERROR'
+      });
+    }
+  }
+);
+
+/**
+ * PUT /api/users/me/preferences
+ * Update current user's preferences (merged with existing values, null removes a key)
+ */
+router.put('/me/preferences',
+  requireAuth,
+  async (req, res) => {
+    try {
+      const validation = UserService.validatePreferences(req.body);
+      if (!validation.isValid) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          message: 'Preferences data is invalid',
+          errors: validation.errors,
+          code: 'VALIDATION_FAILED'
+        });
+      }
+
+      const preferences = await UserService.updatePreferences(req.user.id, req.body);
+
+      if (!preferences) {
+        return res.status(404).json({
+          error: 'User not found',
+          message: 'The requested user does not exist',
+          code: 'USER_NOT_FOUND'
+        });
+      }
+
+      res.json({
+        message: 'Preferences updated successfully',
+        preferences
+      });
+
+    } catch (error) {
+      console.error('Update current user preferences error:', error);
+
+      res.status(500).json({
+        error: 'Failed to update preferences',
+        message: 'An error occurred while updating your preferences',
+        code: 'PREFERENCES_UPDATE_ERROR'
+      });
+    }
+  }
+);
+
 /**
  * POST /api/users/change-password/:userId
  * Change user password
@@ -1,6 +1,65 @@
 import app from './index.js';
+import FlashcardService from './services/FlashcardService.js';
+import TtsCacheService from './services/TtsCacheService.js';
+import JobQueue from './services/JobQueue.js';
 
 const PORT = process.env.PORT || 4000;
 app.listen(PORT, () => {
   console.log(`Server running on http://localhost:${PORT}`);
 });
+
+// Run background jobs (audio and tips generation) in this process
+JobQueue.start().catch((error) => {
+  console.error('Job worker start error:', error);
+});
+
+// Purge flashcards left in the trash past the retention period, at startup and then daily
+const TRASH_PURGE_INTERVAL = 24 * 60 * 60 * 1000;
+
+const purgeExpiredTrash = async () => {
+  try {
+    const purged = await FlashcardService.purgeExpiredTrash();
+    if (purged > 0) {
+      console.log(`Purged ${purged} flashcard(s) from the trash`);
+    }
+  } catch (error) {
+    console.error('Trash purge error:', error);
+  }
+};
+
+purgeExpiredTrash();
+setInterval(purgeExpiredTrash, TRASH_PURGE_INTERVAL).unref();
+
+// Delete generated audio no card has used for the cache grace period, at startup and then daily
+const TTS_GC_INTERVAL = 24 * 60 * 60 * 1000;
+
+const collectTtsGarbage = async () => {
+  try {
+    const deleted = await TtsCacheService.collectGarbage();
+    if (deleted > 0) {
+      console.log(`Deleted ${deleted} unused audio file(s) from the speech cache`);
+    }
+  } catch (error) {
+    console.error('Speech cache garbage collection error:', error);
+  }
+};
+
+collectTtsGarbage();
+setInterval(collectTtsGarbage, TTS_GC_INTERVAL).unref();
+
+// Delete finished background jobs after a week, at startup and then daily
+const JOB_CLEANUP_INTERVAL = 24 * 60 * 60 * 1000;
+
+const deleteFinishedJobs = async () => {
+  try {
+    const deleted = await JobQueue.deleteFinishedJobs();
+    if (deleted > 0) {
+      console.log(`Deleted ${deleted} finished job(s)`);
+    }
+  } catch (error) {
+    console.error('Job cleanup error:', error);
+  }
+};
+
+deleteFinishedJobs();
+setInterval(deleteFinishedJobs, JOB_CLEANUP_INTERVAL).unref();
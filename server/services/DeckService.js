@@ -0,0 +1,233 @@
+import Deck from '../models/Deck.js';
+import Flashcard, { DEFAULT_DIRECTION_MODE } from '../models/Flashcard.js';
+import User from '../models/User.js';
+
+/**
+ * DeckService
+ *
+ * Business logic layer for decks: validation, nesting rules and the deck
+ * filters used when listing and studying flashcards.
+ *
+ * Deck names are unique among siblings (case-insensitive). Filtering by a
+ * deck always includes the cards of its subdecks.
+ */
+
+class DeckService {
+  /**
+   * Create a deck
+   * @param {Object} deckData - Deck data (name, description, parentId)
+   * @param {number} userId - Owner user ID
+   * @returns {Object} Created deck
+   */
+  async createDeck(deckData, userId) {
+    const validation = this.validateDeck(deckData);
+    if (!validation.isValid) {
+      throw new Error(`Validation failed: ${validation.errors.join(', ')}`);
+    }
+
+    const parentId = deckData.parentId ?? null;
+    await this.assertParentDeck(parentId, userId);
+    await this.assertUniqueName(userId, parentId, deckData.name);
+
+    return Deck.create({ ...deckData, parentId, userId });
+  }
+
+  /**
+   * Get all decks of a user
+   * @param {number} userId - Owner user ID
+   * @returns {Array} Decks
+   */
+  async getDecks(userId) {
+    return Deck.findByUserId(userId);
+  }
+
+  /**
+   * Get a deck
+   * @param {number} deckId - Deck ID
+   * @param {number} userId - Owner user ID
+   * @returns {Object|null} Deck
+   */
+  async getDeck(deckId, userId) {
+    return Deck.findById(deckId, userId);
+  }
+
+  /**
+   * Update a deck
+   * @param {number} deckId - Deck ID
+   * @param {Object} updateData - Fields to update (name, description, parentId)
+   * @param {number} userId - Owner user ID
+   * @returns {Object} Updated deck
+   */
+  async updateDeck(deckId, updateData, userId) {
+    const validation = this.validateDeck(updateData, { partial: true });
+    if (!validation.isValid) {
+      throw new Error(`Validation failed: ${validation.errors.join(', ')}`);
+    }
+
+    const deck = await Deck.findById(deckId, userId);
+    if (!deck) {
+      throw new Error('Deck not found');
+    }
+
+    const parentId = updateData.parentId !== undefined ? updateData.parentId : deck.parentId;
+
+    if (updateData.parentId !== undefined && parentId !== null) {
+      // A deck cannot become a subdeck of itself or of one of its own subdecks
+      const subtree = await Deck.getDescendantIds(deck.id, userId);
+      if (subtree.includes(parentId)) {
+        throw new Error('Deck cannot be moved into itself or one of its subdecks');
+      }
+      await this.assertParentDeck(parentId, userId);
+    }
+
+    if (updateData.name !== undefined || updateData.parentId !== undefined) {
+      await this.assertUniqueName(userId, parentId, updateData.name ?? deck.name, deck.id);
+    }
+
+    return Deck.update(deck.id, updateData, userId);
+  }
+
+  /**
+   * Delete a deck and its subdecks; their cards become unfiled
+   * @param {number} deckId - Deck ID
+   * @param {number} userId - Owner user ID
+   * @returns {Object} Number of deleted decks and unfiled cards
+   */
+  async deleteDeck(deckId, userId) {
+    const result = await Deck.delete(deckId, userId);
+    if (!result) {
+      throw new Error('Deck not found');
+    }
+
+    return result;
+  }
+
+  /**
+   * Get per-deck statistics for the dashboard
+   * Card counts cover the cards filed directly in each deck. The due count is the
+   * number of study items a session filtered by the deck would serve now, so it
+   * includes the deck's subdecks and counts each direction or cloze deletion.
+   * @param {number} userId - Owner user ID
+   * @returns {Array} Deck statistics
+   */
+  async getDeckStats(userId) {
+    const preferences = await User.getPreferences(userId) || {};
+    const [stats, dueByDeck] = await Promise.all([
+      Deck.getStatsByUserId(userId),
+      Flashcard.countDueItemsByDeck(userId, preferences.direction || DEFAULT_DIRECTION_MODE)
+    ]);
+
+    // Add each deck's own due items to the deck and all of its ancestors
+    const parents = new Map(stats.map(deck => [deck.deckId, deck.parentId]));
+    const dueCards = new Map(stats.map(deck => [deck.deckId, 0]));
+    for (const [deckId, count] of Object.entries(dueByDeck)) {
+      for (let id = Number(deckId); dueCards.has(id); id = parents.get(id)) {
+        dueCards.set(id, dueCards.get(id) + count);
+      }
+    }
+
+    return stats.map(deck => ({ ...deck, dueCards: dueCards.get(deck.deckId) }));
+  }
+
+  /**
+   * Resolve a deck filter into the IDs of the deck and its subdecks
+   * @param {number} deckId - Deck ID
+   * @param {number} userId - Owner user ID
+   * @returns {Array<number>} Deck IDs
+   */
+  async getDeckFilter(deckId, userId) {
+    const deckIds = await Deck.getDescendantIds(deckId, userId);
+    if (deckIds.length === 0) {
+      throw new Error('Deck not found');
+    }
+
+    return deckIds;
+  }
+
+  /**
+   * Check that a deck exists and belongs to the user
+   * Used when filing a flashcard into a deck.
+   * @param {number} deckId - Deck ID
+   * @param {number} userId - Owner user ID
+   */
+  async assertDeckOwnership(deckId, userId) {
+    const deck = await Deck.findById(deckId, userId);
+    if (!deck) {
+      throw new Error('Deck not found');
+    }
+  }
+
+  /**
+   * Check that a parent deck exists and belongs to the user
+   * @param {number|null} parentId - Parent deck ID
+   * @param {number} userId - Owner user ID
+   */
+  async assertParentDeck(parentId, userId) {
+    if (parentId === null) return;
+
+    const parent = await Deck.findById(parentId, userId);
+    if (!parent) {
+      throw new Error('Parent deck not found');
+    }
+  }
+
+  /**
+   * Check that no sibling deck uses the same name
+   * @param {number} userId - Owner user ID
+   * @param {number|null} parentId - Parent deck ID
+   * @param {string} name - Deck name
+   * @param {number} [excludeId] - Deck being renamed
+   */
+  async assertUniqueName(userId, parentId, name, excludeId = null) {
+    const existing = await Deck.findByName(userId, parentId, name);
+    if (existing && existing.id !== excludeId) {
+      throw new Error('Deck name already exists');
+    }
+  }
+
+  /**
+   * Validate deck data
+   * @param {Object} data - Deck data to validate
+   * @param {Object} [options] - Validation options
+   * @param {boolean} [options.partial=false] - Only validate the fields present (updates)
+   * @returns {Object} Validation result
+   */
+  validateDeck(data, options = {}) {
+    const errors = [];
+    const { partial = false } = options;
+
+    if (!data || typeof data !== 'object') {
+      return { isValid: false, errors: ['Deck data must be an object'] };
+    }
+
+    if (!partial || data.name !== undefined) {
+      if (typeof data.name !== 'string' || !data.name.trim()) {
+        errors.push('Deck name is required');
+      } else if (data.name.trim().length > 100) {
+        errors.push('Deck name cannot exceed 100 characters');
+      }
+    }
+
+    if (data.description !== undefined && data.description !== null) {
+      if (typeof data.description !== 'string') {
+        errors.push('Description must be a string');
+      } else if (data.description.length > 500) {
+        errors.push('Description cannot exceed 500 characters');
+      }
+    }
+
+    if (data.parentId !== undefined && data.parentId !== null &&
+        (!Number.isInteger(data.parentId) || data.parentId < 1)) {
+      errors.push('Parent deck ID must be a positive integer');
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+}
+
+// Export singleton instance
+const deckService = new DeckService();
+export default deckService;
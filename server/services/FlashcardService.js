@@ -1,4 +1,17 @@
-import Flashcard from '../models/Flashcard.js';
+import Flashcard, { DEFAULT_DIRECTION_MODE, DEFAULT_LEECH_THRESHOLD, IMAGE_SIDES, REVISION_FIELDS } from '../models/Flashcard.js';
+import User from '../models/User.js';
+import ReviewLog from '../models/ReviewLog.js';
+import FlashcardRevision from '../models/FlashcardRevision.js';
+import DeckService from './DeckService.js';
+import TagService from './TagService.js';
+import ImageService from './ImageService.js';
+import GenerationService from './GenerationService.js';
+import JobQueue from './JobQueue.js';
+import { getScheduler, DEFAULT_SCHEDULER, ANSWER_RATINGS } from './schedulers/index.js';
+import { resolveTimeZone, toLocalDate, addDays, dateRange, startOfLocalDay } from '../utils/dateUtils.js';
+import { gradeAnswer } from '../utils/answerGrading.js';
+import { getDuplicateKey, pickMostAdvancedState } from '../utils/duplicates.js';
+import { renderCloze } from '../utils/cloze.js';
 
 /**
  * FlashcardService
@@ -28,13 +41,21 @@ class FlashcardService {
       // Maximum interval in days
       maxInterval: 365
     };
+
+    // Days a deleted card stays in the trash before it is purged automatically
+    this.trashRetentionDays = Number(process.env.TRASH_RETENTION_DAYS) || 30;
+
+    // Audio and tips are generated in the background
+    JobQueue.register('flashcard.audio', payload => this.runGenerationJob('audio', payload));
+    JobQueue.register('flashcard.tips', payload => this.runGenerationJob('tips', payload));
   }
 
   /**
-   * Create a new flashcard
+   * Create a new flashcard, queueing the generation of its audio and tips when available
    * @param {Object} flashcardData - Flashcard data
+   * @param {Array<string>} [flashcardData.tags] - Tag names (missing tags are created)
    * @param {number} userId - Owner user ID
-   * @returns {Object} Created flashcard
+   * @returns {Object} Created flashcard (see getGenerationJobs for its pending audio and tips)
    */
   async createFlashcard(flashcardData, userId) {
     // Validate input data
@@ -43,13 +64,202 @@ class FlashcardService {
       throw new Error(`Validation failed: ${validation.errors.join(', ')}`);
     }
 
+    if (flashcardData.deckId != null) {
+      await this.assertDeckForCard(flashcardData.deckId, userId);
+    }
+
+    const tags = flashcardData.tags !== undefined ? TagService.normalizeNames(flashcardData.tags) : [];
+
     // Add user ID to flashcard data
     const dataWithUserId = {
       ...flashcardData,
       userId
     };
 
-    return Flashcard.create(dataWithUserId);
+    let created;
+    try {
+      created = await Flashcard.create(dataWithUserId, { rejectDuplicates: true });
+    } catch (error) {
+      if (error.existingFlashcard) {
+        error.existingFlashcard = (await TagService.withTags([error.existingFlashcard]))[0];
+      }
+      throw error;
+    }
+    await TagService.setFlashcardTags(created.id, userId, tags);
+
+    const flashcard = await this.refreshGeneratedContent(created, { audio: true, tips: true }, userId, 'user');
+    return (await TagService.withTags([flashcard]))[0];
+  }
+
+  /**
+   * Find a user's flashcard that duplicates the given text
+   * @param {Object} flashcardData - Flashcard data (english, spanish, cardType)
+   * @param {number} userId - Owner user ID
+   * @returns {Object|null} Existing duplicate flashcard
+   */
+  async findDuplicate(flashcardData, userId) {
+    return Flashcard.findByDuplicateKey(userId, getDuplicateKey(flashcardData));
+  }
+
+  /**
+   * Group a user's duplicate flashcards
+   * @param {number} userId - Owner user ID
+   * @returns {Array<Object>} Groups of two or more duplicate flashcards (oldest first), with tags
+   */
+  async getDuplicateGroups(userId) {
+    const groups = new Map();
+    for (const { duplicateKey, ...flashcard } of await Flashcard.findDuplicatesByUserId(userId)) {
+      groups.set(duplicateKey, [...(groups.get(duplicateKey) || []), flashcard]);
+    }
+
+    const duplicates = [...groups.values()];
+    const flashcards = await TagService.withTags(duplicates.flat());
+
+    return duplicates.map(group => ({
+      english: group[0].english,
+      spanish: group[0].spanish,
+      flashcards: group.map(({ id }) => flashcards.find(card => card.id === id))
+    }));
+  }
+
+  /**
+   * Merge flashcards into one, deleting the others
+   * Each study item of the kept card takes the most advanced scheduling state found
+   * among the merged cards, with their review counts summed. Review history and tags
+   * of the deleted cards move to the kept card.
+   * @param {number} flashcardId - Flashcard to keep
+   * @param {Array<number>} duplicateIds - Flashcards merged into it
+   * @param {number} userId - Requesting user ID
+   * @param {string} userRole - Requesting user role
+   * @returns {Object|null} Merged flashcard with its tags, or null if the kept card is not accessible
+   */
+  async mergeFlashcards(flashcardId, duplicateIds, userId, userRole) {
+    if (!Array.isArray(duplicateIds) || duplicateIds.length === 0 ||
+        !duplicateIds.every(id => Number.isInteger(id) && id > 0)) {
+      throw new Error('Validation failed: duplicateIds must be a non-empty array of flashcard IDs');
+    }
+
+    if (duplicateIds.length > 50) {
+      throw new Error('Validation failed: Cannot merge more than 50 flashcards at once');
+    }
+
+    const ids = [...new Set(duplicateIds)];
+    if (ids.includes(flashcardId)) {
+      throw new Error('Validation failed: A flashcard cannot be merged into itself');
+    }
+
+    const target = await Flashcard.findById(flashcardId, userId, userRole);
+    if (!target) {
+      return null;
+    }
+
+    const duplicates = await Promise.all(ids.map(id => Flashcard.findById(id, userId, userRole)));
+    if (duplicates.some(duplicate => !duplicate)) {
+      throw new Error('Flashcard not found');
+    }
+
+    if (duplicates.some(duplicate => duplicate.userId !== target.userId)) {
+      throw new Error('Validation failed: Merged flashcards must belong to the same user');
+    }
+
+    if (duplicates.some(duplicate => duplicate.cardType !== target.cardType)) {
+      throw new Error('Validation failed: Only flashcards of the same card type can be merged');
+    }
+
+    for (const item of Flashcard.getItems(target)) {
+      const states = [];
+      for (const card of [target, ...duplicates]) {
+        // Cloze cards only share the deletions present in both sentences
+        if (Flashcard.getItems(card).includes(item)) {
+          states.push(this.getSchedulingSnapshot(await Flashcard.findItemById(card.id, item, userId, userRole)));
+        }
+      }
+
+      const lastReviewed = states.map(state => state.lastReviewed).filter(Boolean).sort().pop() ?? null;
+      await Flashcard.restoreSchedulingState(target.id, {
+        ...pickMostAdvancedState(states),
+        reviewCount: states.reduce((total, state) => total + (state.reviewCount || 0), 0),
+        lastReviewed
+      }, userId, userRole, item);
+    }
+
+    const tags = (await TagService.withTags(duplicates)).flatMap(duplicate => duplicate.tags);
+    await TagService.changeFlashcardTags(target.id, target.userId, { add: tags });
+    await ReviewLog.moveToFlashcard(ids, target.id);
+
+    // Duplicates skip the trash: their state, history and tags now live on the kept card
+    for (const id of ids) {
+      await this.deleteFlashcard(id, userId, userRole);
+      await this.purgeFlashcard(id, userId, userRole);
+    }
+
+    return this.getFlashcard(target.id, userId, userRole);
+  }
+
+  /**
+   * Suspend a flashcard (left out of study until resumed)
+   * @param {number} flashcardId - Flashcard ID
+   * @param {number} userId - Requesting user ID
+   * @param {string} userRole - Requesting user role
+   * @returns {Object|null} Updated flashcard with its tags
+   */
+  async suspendFlashcard(flashcardId, userId, userRole) {
+    const current = await Flashcard.findById(flashcardId, userId, userRole);
+    if (!current) {
+      return null;
+    }
+
+    const flashcard = await Flashcard.setRotationState(flashcardId, {
+      suspendedAt: current.suspendedAt ?? new Date().toISOString()
+    }, userId, userRole);
+    return flashcard && (await TagService.withTags([flashcard]))[0];
+  }
+
+  /**
+   * Resume a suspended flashcard
+   * Resuming a leech clears its leech flag; it is flagged again if it keeps lapsing.
+   * @param {number} flashcardId - Flashcard ID
+   * @param {number} userId - Requesting user ID
+   * @param {string} userRole - Requesting user role
+   * @returns {Object|null} Updated flashcard with its tags
+   */
+  async unsuspendFlashcard(flashcardId, userId, userRole) {
+    const flashcard = await Flashcard.setRotationState(flashcardId, {
+      suspendedAt: null,
+      leechAt: null
+    }, userId, userRole);
+    return flashcard && (await TagService.withTags([flashcard]))[0];
+  }
+
+  /**
+   * Bury a flashcard until the start of the owner's next day
+   * @param {number} flashcardId - Flashcard ID
+   * @param {number} userId - Requesting user ID
+   * @param {string} userRole - Requesting user role
+   * @returns {Object|null} Updated flashcard with its tags
+   */
+  async buryFlashcard(flashcardId, userId, userRole) {
+    const current = await Flashcard.findById(flashcardId, userId, userRole);
+    if (!current) {
+      return null;
+    }
+
+    const timezone = resolveTimeZone(await User.getTimezone(current.userId));
+    const tomorrow = addDays(toLocalDate(new Date(), timezone), 1);
+
+    const flashcard = await Flashcard.setRotationState(flashcardId, {
+      buriedUntil: startOfLocalDay(tomorrow, timezone).toISOString()
+    }, userId, userRole);
+    return flashcard && (await TagService.withTags([flashcard]))[0];
+  }
+
+  /**
+   * Get a user's leeches
+   * @param {number} userId - User ID
+   * @returns {Array} Flashcards flagged as leeches, with their tags
+   */
+  async getLeeches(userId) {
+    return TagService.withTags(await Flashcard.findLeechesByUserId(userId));
   }
 
   /**
@@ -60,29 +270,204 @@ class FlashcardService {
    * @returns {Object|null} Flashcard data
    */
   async getFlashcard(flashcardId, userId, userRole) {
-    return Flashcard.findById(flashcardId, userId, userRole);
+    const flashcard = await Flashcard.findById(flashcardId, userId, userRole);
+    return flashcard && (await TagService.withTags([flashcard]))[0];
   }
 
   /**
    * Update flashcard
+   * Changes to content fields (REVISION_FIELDS) are recorded as a revision by the requesting user.
+   * Changing the english text regenerates the audio; changing either text regenerates the tips
+   * (in the background, see refreshGeneratedContent).
    * @param {number} flashcardId - Flashcard ID
    * @param {Object} updateData - Data to update
+   * @param {Array<string>} [updateData.tags] - Replaces the card's tags
    * @param {number} userId - Requesting user ID
    * @param {string} userRole - Requesting user role
+   * @param {Object} [options] - Update options
+   * @param {number} [options.revertedTo] - Revision whose prior state this update restores
    * @returns {Object|null} Updated flashcard
    */
-  async updateFlashcard(flashcardId, updateData, userId, userRole) {
-    // Validate update data
-    const validation = Flashcard.validate(updateData);
+  async updateFlashcard(flashcardId, updateData, userId, userRole, options = {}) {
+    const card = await Flashcard.findById(flashcardId, userId, userRole);
+    if (!card) {
+      return null;
+    }
+
+    if (updateData.cardType !== undefined && updateData.cardType !== card.cardType) {
+      throw new Error('Validation failed: Card type cannot be changed');
+    }
+
+    // Validate update data (only the fields being changed)
+    const validation = Flashcard.validate(updateData, { partial: true, cardType: card.cardType });
     if (!validation.isValid) {
       throw new Error(`Validation failed: ${validation.errors.join(', ')}`);
     }
 
-    return Flashcard.update(flashcardId, updateData, userId, userRole);
+    const tags = updateData.tags !== undefined ? TagService.normalizeNames(updateData.tags) : null;
+
+    if (updateData.deckId != null) {
+      // The deck must belong to the card's owner, also when an admin moves the card
+      await this.assertDeckForCard(updateData.deckId, card.userId);
+    }
+
+    const updated = await Flashcard.update(flashcardId, updateData, userId, userRole);
+    if (!updated) {
+      return null;
+    }
+
+    const flashcard = await this.refreshGeneratedContent(updated, {
+      audio: updated.english !== card.english,
+      tips: updated.english !== card.english || updated.spanish !== card.spanish
+    }, userId, userRole);
+
+    const changes = Object.fromEntries(REVISION_FIELDS
+      .filter(field => flashcard[field] !== card[field])
+      .map(field => [field, { from: card[field], to: flashcard[field] }]));
+
+    if (Object.keys(changes).length > 0) {
+      await FlashcardRevision.create({
+        flashcardId: flashcard.id,
+        editorId: userId,
+        changes,
+        revertedTo: options.revertedTo
+      });
+    }
+
+    if (tags) {
+      // Tags belong to the card's owner, also when an admin edits the card
+      await TagService.setFlashcardTags(flashcard.id, flashcard.userId, tags);
+    }
+
+    return (await TagService.withTags([flashcard]))[0];
+  }
+
+  /**
+   * Get the edit history of a flashcard
+   * @param {number} flashcardId - Flashcard ID
+   * @param {number} userId - Requesting user ID
+   * @param {string} userRole - Requesting user role
+   * @param {Object} [options] - Pagination options (page, limit)
+   * @returns {Object|null} Revisions (newest first) and pagination, or null if the card is not accessible
+   */
+  async getRevisions(flashcardId, userId, userRole, options = {}) {
+    const flashcard = await Flashcard.findById(flashcardId, userId, userRole);
+    if (!flashcard) {
+      return null;
+    }
+
+    return FlashcardRevision.findByFlashcardId(flashcard.id, options);
+  }
+
+  /**
+   * Revert a flashcard to how it was before a revision
+   * The revision and every later edit are undone; the revert is recorded as a new revision.
+   * @param {number} flashcardId - Flashcard ID
+   * @param {number} revisionId - Revision to revert
+   * @param {number} userId - Requesting user ID
+   * @param {string} userRole - Requesting user role
+   * @returns {Object|null} Reverted flashcard with its tags, or null if the card is not accessible
+   */
+  async revertToRevision(flashcardId, revisionId, userId, userRole) {
+    const flashcard = await Flashcard.findById(flashcardId, userId, userRole);
+    if (!flashcard) {
+      return null;
+    }
+
+    const revisions = await FlashcardRevision.findSince(flashcard.id, revisionId);
+    if (revisions.at(-1)?.id !== Number(revisionId)) {
+      throw new Error('Revision not found');
+    }
+
+    // Walk back from the newest edit, so each field ends at its value before the revision
+    const previous = {};
+    for (const { changes } of revisions) {
+      for (const [field, { from }] of Object.entries(changes)) {
+        previous[field] = from;
+      }
+    }
+
+    // A deck deleted since then leaves the card unfiled
+    if (previous.deckId != null) {
+      try {
+        await DeckService.assertDeckOwnership(previous.deckId, flashcard.userId);
+      } catch (error) {
+        if (error.message !== 'Deck not found') {
+          throw error;
+        }
+        previous.deckId = null;
+      }
+    }
+
+    const updateData = Object.fromEntries(Object.entries(previous)
+      .filter(([field, value]) => flashcard[field] !== value));
+
+    if (Object.keys(updateData).length === 0) {
+      return (await TagService.withTags([flashcard]))[0];
+    }
+
+    return this.updateFlashcard(flashcard.id, updateData, userId, userRole, { revertedTo: Number(revisionId) });
   }
 
   /**
-   * Delete flashcard
+   * Add and remove tags on a flashcard without touching its other tags
+   * @param {number} flashcardId - Flashcard ID
+   * @param {Object} changes - Tag names to add and remove ({ add, remove })
+   * @param {number} userId - Requesting user ID
+   * @param {string} userRole - Requesting user role
+   * @returns {Object|null} Flashcard with its new tags
+   */
+  async changeFlashcardTags(flashcardId, changes, userId, userRole) {
+    const flashcard = await Flashcard.findById(flashcardId, userId, userRole);
+    if (!flashcard) {
+      return null;
+    }
+
+    await TagService.changeFlashcardTags(flashcard.id, flashcard.userId, changes);
+    return (await TagService.withTags([flashcard]))[0];
+  }
+
+  /**
+   * Resolve card filters shared by listings and study sessions
+   * @param {number} userId - User ID
+   * @param {Object} [options] - Filter options
+   * @param {number} [options.deckId] - Only cards in this deck or its subdecks
+   * @param {string|Array<string>} [options.tags] - Only cards with these tags (comma-separated or array)
+   * @param {string} [options.tagMatch='all'] - Whether cards need all or any of the tags
+   * @returns {Object} Filters for the Flashcard model
+   */
+  async getCardFilters(userId, options = {}) {
+    const { deckId, tags, tagMatch = 'all' } = options;
+
+    if (!['all', 'any'].includes(tagMatch)) {
+      throw new Error('Validation failed: Tag match must be all or any');
+    }
+
+    return {
+      deckIds: deckId ? await DeckService.getDeckFilter(deckId, userId) : null,
+      tags: tags !== undefined ? TagService.parseFilter(tags) : [],
+      tagMatch
+    };
+  }
+
+  /**
+   * Check that a card can be filed in a deck
+   * @param {number} deckId - Deck ID
+   * @param {number} ownerId - Card owner ID
+   */
+  async assertDeckForCard(deckId, ownerId) {
+    try {
+      await DeckService.assertDeckOwnership(deckId, ownerId);
+    } catch (error) {
+      if (error.message === 'Deck not found') {
+        throw new Error('Validation failed: Deck not found');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Delete flashcard (moves it to the trash; its image is kept until it is purged)
    * @param {number} flashcardId - Flashcard ID
    * @param {number} userId - Requesting user ID
    * @param {string} userRole - Requesting user role
@@ -92,42 +477,487 @@ class FlashcardService {
     return Flashcard.delete(flashcardId, userId, userRole);
   }
 
+  /**
+   * Get the flashcards in a user's trash
+   * @param {number} userId - User ID
+   * @param {Object} [options] - Pagination options (page, limit)
+   * @returns {Object} Trashed flashcards with their tags, and pagination
+   */
+  async getTrash(userId, options = {}) {
+    const { flashcards, pagination } = await Flashcard.findTrashByUserId(userId, options);
+    return {
+      flashcards: await TagService.withTags(flashcards),
+      pagination
+    };
+  }
+
+  /**
+   * Restore a flashcard from the trash
+   * @param {number} flashcardId - Flashcard ID
+   * @param {number} userId - Requesting user ID
+   * @param {string} userRole - Requesting user role
+   * @returns {Object|null} Restored flashcard with its tags (null if it is not in the trash)
+   */
+  async restoreFlashcard(flashcardId, userId, userRole) {
+    const flashcard = await Flashcard.restore(flashcardId, userId, userRole);
+    return flashcard && (await TagService.withTags([flashcard]))[0];
+  }
+
+  /**
+   * Permanently delete a flashcard from the trash, with its image and audio
+   * @param {number} flashcardId - Flashcard ID
+   * @param {number} userId - Requesting user ID
+   * @param {string} userRole - Requesting user role
+   * @returns {boolean} Whether the card was in the trash and was purged
+   */
+  async purgeFlashcard(flashcardId, userId, userRole) {
+    const purged = await Flashcard.purge(flashcardId, userId, userRole);
+    if (!purged) {
+      return false;
+    }
+
+    await this.deletePurgedMedia([purged]);
+    return true;
+  }
+
+  /**
+   * Permanently delete every flashcard in a user's trash
+   * @param {number} userId - User ID
+   * @returns {number} Number of purged flashcards
+   */
+  async emptyTrash(userId) {
+    const purged = await Flashcard.purgeAllByUserId(userId);
+    await this.deletePurgedMedia(purged);
+    return purged.length;
+  }
+
+  /**
+   * Permanently delete flashcards that have been in the trash past the retention period
+   * @param {number} [retentionDays] - Days a card is kept in the trash (TRASH_RETENTION_DAYS, 30 by default)
+   * @returns {number} Number of purged flashcards
+   */
+  async purgeExpiredTrash(retentionDays = this.trashRetentionDays) {
+    const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000).toISOString();
+    const purged = await Flashcard.purgeDeletedBefore(cutoff);
+    await this.deletePurgedMedia(purged);
+    return purged.length;
+  }
+
+  /**
+   * Delete the stored images and audio of purged flashcards
+   * @param {Array<Object>} purged - Purged cards ({ id, imageKey, audioKey })
+   */
+  async deletePurgedMedia(purged) {
+    for (const { imageKey, audioKey } of purged) {
+      if (imageKey) {
+        await ImageService.deleteImage(imageKey);
+      }
+      if (audioKey) {
+        await GenerationService.deleteAudio(audioKey);
+      }
+    }
+  }
+
+  /**
+   * Attach an uploaded image to a flashcard, replacing any previous image
+   * @param {number} flashcardId - Flashcard ID
+   * @param {Object} file - Uploaded image (multer memory storage)
+   * @param {string} [side] - Side the image is shown on (front or back)
+   * @param {number} userId - Requesting user ID
+   * @param {string} userRole - Requesting user role
+   * @returns {Object|null} Updated flashcard
+   */
+  async setFlashcardImage(flashcardId, file, side, userId, userRole) {
+    if (!file) {
+      throw new Error('Validation failed: An image file is required');
+    }
+    if (side !== undefined && !IMAGE_SIDES.includes(side)) {
+      throw new Error(`Validation failed: Image side must be one of: ${IMAGE_SIDES.join(', ')}`);
+    }
+
+    const previousKey = await Flashcard.getImageKey(flashcardId, userId, userRole);
+    const image = await ImageService.storeImage(file);
+
+    const flashcard = await Flashcard.setImage(flashcardId, { ...image, side }, userId, userRole);
+    if (!flashcard) {
+      await ImageService.deleteImage(image.key);
+      return null;
+    }
+
+    if (previousKey) {
+      await ImageService.deleteImage(previousKey);
+    }
+
+    return (await TagService.withTags([flashcard]))[0];
+  }
+
+  /**
+   * Remove a flashcard's image
+   * @param {number} flashcardId - Flashcard ID
+   * @param {number} userId - Requesting user ID
+   * @param {string} userRole - Requesting user role
+   * @returns {Object|null} Updated flashcard
+   */
+  async removeFlashcardImage(flashcardId, userId, userRole) {
+    const imageKey = await Flashcard.getImageKey(flashcardId, userId, userRole);
+    const flashcard = await Flashcard.setImage(flashcardId, null, userId, userRole);
+
+    if (flashcard && imageKey) {
+      await ImageService.deleteImage(imageKey);
+    }
+
+    return flashcard && (await TagService.withTags([flashcard]))[0];
+  }
+
+  /**
+   * Generate a flashcard's audio again
+   * @param {number} flashcardId - Flashcard ID
+   * @param {number} userId - Requesting user ID
+   * @param {string} userRole - Requesting user role
+   * @returns {Object|null} Updated flashcard
+   */
+  async regenerateFlashcardAudio(flashcardId, userId, userRole) {
+    const flashcard = await Flashcard.findById(flashcardId, userId, userRole);
+    if (!flashcard) {
+      return null;
+    }
+
+    this.assertGenerationEnabled('audio');
+    const audio = await GenerationService.storeAudio(this.getGenerationText(flashcard));
+
+    const updated = await this.replaceFlashcardAudio(flashcard.id, audio, userId, userRole);
+    return updated && (await TagService.withTags([updated]))[0];
+  }
+
+  /**
+   * Generate a flashcard's study tips again
+   * @param {number} flashcardId - Flashcard ID
+   * @param {number} userId - Requesting user ID
+   * @param {string} userRole - Requesting user role
+   * @returns {Object|null} Updated flashcard
+   */
+  async regenerateFlashcardTips(flashcardId, userId, userRole) {
+    const flashcard = await Flashcard.findById(flashcardId, userId, userRole);
+    if (!flashcard) {
+      return null;
+    }
+
+    this.assertGenerationEnabled('tips');
+    const tips = await GenerationService.generateTips(this.getGenerationText(flashcard), flashcard.spanish);
+
+    const updated = await Flashcard.setTips(flashcard.id, tips, userId, userRole);
+    return updated && (await TagService.withTags([updated]))[0];
+  }
+
+  /**
+   * Regenerate a flashcard's audio and tips after its text was set
+   * Audio or tips left stale by the new text are removed right away, and jobs are
+   * queued to generate the new ones (parts this server cannot generate are only removed).
+   * @param {Object} flashcard - Flashcard with its new text
+   * @param {Object} parts - What to regenerate ({ audio, tips })
+   * @param {number} userId - Requesting user ID
+   * @param {string} userRole - Requesting user role
+   * @returns {Object} Flashcard without its stale audio and tips
+   */
+  async refreshGeneratedContent(flashcard, parts, userId, userRole) {
+    let updated = flashcard;
+    if (parts.audio && updated.audioUrl) {
+      updated = await this.replaceFlashcardAudio(updated.id, null, userId, userRole) ?? updated;
+    }
+    if (parts.tips && updated.tips) {
+      updated = await Flashcard.setTips(updated.id, null, userId, userRole) ?? updated;
+    }
+
+    for (const part of ['audio', 'tips']) {
+      if (parts[part] && GenerationService.isEnabled(part)) {
+        await JobQueue.enqueue(`flashcard.${part}`, {
+          flashcardId: updated.id,
+          userId: updated.userId,
+          english: updated.english,
+          spanish: updated.spanish
+        }, { userId: updated.userId, resourceType: 'flashcard', resourceId: updated.id });
+      }
+    }
+
+    return updated;
+  }
+
+  /**
+   * Generate a flashcard's audio or tips (flashcard.audio and flashcard.tips jobs)
+   * Nothing is done for cards deleted or edited since the job was queued: the
+   * edit queued jobs for the new text.
+   * @param {string} part - audio or tips
+   * @param {Object} payload - Job payload
+   * @param {number} payload.flashcardId - Flashcard ID
+   * @param {number} payload.userId - Owner user ID
+   * @param {string} payload.english - English text when the job was queued
+   * @param {string} payload.spanish - Spanish text when the job was queued
+   * @returns {Object} Generated audio URL or tips, or { skipped: true }
+   */
+  async runGenerationJob(part, payload) {
+    const { flashcardId, userId } = payload;
+    const isCurrent = (flashcard) => flashcard
+      && flashcard.english === payload.english
+      && (part === 'audio' || flashcard.spanish === payload.spanish);
+
+    const flashcard = await Flashcard.findById(flashcardId, userId, 'user');
+    if (!isCurrent(flashcard)) {
+      return { skipped: true };
+    }
+
+    const text = this.getGenerationText(flashcard);
+
+    if (part === 'audio') {
+      const audio = await GenerationService.storeAudio(text);
+      if (!isCurrent(await Flashcard.findById(flashcardId, userId, 'user'))) {
+        await GenerationService.deleteAudio(audio.key);
+        return { skipped: true };
+      }
+
+      const updated = await this.replaceFlashcardAudio(flashcardId, audio, userId, 'user');
+      return updated ? { audioUrl: updated.audioUrl } : { skipped: true };
+    }
+
+    const tips = await GenerationService.generateTips(text, flashcard.spanish);
+    if (!isCurrent(await Flashcard.findById(flashcardId, userId, 'user'))) {
+      return { skipped: true };
+    }
+
+    const updated = await Flashcard.setTips(flashcardId, tips, userId, 'user');
+    return updated ? { tips: updated.tips } : { skipped: true };
+  }
+
+  /**
+   * Get the audio and tips generation still pending for a flashcard
+   * @param {number} flashcardId - Flashcard ID
+   * @returns {Array<Object>} Pending and running jobs (poll GET /api/jobs/:id for their outcome)
+   */
+  async getGenerationJobs(flashcardId) {
+    return JobQueue.getActiveJobs('flashcard', flashcardId);
+  }
+
+  /**
+   * Attach or remove a flashcard's audio, deleting the file it replaces
+   * @param {number} flashcardId - Flashcard ID
+   * @param {Object|null} audio - Stored audio ({ key, url }), or null to remove it
+   * @param {number} userId - Requesting user ID
+   * @param {string} userRole - Requesting user role
+   * @returns {Object|null} Updated flashcard
+   */
+  async replaceFlashcardAudio(flashcardId, audio, userId, userRole) {
+    const previousKey = await Flashcard.getAudioKey(flashcardId, userId, userRole);
+
+    const flashcard = await Flashcard.setAudio(flashcardId, audio, userId, userRole);
+    if (!flashcard) {
+      if (audio) {
+        await GenerationService.deleteAudio(audio.key);
+      }
+      return null;
+    }
+
+    if (previousKey) {
+      await GenerationService.deleteAudio(previousKey);
+    }
+
+    return flashcard;
+  }
+
+  /**
+   * Get the english text audio and tips are generated from
+   * @param {Object} flashcard - Flashcard
+   * @returns {string} English text (the full sentence for cloze cards)
+   */
+  getGenerationText(flashcard) {
+    return flashcard.cardType === 'cloze' ? renderCloze(flashcard.english).back : flashcard.english;
+  }
+
+  /**
+   * Check that a part of a flashcard can be generated
+   * @param {string} part - audio or tips
+   */
+  assertGenerationEnabled(part) {
+    if (!GenerationService.isEnabled(part)) {
+      throw new Error('Generation is not configured');
+    }
+  }
+
   /**
    * Get user's flashcards with optional filtering
    * @param {number} userId - User ID
-   * @param {Object} options - Query options
-   * @returns {Array} Array of flashcards
+   * @param {Object} options - Query options (ordering, limit and the filters of getCardFilters)
+   * @returns {Array} Array of flashcards with their tags
    */
   async getUserFlashcards(userId, options = {}) {
-    return Flashcard.findByUserId(userId, options);
+    const { deckId, tags, tagMatch, ...queryOptions } = options;
+    const filters = await this.getCardFilters(userId, { deckId, tags, tagMatch });
+
+    return TagService.withTags(await Flashcard.findByUserId(userId, { ...queryOptions, ...filters }));
+  }
+
+  /**
+   * Get one page of a user's flashcards with their tags (cursor pagination)
+   * @param {number} userId - User ID
+   * @param {Object} [options] - Page, sort and filter options (see parseListingQuery and Flashcard.findPageByUserId)
+   * @returns {Object} Flashcards, total matching the filters and the cursor of the next page
+   */
+  async getUserFlashcardPage(userId, options = {}) {
+    const { deckId, tags, tagMatch, ...queryOptions } = options;
+    const filters = await this.getCardFilters(userId, { deckId, tags, tagMatch });
+    const page = await Flashcard.findPageByUserId(userId, { ...queryOptions, ...filters });
+
+    return { ...page, flashcards: await TagService.withTags(page.flashcards) };
+  }
+
+  /**
+   * Turn card listing query parameters into options for getUserFlashcardPage
+   * @param {Object} query - Query string values (limit, cursor, orderBy, order, deckId, tags, tagMatch,
+   *   difficultyMin, difficultyMax, reviewed, dueBefore, dueAfter, createdAfter, createdBefore)
+   * @param {Object} [defaults] - Default orderBy and order
+   * @returns {Object} Listing options
+   */
+  parseListingQuery(query, defaults = {}) {
+    const {
+      limit, cursor, orderBy = defaults.orderBy ?? 'id', order = defaults.order ?? 'ASC', deckId, tags, tagMatch,
+      difficultyMin, difficultyMax, reviewed, dueBefore, dueAfter, createdAfter, createdBefore
+    } = query;
+    const errors = [];
+    const options = { orderBy, order, tags, tagMatch };
+
+    if (limit !== undefined) {
+      options.limit = Math.min(parseInt(limit), 100); // Cap at 100 per page
+    }
+    if (cursor) {
+      options.cursor = cursor;
+    }
+    if (deckId !== undefined) {
+      options.deckId = parseInt(deckId);
+    }
+
+    for (const [name, value] of Object.entries({ difficultyMin, difficultyMax })) {
+      if (value === undefined) continue;
+      const difficulty = Number(value);
+      if (!Number.isInteger(difficulty) || difficulty < 0 || difficulty > 5) {
+        errors.push(`${name} must be an integer between 0 and 5`);
+      } else {
+        options[name] = difficulty;
+      }
+    }
+
+    if (reviewed !== undefined) {
+      if (!['true', 'false'].includes(reviewed)) {
+        errors.push('reviewed must be true or false');
+      } else {
+        options.reviewed = reviewed === 'true';
+      }
+    }
+
+    for (const [name, value] of Object.entries({ dueBefore, dueAfter, createdAfter, createdBefore })) {
+      if (value === undefined) continue;
+      const date = new Date(value);
+      if (typeof value !== 'string' || isNaN(date.getTime())) {
+        errors.push(`${name} must be a valid date`);
+      } else {
+        options[name] = date.toISOString();
+      }
+    }
+
+    if (errors.length > 0) {
+      throw new Error(`Validation failed: ${errors.join(', ')}`);
+    }
+
+    return options;
+  }
+
+  /**
+   * Search flashcards by their english and spanish text
+   * @param {string} text - Search text
+   * @param {number} userId - ID of user searching
+   * @param {string} userRole - Role of user searching
+   * @param {Object} [options] - Pagination (page, limit) and, for admins, the userId to search
+   * @returns {Object} Matching flashcards with their tags and snippets, and pagination
+   */
+  async searchFlashcards(text, userId, userRole, options = {}) {
+    const results = await Flashcard.search(text, userId, userRole, options);
+    return { ...results, flashcards: await TagService.withTags(results.flashcards) };
+  }
+
+  /**
+   * Get flashcards whose stored next review date has passed
+   * @param {number} userId - User ID
+   * @param {number} limit - Maximum number of cards
+   * @param {Object} [options] - Filter options (see getCardFilters)
+   * @returns {Object} Due cards split into new, due and overdue (more than a day late)
+   */
+  async getDueFlashcards(userId, limit = 20, options = {}) {
+    const filters = await this.getCardFilters(userId, options);
+    const directionMode = await this.getUserDirectionMode(userId);
+    const cards = await TagService.withTags(await Flashcard.getDueCards(userId, limit, directionMode, filters));
+    const overdueThreshold = new Date(Date.now() - 24 * 60 * 60 * 1000);
+
+    const dueCards = [];
+    const overdueCards = [];
+    const newCards = [];
+
+    cards.forEach(card => {
+      if (!card.nextReview) {
+        newCards.push(card);
+      } else if (new Date(card.nextReview) < overdueThreshold) {
+        overdueCards.push(card);
+      } else {
+        dueCards.push(card);
+      }
+    });
+
+    return {
+      dueCards,
+      overdueCards,
+      newCards,
+      totalDue: cards.length
+    };
   }
 
   /**
    * Get flashcards for study session using spaced repetition
    * @param {number} userId - User ID
-   * @param {number} limit - Number of cards to return
-   * @returns {Object} Study session data
+   * @param {number} limit - Number of study items to return
+   * @param {Object} [options] - Filter options (see getCardFilters)
+   * @returns {Object} Study session data; each card is tagged with the direction to study
    */
-  async getStudySession(userId, limit = 10) {
+  async getStudySession(userId, limit = 10, options = {}) {
     if (limit > 50) {
       throw new Error('Study session limit cannot exceed 50 cards');
     }
 
-    const studyCards = await Flashcard.getStudyCards(userId, limit);
+    const filters = await this.getCardFilters(userId, options);
+    const directionMode = await this.getUserDirectionMode(userId);
+    const [studyCards, scheduler] = await Promise.all([
+      Flashcard.getStudyCards(userId, limit, directionMode, filters).then(cards => TagService.withTags(cards)),
+      this.getUserScheduler(userId)
+    ]);
+    const now = new Date();
     
-    // Calculate study priority scores
+    // Calculate study priority scores and the scheduler's recall prediction
     const cardsWithPriority = studyCards.map(card => {
       const priority = this.calculateStudyPriority(card);
       return {
         ...card,
         studyPriority: priority,
-        nextReviewDue: this.calculateNextReviewDate(card)
+        nextReviewDue: this.calculateNextReviewDate(card),
+        studyMetadata: {
+          scheduler: scheduler.name,
+          predictedRetention: scheduler.retrievability(card, now),
+          intervalPreview: this.getIntervalPreview(card, scheduler, now)
+        }
       };
     });
 
     // Sort by priority (highest first)
     cardsWithPriority.sort((a, b) => b.studyPriority - a.studyPriority);
 
+    const predictions = cardsWithPriority
+      .map(card => card.studyMetadata.predictedRetention)
+      .filter(retention => retention !== null);
+
     return {
       cards: cardsWithPriority,
       totalCards: studyCards.length,
@@ -136,27 +966,57 @@ class FlashcardService {
         reviewCards: studyCards.filter(card => card.lastReviewed).length,
         averageDifficulty: studyCards.length > 0 
           ? studyCards.reduce((sum, card) => sum + card.difficulty, 0) / studyCards.length 
-          : 0
+          : 0,
+        scheduler: scheduler.name,
+        directionMode,
+        deckId: options.deckId ?? null,
+        tags: filters.tags,
+        averagePredictedRetention: predictions.length > 0
+          ? predictions.reduce((sum, retention) => sum + retention, 0) / predictions.length
+          : null
       }
     };
   }
 
+  /**
+   * Preview the interval each answer button would produce for a card
+   * @param {Object} card - Flashcard with current scheduling state
+   * @param {Object} scheduler - Scheduler instance
+   * @param {Date} [now=new Date()] - Review time
+   * @returns {Object} Rating, interval and due date keyed by answer (again, hard, good, easy)
+   */
+  getIntervalPreview(card, scheduler, now = new Date()) {
+    return Object.fromEntries(
+      Object.entries(ANSWER_RATINGS).map(([answer, rating]) => {
+        const { intervalDays, nextReview } = scheduler.schedule(card, rating, now);
+        return [answer, { rating, intervalDays, nextReview }];
+      })
+    );
+  }
+
   /**
    * Review a flashcard and update its difficulty/stats
    * @param {number} flashcardId - Flashcard ID
    * @param {number} performanceRating - Performance rating (0-5)
    * @param {number} userId - User ID
    * @param {string} userRole - User role
+   * @param {Object} [options] - Review options
+   * @param {number} [options.timeSpent] - Seconds spent on the card, recorded in the review log
+   * @param {number} [options.sessionId] - Reviewer's open study session, if any
+   * @param {string} [options.direction='en_es'] - Study direction being graded (basic cards)
+   * @param {string} [options.item] - Study item being graded (a direction or cloze deletion such as c1; defaults to direction)
    * @returns {Object} Updated flashcard with next review info
    */
-  async reviewFlashcard(flashcardId, performanceRating, userId, userRole = 'user') {
+  async reviewFlashcard(flashcardId, performanceRating, userId, userRole = 'user', options = {}) {
     // Validate performance rating
     if (!Number.isInteger(performanceRating) || performanceRating < 0 || performanceRating > 5) {
       throw new Error('Performance rating must be an integer between 0 and 5');
     }
 
-    // Get current flashcard
-    const currentCard = await Flashcard.findById(flashcardId, userId, userRole);
+    const { direction = 'en_es', item = direction } = options;
+
+    // Get current flashcard with the scheduling state of the graded item
+    const currentCard = await Flashcard.findItemById(flashcardId, item, userId, userRole);
     if (!currentCard) {
       throw new Error('Flashcard not found');
     }
@@ -164,23 +1024,188 @@ class FlashcardService {
     // Calculate new difficulty based on performance
     const newDifficulty = this.calculateNewDifficulty(currentCard.difficulty, performanceRating);
 
-    // Update flashcard with new difficulty
-    const updatedCard = await Flashcard.review(flashcardId, newDifficulty, userId, userRole);
+    // Calculate new scheduling state with the card owner's scheduler
+    const scheduler = await this.getUserScheduler(currentCard.userId);
+    const now = new Date();
+    const predictedRetention = scheduler.retrievability(currentCard, now);
+    const scheduling = scheduler.schedule(currentCard, performanceRating, now);
+
+    // Update flashcard with new difficulty and scheduling state, logging the review in the
+    // same transaction so a rejected log entry leaves the card unchanged
+    let logEntryId = null;
+    const updatedCard = await Flashcard.review(flashcardId, newDifficulty, userId, userRole, scheduling, item, (newState, db) => {
+      logEntryId = ReviewLog.insert({
+        flashcardId: currentCard.id,
+        userId: currentCard.userId,
+        rating: performanceRating,
+        timeSpent: options.timeSpent ?? null,
+        scheduler: scheduler.name,
+        previousState: this.getSchedulingSnapshot(currentCard),
+        newState: this.getSchedulingSnapshot(newState),
+        // Only the owner's own reviews belong to their study session
+        sessionId: currentCard.userId === userId ? options.sessionId ?? null : null,
+        item,
+        reviewedAt: now.toISOString()
+      }, db);
+    });
 
     // Add next review date calculation
     if (updatedCard) {
+      const logEntry = await ReviewLog.findById(logEntryId);
+
+      // A new lapse can make the card a leech, which also suspends it
+      let leech = false;
+      if (updatedCard.lapses > currentCard.lapses &&
+          this.isLeechLapse(updatedCard.lapses, await this.getUserLeechThreshold(currentCard.userId))) {
+        const flaggedAt = now.toISOString();
+        await Flashcard.setRotationState(currentCard.id, {
+          leechAt: flaggedAt,
+          suspendedAt: updatedCard.suspendedAt ?? flaggedAt
+        }, userId, userRole);
+        Object.assign(updatedCard, { leechAt: flaggedAt, suspendedAt: updatedCard.suspendedAt ?? flaggedAt });
+        leech = true;
+      }
+
       updatedCard.nextReviewDate = this.calculateNextReviewDate(updatedCard);
       updatedCard.performanceRating = performanceRating;
       updatedCard.studyMetadata = {
+        leech,
         previousDifficulty: currentCard.difficulty,
         difficultyChange: newDifficulty - currentCard.difficulty,
-        intervalDays: this.calculateInterval(newDifficulty)
+        intervalDays: scheduling.intervalDays,
+        scheduler: scheduler.name,
+        predictedRetention,
+        reviewLogId: logEntry.id,
+        sessionId: logEntry.sessionId
       };
     }
 
     return updatedCard;
   }
 
+  /**
+   * Grade a typed answer against a flashcard
+   * The suggested rating is meant to be submitted through reviewFlashcard.
+   * @param {number} flashcardId - Flashcard ID
+   * @param {string} answer - Typed answer
+   * @param {number} userId - User ID
+   * @param {string} userRole - User role
+   * @param {string} [answerField='english'] - Side the user is producing (english or spanish)
+   * @returns {Object} Grading result with suggested rating and character diff
+   */
+  async checkAnswer(flashcardId, answer, userId, userRole = 'user', answerField = 'english') {
+    if (!['english', 'spanish'].includes(answerField)) {
+      throw new Error('Answer field must be english or spanish');
+    }
+
+    const card = await Flashcard.findById(flashcardId, userId, userRole);
+    if (!card) {
+      throw new Error('Flashcard not found');
+    }
+
+    return {
+      flashcardId: card.id,
+      answerField,
+      answer,
+      ...gradeAnswer(answer, card[answerField])
+    };
+  }
+
+  /**
+   * Undo the most recent review of a flashcard
+   * Restores the scheduling state snapshotted in the review log (for the direction
+   * that was graded) and removes the entry in the same transaction. If that review
+   * made the card a leech, the leech flag and the suspension it caused are undone too.
+   * @param {number} flashcardId - Flashcard ID
+   * @param {number} userId - User ID
+   * @param {string} userRole - User role
+   * @returns {Object} Restored flashcard and the undone log entry
+   */
+  async undoLastReview(flashcardId, userId, userRole = 'user') {
+    const currentCard = await Flashcard.findById(flashcardId, userId, userRole);
+    if (!currentCard) {
+      throw new Error('Flashcard not found');
+    }
+
+    const lastReview = await ReviewLog.findLatestByFlashcardId(currentCard.id);
+    if (!lastReview) {
+      throw new Error('No review to undo');
+    }
+
+    const flashcard = await Flashcard.restoreSchedulingState(
+      currentCard.id,
+      lastReview.previousState,
+      userId,
+      userRole,
+      lastReview.item,
+      { rotation: true, onRestore: db => ReviewLog.remove(lastReview.id, db) }
+    );
+
+    return { flashcard, undoneReview: lastReview };
+  }
+
+  /**
+   * Extract the scheduling-related fields of a flashcard
+   * The leech flag and suspension are card-wide; they are kept so undoing a review
+   * can clear a leech flag it set.
+   * @param {Object} card - Flashcard
+   * @returns {Object} Scheduling state snapshot
+   */
+  getSchedulingSnapshot(card) {
+    return {
+      difficulty: card.difficulty,
+      reviewCount: card.reviewCount,
+      lastReviewed: card.lastReviewed,
+      easeFactor: card.easeFactor,
+      repetitions: card.repetitions,
+      intervalDays: card.intervalDays,
+      nextReview: card.nextReview,
+      lapses: card.lapses,
+      stability: card.stability,
+      fsrsDifficulty: card.fsrsDifficulty,
+      suspendedAt: card.suspendedAt,
+      leechAt: card.leechAt
+    };
+  }
+
+  /**
+   * Get a user's review history
+   * @param {number} userId - Card owner ID
+   * @param {Object} [filters] - History filters
+   * @param {string} [filters.from] - Start of date range (ISO date or timestamp)
+   * @param {string} [filters.to] - End of date range (ISO date or timestamp, inclusive)
+   * @param {number} [filters.flashcardId] - Only reviews of this flashcard
+   * @param {number} [filters.page=1] - Page number
+   * @param {number} [filters.limit=50] - Items per page
+   * @returns {Object} Review log entries with pagination
+   */
+  async getReviewHistory(userId, filters = {}) {
+    const { from, to, flashcardId, page = 1, limit = 50 } = filters;
+
+    const range = {};
+    for (const [key, value] of Object.entries({ from, to })) {
+      if (!value) continue;
+
+      const date = new Date(value);
+      if (isNaN(date.getTime())) {
+        throw new Error(`Invalid ${key} date`);
+      }
+
+      // A bare date as upper bound covers the whole day
+      if (key === 'to' && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        date.setUTCHours(23, 59, 59, 999);
+      }
+
+      range[key] = date.toISOString();
+    }
+
+    if (range.from && range.to && range.from > range.to) {
+      throw new Error('Invalid date range');
+    }
+
+    return ReviewLog.findByUserId(userId, { ...range, flashcardId, page, limit });
+  }
+
   /**
    * Get user's flashcard statistics
    * @param {number} userId - User ID
@@ -200,6 +1225,81 @@ class FlashcardService {
     };
   }
 
+  /**
+   * Get daily performance time series from the review log
+   * @param {number} userId - User ID
+   * @param {Object} [options] - Analytics options
+   * @param {number} [options.period=30] - Window size in days (including today)
+   * @param {string} [options.metric='reviews'] - Metric used for the trend (reviews, difficulty, accuracy)
+   * @param {Date} [options.now] - Reference time
+   * @returns {Object} Daily buckets, window summary, streaks and trend
+   */
+  async getPerformanceAnalytics(userId, options = {}) {
+    const { period = 30, metric = 'reviews', now = new Date() } = options;
+
+    // Day boundaries follow the user's time zone
+    const timezone = resolveTimeZone(await User.getTimezone(userId));
+    const today = toLocalDate(now, timezone);
+    const startDate = addDays(today, -(period - 1));
+
+    // One extra day covers time zones ahead of UTC; events are re-bucketed locally
+    const events = await ReviewLog.getReviewEvents(userId, `${addDays(startDate, -1)}T00:00:00.000Z`);
+
+    const buckets = new Map(dateRange(startDate, period).map(date => [date, {
+      date,
+      reviews: 0,
+      correct: 0,
+      difficultySum: 0
+    }]));
+
+    for (const event of events) {
+      const bucket = buckets.get(toLocalDate(event.reviewedAt, timezone));
+      if (!bucket) continue;
+
+      bucket.reviews++;
+      bucket.correct += event.rating >= 2 ? 1 : 0;
+      bucket.difficultySum += event.difficulty || 0;
+    }
+
+    const series = [...buckets.values()].map(bucket => ({
+      date: bucket.date,
+      reviews: bucket.reviews,
+      accuracy: bucket.reviews > 0 ? Math.round((bucket.correct / bucket.reviews) * 100) / 100 : null,
+      averageDifficulty: bucket.reviews > 0 ? Math.round((bucket.difficultySum / bucket.reviews) * 100) / 100 : null
+    }));
+
+    const totals = [...buckets.values()].reduce((sum, bucket) => ({
+      reviews: sum.reviews + bucket.reviews,
+      correct: sum.correct + bucket.correct,
+      difficultySum: sum.difficultySum + bucket.difficultySum
+    }), { reviews: 0, correct: 0, difficultySum: 0 });
+
+    // Streaks need the full history, not just the requested window
+    const allEvents = await ReviewLog.getReviewEvents(userId);
+    const studyDays = new Set(allEvents.map(event => toLocalDate(event.reviewedAt, timezone)));
+    const streaks = this.calculateStudyStreaks(studyDays, today);
+
+    const metricKey = { reviews: 'reviews', accuracy: 'accuracy', difficulty: 'averageDifficulty' }[metric];
+    const trend = this.calculateTrend(series.map(point => point[metricKey]), metric);
+
+    return {
+      timezone,
+      startDate,
+      endDate: today,
+      series,
+      summary: {
+        reviews: totals.reviews,
+        accuracy: totals.reviews > 0 ? Math.round((totals.correct / totals.reviews) * 100) / 100 : null,
+        averageDifficulty: totals.reviews > 0 ? Math.round((totals.difficultySum / totals.reviews) * 100) / 100 : null,
+        activeDays: series.filter(point => point.reviews > 0).length
+      },
+      studyStreak: streaks.current,
+      longestStreak: streaks.longest,
+      improvementTrend: trend.direction,
+      trendSlope: trend.slope
+    };
+  }
+
   /**
    * Get system-wide statistics (admin only)
    * @param {string} userRole - User role
@@ -215,9 +1315,12 @@ class FlashcardService {
 
   /**
    * Bulk import flashcards
+   * Cards duplicating an existing card (or an earlier card of the import) are reported
+   * as failed with code DUPLICATE_FLASHCARD and the existing card. The audio and tips of
+   * imported cards are generated in the background, as for createFlashcard.
    * @param {Array} flashcardsData - Array of flashcard data
    * @param {number} userId - User ID
-   * @returns {Object} Import results
+   * @returns {Object} Import results (each successful card with its generation jobs)
    */
   async bulkImportFlashcards(flashcardsData, userId) {
     if (!Array.isArray(flashcardsData)) {
@@ -251,14 +1354,19 @@ class FlashcardService {
         const createdCard = await this.createFlashcard(cardData, userId);
         results.successful.push({
           index,
-          flashcard: createdCard
+          flashcard: createdCard,
+          jobs: await this.getGenerationJobs(createdCard.id)
         });
 
       } catch (error) {
         results.failed.push({
           index,
           data: cardData,
-          errors: [error.message]
+          errors: [error.message],
+          ...(error.existingFlashcard && {
+            code: 'DUPLICATE_FLASHCARD',
+            existingFlashcard: error.existingFlashcard
+          })
         });
       }
     }
@@ -266,6 +1374,52 @@ class FlashcardService {
     return results;
   }
 
+  /**
+   * Get the spaced repetition scheduler selected in a user's preferences
+   * @param {number} userId - User ID
+   * @returns {Object} Scheduler instance (SM-2 if none selected)
+   */
+  async getUserScheduler(userId) {
+    const preferences = await User.getPreferences(userId) || {};
+    return getScheduler(preferences.scheduler || DEFAULT_SCHEDULER, {
+      desiredRetention: preferences.desiredRetention,
+      maxInterval: this.spacedRepetition.maxInterval
+    });
+  }
+
+  /**
+   * Get the number of lapses after which a user's cards become leeches
+   * @param {number} userId - User ID
+   * @returns {number} Leech threshold from the user's preferences (8 if none selected)
+   */
+  async getUserLeechThreshold(userId) {
+    const preferences = await User.getPreferences(userId) || {};
+    return preferences.leechThreshold || DEFAULT_LEECH_THRESHOLD;
+  }
+
+  /**
+   * Check whether a card reaching a lapse count gets flagged as a leech
+   * Cards are flagged when their lapses reach the threshold, and again every half
+   * threshold after that (so a resumed leech that keeps failing is caught again).
+   * @param {number} lapses - Lapses after the review
+   * @param {number} threshold - Leech threshold
+   * @returns {boolean} Whether the card is a leech at this lapse
+   */
+  isLeechLapse(lapses, threshold) {
+    return lapses >= threshold && (lapses - threshold) % Math.ceil(threshold / 2) === 0;
+  }
+
+  /**
+   * Get the study direction mode selected in a user's preferences
+   * Cards with their own direction mode override it.
+   * @param {number} userId - User ID
+   * @returns {string} Direction mode (en_es, es_en or both)
+   */
+  async getUserDirectionMode(userId) {
+    const preferences = await User.getPreferences(userId) || {};
+    return preferences.direction || DEFAULT_DIRECTION_MODE;
+  }
+
   /**
    * Calculate study priority for a flashcard
    * @param {Object} card - Flashcard data
@@ -336,10 +1490,15 @@ class FlashcardService {
 
   /**
    * Calculate next review date for a flashcard
+   * Uses the stored due date when the card has scheduling state
    * @param {Object} card - Flashcard data
    * @returns {Date} Next review date
    */
   calculateNextReviewDate(card) {
+    if (card.nextReview) {
+      return new Date(card.nextReview);
+    }
+
     if (!card.lastReviewed) {
       // New card should be reviewed tomorrow
       const tomorrow = new Date();
@@ -369,6 +1528,71 @@ class FlashcardService {
     );
   }
 
+  /**
+   * Calculate current and longest streaks of consecutive study days
+   * @param {Set<string>} studyDays - Local dates (YYYY-MM-DD) with at least one review
+   * @param {string} today - Today's local date
+   * @returns {Object} Streak lengths in days
+   */
+  calculateStudyStreaks(studyDays, today) {
+    // The current streak is still alive if the user has not studied yet today
+    let current = 0;
+    let day = studyDays.has(today) ? today : addDays(today, -1);
+    while (studyDays.has(day)) {
+      current++;
+      day = addDays(day, -1);
+    }
+
+    let longest = 0;
+    for (const date of studyDays) {
+      // Only count runs from their first day
+      if (studyDays.has(addDays(date, -1))) continue;
+
+      let length = 1;
+      while (studyDays.has(addDays(date, length))) {
+        length++;
+      }
+      longest = Math.max(longest, length);
+    }
+
+    return { current, longest };
+  }
+
+  /**
+   * Derive a trend from a least-squares regression over daily values
+   * @param {Array<number|null>} values - Daily values (null for days without data)
+   * @param {string} metric - Metric name; for difficulty a falling value is an improvement
+   * @returns {Object} Trend direction (improving, declining, stable) and slope per day
+   */
+  calculateTrend(values, metric) {
+    const points = values
+      .map((value, index) => ({ x: index, y: value }))
+      .filter(point => point.y !== null);
+
+    if (points.length < 2) {
+      return { direction: 'stable', slope: 0 };
+    }
+
+    const meanX = points.reduce((sum, point) => sum + point.x, 0) / points.length;
+    const meanY = points.reduce((sum, point) => sum + point.y, 0) / points.length;
+    const covariance = points.reduce((sum, point) => sum + (point.x - meanX) * (point.y - meanY), 0);
+    const variance = points.reduce((sum, point) => sum + (point.x - meanX) ** 2, 0);
+    const slope = covariance / variance;
+
+    // Ignore changes below 10% of the mean over the whole window
+    const change = slope * (values.length - 1);
+    if (meanY === 0 || Math.abs(change / meanY) < 0.1) {
+      return { direction: 'stable', slope: Math.round(slope * 1000) / 1000 };
+    }
+
+    const improving = metric === 'difficulty' ? change < 0 : change > 0;
+
+    return {
+      direction: improving ? 'improving' : 'declining',
+      slope: Math.round(slope * 1000) / 1000
+    };
+  }
+
   /**
    * Calculate spaced repetition statistics
    * @param {Array} cards - User's flashcards
@@ -379,9 +1603,16 @@ class FlashcardService {
     let dueCards = 0;
     let overdueCards = 0;
     let newCards = 0;
+    let suspendedCards = 0;
+    let buriedCards = 0;
 
     cards.forEach(card => {
-      if (!card.lastReviewed) {
+      // Cards out of rotation are neither due nor new
+      if (card.suspendedAt) {
+        suspendedCards++;
+      } else if (card.buriedUntil && new Date(card.buriedUntil) > now) {
+        buriedCards++;
+      } else if (!card.lastReviewed) {
         newCards++;
       } else {
         const nextReview = this.calculateNextReviewDate(card);
@@ -398,6 +1629,8 @@ class FlashcardService {
       dueCards,
       overdueCards,
       newCards,
+      suspendedCards,
+      buriedCards,
       totalCards: cards.length,
       studyLoad: dueCards + newCards
     };
@@ -467,7 +1700,7 @@ class FlashcardService {
   }
 
   /**
-   * Delete all flashcards for a user (used when deleting user account)
+   * Delete all flashcards for a user (moves them to the trash)
    * @param {number} userId - User ID
    * @returns {number} Number of deleted flashcards
    */
@@ -480,7 +1713,7 @@ class FlashcardService {
    * @param {Array} flashcardsData - Flashcards data array
    * @returns {Object} Validation result
    */
-  static validateBulkImport(flashcardsData) {
+  validateBulkImport(flashcardsData) {
     const errors = [];
 
     if (!Array.isArray(flashcardsData)) {
@@ -515,7 +1748,7 @@ class FlashcardService {
    * @param {number} rating - Performance rating
    * @returns {Object} Validation result
    */
-  static validatePerformanceRating(rating) {
+  validatePerformanceRating(rating) {
     const errors = [];
 
     if (rating === undefined || rating === null) {
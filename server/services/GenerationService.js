@@ -0,0 +1,73 @@
+import { generateTips } from './gemini-tips.js';
+import { getStorage } from './storage/index.js';
+import TtsCacheService from './TtsCacheService.js';
+
+/**
+ * GenerationService
+ *
+ * Generates the pronunciation audio and study tips of flashcards. Tips come
+ * from Gemini; audio comes from the speech cache (TtsCacheService), which uses
+ * the configured TTS providers, so cards with the same text share one audio file.
+ */
+
+class GenerationService {
+  constructor() {
+    this.language = 'en';
+  }
+
+  /**
+   * Check whether a part of a flashcard can be generated
+   * @param {string} part - audio or tips
+   * @returns {boolean} True when a TTS provider (audio) or a Gemini API key (tips) is available
+   */
+  isEnabled(part) {
+    return part === 'audio' ? TtsCacheService.isEnabled() : Boolean(process.env.GEMINI_API_KEY);
+  }
+
+  /**
+   * Get the audio of a text for a card, generating it unless it is cached
+   * Each call takes a cache reference that deleteAudio() gives back.
+   * @param {string} text - Text to speak
+   * @returns {Object} Storage key and public URL of the audio
+   */
+  async storeAudio(text) {
+    return TtsCacheService.acquire(text, { language: this.language });
+  }
+
+  /**
+   * Release a card's audio
+   * Cached audio is deleted by cache garbage collection once no card uses it;
+   * audio stored before the cache existed is deleted right away.
+   * Failures are logged and ignored so a missing object never blocks the caller.
+   * @param {string} key - Storage key
+   */
+  async deleteAudio(key) {
+    try {
+      if (await TtsCacheService.release(key)) {
+        return;
+      }
+      await getStorage().delete(key);
+    } catch (error) {
+      console.error(`Failed to delete audio ${key}:`, error);
+    }
+  }
+
+  /**
+   * Generate study tips for a word
+   * @param {string} english - English text
+   * @param {string} spanish - Spanish text
+   * @returns {string} Tips as a JSON string
+   */
+  async generateTips(english, spanish) {
+    const result = await generateTips(english, spanish);
+    if (!result.success) {
+      throw new Error(`Tips generation failed: ${result.error}`);
+    }
+
+    return result.tips;
+  }
+}
+
+// Export singleton instance
+const generationService = new GenerationService();
+export default generationService;
@@ -0,0 +1,116 @@
+import crypto from 'crypto';
+import sharp from 'sharp';
+import { getStorage } from './storage/index.js';
+
+// Accepted upload types: MIME type -> format detected by sharp and stored file extension
+const IMAGE_TYPES = {
+  'image/jpeg': { format: 'jpeg', extension: 'jpg' },
+  'image/png': { format: 'png', extension: 'png' },
+  'image/webp': { format: 'webp', extension: 'webp' },
+  'image/gif': { format: 'gif', extension: 'gif' }
+};
+
+/**
+ * ImageService
+ *
+ * Validates uploaded card images, generates thumbnails and stores both in
+ * media storage.
+ */
+
+class ImageService {
+  constructor() {
+    this.maxFileSize = 5 * 1024 * 1024; // 5 MB
+    this.thumbnailSize = 320; // Longest side in pixels
+    this.allowedTypes = Object.keys(IMAGE_TYPES);
+  }
+
+  /**
+   * Check if a MIME type can be uploaded
+   * @param {string} mimeType - Declared MIME type
+   * @returns {boolean} Whether the type is accepted
+   */
+  isAllowedType(mimeType) {
+    return Object.hasOwn(IMAGE_TYPES, mimeType);
+  }
+
+  /**
+   * Validate and store an uploaded image with its thumbnail
+   * @param {Object} file - Uploaded file (multer memory storage)
+   * @param {Buffer} file.buffer - File contents
+   * @param {string} file.mimetype - Declared MIME type
+   * @returns {Object} Storage key and public URLs of the image and thumbnail
+   */
+  async storeImage(file) {
+    const { extension, thumbnail } = await this.processImage(file);
+    const key = `images/${crypto.randomUUID()}.${extension}`;
+
+    const storage = getStorage();
+    await storage.put(key, file.buffer, { contentType: file.mimetype });
+    await storage.put(this.thumbnailKey(key), thumbnail, { contentType: 'image/webp' });
+
+    return {
+      key,
+      url: storage.publicUrl(key),
+      thumbnailUrl: storage.publicUrl(this.thumbnailKey(key))
+    };
+  }
+
+  /**
+   * Delete a stored image and its thumbnail
+   * Failures are logged and ignored so a missing object never blocks the caller.
+   * @param {string} key - Storage key of the original image
+   */
+  async deleteImage(key) {
+    for (const objectKey of [key, this.thumbnailKey(key)]) {
+      try {
+        await getStorage().delete(objectKey);
+      } catch (error) {
+        console.error(`Failed to delete image ${objectKey}:`, error);
+      }
+    }
+  }
+
+  /**
+   * Check that the file content is an image of its declared type and build its thumbnail
+   * @param {Object} file - Uploaded file
+   * @returns {Object} File extension and thumbnail (WebP buffer)
+   */
+  async processImage(file) {
+    const type = IMAGE_TYPES[file.mimetype];
+    if (!type) {
+      throw new Error(`Validation failed: Images must be one of: ${this.allowedTypes.join(', ')}`);
+    }
+
+    let metadata;
+    try {
+      metadata = await sharp(file.buffer).metadata();
+    } catch {
+      throw new Error('Validation failed: File is not a valid image');
+    }
+
+    if (metadata.format !== type.format) {
+      throw new Error('Validation failed: Image content does not match its file type');
+    }
+
+    const thumbnail = await sharp(file.buffer)
+      .rotate() // Apply EXIF orientation
+      .resize(this.thumbnailSize, this.thumbnailSize, { fit: 'inside', withoutEnlargement: true })
+      .webp({ quality: 80 })
+      .toBuffer();
+
+    return { extension: type.extension, thumbnail };
+  }
+
+  /**
+   * Get the storage key of an image's thumbnail
+   * @param {string} key - Storage key of the original image
+   * @returns {string} Thumbnail key
+   */
+  thumbnailKey(key) {
+    return key.replace(/\.[^./]+$/, '-thumb.webp');
+  }
+}
+
+// Export singleton instance
+const imageService = new ImageService();
+export default imageService;
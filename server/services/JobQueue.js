@@ -0,0 +1,239 @@
+import Job from '../models/Job.js';
+
+/**
+ * JobQueue
+ *
+ * Persistent background jobs (jobs table) run by an in-process worker, so slow
+ * work such as speech and tips generation never holds up an HTTP request.
+ *
+ * - register(type, handler): handlers are async functions of the job payload;
+ *   what they return is stored as the job result, what they throw fails the attempt
+ * - enqueue(type, payload, options): store a job; a started worker picks it up at once
+ * - start()/stop(): run the worker (server.js starts it; tests and scripts do not)
+ *
+ * At most `concurrency` jobs run at a time. A failed attempt is retried after an
+ * exponential backoff (retryDelay * 2^(attempt - 1), capped at maxRetryDelay);
+ * after maxAttempts failures the job is dead-lettered with its last error.
+ * Jobs are claimed in one transaction, but the worker assumes it is the only
+ * one: at startup it requeues jobs left running by the previous process.
+ */
+
+class JobQueue {
+  constructor() {
+    this.handlers = new Map();
+    this.concurrency = Number(process.env.JOB_CONCURRENCY) || 2;
+    this.pollInterval = Number(process.env.JOB_POLL_INTERVAL_MS) || 5000;
+    this.retryDelay = 10 * 1000;
+    this.maxRetryDelay = 10 * 60 * 1000;
+    this.maxAttempts = 5;
+    this.active = 0;
+    this.timer = null;
+    this.draining = false;
+    this.drainAgain = false;
+  }
+
+  /**
+   * Register the handler of a job type
+   * @param {string} type - Job type
+   * @param {Function} handler - Async function of the job payload
+   */
+  register(type, handler) {
+    this.handlers.set(type, handler);
+  }
+
+  /**
+   * Add a job to the queue
+   * @param {string} type - Job type (must be registered)
+   * @param {Object} payload - Handler input (stored as JSON)
+   * @param {Object} [options] - Job options
+   * @param {number} [options.userId] - User who may see the job's status
+   * @param {string} [options.resourceType] - What the job works on (e.g. flashcard)
+   * @param {number} [options.resourceId] - ID of what the job works on
+   * @param {number} [options.maxAttempts] - Attempts before the job is dead-lettered
+   * @returns {Object} Created job
+   */
+  async enqueue(type, payload, options = {}) {
+    if (!this.handlers.has(type)) {
+      throw new Error(`Unknown job type: ${type}`);
+    }
+
+    const job = await Job.create({
+      type,
+      payload,
+      userId: options.userId,
+      resourceType: options.resourceType,
+      resourceId: options.resourceId,
+      maxAttempts: options.maxAttempts || this.maxAttempts
+    });
+
+    if (this.timer) {
+      this.drain();
+    }
+
+    return job;
+  }
+
+  /**
+   * Get a job's status for a user
+   * @param {number} jobId - Job ID
+   * @param {number} userId - Requesting user ID
+   * @param {string} userRole - Requesting user role
+   * @returns {Object|null} Job status, or null if the job does not exist or belongs to someone else
+   */
+  async getJobStatus(jobId, userId, userRole) {
+    const job = await Job.findById(jobId);
+    if (!job || (userRole !== 'admin' && job.userId !== userId)) {
+      return null;
+    }
+
+    return this.toStatus(job);
+  }
+
+  /**
+   * Get the status of the unfinished jobs working on a resource
+   * @param {string} resourceType - Resource type
+   * @param {number} resourceId - Resource ID
+   * @returns {Array<Object>} Job statuses
+   */
+  async getActiveJobs(resourceType, resourceId) {
+    const jobs = await Job.findActiveByResource(resourceType, resourceId);
+    return jobs.map(job => this.toStatus(job));
+  }
+
+  /**
+   * Start the worker
+   * Jobs left running by a previous process are requeued first.
+   */
+  async start() {
+    if (this.timer) {
+      return;
+    }
+
+    const requeued = await Job.requeueRunning();
+    if (requeued > 0) {
+      console.log(`Requeued ${requeued} interrupted job(s)`);
+    }
+
+    this.timer = setInterval(() => this.drain(), this.pollInterval);
+    this.timer.unref();
+    this.drain();
+  }
+
+  /**
+   * Stop the worker (running jobs finish on their own)
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Start due jobs until the concurrency limit is reached
+   */
+  async drain() {
+    if (this.draining) {
+      // Look again once the current pass ends, in case it missed a new job
+      this.drainAgain = true;
+      return;
+    }
+    this.draining = true;
+    this.drainAgain = false;
+
+    try {
+      while (this.active < this.concurrency) {
+        const job = await Job.claimNext([...this.handlers.keys()]);
+        if (!job) {
+          break;
+        }
+
+        this.active++;
+        this.run(job).finally(() => {
+          this.active--;
+          if (this.timer) {
+            this.drain();
+          }
+        });
+      }
+    } catch (error) {
+      console.error('Job queue error:', error);
+    } finally {
+      this.draining = false;
+    }
+
+    if (this.drainAgain && this.timer) {
+      this.drain();
+    }
+  }
+
+  /**
+   * Run one attempt of a claimed job and record its outcome
+   * @param {Object} job - Claimed job
+   */
+  async run(job) {
+    try {
+      const result = await this.handlers.get(job.type)(job.payload);
+      await Job.complete(job.id, result);
+    } catch (error) {
+      const message = error?.message || String(error);
+
+      try {
+        if (job.attempts >= job.maxAttempts) {
+          console.error(`Job ${job.id} (${job.type}) failed ${job.attempts} time(s), giving up:`, message);
+          await Job.markDead(job.id, message);
+        } else {
+          const runAt = new Date(Date.now() + this.getRetryDelay(job.attempts)).toISOString();
+          console.error(`Job ${job.id} (${job.type}) failed, retrying at ${runAt}:`, message);
+          await Job.retry(job.id, message, runAt);
+        }
+      } catch (recordError) {
+        console.error(`Failed to record the failure of job ${job.id}:`, recordError);
+      }
+    }
+  }
+
+  /**
+   * Get the delay before retrying a failed job
+   * @param {number} attempts - Attempts made so far
+   * @returns {number} Delay in milliseconds
+   */
+  getRetryDelay(attempts) {
+    return Math.min(this.retryDelay * Math.pow(2, attempts - 1), this.maxRetryDelay);
+  }
+
+  /**
+   * Delete completed and dead jobs that finished long ago
+   * @param {number} [retentionDays=7] - Days finished jobs are kept
+   * @returns {number} Number of deleted jobs
+   */
+  async deleteFinishedJobs(retentionDays = 7) {
+    const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000).toISOString();
+    return Job.deleteFinishedBefore(cutoff);
+  }
+
+  /**
+   * Format a job for API responses (the payload is internal to the handler)
+   * @param {Object} job - Job
+   * @returns {Object} Job status
+   */
+  toStatus(job) {
+    return {
+      id: job.id,
+      type: job.type,
+      status: job.status,
+      resourceType: job.resourceType,
+      resourceId: job.resourceId,
+      attempts: job.attempts,
+      maxAttempts: job.maxAttempts,
+      runAt: job.runAt,
+      lastError: job.lastError,
+      result: job.result,
+      createdAt: job.createdAt,
+      updatedAt: job.updatedAt,
+      completedAt: job.completedAt
+    };
+  }
+}
+
+// Export singleton instance
+const jobQueue = new JobQueue();
+export default jobQueue;
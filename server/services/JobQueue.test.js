@@ -0,0 +1,180 @@
+import JobQueue from './JobQueue.js';
+import FlashcardService from './FlashcardService.js';
+import Job from '../models/Job.js';
+import User from '../models/User.js';
+import Flashcard from '../models/Flashcard.js';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Job types are unique per run, so jobs left in the database by earlier runs are never claimed
+let typeCount = 0;
+const uniqueType = (name) => `test.${name}.${Date.now()}.${++typeCount}`;
+
+const waitForJob = async (id, statuses = ['completed', 'dead']) => {
+  for (let i = 0; i < 300; i++) {
+    const job = await Job.findById(id);
+    if (statuses.includes(job.status)) {
+      return job;
+    }
+    await sleep(10);
+  }
+  throw new Error(`Job ${id} did not finish`);
+};
+
+describe('JobQueue', () => {
+  const defaults = {
+    concurrency: JobQueue.concurrency,
+    pollInterval: JobQueue.pollInterval,
+    retryDelay: JobQueue.retryDelay,
+    maxRetryDelay: JobQueue.maxRetryDelay
+  };
+
+  beforeEach(() => {
+    Object.assign(JobQueue, { concurrency: 2, pollInterval: 10, retryDelay: 40, maxRetryDelay: 1000 });
+  });
+
+  afterEach(() => {
+    JobQueue.stop();
+    Object.assign(JobQueue, defaults);
+  });
+
+  test('should run queued jobs and store their result', async () => {
+    const type = uniqueType('echo');
+    JobQueue.register(type, async (payload) => ({ echoed: payload.value }));
+    await JobQueue.start();
+
+    const job = await JobQueue.enqueue(type, { value: 42 }, { resourceType: 'flashcard', resourceId: 3 });
+    const finished = await waitForJob(job.id);
+
+    expect(finished).toEqual(expect.objectContaining({
+      status: 'completed',
+      attempts: 1,
+      result: { echoed: 42 },
+      lastError: null,
+      resourceType: 'flashcard',
+      resourceId: 3
+    }));
+    expect(finished.completedAt).not.toBeNull();
+  });
+
+  test('should reject unknown job types', async () => {
+    await expect(JobQueue.enqueue(uniqueType('unknown'), {})).rejects.toThrow('Unknown job type');
+  });
+
+  test('should run at most `concurrency` jobs at a time', async () => {
+    const type = uniqueType('slow');
+    let running = 0;
+    let maxRunning = 0;
+    JobQueue.register(type, async () => {
+      running++;
+      maxRunning = Math.max(maxRunning, running);
+      await sleep(30);
+      running--;
+    });
+    await JobQueue.start();
+
+    const jobs = [];
+    for (let i = 0; i < 5; i++) {
+      jobs.push(await JobQueue.enqueue(type, { i }));
+    }
+    const finished = await Promise.all(jobs.map(job => waitForJob(job.id)));
+
+    expect(finished.map(job => job.status)).toEqual(Array(5).fill('completed'));
+    expect(maxRunning).toBe(2);
+  });
+
+  test('should retry failed attempts with exponential backoff', async () => {
+    const type = uniqueType('flaky');
+    const attemptTimes = [];
+    JobQueue.register(type, async () => {
+      attemptTimes.push(Date.now());
+      if (attemptTimes.length <= 2) {
+        throw new Error(`failure ${attemptTimes.length}`);
+      }
+      return 'done';
+    });
+    await JobQueue.start();
+
+    const job = await JobQueue.enqueue(type, {});
+    const finished = await waitForJob(job.id);
+
+    expect(finished).toEqual(expect.objectContaining({ status: 'completed', attempts: 3, result: 'done', lastError: null }));
+    expect(attemptTimes[1] - attemptTimes[0]).toBeGreaterThanOrEqual(40);
+    expect(attemptTimes[2] - attemptTimes[1]).toBeGreaterThanOrEqual(80);
+  });
+
+  test('should double the retry delay up to its cap', () => {
+    Object.assign(JobQueue, { retryDelay: 10, maxRetryDelay: 25 });
+
+    expect([1, 2, 3, 4].map(attempts => JobQueue.getRetryDelay(attempts))).toEqual([10, 20, 25, 25]);
+  });
+
+  test('should dead-letter a job after maxAttempts failures', async () => {
+    const type = uniqueType('broken');
+    let calls = 0;
+    JobQueue.register(type, async () => {
+      calls++;
+      throw new Error('boom');
+    });
+    Object.assign(JobQueue, { retryDelay: 5 });
+    await JobQueue.start();
+
+    const job = await JobQueue.enqueue(type, {}, { maxAttempts: 3 });
+    const finished = await waitForJob(job.id);
+
+    expect(finished).toEqual(expect.objectContaining({ status: 'dead', attempts: 3, maxAttempts: 3, lastError: 'boom' }));
+    expect(finished.completedAt).not.toBeNull();
+    expect(calls).toBe(3);
+  });
+
+  test('should requeue jobs left running by a previous process at start', async () => {
+    const type = uniqueType('interrupted');
+    JobQueue.register(type, async () => 'resumed');
+
+    // Claimed by a worker that never finished it
+    const job = await JobQueue.enqueue(type, {});
+    await Job.claimNext([type]);
+    expect((await Job.findById(job.id)).status).toBe('running');
+
+    await JobQueue.start();
+    const finished = await waitForJob(job.id);
+
+    expect(finished).toEqual(expect.objectContaining({ status: 'completed', attempts: 2, result: 'resumed' }));
+  });
+});
+
+describe('FlashcardService.runGenerationJob', () => {
+  let userId;
+
+  beforeAll(async () => {
+    const user = await User.create({ email: `generation-${Date.now()}@example.com`, password_hash: 'not-a-real-hash' });
+    userId = user.id;
+  });
+
+  const createCard = (english, spanish) => Flashcard.create({ english: `${english} ${Date.now()}`, spanish, userId });
+
+  test('should skip cards edited since the job was queued', async () => {
+    const card = await createCard('old text', 'texto viejo');
+    const payload = { flashcardId: card.id, userId, english: card.english, spanish: card.spanish };
+    await Flashcard.update(card.id, { english: `${card.english} edited` }, userId);
+
+    expect(await FlashcardService.runGenerationJob('audio', payload)).toEqual({ skipped: true });
+    expect(await FlashcardService.runGenerationJob('tips', payload)).toEqual({ skipped: true });
+    expect((await Flashcard.findById(card.id, userId)).audioUrl).toBeNull();
+  });
+
+  test('should skip tips when the Spanish text changed', async () => {
+    const card = await createCard('same text', 'traducción');
+    const payload = { flashcardId: card.id, userId, english: card.english, spanish: 'otra traducción' };
+
+    expect(await FlashcardService.runGenerationJob('tips', payload)).toEqual({ skipped: true });
+  });
+
+  test('should skip deleted cards', async () => {
+    const card = await createCard('deleted', 'borrada');
+    const payload = { flashcardId: card.id, userId, english: card.english, spanish: card.spanish };
+    await Flashcard.delete(card.id, userId);
+
+    expect(await FlashcardService.runGenerationJob('audio', payload)).toEqual({ skipped: true });
+  });
+});
@@ -0,0 +1,178 @@
+import StudySession from '../models/StudySession.js';
+import ReviewLog from '../models/ReviewLog.js';
+import FlashcardService from './FlashcardService.js';
+
+/**
+ * StudySessionService
+ * 
+ * Business logic layer for the study session lifecycle: starting, resuming
+ * and completing sessions. Session summaries are always computed from the
+ * review log, never from client-supplied data.
+ * 
+ * A user has at most one active session. Sessions left idle longer than the
+ * inactivity timeout are marked abandoned and can be resumed later.
+ */
+
+class StudySessionService {
+  constructor() {
+    // Minutes without reviews after which an active session is abandoned
+    this.inactivityTimeout = 30;
+  }
+
+  /**
+   * Start a new study session, abandoning any session still open
+   * @param {number} userId - User ID
+   * @param {number} [limit=10] - Number of cards to study
+   * @returns {Object} Created session and its study cards
+   */
+  async startSession(userId, limit = 10) {
+    // Validates the limit before anything is written
+    const studySession = await FlashcardService.getStudySession(userId, limit);
+
+    await StudySession.abandonActive(userId);
+    const session = await StudySession.create(userId, { cardLimit: limit });
+
+    return { session, studySession };
+  }
+
+  /**
+   * Get user's open session, abandoning it first if it has gone idle
+   * @param {number} userId - User ID
+   * @returns {Object|null} Active session with progress so far
+   */
+  async getActiveSession(userId) {
+    const cutoff = new Date(Date.now() - this.inactivityTimeout * 60 * 1000).toISOString();
+    await StudySession.abandonActive(userId, cutoff);
+
+    const session = await StudySession.findActiveByUserId(userId);
+    return session ? this.withSummary(session) : null;
+  }
+
+  /**
+   * Get a session by ID
+   * @param {number} sessionId - Session ID
+   * @param {number} userId - Owner user ID
+   * @returns {Object|null} Session with summary
+   */
+  async getSession(sessionId, userId) {
+    const session = await StudySession.findById(sessionId, userId);
+    return session ? this.withSummary(session) : null;
+  }
+
+  /**
+   * Get user's session history
+   * @param {number} userId - User ID
+   * @param {Object} [options] - Query options (status, page, limit)
+   * @returns {Object} Sessions with pagination
+   */
+  async getSessionHistory(userId, options = {}) {
+    if (options.status && !['active', 'completed', 'abandoned'].includes(options.status)) {
+      throw new Error('Invalid session status');
+    }
+
+    return StudySession.findByUserId(userId, options);
+  }
+
+  /**
+   * Resume an active or abandoned session
+   * @param {number} sessionId - Session ID
+   * @param {number} userId - Owner user ID
+   * @returns {Object} Reopened session and fresh study cards
+   */
+  async resumeSession(sessionId, userId) {
+    const session = await StudySession.findById(sessionId, userId);
+    if (!session) {
+      throw new Error('Session not found');
+    }
+
+    if (session.status === 'completed') {
+      throw new Error('Session already completed');
+    }
+
+    // Only one session may be open at a time
+    if (session.status === 'abandoned') {
+      await StudySession.abandonActive(userId);
+    }
+
+    const reopened = await StudySession.reopen(sessionId, userId);
+    const studySession = await FlashcardService.getStudySession(userId, reopened.cardLimit || 10);
+
+    return { session: await this.withSummary(reopened), studySession };
+  }
+
+  /**
+   * Complete a session and store its summary
+   * @param {number} sessionId - Session ID
+   * @param {number} userId - Owner user ID
+   * @returns {Object} Completed session
+   */
+  async completeSession(sessionId, userId) {
+    const session = await StudySession.findById(sessionId, userId);
+    if (!session) {
+      throw new Error('Session not found');
+    }
+
+    if (session.status === 'completed') {
+      throw new Error('Session already completed');
+    }
+
+    // Abandoned sessions end at their last activity, not when recovered
+    const endedAt = session.status === 'abandoned' ? session.lastActivityAt : new Date().toISOString();
+    const summary = await this.buildSummary(session, endedAt);
+
+    return StudySession.complete(sessionId, userId, endedAt, summary);
+  }
+
+  /**
+   * Attach the user's open session to a review
+   * @param {number} userId - Reviewer user ID
+   * @returns {number|null} Session ID the review belongs to
+   */
+  async getSessionIdForReview(userId) {
+    const session = await this.getActiveSession(userId);
+    if (!session) {
+      return null;
+    }
+
+    await StudySession.touch(session.id);
+    return session.id;
+  }
+
+  /**
+   * Add the summary to a session (live for sessions not yet completed)
+   * @param {Object} session - Session
+   * @returns {Object} Session with summary
+   */
+  async withSummary(session) {
+    if (session.status === 'completed') {
+      return session;
+    }
+
+    const endedAt = session.endedAt || new Date().toISOString();
+    return { ...session, summary: await this.buildSummary(session, endedAt) };
+  }
+
+  /**
+   * Compute a session summary from the review log
+   * @param {Object} session - Session
+   * @param {string} endedAt - Session end time
+   * @returns {Object} Session summary
+   */
+  async buildSummary(session, endedAt) {
+    const reviewStats = await ReviewLog.getSessionSummary(session.id);
+
+    return {
+      ...reviewStats,
+      sessionStartTime: session.startedAt,
+      sessionEndTime: endedAt,
+      sessionDuration: Math.max(
+        0,
+        Math.round((new Date(endedAt) - new Date(session.startedAt)) / 1000)
+      )
+    };
+  }
+}
+
+// Export singleton instance
+const studySessionService = new StudySessionService();
+export default studySessionService;
@@ -0,0 +1,193 @@
+import Tag from '../models/Tag.js';
+
+/**
+ * TagService
+ *
+ * Business logic layer for tags: name validation, tag CRUD and assigning
+ * tags to flashcards. Tags are referenced by name in the API; assigning an
+ * unknown name to a card creates the tag for the card's owner.
+ */
+
+class TagService {
+  constructor() {
+    this.maxNameLength = 50;
+    this.maxTagsPerCard = 20;
+  }
+
+  /**
+   * Create a tag
+   * @param {Object} tagData - Tag data
+   * @param {string} tagData.name - Tag name
+   * @param {number} userId - Owner user ID
+   * @returns {Object} Created tag
+   */
+  async createTag(tagData, userId) {
+    const name = this.validateName(tagData?.name);
+
+    if (await Tag.findByName(userId, name)) {
+      throw new Error('Tag name already exists');
+    }
+
+    return Tag.create(userId, name);
+  }
+
+  /**
+   * Get all tags of a user
+   * @param {number} userId - Owner user ID
+   * @returns {Array} Tags with card counts
+   */
+  async getTags(userId) {
+    return Tag.findByUserId(userId);
+  }
+
+  /**
+   * Get a tag
+   * @param {number} tagId - Tag ID
+   * @param {number} userId - Owner user ID
+   * @returns {Object|null} Tag
+   */
+  async getTag(tagId, userId) {
+    return Tag.findById(tagId, userId);
+  }
+
+  /**
+   * Rename a tag
+   * @param {number} tagId - Tag ID
+   * @param {Object} updateData - New tag data ({ name })
+   * @param {number} userId - Owner user ID
+   * @returns {Object} Updated tag
+   */
+  async updateTag(tagId, updateData, userId) {
+    const name = this.validateName(updateData?.name);
+
+    const existing = await Tag.findByName(userId, name);
+    if (existing && existing.id !== tagId) {
+      throw new Error('Tag name already exists');
+    }
+
+    const tag = await Tag.rename(tagId, name, userId);
+    if (!tag) {
+      throw new Error('Tag not found');
+    }
+
+    return tag;
+  }
+
+  /**
+   * Delete a tag and remove it from all cards
+   * @param {number} tagId - Tag ID
+   * @param {number} userId - Owner user ID
+   */
+  async deleteTag(tagId, userId) {
+    const deleted = await Tag.delete(tagId, userId);
+    if (!deleted) {
+      throw new Error('Tag not found');
+    }
+  }
+
+  /**
+   * Replace the tags of a flashcard
+   * @param {number} flashcardId - Flashcard ID
+   * @param {number} ownerId - Card owner ID (tags are created for this user)
+   * @param {Array<string>} names - Tag names
+   */
+  async setFlashcardTags(flashcardId, ownerId, names) {
+    const tagIds = await Tag.findOrCreateIds(ownerId, this.normalizeNames(names));
+    await Tag.setForFlashcard(flashcardId, tagIds);
+  }
+
+  /**
+   * Add and remove tags on a flashcard, keeping its other tags
+   * @param {number} flashcardId - Flashcard ID
+   * @param {number} ownerId - Card owner ID
+   * @param {Object} changes - Tag changes
+   * @param {Array<string>} [changes.add] - Tag names to attach (created if needed)
+   * @param {Array<string>} [changes.remove] - Tag names to detach
+   * @returns {Object} Number of tags added and removed
+   */
+  async changeFlashcardTags(flashcardId, ownerId, { add = [], remove = [] }) {
+    const addIds = await Tag.findOrCreateIds(ownerId, this.normalizeNames(add));
+
+    const removeTags = await Promise.all(
+      this.normalizeNames(remove).map(name => Tag.findByName(ownerId, name))
+    );
+    const removeIds = removeTags.filter(Boolean).map(tag => tag.id);
+
+    return {
+      added: await Tag.addToFlashcard(flashcardId, addIds),
+      removed: await Tag.removeFromFlashcard(flashcardId, removeIds)
+    };
+  }
+
+  /**
+   * Add the tag names of each flashcard as a `tags` array
+   * @param {Array<Object>} flashcards - Flashcards (or study items sharing a card ID)
+   * @returns {Array<Object>} Flashcards with tags
+   */
+  async withTags(flashcards) {
+    const tagsByCard = await Tag.getNamesByFlashcardIds([...new Set(flashcards.map(card => card.id))]);
+    return flashcards.map(card => ({ ...card, tags: tagsByCard.get(card.id) }));
+  }
+
+  /**
+   * Parse a tag filter from a query string value
+   * @param {string|Array<string>} value - Comma-separated names (or repeated query parameter)
+   * @returns {Array<string>} Tag names
+   */
+  parseFilter(value) {
+    const names = (Array.isArray(value) ? value : [value])
+      .flatMap(item => String(item).split(','));
+    return this.normalizeNames(names);
+  }
+
+  /**
+   * Validate and normalise a list of tag names
+   * Trims and collapses whitespace, and drops case-insensitive duplicates.
+   * @param {Array<string>} names - Tag names
+   * @returns {Array<string>} Normalised names
+   */
+  normalizeNames(names) {
+    if (!Array.isArray(names)) {
+      throw new Error('Validation failed: Tags must be an array of names');
+    }
+
+    const seen = new Set();
+    const normalized = [];
+
+    for (const name of names) {
+      const tag = this.validateName(name);
+      if (!seen.has(tag.toLowerCase())) {
+        seen.add(tag.toLowerCase());
+        normalized.push(tag);
+      }
+    }
+
+    if (normalized.length > this.maxTagsPerCard) {
+      throw new Error(`Validation failed: A flashcard cannot have more than ${this.maxTagsPerCard} tags`);
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Validate a single tag name
+   * @param {string} name - Tag name
+   * @returns {string} Normalised name
+   */
+  validateName(name) {
+    if (typeof name !== 'string' || !name.trim()) {
+      throw new Error('Validation failed: Tag name is required');
+    }
+
+    const normalized = name.trim().replace(/\s+/g, ' ');
+    if (normalized.length > this.maxNameLength) {
+      throw new Error(`Validation failed: Tag name cannot exceed ${this.maxNameLength} characters`);
+    }
+
+    return normalized;
+  }
+}
+
+// Export singleton instance
+const tagService = new TagService();
+export default tagService;
@@ -0,0 +1,139 @@
+import TtsAudio from '../models/TtsAudio.js';
+import { getAvailableTtsProviders } from './tts/index.js';
+import { getStorage } from './storage/index.js';
+import { getSpeechHash, normalizeSpeechText } from '../utils/speech.js';
+
+/**
+ * TtsCacheService
+ *
+ * Content-addressed cache of generated speech. Audio is stored once under
+ * audio/<hash>.wav, where the hash covers the normalized text, language, voice
+ * and model, and shared by every card (of any user) that speaks the same text.
+ * Speech comes from the configured TTS providers (see tts/index.js), in order:
+ * when one fails, the next one is tried.
+ *
+ * Every card holding cached audio owns one reference: acquire() takes one,
+ * release() drops it. Audio left unreferenced for the grace period is deleted
+ * by collectGarbage(), so text that comes back soon (an edit that is undone,
+ * a card restored from a re-import) does not have to be generated again.
+ */
+
+class TtsCacheService {
+  constructor() {
+    this.extension = 'wav'; // Every provider produces WAV
+    this.gcGraceDays = Number(process.env.TTS_CACHE_GRACE_DAYS) || 1;
+  }
+
+  /**
+   * Get the audio of a text, generating it on a cache miss, and take a reference to it
+   * @param {string} text - Text to speak
+   * @param {Object} [options] - Speech options
+   * @param {string} [options.language='en'] - Language code
+   * @param {string} [options.voice] - Voice name (each provider's default voice if omitted)
+   * @returns {Object} Storage key and public URL of the audio
+   */
+  async acquire(text, options = {}) {
+    const { language = 'en', voice } = options;
+    const providers = getAvailableTtsProviders();
+    if (providers.length === 0) {
+      throw new Error('Audio generation failed: No TTS provider is available');
+    }
+
+    const errors = [];
+    for (const provider of providers) {
+      const audio = await this.acquireFrom(provider, normalizeSpeechText(text), language, voice);
+      if (audio.key) {
+        return audio;
+      }
+      errors.push(`${provider.name}: ${audio.error}`);
+    }
+
+    throw new Error(`Audio generation failed: ${errors.join('; ')}`);
+  }
+
+  /**
+   * Get the audio of a text from one provider, generating it unless it is cached
+   * @param {Object} provider - TTS provider
+   * @param {string} text - Normalized text to speak
+   * @param {string} language - Language code
+   * @param {string} [voice] - Requested voice
+   * @returns {Object} Storage key and public URL of the audio, or the generation error
+   */
+  async acquireFrom(provider, text, language, voice) {
+    const request = { text, language, voice: provider.getVoice(language, voice), model: provider.model };
+    const hash = getSpeechHash(request);
+
+    const cached = await TtsAudio.acquire(hash);
+    if (cached) {
+      return { key: cached.storageKey, url: cached.url };
+    }
+
+    const result = await provider.generateAudio(text, language, request.voice);
+    if (!result.success) {
+      return { error: result.error };
+    }
+
+    const key = `audio/${hash}.${this.extension}`;
+    const storage = getStorage();
+    await storage.put(key, result.audioBuffer, { contentType: provider.contentType });
+
+    const entry = await TtsAudio.create({ hash, storageKey: key, url: storage.publicUrl(key), ...request });
+
+    return { key: entry.storageKey, url: entry.url };
+  }
+
+  /**
+   * Check whether audio can be generated
+   * @returns {boolean} True when at least one TTS provider is available
+   */
+  isEnabled() {
+    return getAvailableTtsProviders().length > 0;
+  }
+
+  /**
+   * Drop a reference to cached audio
+   * @param {string} key - Storage key
+   * @returns {boolean} Whether the audio belongs to the cache
+   */
+  async release(key) {
+    return TtsAudio.release({ storageKey: key });
+  }
+
+  /**
+   * Drop a reference to cached audio by its public URL
+   * @param {string} url - Audio URL stored on a card
+   * @returns {boolean} Whether the audio belongs to the cache
+   */
+  async releaseUrl(url) {
+    return TtsAudio.release({ url });
+  }
+
+  /**
+   * Delete cached audio that has not been referenced for the grace period
+   * @param {number} [graceDays] - Days unreferenced audio is kept (TTS_CACHE_GRACE_DAYS, 1 by default)
+   * @returns {number} Number of deleted audio files
+   */
+  async collectGarbage(graceDays = this.gcGraceDays) {
+    const cutoff = new Date(Date.now() - graceDays * 24 * 60 * 60 * 1000).toISOString();
+    const removed = await TtsAudio.removeUnreferencedBefore(cutoff);
+
+    const storage = getStorage();
+    for (const { hash, storageKey } of removed) {
+      // The same speech may have been generated again since it was removed
+      if (await TtsAudio.findByHash(hash)) {
+        continue;
+      }
+      try {
+        await storage.delete(storageKey);
+      } catch (error) {
+        console.error(`Failed to delete cached audio ${storageKey}:`, error);
+      }
+    }
+
+    return removed.length;
+  }
+}
+
+// Export singleton instance
+const ttsCacheService = new TtsCacheService();
+export default ttsCacheService;
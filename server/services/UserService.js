@@ -1,5 +1,8 @@
 import bcrypt from 'bcrypt';
 import User from '../models/User.js';
+import { schedulerNames, isValidScheduler } from './schedulers/index.js';
+import Flashcard, { DIRECTION_MODES } from '../models/Flashcard.js';
+import FlashcardService from './FlashcardService.js';
 
 /**
  * UserService
@@ -194,7 +197,15 @@ class UserService {
       }
     }
 
-    return User.delete(userId);
+    // Flashcards are removed with the user; their images and audio are released afterwards
+    const media = await Flashcard.findMediaByUserId(userId);
+
+    const deleted = await User.delete(userId);
+    if (deleted) {
+      await FlashcardService.deletePurgedMedia(media);
+    }
+
+    return deleted;
   }
 
   /**
@@ -320,6 +331,30 @@ class UserService {
     return User.sanitize(updatedUser);
   }
 
+  /**
+   * Get user preferences
+   * @param {number} userId - User ID
+   * @returns {Object|null} User preferences, null if user not found
+   */
+  async getPreferences(userId) {
+    return User.getPreferences(userId);
+  }
+
+  /**
+   * Update user preferences
+   * @param {number} userId - User ID
+   * @param {Object} preferences - Preference values to set (null removes a key)
+   * @returns {Object|null} Updated preferences, null if user not found
+   */
+  async updatePreferences(userId, preferences) {
+    const validation = this.validatePreferences(preferences);
+    if (!validation.isValid) {
+      throw new Error(`Validation failed: ${validation.errors.join(', ')}`);
+    }
+
+    return User.updatePreferences(userId, preferences);
+  }
+
   /**
    * Validate user registration data
    * @param {Object} userData - User data to validate
@@ -384,6 +419,47 @@ class UserService {
     };
   }
 
+  /**
+   * Validate user preferences
+   * @param {Object} preferences - Preferences to validate
+   * @returns {Object} Validation result
+   */
+  validatePreferences(preferences) {
+    const errors = [];
+
+    if (!preferences || typeof preferences !== 'object' || Array.isArray(preferences)) {
+      errors.push('Preferences must be an object');
+      return { isValid: false, errors };
+    }
+
+    const { scheduler, desiredRetention, direction, leechThreshold, ...unknown } = preferences;
+
+    if (scheduler !== undefined && scheduler !== null && !isValidScheduler(scheduler)) {
+      errors.push(`Scheduler must be one of: ${schedulerNames.join(', ')}`);
+    }
+
+    if (desiredRetention !== undefined && desiredRetention !== null &&
+        (typeof desiredRetention !== 'number' || desiredRetention < 0.7 || desiredRetention > 0.97)) {
+      errors.push('Desired retention must be a number between 0.7 and 0.97');
+    }
+
+    if (direction !== undefined && direction !== null && !DIRECTION_MODES.includes(direction)) {
+      errors.push(`Direction must be one of: ${DIRECTION_MODES.join(', ')}`);
+    }
+
+    if (leechThreshold !== undefined && leechThreshold !== null &&
+        (!Number.isInteger(leechThreshold) || leechThreshold < 1 || leechThreshold > 100)) {
+      errors.push('Leech threshold must be an integer between 1 and 100');
+    }
+
+    Object.keys(unknown).forEach(key => errors.push(`Unknown preference: ${key}`));
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+
   /**
    * Validate password change data
    * @param {Object} passwordData - Password change data
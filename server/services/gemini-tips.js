@@ -0,0 +1,64 @@
+import { GoogleGenAI } from '@google/genai';
+
+/**
+ * Gemini Study Tips Service
+ * Generates short learning tips, synonyms, an example and a curiosity for a word
+ */
+
+const TIPS_MODEL = 'gemini-2.5-flash-preview-04-17';
+
+/**
+ * Ask Gemini for study tips
+ * @param {string} en - English word or phrase
+ * @param {string} es - Spanish translation
+ * @returns {Promise<string>} - Raw model response (JSON, possibly wrapped in a ```json block)
+ */
+export async function generateTipsWithGemini(en, es) {
+  const ai = new GoogleGenAI({ apiKey: process.env.GEMINI_API_KEY });
+  const config = { responseMimeType: 'text/plain' };
+  const prompt = `Dame tips, sinónimos (en inglés), ejemplos y una curiosidad para aprender la palabra inglesa "${en}" (traducción: "${es}").\nDevuelve la respuesta en formato markdown, usando un bloque de código JSON así:\n\n\u0060\u0060\u0060json\n{\n  \"tips\": [\n    \"Ejemplo de tip 1\",\n    \"Ejemplo de tip 2\"\n  ],\n  \"sinonimos\": [\n    \"Synonym 1\",\n    \"Synonym 2\"\n  ],\n  \"ejemplos\": [\n    \"Frase de ejemplo en inglés (traducción corta al español).\"\n  ],\n  \"curiosidad\": \"Una curiosidad breve sobre la palabra.\"\n}\n\u0060\u0060\u0060\n\n- "tips": máximo 2 consejos prácticos, frases cortas.\n- "sinonimos": máximo 2 sinónimos o expresiones equivalentes en inglés.\n- "ejemplos": máximo 1 frase de ejemplo en inglés, con traducción corta al español.\n- "curiosidad": una sola curiosidad breve.\nNo uses explicaciones largas ni listas extensas.`;
+  const contents = [
+    {
+      role: 'user',
+      parts: [ { text: prompt } ],
+    },
+  ];
+  let tips = '';
+  try {
+    const response = await ai.models.generateContentStream({ model: TIPS_MODEL, config, contents });
+    for await (const chunk of response) {
+      if (chunk.text) tips += chunk.text;
+    }
+  } catch (e) {
+    throw new Error('Gemini SDK error: ' + e.message);
+  }
+  return tips;
+}
+
+/**
+ * Generate study tips as a JSON string ready to store
+ * @param {string} en - English word or phrase
+ * @param {string} es - Spanish translation
+ * @returns {Promise<{success: boolean, tips?: string, error?: string}>}
+ */
+export async function generateTips(en, es) {
+  try {
+    let tips = await generateTipsWithGemini(en, es);
+
+    // Strip the Markdown code block Gemini wraps the JSON in
+    if (typeof tips === 'string' && tips.trim().startsWith('```json')) {
+      tips = tips.trim().replace(/^```json[\r\n]+/, '').replace(/```\s*$/, '').trim();
+    }
+
+    try {
+      JSON.parse(tips);
+    } catch {
+      throw new Error('Gemini returned tips that are not valid JSON');
+    }
+
+    return { success: true, tips };
+  } catch (error) {
+    console.error('[Gemini Tips ERROR] Tips generation failed', { error: error.message });
+    return { success: false, error: error.message || 'Error generando tips' };
+  }
+}
@@ -6,8 +6,8 @@ import { GoogleGenAI } from '@google/genai';
  */
 
 const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
-const TTS_MODEL = 'gemini-2.5-pro-preview-tts';
-const DEFAULT_VOICE = 'Zephyr';
+export const TTS_MODEL = 'gemini-2.5-pro-preview-tts';
+export const DEFAULT_VOICE = 'Zephyr';
 
 /**
  * Initialize Gemini client
@@ -261,6 +261,8 @@ export function convertToWav(audioData, mimeType) {
 }
 
 export default {
+  TTS_MODEL,
+  DEFAULT_VOICE,
   generateAudio,
   convertToMp3,
   parseAudioMimeType,
@@ -0,0 +1,198 @@
+/**
+ * FSRSScheduler
+ *
+ * Free Spaced Repetition Scheduler (FSRS v4.5) with default weights.
+ * Models each card's memory with stability (days until recall probability
+ * drops to 90%), difficulty (1-10) and retrievability (current recall
+ * probability), and picks the interval that hits the desired retention.
+ *
+ * Intraday learning steps are not modeled: the shortest interval is one day.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Forgetting curve shape: R(t, S) = (1 + FACTOR * t / S) ^ DECAY, so R(S, S) = 0.9
+const DECAY = -0.5;
+const FACTOR = Math.pow(0.9, 1 / DECAY) - 1;
+
+// FSRS v4.5 default weights
+const DEFAULT_WEIGHTS = [
+  0.4872, 1.4003, 3.7145, 13.8206, 5.1618, 1.2298, 0.8975, 0.031, 1.6474,
+  0.1367, 1.0461, 2.1072, 0.0793, 0.3246, 1.587, 0.2272, 2.8755
+];
+
+// FSRS grades
+const AGAIN = 1;
+const HARD = 2;
+const GOOD = 3;
+const EASY = 4;
+
+class FSRSScheduler {
+  /**
+   * @param {Object} [options] - Scheduler options
+   * @param {number} [options.desiredRetention=0.9] - Target recall probability at review time
+   * @param {number} [options.maxInterval=365] - Maximum interval in days
+   * @param {Array<number>} [options.weights] - Model weights (17 values)
+   */
+  constructor(options = {}) {
+    this.name = 'fsrs';
+    this.params = {
+      desiredRetention: options.desiredRetention || 0.9,
+      maxInterval: options.maxInterval || 365,
+      weights: options.weights || DEFAULT_WEIGHTS
+    };
+  }
+
+  /**
+   * Map the 0-5 performance rating onto FSRS grades
+   * 0-2 = Again, 3 = Hard, 4 = Good, 5 = Easy
+   * @param {number} rating - Performance rating (0-5)
+   * @returns {number} FSRS grade (1-4)
+   */
+  toGrade(rating) {
+    if (rating < 3) return AGAIN;
+    if (rating === 3) return HARD;
+    if (rating === 4) return GOOD;
+    return EASY;
+  }
+
+  /**
+   * Calculate new scheduling state after a review
+   * @param {Object} card - Card with current scheduling state
+   * @param {number} rating - Performance rating (0-5)
+   * @param {Date} [now=new Date()] - Review time
+   * @returns {Object} New scheduling state
+   */
+  schedule(card, rating, now = new Date()) {
+    const w = this.params.weights;
+    const grade = this.toGrade(rating);
+    const memory = this.getMemoryState(card);
+
+    let stability;
+    let difficulty;
+    let repetitions = card.repetitions || 0;
+    let lapses = card.lapses || 0;
+
+    if (!memory) {
+      // First review
+      stability = w[grade - 1];
+      difficulty = this.initialDifficulty(grade);
+    } else {
+      const elapsedDays = Math.max(0, (now - new Date(card.lastReviewed)) / DAY_MS);
+      const retrievability = this.forgettingCurve(elapsedDays, memory.stability);
+
+      stability = grade === AGAIN
+        ? this.forgetStability(memory.difficulty, memory.stability, retrievability)
+        : this.recallStability(memory.difficulty, memory.stability, retrievability, grade);
+      difficulty = this.nextDifficulty(memory.difficulty, grade);
+    }
+
+    if (grade === AGAIN) {
+      if (card.lastReviewed) lapses += 1;
+      repetitions = 0;
+    } else {
+      repetitions += 1;
+    }
+
+    const intervalDays = this.nextInterval(stability);
+
+    return {
+      easeFactor: card.easeFactor || 2.5,
+      repetitions,
+      intervalDays,
+      lapses,
+      stability: Math.round(stability * 10000) / 10000,
+      fsrsDifficulty: Math.round(difficulty * 10000) / 10000,
+      nextReview: new Date(now.getTime() + intervalDays * DAY_MS).toISOString()
+    };
+  }
+
+  /**
+   * Predict probability of recalling a card
+   * @param {Object} card - Card with current scheduling state
+   * @param {Date} [now=new Date()] - Time of prediction
+   * @returns {number|null} Recall probability (0-1), null for never reviewed cards
+   */
+  retrievability(card, now = new Date()) {
+    const memory = this.getMemoryState(card);
+    if (!memory) {
+      return null;
+    }
+
+    const elapsedDays = Math.max(0, (now - new Date(card.lastReviewed)) / DAY_MS);
+    return this.forgettingCurve(elapsedDays, memory.stability);
+  }
+
+  /**
+   * Get stability/difficulty for a card, deriving them for cards that were
+   * scheduled by another algorithm (current interval is taken as stability)
+   * @param {Object} card - Card with current scheduling state
+   * @returns {Object|null} { stability, difficulty } or null for never reviewed cards
+   */
+  getMemoryState(card) {
+    if (!card.lastReviewed) {
+      return null;
+    }
+
+    if (card.stability && card.fsrsDifficulty) {
+      return { stability: card.stability, difficulty: card.fsrsDifficulty };
+    }
+
+    return {
+      stability: Math.max(card.intervalDays || 1, 0.1),
+      difficulty: this.initialDifficulty(GOOD)
+    };
+  }
+
+  forgettingCurve(elapsedDays, stability) {
+    return Math.pow(1 + FACTOR * elapsedDays / stability, DECAY);
+  }
+
+  nextInterval(stability) {
+    const interval = stability / FACTOR * (Math.pow(this.params.desiredRetention, 1 / DECAY) - 1);
+    return Math.min(Math.max(Math.round(interval), 1), this.params.maxInterval);
+  }
+
+  initialDifficulty(grade) {
+    const w = this.params.weights;
+    return this.clampDifficulty(w[4] - (grade - 3) * w[5]);
+  }
+
+  nextDifficulty(difficulty, grade) {
+    const w = this.params.weights;
+    const updated = difficulty - w[6] * (grade - 3);
+    // Mean reversion towards the initial difficulty of a "Good" answer
+    return this.clampDifficulty(w[7] * this.initialDifficulty(GOOD) + (1 - w[7]) * updated);
+  }
+
+  recallStability(difficulty, stability, retrievability, grade) {
+    const w = this.params.weights;
+    const hardPenalty = grade === HARD ? w[15] : 1;
+    const easyBonus = grade === EASY ? w[16] : 1;
+
+    return stability * (1 +
+      Math.exp(w[8]) *
+      (11 - difficulty) *
+      Math.pow(stability, -w[9]) *
+      (Math.exp((1 - retrievability) * w[10]) - 1) *
+      hardPenalty *
+      easyBonus);
+  }
+
+  forgetStability(difficulty, stability, retrievability) {
+    const w = this.params.weights;
+    const newStability = w[11] *
+      Math.pow(difficulty, -w[12]) *
+      (Math.pow(stability + 1, w[13]) - 1) *
+      Math.exp((1 - retrievability) * w[14]);
+
+    // Forgetting never makes a memory more stable
+    return Math.min(newStability, stability);
+  }
+
+  clampDifficulty(difficulty) {
+    return Math.min(Math.max(difficulty, 1), 10);
+  }
+}
+
+export default FSRSScheduler;
@@ -0,0 +1,96 @@
+/**
+ * SM2Scheduler
+ *
+ * Classic SuperMemo-2 spacing algorithm (same math as the legacy
+ * /api/cards/:id/review handler). Keeps an ease factor per card and grows
+ * the interval multiplicatively after each successful review.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class SM2Scheduler {
+  /**
+   * @param {Object} [options] - Scheduler options
+   * @param {number} [options.maxInterval=365] - Maximum interval in days
+   */
+  constructor(options = {}) {
+    this.name = 'sm2';
+    this.params = {
+      initialEaseFactor: 2.5,
+      minEaseFactor: 1.3,
+      passingGrade: 3,     // Ratings below this reset the repetition count
+      firstInterval: 1,    // Days after the first successful review
+      secondInterval: 6,   // Days after the second successful review
+      targetRetention: 0.9, // Recall probability assumed at the end of an interval
+      maxInterval: options.maxInterval || 365
+    };
+  }
+
+  /**
+   * Calculate new scheduling state after a review
+   * @param {Object} card - Card with current scheduling state
+   * @param {number} rating - Performance rating (0-5)
+   * @param {Date} [now=new Date()] - Review time
+   * @returns {Object} New scheduling state
+   */
+  schedule(card, rating, now = new Date()) {
+    const { initialEaseFactor, minEaseFactor, passingGrade, firstInterval, secondInterval, maxInterval } = this.params;
+
+    let easeFactor = card.easeFactor || initialEaseFactor;
+    let repetitions = card.repetitions || 0;
+    let intervalDays = card.intervalDays || 0;
+    let lapses = card.lapses || 0;
+
+    if (rating < passingGrade) {
+      // Failed recall: start over, keep ease factor
+      if (card.lastReviewed) lapses += 1;
+      repetitions = 0;
+      intervalDays = firstInterval;
+    } else {
+      repetitions += 1;
+      if (repetitions === 1) {
+        intervalDays = firstInterval;
+      } else if (repetitions === 2) {
+        intervalDays = secondInterval;
+      } else {
+        intervalDays = Math.round(intervalDays * easeFactor);
+      }
+
+      easeFactor = easeFactor + (0.1 - (5 - rating) * (0.08 + (5 - rating) * 0.02));
+      easeFactor = Math.max(easeFactor, minEaseFactor);
+    }
+
+    intervalDays = Math.min(intervalDays, maxInterval);
+
+    return {
+      easeFactor: Math.round(easeFactor * 1000) / 1000,
+      repetitions,
+      intervalDays,
+      lapses,
+      stability: card.stability ?? null,
+      fsrsDifficulty: card.fsrsDifficulty ?? null,
+      nextReview: new Date(now.getTime() + intervalDays * DAY_MS).toISOString()
+    };
+  }
+
+  /**
+   * Predict probability of recalling a card
+   * SM-2 has no memory model, so assume recall decays exponentially and
+   * reaches the target retention exactly when the interval ends.
+   * @param {Object} card - Card with current scheduling state
+   * @param {Date} [now=new Date()] - Time of prediction
+   * @returns {number|null} Recall probability (0-1), null for never reviewed cards
+   */
+  retrievability(card, now = new Date()) {
+    if (!card.lastReviewed) {
+      return null;
+    }
+
+    const elapsedDays = Math.max(0, (now - new Date(card.lastReviewed)) / DAY_MS);
+    const intervalDays = Math.max(card.intervalDays || 1, 1);
+
+    return Math.pow(this.params.targetRetention, elapsedDays / intervalDays);
+  }
+}
+
+export default SM2Scheduler;
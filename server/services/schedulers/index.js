@@ -0,0 +1,61 @@
+import SM2Scheduler from './SM2Scheduler.js';
+import FSRSScheduler from './FSRSScheduler.js';
+
+/**
+ * Scheduler Registry
+ *
+ * Every scheduler implements the same interface:
+ * - name: string identifier stored in users.preferences.scheduler
+ * - schedule(card, rating, now): returns the new scheduling state
+ *   { easeFactor, repetitions, intervalDays, lapses, stability, fsrsDifficulty, nextReview }
+ *   after a review with a 0-5 performance rating
+ * - retrievability(card, now): predicted recall probability (0-1),
+ *   or null if the card has never been reviewed
+ *
+ * Schedulers only compute state; persistence is done by the Flashcard model.
+ */
+
+const SCHEDULERS = {
+  sm2: SM2Scheduler,
+  fsrs: FSRSScheduler
+};
+
+export const DEFAULT_SCHEDULER = 'sm2';
+
+/**
+ * Ratings on the 0-5 scale used by the Again/Hard/Good/Easy answer buttons
+ */
+export const ANSWER_RATINGS = {
+  again: 1,
+  hard: 3,
+  good: 4,
+  easy: 5
+};
+
+export const schedulerNames = Object.keys(SCHEDULERS);
+
+/**
+ * Check whether a scheduler name is registered
+ * @param {string} name - Scheduler name
+ * @returns {boolean} Whether scheduler exists
+ */
+export const isValidScheduler = (name) => schedulerNames.includes(name);
+
+/**
+ * Get a scheduler instance
+ * @param {string} [name=DEFAULT_SCHEDULER] - Scheduler name (falls back to default if unknown)
+ * @param {Object} [options] - Scheduler options (e.g. desiredRetention for FSRS)
+ * @returns {Object} Scheduler instance
+ */
+export const getScheduler = (name = DEFAULT_SCHEDULER, options = {}) => {
+  const Scheduler = SCHEDULERS[name] || SCHEDULERS[DEFAULT_SCHEDULER];
+  return new Scheduler(options);
+};
+
+export default {
+  DEFAULT_SCHEDULER,
+  ANSWER_RATINGS,
+  schedulerNames,
+  isValidScheduler,
+  getScheduler
+};
@@ -0,0 +1,137 @@
+import { getScheduler, isValidScheduler, schedulerNames, DEFAULT_SCHEDULER, ANSWER_RATINGS } from './index.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const now = new Date('2025-01-15T12:00:00.000Z');
+const daysAgo = (days) => new Date(now.getTime() - days * DAY_MS).toISOString();
+
+const newCard = {
+  easeFactor: 2.5,
+  repetitions: 0,
+  intervalDays: 0,
+  lapses: 0,
+  stability: null,
+  fsrsDifficulty: null,
+  lastReviewed: null,
+  nextReview: null
+};
+
+describe('Scheduler registry', () => {
+  test('should register SM-2 and FSRS', () => {
+    expect(schedulerNames).toEqual(expect.arrayContaining(['sm2', 'fsrs']));
+    expect(isValidScheduler('fsrs')).toBe(true);
+    expect(isValidScheduler('leitner')).toBe(false);
+  });
+
+  test('should map answer buttons onto distinct FSRS grades', () => {
+    const fsrs = getScheduler('fsrs');
+    const { again, hard, good, easy } = ANSWER_RATINGS;
+
+    expect([again, hard, good, easy].map(rating => fsrs.toGrade(rating))).toEqual([1, 2, 3, 4]);
+  });
+
+  test('should fall back to the default scheduler for unknown names', () => {
+    expect(getScheduler('unknown').name).toBe(DEFAULT_SCHEDULER);
+    expect(getScheduler().name).toBe(DEFAULT_SCHEDULER);
+  });
+});
+
+describe('SM2Scheduler', () => {
+  const sm2 = getScheduler('sm2');
+
+  test('should follow 1, 6, interval * ease factor progression', () => {
+    const first = sm2.schedule(newCard, 5, now);
+    expect(first.repetitions).toBe(1);
+    expect(first.intervalDays).toBe(1);
+
+    const second = sm2.schedule({ ...first, lastReviewed: now.toISOString() }, 5, now);
+    expect(second.intervalDays).toBe(6);
+
+    const third = sm2.schedule({ ...second, lastReviewed: now.toISOString() }, 5, now);
+    expect(third.intervalDays).toBe(Math.round(6 * second.easeFactor));
+  });
+
+  test('should store the due date relative to the review time', () => {
+    const result = sm2.schedule(newCard, 4, now);
+    expect(result.nextReview).toBe(new Date(now.getTime() + DAY_MS).toISOString());
+  });
+
+  test('should reset repetitions and count a lapse on failure', () => {
+    const reviewed = { ...newCard, repetitions: 4, intervalDays: 30, lastReviewed: daysAgo(30) };
+    const result = sm2.schedule(reviewed, 1, now);
+
+    expect(result.repetitions).toBe(0);
+    expect(result.intervalDays).toBe(1);
+    expect(result.lapses).toBe(1);
+    expect(result.easeFactor).toBe(2.5);
+  });
+
+  test('should never drop the ease factor below 1.3', () => {
+    const result = sm2.schedule({ ...newCard, easeFactor: 1.3 }, 3, now);
+    expect(result.easeFactor).toBe(1.3);
+  });
+
+  test('should predict target retention at the end of the interval', () => {
+    const card = { ...newCard, intervalDays: 10, lastReviewed: daysAgo(10) };
+    expect(sm2.retrievability(card, now)).toBeCloseTo(0.9);
+    expect(sm2.retrievability(newCard, now)).toBeNull();
+  });
+});
+
+describe('FSRSScheduler', () => {
+  const fsrs = getScheduler('fsrs');
+
+  test('should map 0-5 ratings onto Again/Hard/Good/Easy', () => {
+    expect([0, 1, 2, 3, 4, 5].map(rating => fsrs.toGrade(rating))).toEqual([1, 1, 1, 2, 3, 4]);
+  });
+
+  test('should initialize stability and difficulty on first review', () => {
+    const good = fsrs.schedule(newCard, 4, now);
+    const easy = fsrs.schedule(newCard, 5, now);
+
+    expect(good.stability).toBeCloseTo(3.7145);
+    expect(easy.stability).toBeGreaterThan(good.stability);
+    expect(easy.fsrsDifficulty).toBeLessThan(good.fsrsDifficulty);
+    expect(good.intervalDays).toBe(4);
+  });
+
+  test('should grow stability after a successful review', () => {
+    const first = fsrs.schedule(newCard, 4, now);
+    const reviewed = { ...first, lastReviewed: daysAgo(first.intervalDays) };
+    const second = fsrs.schedule(reviewed, 4, now);
+
+    expect(second.stability).toBeGreaterThan(first.stability);
+    expect(second.intervalDays).toBeGreaterThan(first.intervalDays);
+    expect(second.repetitions).toBe(2);
+  });
+
+  test('should shrink stability and count a lapse when forgotten', () => {
+    const card = { ...newCard, stability: 20, fsrsDifficulty: 5, repetitions: 3, lastReviewed: daysAgo(20) };
+    const result = fsrs.schedule(card, 1, now);
+
+    expect(result.stability).toBeLessThan(20);
+    expect(result.fsrsDifficulty).toBeGreaterThan(5);
+    expect(result.lapses).toBe(1);
+    expect(result.repetitions).toBe(0);
+    expect(result.intervalDays).toBeGreaterThanOrEqual(1);
+  });
+
+  test('should predict 90% retention after stability days', () => {
+    const card = { ...newCard, stability: 10, fsrsDifficulty: 5, lastReviewed: daysAgo(10) };
+    expect(fsrs.retrievability(card, now)).toBeCloseTo(0.9);
+  });
+
+  test('should take over cards scheduled by SM-2', () => {
+    const sm2Card = { ...newCard, repetitions: 3, intervalDays: 15, lastReviewed: daysAgo(15) };
+    expect(fsrs.retrievability(sm2Card, now)).toBeCloseTo(0.9);
+
+    const result = fsrs.schedule(sm2Card, 4, now);
+    expect(result.stability).toBeGreaterThan(15);
+  });
+
+  test('should schedule shorter intervals for a higher desired retention', () => {
+    const strict = getScheduler('fsrs', { desiredRetention: 0.95 });
+    const card = { ...newCard, stability: 30, fsrsDifficulty: 5, lastReviewed: daysAgo(30) };
+
+    expect(strict.schedule(card, 4, now).intervalDays).toBeLessThan(fsrs.schedule(card, 4, now).intervalDays);
+  });
+});
@@ -0,0 +1,147 @@
+import fs from 'fs';
+import fsp from 'fs/promises';
+import path from 'path';
+
+// Content types of stored media by file extension (the filesystem keeps no metadata)
+const CONTENT_TYPES = {
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  webp: 'image/webp',
+  gif: 'image/gif',
+  mp3: 'audio/mpeg',
+  wav: 'audio/wav'
+};
+
+/**
+ * FilesystemStorage
+ *
+ * Keeps media under a local directory, for development machines and CI.
+ * Objects are served by the /media route, which does not authenticate, so a
+ * signed URL is simply the public URL.
+ */
+
+class FilesystemStorage {
+  /**
+   * @param {Object} options - Backend options
+   * @param {string} options.root - Directory holding the objects
+   * @param {string} [options.urlPrefix='/media'] - URL path the objects are served under
+   */
+  constructor(options) {
+    this.name = 'fs';
+    this.root = path.resolve(options.root);
+    this.urlPrefix = options.urlPrefix || '/media';
+  }
+
+  /**
+   * Write an object
+   * @param {string} key - Storage key
+   * @param {Buffer} body - Contents
+   */
+  async put(key, body) {
+    const filePath = this.resolve(key);
+    await fsp.mkdir(path.dirname(filePath), { recursive: true });
+    await fsp.writeFile(filePath, body);
+  }
+
+  /**
+   * Open an object for reading
+   * @param {string} key - Storage key
+   * @returns {Object|null} Readable stream, content type and size, or null if the object does not exist
+   */
+  async get(key) {
+    const filePath = this.resolve(key);
+
+    let stats;
+    try {
+      stats = await fsp.stat(filePath);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+
+    if (!stats.isFile()) {
+      return null;
+    }
+
+    const extension = path.extname(key).slice(1).toLowerCase();
+    return {
+      stream: fs.createReadStream(filePath),
+      contentType: CONTENT_TYPES[extension] || 'application/octet-stream',
+      size: stats.size
+    };
+  }
+
+  /**
+   * Remove an object (missing objects are ignored)
+   * @param {string} key - Storage key
+   */
+  async delete(key) {
+    await fsp.rm(this.resolve(key), { force: true });
+  }
+
+  /**
+   * List stored objects
+   * @param {string} [prefix=''] - Only keys starting with this prefix
+   * @returns {Array<Object>} Objects ({ key, size, lastModified }) sorted by key
+   */
+  async list(prefix = '') {
+    let entries;
+    try {
+      entries = await fsp.readdir(this.root, { recursive: true, withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    const objects = [];
+    for (const entry of entries.filter(entry => entry.isFile())) {
+      const filePath = path.join(entry.parentPath ?? entry.path, entry.name);
+      const key = path.relative(this.root, filePath).split(path.sep).join('/');
+      if (key.startsWith(prefix)) {
+        const stats = await fsp.stat(filePath);
+        objects.push({ key, size: stats.size, lastModified: stats.mtime.toISOString() });
+      }
+    }
+
+    return objects.sort((a, b) => a.key.localeCompare(b.key));
+  }
+
+  /**
+   * Get a URL granting temporary read access to an object
+   * @param {string} key - Storage key
+   * @returns {string} URL (the public URL: local media is not access controlled)
+   */
+  async getSignedUrl(key) {
+    this.resolve(key);
+    return this.publicUrl(key);
+  }
+
+  /**
+   * Get the URL an object is served at
+   * @param {string} key - Storage key
+   * @returns {string} URL
+   */
+  publicUrl(key) {
+    return `${this.urlPrefix}/${key}`;
+  }
+
+  /**
+   * Map a storage key to a path inside the root directory
+   * @param {string} key - Storage key
+   * @returns {string} Absolute file path
+   */
+  resolve(key) {
+    const filePath = path.resolve(this.root, String(key));
+    if (!key || !filePath.startsWith(this.root + path.sep)) {
+      throw new Error('Invalid storage key');
+    }
+    return filePath;
+  }
+}
+
+export default FilesystemStorage;
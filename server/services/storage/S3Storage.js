@@ -0,0 +1,162 @@
+import {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand,
+  ListObjectsV2Command
+} from '@aws-sdk/client-s3';
+import { getSignedUrl } from '@aws-sdk/s3-request-presigner';
+
+/**
+ * S3Storage
+ *
+ * Keeps media in an S3-compatible bucket (Cloudflare R2 in production).
+ * Objects are linked through the bucket's public URL when one is configured,
+ * and through the /media route otherwise.
+ */
+
+class S3Storage {
+  /**
+   * @param {Object} options - Backend options
+   * @param {string} options.bucket - Bucket name
+   * @param {string} [options.endpoint] - S3 endpoint (the R2 account endpoint)
+   * @param {string} [options.region='auto'] - Region
+   * @param {string} [options.accessKeyId] - Access key ID
+   * @param {string} [options.secretAccessKey] - Secret access key
+   * @param {string} [options.publicUrl] - Public base URL of the bucket
+   * @param {string} [options.urlPrefix='/media'] - URL path the objects are served under without a public URL
+   */
+  constructor(options) {
+    this.name = 's3';
+    this.bucket = options.bucket;
+    this.publicBaseUrl = options.publicUrl ? options.publicUrl.replace(/\/+$/, '') : null;
+    this.urlPrefix = options.urlPrefix || '/media';
+    this.clientConfig = {
+      region: options.region || 'auto',
+      endpoint: options.endpoint,
+      credentials: {
+        accessKeyId: options.accessKeyId,
+        secretAccessKey: options.secretAccessKey
+      }
+    };
+    this.client = null;
+  }
+
+  /**
+   * Write an object
+   * @param {string} key - Storage key
+   * @param {Buffer} body - Contents
+   * @param {Object} [options] - Object options
+   * @param {string} [options.contentType] - MIME type
+   */
+  async put(key, body, options = {}) {
+    await this.getClient().send(new PutObjectCommand({
+      Bucket: this.bucket,
+      Key: key,
+      Body: body,
+      ContentType: options.contentType
+    }));
+  }
+
+  /**
+   * Open an object for reading
+   * @param {string} key - Storage key
+   * @returns {Object|null} Readable stream, content type and size, or null if the object does not exist
+   */
+  async get(key) {
+    try {
+      const object = await this.getClient().send(new GetObjectCommand({
+        Bucket: this.bucket,
+        Key: key
+      }));
+
+      return {
+        stream: object.Body,
+        contentType: object.ContentType || 'application/octet-stream',
+        size: object.ContentLength
+      };
+    } catch (error) {
+      if (error.name === 'NoSuchKey' || error.$metadata?.httpStatusCode === 404) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Remove an object (missing objects are ignored)
+   * @param {string} key - Storage key
+   */
+  async delete(key) {
+    await this.getClient().send(new DeleteObjectCommand({
+      Bucket: this.bucket,
+      Key: key
+    }));
+  }
+
+  /**
+   * List stored objects
+   * @param {string} [prefix=''] - Only keys starting with this prefix
+   * @returns {Array<Object>} Objects ({ key, size, lastModified }) sorted by key
+   */
+  async list(prefix = '') {
+    const objects = [];
+    let continuationToken;
+
+    do {
+      const page = await this.getClient().send(new ListObjectsV2Command({
+        Bucket: this.bucket,
+        Prefix: prefix || undefined,
+        ContinuationToken: continuationToken
+      }));
+
+      for (const object of page.Contents || []) {
+        objects.push({
+          key: object.Key,
+          size: object.Size,
+          lastModified: object.LastModified?.toISOString() ?? null
+        });
+      }
+      continuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+    } while (continuationToken);
+
+    return objects;
+  }
+
+  /**
+   * Get a URL granting temporary read access to an object
+   * @param {string} key - Storage key
+   * @param {Object} [options] - URL options
+   * @param {number} [options.expiresIn=3600] - Seconds the URL stays valid
+   * @returns {string} Presigned GET URL
+   */
+  async getSignedUrl(key, options = {}) {
+    const { expiresIn = 3600 } = options;
+    return getSignedUrl(this.getClient(), new GetObjectCommand({
+      Bucket: this.bucket,
+      Key: key
+    }), { expiresIn });
+  }
+
+  /**
+   * Get the URL an object is served at
+   * @param {string} key - Storage key
+   * @returns {string} URL
+   */
+  publicUrl(key) {
+    return this.publicBaseUrl ? `${this.publicBaseUrl}/${key}` : `${this.urlPrefix}/${key}`;
+  }
+
+  /**
+   * Get the S3 client, created on first use
+   * @returns {S3Client} S3-compatible client
+   */
+  getClient() {
+    if (!this.client) {
+      this.client = new S3Client(this.clientConfig);
+    }
+    return this.client;
+  }
+}
+
+export default S3Storage;
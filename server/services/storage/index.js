@@ -0,0 +1,88 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+import FilesystemStorage from './FilesystemStorage.js';
+import S3Storage from './S3Storage.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+/**
+ * Media Storage Registry
+ *
+ * Every backend implements the same interface over string keys
+ * (e.g. images/<uuid>.jpg, audio/<uuid>.wav):
+ * - put(key, body, { contentType }): store a Buffer
+ * - get(key): { stream, contentType, size } to read the object, or null if missing
+ * - delete(key): remove the object (missing objects are ignored)
+ * - list(prefix): [{ key, size, lastModified }] of the stored objects
+ * - getSignedUrl(key, { expiresIn }): URL granting temporary read access
+ * - publicUrl(key): URL stored on records and used by clients
+ *
+ * The backend is selected by MEDIA_STORAGE: fs (local directory, MEDIA_DIR)
+ * or s3 (S3-compatible bucket, configured with the R2_* variables). It defaults
+ * to s3 in production and fs everywhere else, so development and CI need no
+ * R2 credentials.
+ */
+
+const STORAGE_BACKENDS = {
+  fs: FilesystemStorage,
+  s3: S3Storage
+};
+
+export const storageBackendNames = Object.keys(STORAGE_BACKENDS);
+
+let storage = null;
+
+/**
+ * Get the name of the configured storage backend
+ * @returns {string} Backend name
+ */
+export const getStorageBackendName = () => {
+  return process.env.MEDIA_STORAGE || (process.env.NODE_ENV === 'production' ? 's3' : 'fs');
+};
+
+/**
+ * Create a storage backend
+ * @param {string} name - Backend name (fs or s3)
+ * @param {Object} [options] - Backend options (defaults come from the environment)
+ * @returns {Object} Storage backend
+ */
+export const createStorage = (name, options = {}) => {
+  const Storage = STORAGE_BACKENDS[name];
+  if (!Storage) {
+    throw new Error(`Unknown media storage backend: ${name} (expected one of: ${storageBackendNames.join(', ')})`);
+  }
+
+  if (name === 's3') {
+    return new S3Storage({
+      bucket: process.env.R2_BUCKET,
+      endpoint: process.env.R2_ENDPOINT,
+      accessKeyId: process.env.R2_ACCESS_KEY_ID,
+      secretAccessKey: process.env.R2_SECRET_ACCESS_KEY,
+      publicUrl: process.env.R2_PUBLIC_URL,
+      ...options
+    });
+  }
+
+  return new FilesystemStorage({
+    root: process.env.MEDIA_DIR || path.join(__dirname, '..', '..', 'media'),
+    ...options
+  });
+};
+
+/**
+ * Get the configured storage backend, created on first use
+ * @returns {Object} Storage backend
+ */
+export const getStorage = () => {
+  if (!storage) {
+    storage = createStorage(getStorageBackendName());
+  }
+  return storage;
+};
+
+export default {
+  storageBackendNames,
+  getStorageBackendName,
+  createStorage,
+  getStorage
+};
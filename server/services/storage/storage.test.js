@@ -0,0 +1,85 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import FilesystemStorage from './FilesystemStorage.js';
+import S3Storage from './S3Storage.js';
+
+const readStream = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString();
+};
+
+describe('FilesystemStorage', () => {
+  let root;
+  let storage;
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'media-'));
+    storage = new FilesystemStorage({ root });
+  });
+
+  afterEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  test('should store, stream and delete objects', async () => {
+    await storage.put('audio/hello.wav', Buffer.from('RIFF'), { contentType: 'audio/wav' });
+
+    const object = await storage.get('audio/hello.wav');
+    expect(object.contentType).toBe('audio/wav');
+    expect(object.size).toBe(4);
+    expect(await readStream(object.stream)).toBe('RIFF');
+
+    await storage.delete('audio/hello.wav');
+    expect(await storage.get('audio/hello.wav')).toBeNull();
+    await expect(storage.delete('audio/hello.wav')).resolves.toBeUndefined();
+  });
+
+  test('should list objects by prefix', async () => {
+    await storage.put('images/a.png', Buffer.from('a'));
+    await storage.put('images/a-thumb.webp', Buffer.from('b'));
+    await storage.put('audio/a.wav', Buffer.from('c'));
+
+    const images = await storage.list('images/');
+    expect(images.map(object => object.key)).toEqual(['images/a-thumb.webp', 'images/a.png']);
+    expect(images[0]).toEqual(expect.objectContaining({ size: 1, lastModified: expect.any(String) }));
+    expect(await storage.list()).toHaveLength(3);
+  });
+
+  test('should reject keys outside the storage directory', async () => {
+    await expect(storage.get('../secret.txt')).rejects.toThrow('Invalid storage key');
+    await expect(storage.put('', Buffer.from('x'))).rejects.toThrow('Invalid storage key');
+  });
+
+  test('should serve objects under /media', async () => {
+    expect(storage.publicUrl('images/a.png')).toBe('/media/images/a.png');
+    expect(await storage.getSignedUrl('images/a.png')).toBe('/media/images/a.png');
+  });
+});
+
+describe('S3Storage', () => {
+  const storage = new S3Storage({
+    bucket: 'cards',
+    endpoint: 'https://account.r2.cloudflarestorage.com',
+    accessKeyId: 'key',
+    secretAccessKey: 'secret',
+    publicUrl: 'https://media.example.com/'
+  });
+
+  test('should link objects through the public bucket URL', () => {
+    expect(storage.publicUrl('audio/a.wav')).toBe('https://media.example.com/audio/a.wav');
+    expect(new S3Storage({ bucket: 'cards' }).publicUrl('audio/a.wav')).toBe('/media/audio/a.wav');
+  });
+
+  test('should presign read URLs that expire', async () => {
+    const url = new URL(await storage.getSignedUrl('audio/a.wav', { expiresIn: 600 }));
+
+    expect(url.hostname).toBe('cards.account.r2.cloudflarestorage.com');
+    expect(url.pathname).toBe('/audio/a.wav');
+    expect(url.searchParams.get('X-Amz-Expires')).toBe('600');
+    expect(url.searchParams.get('X-Amz-Signature')).toBeTruthy();
+  });
+});
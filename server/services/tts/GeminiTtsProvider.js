@@ -0,0 +1,47 @@
+import { generateAudio, TTS_MODEL, DEFAULT_VOICE } from '../gemini-tts.js';
+
+/**
+ * GeminiTtsProvider
+ *
+ * Speech from the Gemini TTS model (see gemini-tts.js). Needs GEMINI_API_KEY.
+ */
+
+class GeminiTtsProvider {
+  constructor() {
+    this.name = 'gemini';
+    this.model = TTS_MODEL;
+    this.contentType = 'audio/wav'; // Gemini TTS output is converted to WAV
+  }
+
+  /**
+   * Check whether the provider can be used
+   * @returns {boolean} True when a Gemini API key is configured
+   */
+  isAvailable() {
+    return Boolean(process.env.GEMINI_API_KEY);
+  }
+
+  /**
+   * Get the voice used for a request
+   * Gemini voices are multilingual, so the language does not change the default.
+   * @param {string} language - Language code
+   * @param {string} [voice] - Requested voice
+   * @returns {string} Voice name
+   */
+  getVoice(language, voice) {
+    return voice || DEFAULT_VOICE;
+  }
+
+  /**
+   * Generate speech
+   * @param {string} text - Text to speak
+   * @param {string} language - Language code ('en' or 'es')
+   * @param {string} [voice] - Voice name
+   * @returns {Promise<{success: boolean, audioBuffer?: Buffer, error?: string}>}
+   */
+  async generateAudio(text, language, voice) {
+    return generateAudio(text, language, this.getVoice(language, voice));
+  }
+}
+
+export default GeminiTtsProvider;
@@ -0,0 +1,170 @@
+import { spawn } from 'child_process';
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * LocalTtsProvider
+ *
+ * Offline speech from a locally installed engine, run as a child process:
+ * - espeak-ng: small and packaged by most Linux distributions, robotic voice
+ * - piper: neural voices; each language needs a downloaded .onnx voice model
+ *
+ * Both engines read the text on stdin and write a WAV file to stdout.
+ */
+
+const ENGINES = ['espeak-ng', 'piper'];
+
+// espeak-ng voice for each language
+const ESPEAK_VOICES = {
+  en: 'en-us',
+  es: 'es'
+};
+
+class LocalTtsProvider {
+  /**
+   * @param {Object} [options] - Provider options
+   * @param {string} [options.engine='espeak-ng'] - Engine (espeak-ng or piper)
+   * @param {string} [options.binary] - Engine executable (the engine name, looked up on PATH, by default)
+   * @param {Object} [options.piperModels] - Piper voice model path for each language code
+   * @param {number} [options.timeout=30000] - Milliseconds an engine run may take
+   */
+  constructor(options = {}) {
+    const { engine = 'espeak-ng', binary, piperModels = {}, timeout = 30000 } = options;
+
+    if (!ENGINES.includes(engine)) {
+      throw new Error(`Unknown local TTS engine: ${engine} (expected one of: ${ENGINES.join(', ')})`);
+    }
+
+    this.name = 'local';
+    this.engine = engine;
+    this.model = engine;
+    this.binary = binary || engine;
+    this.piperModels = piperModels;
+    this.timeout = timeout;
+    this.contentType = 'audio/wav';
+  }
+
+  /**
+   * Check whether the provider can be used
+   * @returns {boolean} True when the engine executable is installed
+   */
+  isAvailable() {
+    return findExecutable(this.binary) !== null;
+  }
+
+  /**
+   * Get the voice used for a request
+   * For piper the voice is the name of the language's voice model.
+   * @param {string} language - Language code
+   * @param {string} [voice] - Requested espeak-ng voice
+   * @returns {string|null} Voice name, or null if piper has no model for the language
+   */
+  getVoice(language, voice) {
+    if (this.engine === 'piper') {
+      const model = this.piperModels[language];
+      return model ? path.basename(model, '.onnx') : null;
+    }
+    return voice || ESPEAK_VOICES[language] || language;
+  }
+
+  /**
+   * Generate speech
+   * @param {string} text - Text to speak
+   * @param {string} language - Language code
+   * @param {string} [voice] - espeak-ng voice (ignored by piper)
+   * @returns {Promise<{success: boolean, audioBuffer?: Buffer, error?: string}>}
+   */
+  async generateAudio(text, language, voice) {
+    if (!text || text.trim().length === 0) {
+      return { success: false, error: 'Text is required for audio generation' };
+    }
+
+    let args;
+    if (this.engine === 'piper') {
+      const model = this.piperModels[language];
+      if (!model) {
+        return { success: false, error: `No piper voice model configured for language: ${language}` };
+      }
+      args = ['--model', model, '--output_file', '-'];
+    } else {
+      args = ['-v', this.getVoice(language, voice), '--stdout'];
+    }
+
+    try {
+      const audioBuffer = await this.run(args, text);
+      if (audioBuffer.length === 0) {
+        throw new Error(`${this.engine} produced no audio`);
+      }
+      return { success: true, audioBuffer };
+    } catch (error) {
+      console.error('[Local TTS ERROR] Audio generation failed', { engine: this.engine, language, error: error.message });
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Run the engine, writing the text to its stdin
+   * @param {Array<string>} args - Engine arguments
+   * @param {string} text - Text to speak
+   * @returns {Promise<Buffer>} Engine output (stdout)
+   */
+  run(args, text) {
+    return new Promise((resolve, reject) => {
+      const child = spawn(this.binary, args, { stdio: ['pipe', 'pipe', 'pipe'] });
+      const stdout = [];
+      const stderr = [];
+
+      const timer = setTimeout(() => {
+        child.kill('SIGKILL');
+        reject(new Error(`${this.engine} timed out after ${this.timeout}ms`));
+      }, this.timeout);
+
+      child.stdout.on('data', chunk => stdout.push(chunk));
+      child.stderr.on('data', chunk => stderr.push(chunk));
+      child.stdin.on('error', () => {}); // Reported through the exit code
+
+      child.on('error', (error) => {
+        clearTimeout(timer);
+        reject(error);
+      });
+
+      child.on('close', (code) => {
+        clearTimeout(timer);
+        if (code !== 0) {
+          const message = Buffer.concat(stderr).toString().trim();
+          reject(new Error(`${this.engine} exited with code ${code}${message ? `: ${message}` : ''}`));
+          return;
+        }
+        resolve(Buffer.concat(stdout));
+      });
+
+      child.stdin.end(`${text}\n`);
+    });
+  }
+}
+
+/**
+ * Locate an executable
+ * @param {string} binary - Executable name (looked up on PATH) or path
+ * @returns {string|null} Path of the executable, or null if it is not installed
+ */
+const findExecutable = (binary) => {
+  const candidates = binary.includes(path.sep)
+    ? [binary]
+    : (process.env.PATH || '').split(path.delimiter).filter(Boolean).map(dir => path.join(dir, binary));
+
+  for (const candidate of candidates) {
+    try {
+      fs.accessSync(candidate, fs.constants.X_OK);
+      if (fs.statSync(candidate).isFile()) {
+        return candidate;
+      }
+    } catch (error) {
+      // Not installed at this location
+    }
+  }
+
+  return null;
+};
+
+export default LocalTtsProvider;
@@ -0,0 +1,74 @@
+import crypto from 'crypto';
+import { convertToWav } from '../gemini-tts.js';
+
+/**
+ * MockTtsProvider
+ *
+ * Offline stand-in for development and tests: instead of speech it produces a
+ * short sine tone. The same text, language and voice always give the same
+ * bytes; the pitch is derived from them and the length grows with the text.
+ */
+
+const SAMPLE_RATE = 16000;
+const FADE_SECONDS = 0.01;
+
+class MockTtsProvider {
+  constructor() {
+    this.name = 'mock';
+    this.model = 'mock-tone-v1';
+    this.contentType = 'audio/wav';
+  }
+
+  /**
+   * Check whether the provider can be used
+   * @returns {boolean} Always true
+   */
+  isAvailable() {
+    return true;
+  }
+
+  /**
+   * Get the voice used for a request
+   * @param {string} language - Language code
+   * @param {string} [voice] - Requested voice
+   * @returns {string} Voice name
+   */
+  getVoice(language, voice) {
+    return voice || 'tone';
+  }
+
+  /**
+   * Generate a tone standing in for speech
+   * @param {string} text - Text to speak
+   * @param {string} language - Language code
+   * @param {string} [voice] - Voice name
+   * @returns {Promise<{success: boolean, audioBuffer?: Buffer, error?: string}>}
+   */
+  async generateAudio(text, language, voice) {
+    if (!text || text.trim().length === 0) {
+      return { success: false, error: 'Text is required for audio generation' };
+    }
+
+    const digest = crypto
+      .createHash('sha256')
+      .update(JSON.stringify([text, language, this.getVoice(language, voice)]))
+      .digest();
+    const frequency = 220 + (digest.readUInt16BE(0) % 660);
+    const seconds = Math.min(0.3 + text.length * 0.05, 3);
+
+    const samples = Math.round(seconds * SAMPLE_RATE);
+    const fadeSamples = Math.round(FADE_SECONDS * SAMPLE_RATE);
+    const pcm = Buffer.alloc(samples * 2);
+
+    for (let i = 0; i < samples; i++) {
+      // Fade in and out to avoid clicks
+      const envelope = Math.min(1, i / fadeSamples, (samples - 1 - i) / fadeSamples);
+      const value = Math.sin(2 * Math.PI * frequency * i / SAMPLE_RATE) * envelope * 0.5;
+      pcm.writeInt16LE(Math.round(value * 32767), i * 2);
+    }
+
+    return { success: true, audioBuffer: convertToWav(pcm, `audio/L16;rate=${SAMPLE_RATE}`) };
+  }
+}
+
+export default MockTtsProvider;
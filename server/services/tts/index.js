@@ -0,0 +1,98 @@
+import GeminiTtsProvider from './GeminiTtsProvider.js';
+import LocalTtsProvider from './LocalTtsProvider.js';
+import MockTtsProvider from './MockTtsProvider.js';
+
+/**
+ * TTS Provider Registry
+ *
+ * Every provider implements the same interface:
+ * - name, model: identify the audio a provider produces (part of the speech cache key)
+ * - contentType: MIME type of the generated audio
+ * - isAvailable(): whether the provider is configured/installed
+ * - getVoice(language, voice): the voice a request is spoken with
+ * - generateAudio(text, language, voice): { success, audioBuffer } or { success: false, error }
+ *
+ * TTS_PROVIDERS lists the providers to use in order of preference, e.g.
+ * "gemini,local,mock": when a provider is unavailable or fails, the next one is
+ * tried. It defaults to "gemini" alone, so audio is only generated when a
+ * Gemini API key is configured. The local engine is chosen by TTS_LOCAL_ENGINE
+ * (espeak-ng or piper, with TTS_PIPER_MODEL_EN / TTS_PIPER_MODEL_ES voices).
+ */
+
+const TTS_PROVIDERS = {
+  gemini: GeminiTtsProvider,
+  local: LocalTtsProvider,
+  mock: MockTtsProvider
+};
+
+export const ttsProviderNames = Object.keys(TTS_PROVIDERS);
+
+const DEFAULT_PROVIDER_ORDER = ['gemini'];
+
+let providers = null;
+
+/**
+ * Get the names of the configured providers, in order of preference
+ * @returns {Array<string>} Provider names
+ */
+export const getTtsProviderOrder = () => {
+  if (!process.env.TTS_PROVIDERS) {
+    return DEFAULT_PROVIDER_ORDER;
+  }
+
+  return [...new Set(process.env.TTS_PROVIDERS.split(',').map(name => name.trim()).filter(Boolean))];
+};
+
+/**
+ * Create a TTS provider
+ * @param {string} name - Provider name (gemini, local or mock)
+ * @param {Object} [options] - Provider options (defaults come from the environment)
+ * @returns {Object} TTS provider
+ */
+export const createTtsProvider = (name, options = {}) => {
+  const Provider = TTS_PROVIDERS[name];
+  if (!Provider) {
+    throw new Error(`Unknown TTS provider: ${name} (expected one of: ${ttsProviderNames.join(', ')})`);
+  }
+
+  if (name === 'local') {
+    return new LocalTtsProvider({
+      engine: process.env.TTS_LOCAL_ENGINE || 'espeak-ng',
+      binary: process.env.TTS_LOCAL_BINARY,
+      piperModels: {
+        en: process.env.TTS_PIPER_MODEL_EN,
+        es: process.env.TTS_PIPER_MODEL_ES
+      },
+      ...options
+    });
+  }
+
+  return new Provider(options);
+};
+
+/**
+ * Get the configured providers in order of preference, created on first use
+ * @returns {Array<Object>} TTS providers
+ */
+export const getTtsProviders = () => {
+  if (!providers) {
+    providers = getTtsProviderOrder().map(name => createTtsProvider(name));
+  }
+  return providers;
+};
+
+/**
+ * Get the configured providers that can currently be used
+ * @returns {Array<Object>} Available TTS providers, in order of preference
+ */
+export const getAvailableTtsProviders = () => {
+  return getTtsProviders().filter(provider => provider.isAvailable());
+};
+
+export default {
+  ttsProviderNames,
+  getTtsProviderOrder,
+  createTtsProvider,
+  getTtsProviders,
+  getAvailableTtsProviders
+};
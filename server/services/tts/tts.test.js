@@ -0,0 +1,123 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import LocalTtsProvider from './LocalTtsProvider.js';
+import MockTtsProvider from './MockTtsProvider.js';
+import { getTtsProviderOrder, createTtsProvider } from './index.js';
+
+const readWav = (buffer) => ({
+  riff: buffer.toString('ascii', 0, 4),
+  wave: buffer.toString('ascii', 8, 12),
+  channels: buffer.readUInt16LE(22),
+  sampleRate: buffer.readUInt32LE(24),
+  bitsPerSample: buffer.readUInt16LE(34),
+  dataSize: buffer.readUInt32LE(40)
+});
+
+describe('MockTtsProvider', () => {
+  const provider = new MockTtsProvider();
+
+  test('should generate a valid PCM WAV tone', async () => {
+    const result = await provider.generateAudio('hello', 'en');
+    expect(result.success).toBe(true);
+
+    const wav = readWav(result.audioBuffer);
+    expect(wav).toEqual(expect.objectContaining({ riff: 'RIFF', wave: 'WAVE', channels: 1, sampleRate: 16000, bitsPerSample: 16 }));
+    expect(wav.dataSize).toBe(result.audioBuffer.length - 44);
+    expect(result.audioBuffer.readUInt32LE(4)).toBe(result.audioBuffer.length - 8);
+  });
+
+  test('should be deterministic', async () => {
+    const first = await provider.generateAudio('hello', 'en');
+    const second = await provider.generateAudio('hello', 'en');
+    const other = await provider.generateAudio('hello', 'es');
+
+    expect(first.audioBuffer.equals(second.audioBuffer)).toBe(true);
+    expect(first.audioBuffer.equals(other.audioBuffer)).toBe(false);
+  });
+
+  test('should reject empty text', async () => {
+    expect(await provider.generateAudio('  ', 'en')).toEqual({ success: false, error: 'Text is required for audio generation' });
+  });
+});
+
+describe('LocalTtsProvider', () => {
+  let dir;
+  let binary;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tts-'));
+    // Fake engine: echoes its arguments and stdin, fails on "fail"
+    binary = path.join(dir, 'engine');
+    fs.writeFileSync(binary, '#!/bin/sh\ninput=$(cat)\n[ "$input" = "fail" ] && { echo "bad input" >&2; exit 3; }\nprintf "%s|%s" "$*" "$input"\n');
+    fs.chmodSync(binary, 0o755);
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('should run espeak-ng with the language voice and the text on stdin', async () => {
+    const provider = new LocalTtsProvider({ binary });
+    expect(provider.isAvailable()).toBe(true);
+
+    const result = await provider.generateAudio('hola', 'es');
+    expect(result.audioBuffer.toString()).toBe('-v es --stdout|hola');
+    expect(provider.getVoice('en')).toBe('en-us');
+    expect(provider.getVoice('en', 'en-gb')).toBe('en-gb');
+  });
+
+  test('should run piper with the voice model of the language', async () => {
+    const provider = new LocalTtsProvider({ engine: 'piper', binary, piperModels: { en: '/voices/en_US-amy-medium.onnx' } });
+
+    const result = await provider.generateAudio('hello', 'en');
+    expect(result.audioBuffer.toString()).toBe('--model /voices/en_US-amy-medium.onnx --output_file -|hello');
+    expect(provider.getVoice('en')).toBe('en_US-amy-medium');
+
+    expect(await provider.generateAudio('hola', 'es')).toEqual({
+      success: false,
+      error: 'No piper voice model configured for language: es'
+    });
+  });
+
+  test('should report engine failures', async () => {
+    const provider = new LocalTtsProvider({ binary });
+    expect(await provider.generateAudio('fail', 'en')).toEqual({
+      success: false,
+      error: 'espeak-ng exited with code 3: bad input'
+    });
+
+    const missing = new LocalTtsProvider({ binary: path.join(dir, 'missing') });
+    expect(missing.isAvailable()).toBe(false);
+    expect((await missing.generateAudio('hello', 'en')).success).toBe(false);
+  });
+
+  test('should reject unknown engines', () => {
+    expect(() => new LocalTtsProvider({ engine: 'say' })).toThrow('Unknown local TTS engine: say');
+  });
+});
+
+describe('TTS provider registry', () => {
+  const originalProviders = process.env.TTS_PROVIDERS;
+
+  afterEach(() => {
+    if (originalProviders === undefined) {
+      delete process.env.TTS_PROVIDERS;
+    } else {
+      process.env.TTS_PROVIDERS = originalProviders;
+    }
+  });
+
+  test('should read the fallback order from TTS_PROVIDERS', () => {
+    delete process.env.TTS_PROVIDERS;
+    expect(getTtsProviderOrder()).toEqual(['gemini']);
+
+    process.env.TTS_PROVIDERS = 'local, mock,local';
+    expect(getTtsProviderOrder()).toEqual(['local', 'mock']);
+  });
+
+  test('should reject unknown providers', () => {
+    expect(createTtsProvider('mock').name).toBe('mock');
+    expect(() => createTtsProvider('polly')).toThrow('Unknown TTS provider: polly');
+  });
+});
@@ -0,0 +1,162 @@
+import request from 'supertest';
+import { describe, test, expect, beforeAll, beforeEach } from '@jest/globals';
+
+/**
+ * Contract Test: suspended, buried and leech cards
+ *
+ * Validates that suspended cards are left out of study until resumed, buried
+ * cards are skipped until the next day, and cards that lapse as often as the
+ * user's leech threshold are flagged as leeches and suspended.
+ */
+
+describe('Card suspension - Contract Test', () => {
+  let app;
+  let userToken;
+  let flashcardId;
+
+  beforeAll(async () => {
+    const { default: appModule } = await import('../../index.js');
+    app = appModule;
+
+    await request(app)
+      .post('/api/auth/register')
+      .send({ email: 'suspension@example.com', password: 'password123' });
+
+    const loginResponse = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'suspension@example.com', password: 'password123' });
+    userToken = loginResponse.body.accessToken;
+  });
+
+  beforeEach(async () => {
+    const created = await request(app)
+      .post('/api/flashcards')
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ english: `problem ${Date.now()}`, spanish: 'problema' });
+    flashcardId = created.body.flashcard.id;
+  });
+
+  const studyCardIds = async () => {
+    const response = await request(app)
+      .get('/api/study/my-session?limit=50')
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(200);
+    return response.body.session.cards.map(card => card.id);
+  };
+
+  test('should leave suspended cards out of study until resumed', async () => {
+    const response = await request(app)
+      .post(`/api/flashcards/${flashcardId}/suspend`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(200);
+
+    expect(response.body.flashcard.suspendedAt).toBeTruthy();
+    expect(await studyCardIds()).not.toContain(flashcardId);
+
+    const resumed = await request(app)
+      .post(`/api/flashcards/${flashcardId}/unsuspend`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(200);
+
+    expect(resumed.body.flashcard.suspendedAt).toBeNull();
+    expect(await studyCardIds()).toContain(flashcardId);
+  });
+
+  test('should bury cards until tomorrow', async () => {
+    const response = await request(app)
+      .post(`/api/flashcards/${flashcardId}/bury`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(200);
+
+    expect(new Date(response.body.flashcard.buriedUntil).getTime()).toBeGreaterThan(Date.now());
+    expect(await studyCardIds()).not.toContain(flashcardId);
+  });
+
+  test('should flag and suspend leeches after the threshold of lapses', async () => {
+    await request(app)
+      .put('/api/users/me/preferences')
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ leechThreshold: 1 })
+      .expect(200);
+
+    await request(app)
+      .post(`/api/study/review/${flashcardId}`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ performanceRating: 4 });
+
+    const lapse = await request(app)
+      .post(`/api/study/review/${flashcardId}`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ performanceRating: 1 })
+      .expect(200);
+
+    expect(lapse.body.studyMetadata.leech).toBe(true);
+    expect(lapse.body.flashcard.suspendedAt).toBeTruthy();
+
+    const leeches = await request(app)
+      .get('/api/flashcards/my/leeches')
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(200);
+
+    expect(leeches.body.flashcards.map(card => card.id)).toContain(flashcardId);
+
+    await request(app)
+      .put('/api/users/me/preferences')
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ leechThreshold: null });
+  });
+
+  test('should clear the leech flag and suspension when the review that set them is undone', async () => {
+    await request(app)
+      .put('/api/users/me/preferences')
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ leechThreshold: 1 })
+      .expect(200);
+
+    await request(app)
+      .post(`/api/study/review/${flashcardId}`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ performanceRating: 4 })
+      .expect(200);
+
+    const lapse = await request(app)
+      .post(`/api/study/review/${flashcardId}`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ performanceRating: 1 })
+      .expect(200);
+    expect(lapse.body.studyMetadata.leech).toBe(true);
+
+    const undone = await request(app)
+      .post(`/api/study/review/${flashcardId}/undo`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(200);
+
+    expect(undone.body.flashcard).toEqual(expect.objectContaining({
+      lapses: 0,
+      leechAt: null,
+      suspendedAt: null
+    }));
+    expect(await studyCardIds()).toContain(flashcardId);
+
+    const leeches = await request(app)
+      .get('/api/flashcards/my/leeches')
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(200);
+    expect(leeches.body.flashcards.map(card => card.id)).not.toContain(flashcardId);
+
+    await request(app)
+      .put('/api/users/me/preferences')
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ leechThreshold: null });
+  });
+
+  test('should reject an invalid leech threshold', async () => {
+    const response = await request(app)
+      .put('/api/users/me/preferences')
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ leechThreshold: 0 })
+      .expect(400);
+
+    expect(response.body.code).toBe('VALIDATION_FAILED');
+  });
+});
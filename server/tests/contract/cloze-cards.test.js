@@ -0,0 +1,113 @@
+import request from 'supertest';
+import { describe, test, expect, beforeAll, beforeEach } from '@jest/globals';
+
+/**
+ * Contract Test: cloze cards
+ *
+ * Validates that cloze cards are validated on create/update, that each
+ * deletion is a separate study item in study sessions, and that deletions
+ * are reviewed (and keep their scheduling state) independently.
+ */
+
+describe('Cloze cards - Contract Test', () => {
+  let app;
+  let userToken;
+
+  beforeAll(async () => {
+    const { default: appModule } = await import('../../index.js');
+    app = appModule;
+  });
+
+  beforeEach(async () => {
+    await request(app)
+      .post('/api/auth/register')
+      .send({ email: 'cloze@example.com', password: 'password123' });
+
+    const loginResponse = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'cloze@example.com', password: 'password123' });
+    userToken = loginResponse.body.accessToken;
+  });
+
+  const createCloze = (english, extra = {}) => request(app)
+    .post('/api/flashcards')
+    .set('Authorization', `Bearer ${userToken}`)
+    .send({ cardType: 'cloze', english, ...extra });
+
+  const sessionItems = async (flashcardId) => {
+    const response = await request(app)
+      .get('/api/study/my-session?limit=50')
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(200);
+    return response.body.session.cards.filter(card => card.id === flashcardId);
+  };
+
+  test('should create a cloze card without a translation', async () => {
+    const response = await createCloze(`I {{c1::took off}} my {{c2::jacket::clothing}} ${Date.now()}`).expect(201);
+
+    expect(response.body.flashcard.cardType).toBe('cloze');
+    expect(response.body.flashcard.spanish).toBe('');
+  });
+
+  test('should reject cloze text without deletions', async () => {
+    const response = await createCloze('No deletions here').expect(400);
+    expect(response.body.message).toContain('at least one deletion');
+  });
+
+  test('should study each deletion as its own item', async () => {
+    const created = await createCloze(`I {{c1::took off}} my {{c2::jacket}} ${Date.now()}`);
+
+    const items = await sessionItems(created.body.flashcard.id);
+    expect(items.map(card => card.item).sort()).toEqual(['c1', 'c2']);
+  });
+
+  test('should schedule deletions independently', async () => {
+    const created = await createCloze(`I {{c1::took off}} my {{c2::jacket}} ${Date.now()}`);
+    const flashcardId = created.body.flashcard.id;
+
+    const response = await request(app)
+      .post(`/api/study/review/${flashcardId}`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ performanceRating: 4, item: 'c2' })
+      .expect(200);
+    expect(response.body.studyMetadata.item).toBe('c2');
+
+    const items = await sessionItems(flashcardId);
+    const byItem = Object.fromEntries(items.map(card => [card.item, card]));
+    expect(byItem.c1.reviewCount).toBe(0);
+    expect(byItem.c2.reviewCount).toBe(1);
+  });
+
+  test('should reject reviews of deletions the card does not have', async () => {
+    const created = await createCloze(`I {{c1::took off}} my jacket ${Date.now()}`);
+
+    const response = await request(app)
+      .post(`/api/study/review/${created.body.flashcard.id}`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ performanceRating: 4, item: 'c2' })
+      .expect(400);
+    expect(response.body.code).toBe('INVALID_ITEM');
+  });
+
+  test('should keep the state of remaining deletions when the sentence changes', async () => {
+    const stamp = Date.now();
+    const created = await createCloze(`I {{c1::took off}} my {{c2::jacket}} ${stamp}`);
+    const flashcardId = created.body.flashcard.id;
+
+    await request(app)
+      .post(`/api/study/review/${flashcardId}`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ performanceRating: 4, item: 'c1' });
+
+    await request(app)
+      .put(`/api/flashcards/${flashcardId}`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ english: `I {{c1::took off}} my {{c3::coat}} ${stamp}` })
+      .expect(200);
+
+    const items = await sessionItems(flashcardId);
+    const byItem = Object.fromEntries(items.map(card => [card.item, card]));
+    expect(Object.keys(byItem).sort()).toEqual(['c1', 'c3']);
+    expect(byItem.c1.reviewCount).toBe(1);
+  });
+});
@@ -0,0 +1,189 @@
+import request from 'supertest';
+import { describe, test, expect, beforeAll } from '@jest/globals';
+
+/**
+ * Contract Test: /api/decks
+ *
+ * Validates deck CRUD with nesting, and that deck filters on card listings
+ * and study sessions include the cards of subdecks.
+ */
+
+describe('/api/decks - Contract Test', () => {
+  let app;
+  let userToken;
+  let otherToken;
+
+  beforeAll(async () => {
+    const { default: appModule } = await import('../../index.js');
+    app = appModule;
+
+    for (const email of ['decks@example.com', 'decks-other@example.com']) {
+      await request(app)
+        .post('/api/auth/register')
+        .send({ email, password: 'password123' });
+    }
+
+    const userLogin = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'decks@example.com', password: 'password123' });
+    userToken = userLogin.body.accessToken;
+
+    const otherLogin = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'decks-other@example.com', password: 'password123' });
+    otherToken = otherLogin.body.accessToken;
+  });
+
+  const createDeck = (token, data) => request(app)
+    .post('/api/decks')
+    .set('Authorization', `Bearer ${token}`)
+    .send(data);
+
+  test('should create nested decks', async () => {
+    const parent = await createDeck(userToken, { name: `Verbs ${Date.now()}` }).expect(201);
+    const child = await createDeck(userToken, { name: 'Irregular', parentId: parent.body.deck.id }).expect(201);
+
+    expect(child.body.deck.parentId).toBe(parent.body.deck.id);
+
+    const list = await request(app)
+      .get('/api/decks')
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(200);
+    expect(list.body.decks.map(deck => deck.id)).toEqual(
+      expect.arrayContaining([parent.body.deck.id, child.body.deck.id])
+    );
+  });
+
+  test('should reject duplicate sibling names', async () => {
+    const name = `Nouns ${Date.now()}`;
+    await createDeck(userToken, { name }).expect(201);
+
+    const response = await createDeck(userToken, { name: name.toUpperCase() }).expect(409);
+    expect(response.body.code).toBe('DECK_NAME_TAKEN');
+  });
+
+  test('should not allow moving a deck into its own subdeck', async () => {
+    const parent = await createDeck(userToken, { name: `Topics ${Date.now()}` });
+    const child = await createDeck(userToken, { name: 'Travel', parentId: parent.body.deck.id });
+
+    const response = await request(app)
+      .put(`/api/decks/${parent.body.deck.id}`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ parentId: child.body.deck.id })
+      .expect(400);
+
+    expect(response.body.code).toBe('INVALID_PARENT_DECK');
+  });
+
+  test('should filter cards and study sessions by deck including subdecks', async () => {
+    const parent = await createDeck(userToken, { name: `Food ${Date.now()}` });
+    const child = await createDeck(userToken, { name: 'Fruit', parentId: parent.body.deck.id });
+
+    const created = await request(app)
+      .post('/api/flashcards')
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ english: `Apple ${Date.now()}`, spanish: 'Manzana', deckId: child.body.deck.id })
+      .expect(201);
+
+    const cards = await request(app)
+      .get(`/api/flashcards/my/cards?deckId=${parent.body.deck.id}`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(200);
+    expect(cards.body.flashcards.map(card => card.id)).toEqual([created.body.flashcard.id]);
+
+    const session = await request(app)
+      .get(`/api/study/my-session?deckId=${parent.body.deck.id}`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(200);
+    expect(session.body.session.cards.every(card => card.deckId === child.body.deck.id)).toBe(true);
+  });
+
+  test('should keep cards when their deck is deleted', async () => {
+    const deck = await createDeck(userToken, { name: `Temporary ${Date.now()}` });
+    const created = await request(app)
+      .post('/api/flashcards')
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ english: `Keep ${Date.now()}`, spanish: 'Guardar', deckId: deck.body.deck.id });
+
+    const response = await request(app)
+      .delete(`/api/decks/${deck.body.deck.id}`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(200);
+    expect(response.body.unfiledCards).toBe(1);
+
+    const card = await request(app)
+      .get(`/api/flashcards/${created.body.flashcard.id}`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(200);
+    expect(card.body.flashcard.deckId).toBeNull();
+  });
+
+  test('should not expose decks of other users', async () => {
+    const deck = await createDeck(userToken, { name: `Private ${Date.now()}` });
+
+    const response = await request(app)
+      .get(`/api/decks/${deck.body.deck.id}`)
+      .set('Authorization', `Bearer ${otherToken}`)
+      .expect(404);
+    expect(response.body.code).toBe('DECK_NOT_FOUND');
+
+    await request(app)
+      .post('/api/flashcards')
+      .set('Authorization', `Bearer ${otherToken}`)
+      .send({ english: 'Sneaky', spanish: 'Astuto', deckId: deck.body.deck.id })
+      .expect(400);
+  });
+
+  test('should include per-deck stats in the dashboard', async () => {
+    const deck = await createDeck(userToken, { name: `Stats ${Date.now()}` });
+
+    const response = await request(app)
+      .get('/api/stats/my-dashboard')
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(200);
+
+    const deckStats = response.body.dashboard.decks.find(stats => stats.deckId === deck.body.deck.id);
+    expect(deckStats).toMatchObject({ totalFlashcards: 0, dueCards: 0, newCards: 0 });
+  });
+
+  test('should count due study items of the deck and its subdecks like a deck-filtered session', async () => {
+    const stamp = Date.now();
+    const parent = await createDeck(userToken, { name: `Due ${stamp}` }).expect(201);
+    const child = await createDeck(userToken, { name: 'Subdeck', parentId: parent.body.deck.id }).expect(201);
+
+    const createCard = (data) => request(app)
+      .post('/api/flashcards')
+      .set('Authorization', `Bearer ${userToken}`)
+      .send(data)
+      .expect(201);
+
+    // Both directions: two new items
+    await createCard({ english: `Both ${stamp}`, spanish: 'Ambos', directionMode: 'both', deckId: parent.body.deck.id });
+    // Cloze card with two deletions: two new items
+    await createCard({ cardType: 'cloze', english: `The {{c1::cat}} ${stamp} {{c2::sleeps}}`, deckId: child.body.deck.id });
+    // Reviewed card that is not due yet
+    const reviewed = await createCard({ english: `Later ${stamp}`, spanish: 'Luego', deckId: child.body.deck.id });
+    await request(app)
+      .post(`/api/study/review/${reviewed.body.flashcard.id}`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ performanceRating: 5 })
+      .expect(200);
+
+    const response = await request(app)
+      .get('/api/stats/my-dashboard')
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(200);
+
+    const statsOf = (deck) => response.body.dashboard.decks.find(stats => stats.deckId === deck.body.deck.id);
+    expect(statsOf(parent)).toMatchObject({ totalFlashcards: 1, newCards: 1, dueCards: 4 });
+    expect(statsOf(child)).toMatchObject({ totalFlashcards: 2, newCards: 1, dueCards: 2 });
+
+    for (const deck of [parent, child]) {
+      const due = await request(app)
+        .get(`/api/study/my-due?deckId=${deck.body.deck.id}`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(200);
+      expect(due.body.dueForReview.totalDue).toBe(statsOf(deck).dueCards);
+    }
+  });
+});
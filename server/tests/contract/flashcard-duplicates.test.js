@@ -0,0 +1,163 @@
+import request from 'supertest';
+import { describe, test, expect, beforeAll, beforeEach } from '@jest/globals';
+
+/**
+ * Contract Test: duplicate flashcards
+ *
+ * Validates that creating or importing a card whose text matches an existing
+ * card (ignoring case, accents, punctuation and leading articles) is rejected,
+ * that duplicates are reported, and that merging keeps the most advanced
+ * scheduling state, sums review counts and moves the review history.
+ */
+
+describe('Duplicate flashcards - Contract Test', () => {
+  let app;
+  let userToken;
+
+  beforeAll(async () => {
+    const { default: appModule } = await import('../../index.js');
+    app = appModule;
+  });
+
+  beforeEach(async () => {
+    await request(app)
+      .post('/api/auth/register')
+      .send({ email: 'duplicates@example.com', password: 'password123' });
+
+    const loginResponse = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'duplicates@example.com', password: 'password123' });
+    userToken = loginResponse.body.accessToken;
+  });
+
+  const createCard = (data) => request(app)
+    .post('/api/flashcards')
+    .set('Authorization', `Bearer ${userToken}`)
+    .send(data);
+
+  const review = (flashcardId, performanceRating) => request(app)
+    .post(`/api/study/review/${flashcardId}`)
+    .set('Authorization', `Bearer ${userToken}`)
+    .send({ performanceRating });
+
+  // Cards cannot be created as duplicates, so make one by editing its text
+  const createDuplicate = async (data, duplicateData) => {
+    const created = await createCard({ ...data, spanish: `${data.spanish} ${Date.now()}` });
+    await request(app)
+      .put(`/api/flashcards/${created.body.flashcard.id}`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .send(duplicateData)
+      .expect(200);
+    return created.body.flashcard.id;
+  };
+
+  test('should reject a duplicate with the existing card', async () => {
+    const english = `run ${Date.now()}`;
+    const created = await createCard({ english, spanish: 'correr' }).expect(201);
+
+    const response = await createCard({ english: `To ${english.toUpperCase()}!`, spanish: 'Córrer' }).expect(409);
+
+    expect(response.body.code).toBe('DUPLICATE_FLASHCARD');
+    expect(response.body.existingFlashcard.id).toBe(created.body.flashcard.id);
+  });
+
+  test('should create only one of two concurrent duplicates', async () => {
+    const english = `swim ${Date.now()}`;
+
+    const responses = await Promise.all([
+      createCard({ english, spanish: 'nadar' }),
+      createCard({ english: `to ${english}`, spanish: 'nadar' })
+    ]);
+
+    expect(responses.map(response => response.status).sort()).toEqual([201, 409]);
+  });
+
+  test('should reject a duplicate of an edited card', async () => {
+    const english = `walk ${Date.now()}`;
+    const created = await createCard({ english: `${english} slowly`, spanish: 'caminar' }).expect(201);
+    await request(app)
+      .put(`/api/flashcards/${created.body.flashcard.id}`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ english })
+      .expect(200);
+
+    const response = await createCard({ english, spanish: 'caminar' }).expect(409);
+
+    expect(response.body.existingFlashcard.id).toBe(created.body.flashcard.id);
+  });
+
+  test('should report duplicates in bulk imports', async () => {
+    const english = `the dog ${Date.now()}`;
+
+    const response = await request(app)
+      .post('/api/bulk/flashcards/import')
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ flashcards: [{ english, spanish: 'el perro' }, { english: english.slice(4), spanish: 'perro' }] })
+      .expect(201);
+
+    expect(response.body.result.successful).toBe(1);
+    expect(response.body.result.errors).toEqual([
+      expect.objectContaining({ index: 1, code: 'DUPLICATE_FLASHCARD' })
+    ]);
+  });
+
+  test('should list and merge duplicates', async () => {
+    const english = `jump ${Date.now()}`;
+    const kept = await createCard({ english, spanish: 'saltar', tags: ['verbs'] });
+    const keptId = kept.body.flashcard.id;
+    const duplicateId = await createDuplicate(
+      { english, spanish: 'brincar', tags: ['A1'] },
+      { spanish: 'Saltar' }
+    );
+
+    await review(keptId, 2);
+    await review(duplicateId, 5);
+    await review(duplicateId, 5);
+
+    const report = await request(app)
+      .get('/api/flashcards/my/duplicates')
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(200);
+    const group = report.body.groups.find(entry => entry.english === english);
+    expect(group.flashcards.map(card => card.id)).toEqual([keptId, duplicateId]);
+
+    const duplicate = await request(app)
+      .get(`/api/flashcards/${duplicateId}`)
+      .set('Authorization', `Bearer ${userToken}`);
+
+    const response = await request(app)
+      .post(`/api/flashcards/${keptId}/merge`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ duplicateIds: [duplicateId] })
+      .expect(200);
+
+    const { flashcard } = response.body;
+    expect(flashcard.reviewCount).toBe(3);
+    expect(flashcard.intervalDays).toBe(duplicate.body.flashcard.intervalDays);
+    expect(flashcard.tags.sort()).toEqual(['A1', 'verbs']);
+
+    const history = await request(app)
+      .get(`/api/study/my-history?flashcardId=${keptId}`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(200);
+    expect(history.body.pagination.total).toBe(3);
+  });
+
+  test('should reject invalid merges', async () => {
+    const created = await createCard({ english: `merge ${Date.now()}`, spanish: 'fusionar' });
+    const flashcardId = created.body.flashcard.id;
+
+    const self = await request(app)
+      .post(`/api/flashcards/${flashcardId}/merge`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ duplicateIds: [flashcardId] })
+      .expect(400);
+    expect(self.body.code).toBe('VALIDATION_FAILED');
+
+    await request(app)
+      .post(`/api/flashcards/${flashcardId}/merge`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ duplicateIds: [] })
+      .expect(400);
+  });
+});
@@ -0,0 +1,64 @@
+import request from 'supertest';
+import { describe, test, expect, beforeAll, beforeEach } from '@jest/globals';
+
+/**
+ * Contract Test: flashcard audio and tips
+ *
+ * Validates that flashcards expose their generated audio and tips, and that
+ * regenerating them is limited to the card's owner.
+ */
+
+describe('Flashcard audio and tips - Contract Test', () => {
+  let app;
+  let userToken;
+  let otherToken;
+  let flashcardId;
+
+  beforeAll(async () => {
+    const { default: appModule } = await import('../../index.js');
+    app = appModule;
+  });
+
+  beforeEach(async () => {
+    for (const email of ['generation@example.com', 'generation-other@example.com']) {
+      await request(app)
+        .post('/api/auth/register')
+        .send({ email, password: 'password123' });
+    }
+
+    const loginResponse = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'generation@example.com', password: 'password123' });
+    userToken = loginResponse.body.accessToken;
+
+    const otherLogin = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'generation-other@example.com', password: 'password123' });
+    otherToken = otherLogin.body.accessToken;
+
+    const created = await request(app)
+      .post('/api/flashcards')
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ english: `voice ${Date.now()}`, spanish: 'voz' })
+      .expect(201);
+    flashcardId = created.body.flashcard.id;
+
+    expect(created.body.flashcard).toHaveProperty('audioUrl');
+    expect(created.body.flashcard).toHaveProperty('tips');
+  });
+
+  test.each(['regenerate-audio', 'regenerate-tips'])('should only let the owner %s', async (action) => {
+    const response = await request(app)
+      .post(`/api/flashcards/${flashcardId}/${action}`)
+      .set('Authorization', `Bearer ${otherToken}`)
+      .expect(403);
+
+    expect(response.body.code).toBe('FLASHCARD_ACCESS_DENIED');
+  });
+
+  test.each(['regenerate-audio', 'regenerate-tips'])('should require authentication to %s', async (action) => {
+    await request(app)
+      .post(`/api/flashcards/${flashcardId}/${action}`)
+      .expect(401);
+  });
+});
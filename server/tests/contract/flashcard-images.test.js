@@ -0,0 +1,104 @@
+import request from 'supertest';
+import sharp from 'sharp';
+import { describe, test, expect, beforeAll, beforeEach } from '@jest/globals';
+
+/**
+ * Contract Test: /api/flashcards/:flashcardId/image
+ *
+ * Validates image upload with type/size checks, thumbnail generation,
+ * replacement and removal, and that only the card owner can change it.
+ */
+
+describe('/api/flashcards/:flashcardId/image - Contract Test', () => {
+  let app;
+  let userToken;
+  let otherToken;
+  let flashcardId;
+  let png;
+
+  beforeAll(async () => {
+    const { default: appModule } = await import('../../index.js');
+    app = appModule;
+
+    png = await sharp({
+      create: { width: 800, height: 400, channels: 3, background: 'red' }
+    }).png().toBuffer();
+  });
+
+  beforeEach(async () => {
+    for (const email of ['images@example.com', 'images-other@example.com']) {
+      await request(app)
+        .post('/api/auth/register')
+        .send({ email, password: 'password123' });
+    }
+
+    const userLogin = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'images@example.com', password: 'password123' });
+    userToken = userLogin.body.accessToken;
+
+    const otherLogin = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'images-other@example.com', password: 'password123' });
+    otherToken = otherLogin.body.accessToken;
+
+    const created = await request(app)
+      .post('/api/flashcards')
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ english: `Apple ${Date.now()}`, spanish: 'Manzana' });
+    flashcardId = created.body.flashcard.id;
+  });
+
+  const uploadImage = (token, buffer, contentType, side) => {
+    let req = request(app)
+      .put(`/api/flashcards/${flashcardId}/image`)
+      .set('Authorization', `Bearer ${token}`);
+    if (side) {
+      req = req.field('side', side);
+    }
+    return req.attach('image', buffer, { filename: 'image', contentType });
+  };
+
+  test('should upload an image and serve its thumbnail', async () => {
+    const response = await uploadImage(userToken, png, 'image/png', 'front').expect(200);
+
+    const { flashcard } = response.body;
+    expect(flashcard.imageUrl).toMatch(/\.png$/);
+    expect(flashcard.imageThumbnailUrl).toMatch(/-thumb\.webp$/);
+    expect(flashcard.imageSide).toBe('front');
+
+    const thumbnail = await request(app).get(flashcard.imageThumbnailUrl).expect(200);
+    const metadata = await sharp(thumbnail.body).metadata();
+    expect(Math.max(metadata.width, metadata.height)).toBeLessThanOrEqual(320);
+  });
+
+  test('should reject unsupported types, fake images and oversized files', async () => {
+    const type = await uploadImage(userToken, Buffer.from('hello'), 'text/plain').expect(415);
+    expect(type.body.code).toBe('UNSUPPORTED_IMAGE_TYPE');
+
+    const fake = await uploadImage(userToken, Buffer.from('not an image'), 'image/png').expect(400);
+    expect(fake.body.code).toBe('INVALID_IMAGE');
+
+    const large = await uploadImage(userToken, Buffer.alloc(6 * 1024 * 1024), 'image/png').expect(413);
+    expect(large.body.code).toBe('IMAGE_TOO_LARGE');
+  });
+
+  test('should replace and remove the image', async () => {
+    const first = await uploadImage(userToken, png, 'image/png');
+    const second = await uploadImage(userToken, png, 'image/png').expect(200);
+    expect(second.body.flashcard.imageUrl).not.toBe(first.body.flashcard.imageUrl);
+
+    const response = await request(app)
+      .delete(`/api/flashcards/${flashcardId}/image`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(200);
+
+    expect(response.body.flashcard.imageUrl).toBeNull();
+    expect(response.body.flashcard.imageThumbnailUrl).toBeNull();
+  });
+
+  test('should not allow other users to change the image', async () => {
+    const response = await uploadImage(otherToken, png, 'image/png').expect(403);
+    expect(response.body.code).toBe('FLASHCARD_ACCESS_DENIED');
+  });
+});
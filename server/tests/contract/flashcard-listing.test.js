@@ -0,0 +1,87 @@
+import request from 'supertest';
+import { describe, test, expect, beforeAll, beforeEach } from '@jest/globals';
+
+/**
+ * Contract Test: flashcard listing
+ *
+ * Validates that card listings page through results with an opaque cursor,
+ * report the total matching the filters, and filter by review state.
+ */
+
+describe('Flashcard listing - Contract Test', () => {
+  let app;
+  let userToken;
+
+  beforeAll(async () => {
+    const { default: appModule } = await import('../../index.js');
+    app = appModule;
+  });
+
+  beforeEach(async () => {
+    await request(app)
+      .post('/api/auth/register')
+      .send({ email: 'listing@example.com', password: 'password123' });
+
+    const loginResponse = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'listing@example.com', password: 'password123' });
+    userToken = loginResponse.body.accessToken;
+
+    for (let i = 0; i < 3; i++) {
+      await request(app)
+        .post('/api/flashcards')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ english: `page ${i} ${Date.now()}`, spanish: 'página' });
+    }
+  });
+
+  const listCards = (query) => request(app)
+    .get(`/api/flashcards/my/cards?${query}`)
+    .set('Authorization', `Bearer ${userToken}`);
+
+  test('should page through every card with nextCursor', async () => {
+    const ids = [];
+    let cursor = null;
+    let total;
+
+    do {
+      const response = await listCards(`limit=2&orderBy=english${cursor ? `&cursor=${cursor}` : ''}`).expect(200);
+      expect(response.body.flashcards.length).toBeLessThanOrEqual(2);
+      ids.push(...response.body.flashcards.map(card => card.id));
+      total = response.body.total;
+      cursor = response.body.nextCursor;
+    } while (cursor);
+
+    expect(ids.length).toBe(total);
+    expect(new Set(ids).size).toBe(total);
+  });
+
+  test('should filter by review state', async () => {
+    const all = await listCards('limit=1').expect(200);
+    const cardId = all.body.flashcards[0].id;
+
+    await request(app)
+      .post(`/api/study/review/${cardId}`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ performanceRating: 4 });
+
+    const reviewed = await listCards('reviewed=true&limit=100').expect(200);
+    const unreviewed = await listCards('reviewed=false&limit=100').expect(200);
+
+    expect(reviewed.body.flashcards.map(card => card.id)).toContain(cardId);
+    expect(unreviewed.body.flashcards.map(card => card.id)).not.toContain(cardId);
+    expect(reviewed.body.total + unreviewed.body.total).toBe(all.body.total);
+  });
+
+  test('should reject cursors issued for another sort order', async () => {
+    const first = await listCards('limit=1&orderBy=id').expect(200);
+
+    const response = await listCards(`orderBy=english&cursor=${first.body.nextCursor}`).expect(400);
+    expect(response.body.code).toBe('INVALID_CURSOR');
+  });
+
+  test('should reject invalid filters', async () => {
+    const response = await listCards('difficultyMin=9&dueBefore=soon').expect(400);
+    expect(response.body.code).toBe('INVALID_QUERY_PARAMS');
+  });
+});
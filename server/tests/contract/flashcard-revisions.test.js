@@ -0,0 +1,96 @@
+import request from 'supertest';
+import { describe, test, expect, beforeAll, beforeEach } from '@jest/globals';
+
+/**
+ * Contract Test: flashcard revisions
+ *
+ * Validates that every edit of a flashcard's content is recorded with the
+ * changed fields, their old and new values and the editor, and that a card
+ * can be reverted to how it was before a revision.
+ */
+
+describe('Flashcard revisions - Contract Test', () => {
+  let app;
+  let userToken;
+  let userId;
+  let flashcardId;
+
+  beforeAll(async () => {
+    const { default: appModule } = await import('../../index.js');
+    app = appModule;
+  });
+
+  beforeEach(async () => {
+    await request(app)
+      .post('/api/auth/register')
+      .send({ email: 'revisions@example.com', password: 'password123' });
+
+    const loginResponse = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'revisions@example.com', password: 'password123' });
+    userToken = loginResponse.body.accessToken;
+    userId = loginResponse.body.user.id;
+
+    const created = await request(app)
+      .post('/api/flashcards')
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ english: `helo ${Date.now()}`, spanish: 'hola' });
+    flashcardId = created.body.flashcard.id;
+  });
+
+  const edit = (data) => request(app)
+    .put(`/api/flashcards/${flashcardId}`)
+    .set('Authorization', `Bearer ${userToken}`)
+    .send(data)
+    .expect(200);
+
+  const getRevisions = () => request(app)
+    .get(`/api/flashcards/${flashcardId}/revisions`)
+    .set('Authorization', `Bearer ${userToken}`)
+    .expect(200);
+
+  test('should record the changed fields of each edit', async () => {
+    await edit({ spanish: 'Hola', notes: 'greeting' });
+    await edit({ spanish: 'Hola' });
+
+    const response = await getRevisions();
+
+    expect(response.body.pagination.total).toBe(1);
+    expect(response.body.revisions[0]).toMatchObject({
+      flashcardId,
+      editorId: userId,
+      changes: {
+        spanish: { from: 'hola', to: 'Hola' },
+        notes: { from: null, to: 'greeting' }
+      }
+    });
+  });
+
+  test('should revert to before a revision, undoing later edits', async () => {
+    await edit({ spanish: 'Hola' });
+    await edit({ notes: 'greeting' });
+
+    const history = await getRevisions();
+    const firstRevision = history.body.revisions.at(-1);
+
+    const response = await request(app)
+      .post(`/api/flashcards/${flashcardId}/revisions/${firstRevision.id}/revert`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(200);
+
+    expect(response.body.flashcard.spanish).toBe('hola');
+    expect(response.body.flashcard.notes).toBeNull();
+
+    const after = await getRevisions();
+    expect(after.body.revisions[0].revertedTo).toBe(firstRevision.id);
+  });
+
+  test('should reject revisions of other flashcards', async () => {
+    const response = await request(app)
+      .post(`/api/flashcards/${flashcardId}/revisions/999999/revert`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(404);
+
+    expect(response.body.code).toBe('REVISION_NOT_FOUND');
+  });
+});
@@ -0,0 +1,122 @@
+import request from 'supertest';
+import { describe, test, expect, beforeAll } from '@jest/globals';
+
+/**
+ * Contract Test: GET /api/flashcards/search
+ *
+ * Validates prefix and accent-insensitive matching, highlighted snippets,
+ * pagination, that the index follows card edits and deletions, and that
+ * users only find their own cards.
+ */
+
+describe('GET /api/flashcards/search - Contract Test', () => {
+  let app;
+  let userToken;
+  let otherToken;
+
+  beforeAll(async () => {
+    const { default: appModule } = await import('../../index.js');
+    app = appModule;
+
+    for (const email of ['search@example.com', 'search-other@example.com']) {
+      await request(app)
+        .post('/api/auth/register')
+        .send({ email, password: 'password123' });
+    }
+
+    const userLogin = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'search@example.com', password: 'password123' });
+    userToken = userLogin.body.accessToken;
+
+    const otherLogin = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'search-other@example.com', password: 'password123' });
+    otherToken = otherLogin.body.accessToken;
+
+    // Purge the cards of earlier runs (the database persists between runs)
+    const existing = await request(app)
+      .get('/api/flashcards/my/cards?limit=100')
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(200);
+    const ids = existing.body.flashcards.map(card => card.id);
+    if (ids.length > 0) {
+      await request(app)
+        .delete('/api/bulk/flashcards/delete')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ ids })
+        .expect(200);
+    }
+    await request(app)
+      .delete('/api/flashcards/my/trash')
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(200);
+
+    for (const [english, spanish] of [['Coffee shop', 'Cafetería'], ['I drink coffee', 'Bebo café'], ['Song', 'Canción']]) {
+      await request(app)
+        .post('/api/flashcards')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ english, spanish })
+        .expect(201);
+    }
+  });
+
+  const search = (token, query) => request(app)
+    .get(`/api/flashcards/search?${new URLSearchParams(query)}`)
+    .set('Authorization', `Bearer ${token}`);
+
+  test('should match word prefixes and highlight them', async () => {
+    const response = await search(userToken, { q: 'coff' }).expect(200);
+
+    expect(response.body.pagination.total).toBe(2);
+    expect(response.body.flashcards.map(card => card.snippets.english))
+      .toEqual(expect.arrayContaining(['<mark>Coffee</mark> shop', 'I drink <mark>coffee</mark>']));
+  });
+
+  test('should ignore accents and case', async () => {
+    const cafe = await search(userToken, { q: 'CAFE' }).expect(200);
+    expect(cafe.body.pagination.total).toBe(2);
+
+    const song = await search(userToken, { q: 'cancion' }).expect(200);
+    expect(song.body.flashcards[0].snippets.spanish).toBe('<mark>Canción</mark>');
+  });
+
+  test('should paginate results', async () => {
+    const response = await search(userToken, { q: 'coffee', limit: 1, page: 2 }).expect(200);
+
+    expect(response.body.flashcards).toHaveLength(1);
+    expect(response.body.pagination).toEqual({ page: 2, limit: 1, total: 2, totalPages: 2 });
+  });
+
+  test('should follow edits and deletions', async () => {
+    const found = await search(userToken, { q: 'song' });
+    const flashcardId = found.body.flashcards[0].id;
+
+    await request(app)
+      .put(`/api/flashcards/${flashcardId}`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ english: 'Melody' });
+
+    expect((await search(userToken, { q: 'song' })).body.pagination.total).toBe(0);
+    expect((await search(userToken, { q: 'melody' })).body.pagination.total).toBe(1);
+
+    await request(app)
+      .delete(`/api/flashcards/${flashcardId}`)
+      .set('Authorization', `Bearer ${userToken}`);
+
+    expect((await search(userToken, { q: 'melody' })).body.pagination.total).toBe(0);
+  });
+
+  test('should only search the requesting user\'s cards', async () => {
+    const response = await search(otherToken, { q: 'coffee' }).expect(200);
+    expect(response.body.pagination.total).toBe(0);
+  });
+
+  test('should reject empty queries', async () => {
+    const missing = await search(userToken, {}).expect(400);
+    expect(missing.body.code).toBe('INVALID_SEARCH_QUERY');
+
+    const punctuation = await search(userToken, { q: '***' }).expect(400);
+    expect(punctuation.body.code).toBe('INVALID_SEARCH_QUERY');
+  });
+});
@@ -0,0 +1,121 @@
+import request from 'supertest';
+import { describe, test, expect, beforeAll, beforeEach } from '@jest/globals';
+
+/**
+ * Contract Test: flashcard trash
+ *
+ * Validates that deleting a flashcard moves it to the trash (hidden from every
+ * other listing) with its review history, and that trashed cards can be
+ * restored or permanently purged.
+ */
+
+describe('Flashcard trash - Contract Test', () => {
+  let app;
+  let userToken;
+  let flashcardId;
+
+  beforeAll(async () => {
+    const { default: appModule } = await import('../../index.js');
+    app = appModule;
+  });
+
+  beforeEach(async () => {
+    await request(app)
+      .post('/api/auth/register')
+      .send({ email: 'trash@example.com', password: 'password123' });
+
+    const loginResponse = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'trash@example.com', password: 'password123' });
+    userToken = loginResponse.body.accessToken;
+
+    const created = await request(app)
+      .post('/api/flashcards')
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ english: `bin ${Date.now()}`, spanish: 'papelera' });
+    flashcardId = created.body.flashcard.id;
+
+    await request(app)
+      .post(`/api/study/review/${flashcardId}`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ performanceRating: 4 });
+
+    await request(app)
+      .delete(`/api/flashcards/${flashcardId}`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(200);
+  });
+
+  const trashIds = async () => {
+    const response = await request(app)
+      .get('/api/flashcards/my/trash?limit=100')
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(200);
+    return response.body.flashcards.map(card => card.id);
+  };
+
+  test('should move deleted flashcards to the trash', async () => {
+    const cards = await request(app)
+      .get('/api/flashcards/my/cards')
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(200);
+
+    expect(cards.body.flashcards.map(card => card.id)).not.toContain(flashcardId);
+    expect(await trashIds()).toContain(flashcardId);
+  });
+
+  test('should restore flashcards with their review history', async () => {
+    const response = await request(app)
+      .post(`/api/flashcards/${flashcardId}/restore`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(200);
+
+    expect(response.body.flashcard.deletedAt).toBeNull();
+    expect(response.body.flashcard.reviewCount).toBe(1);
+    expect(await trashIds()).not.toContain(flashcardId);
+
+    const history = await request(app)
+      .get(`/api/study/my-history?flashcardId=${flashcardId}`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(200);
+    expect(history.body.pagination.total).toBe(1);
+  });
+
+  test('should purge flashcards from the trash', async () => {
+    await request(app)
+      .delete(`/api/flashcards/${flashcardId}/purge`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(200);
+
+    expect(await trashIds()).not.toContain(flashcardId);
+
+    await request(app)
+      .post(`/api/flashcards/${flashcardId}/restore`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(404);
+  });
+
+  test('should only restore or purge cards in the trash', async () => {
+    await request(app)
+      .post(`/api/flashcards/${flashcardId}/restore`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(200);
+
+    const response = await request(app)
+      .delete(`/api/flashcards/${flashcardId}/purge`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(404);
+
+    expect(response.body.code).toBe('FLASHCARD_NOT_FOUND');
+  });
+
+  test('should empty the trash', async () => {
+    const response = await request(app)
+      .delete('/api/flashcards/my/trash')
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(200);
+
+    expect(response.body.purgedCount).toBeGreaterThanOrEqual(1);
+    expect(await trashIds()).toEqual([]);
+  });
+});
@@ -57,7 +57,7 @@ describe('POST /api/flashcards - User Ownership Contract Test', () => {
   describe('Valid Flashcard Creation', () => {
     test('should create flashcard with user ownership', async () => {
       const flashcardData = {
-        english: 'Hello',
+        english: `Hello ${Date.now()}`,
         spanish: 'Hola'
       };
 
@@ -70,7 +70,7 @@ describe('POST /api/flashcards - User Ownership Contract Test', () => {
 
       // Validate response structure matches contract
       expect(response.body).toHaveProperty('id');
-      expect(response.body).toHaveProperty('english', 'Hello');
+      expect(response.body).toHaveProperty('english', flashcardData.english);
       expect(response.body).toHaveProperty('spanish', 'Hola');
       expect(response.body).toHaveProperty('userId');
       expect(response.body).toHaveProperty('difficulty');
@@ -89,7 +89,7 @@ describe('POST /api/flashcards - User Ownership Contract Test', () => {
 
     test('should assign flashcard to authenticated user', async () => {
       const flashcardData = {
-        english: 'Test Card',
+        english: `Test Card ${Date.now()}`,
         spanish: 'Tarjeta de Prueba'
       };
 
@@ -109,8 +109,9 @@ describe('POST /api/flashcards - User Ownership Contract Test', () => {
     });
 
     test('should trim whitespace from text fields', async () => {
+      const stamp = Date.now();
       const flashcardData = {
-        english: '  Goodbye  ',
+        english: `  Goodbye ${stamp}  `,
         spanish: '  Adiós  '
       };
 
@@ -120,7 +121,7 @@ describe('POST /api/flashcards - User Ownership Contract Test', () => {
         .send(flashcardData)
         .expect(201);
 
-      expect(response.body.english).toBe('Goodbye');
+      expect(response.body.english).toBe(`Goodbye ${stamp}`);
       expect(response.body.spanish).toBe('Adiós');
     });
   });
@@ -293,7 +294,7 @@ describe('POST /api/flashcards - User Ownership Contract Test', () => {
   describe('User Isolation Validation', () => {
     test('should not allow setting userId manually', async () => {
       const flashcardData = {
-        english: 'Hello',
+        english: `Hello ${Date.now()}`,
         spanish: 'Hola',
         userId: 999 // Should be ignored
       };
@@ -310,7 +311,7 @@ describe('POST /api/flashcards - User Ownership Contract Test', () => {
 
     test('should create flashcard visible only to owner', async () => {
       const flashcardData = {
-        english: 'Private Card',
+        english: `Private Card ${Date.now()}`,
         spanish: 'Tarjeta Privada'
       };
 
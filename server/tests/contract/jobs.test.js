@@ -0,0 +1,132 @@
+import request from 'supertest';
+import { describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+
+/**
+ * Contract Test: GET /api/jobs/:id
+ *
+ * Validates the background job status endpoint and that flashcard writes
+ * report the jobs generating the card's audio and tips. Audio comes from the
+ * mock TTS provider and tips are disabled, so the jobs run offline.
+ */
+
+process.env.TTS_PROVIDERS = 'mock';
+delete process.env.GEMINI_API_KEY;
+
+describe('GET /api/jobs/:id - Contract Test', () => {
+  let app;
+  let jobQueue;
+  let userToken;
+
+  const getJob = (jobId) => request(app)
+    .get(`/api/jobs/${jobId}`)
+    .set('Authorization', `Bearer ${userToken}`);
+
+  // Poll the status endpoint like the client does until the job has finished
+  const waitForJob = async (jobId) => {
+    for (let i = 0; i < 100; i++) {
+      const { body } = await getJob(jobId).expect(200);
+      if (['completed', 'dead'].includes(body.job.status)) {
+        return body.job;
+      }
+      await new Promise(resolve => setTimeout(resolve, 50));
+    }
+    throw new Error(`Job ${jobId} did not finish`);
+  };
+
+  beforeAll(async () => {
+    const { default: appModule } = await import('../../index.js');
+    app = appModule;
+
+    // The worker is started by server.js, which the tests do not load
+    ({ default: jobQueue } = await import('../../services/JobQueue.js'));
+
+    await request(app)
+      .post('/api/auth/register')
+      .send({ email: 'jobs@example.com', password: 'password123' });
+
+    const loginResponse = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'jobs@example.com', password: 'password123' });
+    userToken = loginResponse.body.accessToken;
+  });
+
+  afterAll(() => {
+    jobQueue.stop();
+  });
+
+  test('should list the generation jobs of a created flashcard and run them', async () => {
+    const response = await request(app)
+      .post('/api/flashcards')
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ english: `queued ${Date.now()}`, spanish: 'en cola' })
+      .expect(201);
+
+    // Only audio is generated: tips need a Gemini API key
+    expect(response.body.jobs).toHaveLength(1);
+    const [job] = response.body.jobs;
+
+    const status = await getJob(job.id).expect(200);
+    expect(status.body.job).toEqual(expect.objectContaining({
+      id: job.id,
+      type: 'flashcard.audio',
+      status: 'pending',
+      resourceType: 'flashcard',
+      resourceId: response.body.flashcard.id
+    }));
+    expect(status.body.job).not.toHaveProperty('payload');
+
+    await jobQueue.start();
+    const finished = await waitForJob(job.id);
+
+    expect(finished.status).toBe('completed');
+    expect(finished.attempts).toBe(1);
+    expect(finished.result.audioUrl).toEqual(expect.any(String));
+
+    const flashcard = await request(app)
+      .get(`/api/flashcards/${response.body.flashcard.id}`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(200);
+    expect(flashcard.body.flashcard.audioUrl).toBe(finished.result.audioUrl);
+  });
+
+  test('should generate the audio of imported flashcards', async () => {
+    const response = await request(app)
+      .post('/api/bulk/flashcards/import')
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ flashcards: [{ english: `imported ${Date.now()}`, spanish: 'importada' }] })
+      .expect(201);
+
+    const [flashcard] = response.body.result.successfulFlashcards;
+    expect(response.body.result.jobs).toEqual([
+      expect.objectContaining({ type: 'flashcard.audio', resourceType: 'flashcard', resourceId: flashcard.id })
+    ]);
+
+    await jobQueue.start();
+    const finished = await waitForJob(response.body.result.jobs[0].id);
+    expect(finished.status).toBe('completed');
+  });
+
+  test('should return 404 for unknown jobs', async () => {
+    const response = await request(app)
+      .get('/api/jobs/999999')
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(404);
+
+    expect(response.body.code).toBe('JOB_NOT_FOUND');
+  });
+
+  test('should reject invalid job IDs', async () => {
+    const response = await request(app)
+      .get('/api/jobs/abc')
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(400);
+
+    expect(response.body.code).toBe('INVALID_JOB_ID');
+  });
+
+  test('should require authentication', async () => {
+    await request(app)
+      .get('/api/jobs/1')
+      .expect(401);
+  });
+});
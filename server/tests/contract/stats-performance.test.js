@@ -0,0 +1,80 @@
+import request from 'supertest';
+import { describe, test, expect, beforeAll, beforeEach } from '@jest/globals';
+
+/**
+ * Contract Test: GET /api/stats/my-performance
+ *
+ * Validates that performance analytics honour the requested period and metric,
+ * return one daily bucket per day of the window, and compute streaks and the
+ * trend from the review log.
+ */
+
+describe('GET /api/stats/my-performance - Contract Test', () => {
+  let app;
+  let userToken;
+
+  beforeAll(async () => {
+    const { default: appModule } = await import('../../index.js');
+    app = appModule;
+  });
+
+  beforeEach(async () => {
+    await request(app)
+      .post('/api/auth/register')
+      .send({ email: 'performance@example.com', password: 'password123' });
+
+    const userLogin = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'performance@example.com', password: 'password123' });
+    userToken = userLogin.body.accessToken;
+
+    const created = await request(app)
+      .post('/api/flashcards')
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ english: `Streak ${Date.now()}`, spanish: 'Racha' });
+
+    await request(app)
+      .post(`/api/study/review/${created.body.flashcard.id}`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ performanceRating: 4 });
+  });
+
+  test('should return one daily bucket per day of the period', async () => {
+    const response = await request(app)
+      .get('/api/stats/my-performance?period=7&metric=accuracy')
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(200);
+
+    const { performance } = response.body;
+    expect(performance.metric).toBe('accuracy');
+    expect(performance).toHaveProperty('timezone');
+    expect(performance.data.series).toHaveLength(7);
+
+    const today = performance.data.series[6];
+    expect(today.reviews).toBeGreaterThanOrEqual(1);
+    expect(today.accuracy).toBe(1);
+    expect(today).toHaveProperty('averageDifficulty');
+  });
+
+  test('should compute streaks and trend from reviews', async () => {
+    const response = await request(app)
+      .get('/api/stats/my-performance?period=30')
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(200);
+
+    const { data } = response.body.performance;
+    expect(data.series).toHaveLength(30);
+    expect(data.studyStreak).toBeGreaterThanOrEqual(1);
+    expect(data.longestStreak).toBeGreaterThanOrEqual(data.studyStreak);
+    expect(['improving', 'declining', 'stable']).toContain(data.improvementTrend);
+  });
+
+  test('should reject unsupported periods', async () => {
+    const response = await request(app)
+      .get('/api/stats/my-performance?period=14')
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(400);
+
+    expect(response.body.code).toBe('INVALID_PERIOD');
+  });
+});
@@ -0,0 +1,75 @@
+import request from 'supertest';
+import { describe, test, expect, beforeAll } from '@jest/globals';
+
+/**
+ * Contract Test: POST /api/study/review/:flashcardId/check
+ *
+ * Validates typed-answer grading: normalization, typo tolerance, the
+ * suggested rating and the character-level diff.
+ */
+
+describe('POST /api/study/review/:flashcardId/check - Contract Test', () => {
+  let app;
+  let userToken;
+  let flashcardId;
+  const stamp = Date.now();
+
+  beforeAll(async () => {
+    const { default: appModule } = await import('../../index.js');
+    app = appModule;
+
+    await request(app)
+      .post('/api/auth/register')
+      .send({ email: 'typed@example.com', password: 'password123' });
+
+    const userLogin = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'typed@example.com', password: 'password123' });
+    userToken = userLogin.body.accessToken;
+
+    const created = await request(app)
+      .post('/api/flashcards')
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ english: `The house ${stamp}`, spanish: 'La casa' });
+    // Grading does not change the card, so later tests reuse it
+    flashcardId = created.body.flashcard.id;
+  });
+
+  test('should grade a typo as correct with a diff', async () => {
+    const response = await request(app)
+      .post(`/api/study/review/${flashcardId}/check`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ answer: `the hause ${stamp}` })
+      .expect(200);
+
+    const { result } = response.body;
+    expect(result.match).toBe('typo');
+    expect(result.suggestedRating).toBe(3);
+    expect(result.expected).toBe(`The house ${stamp}`);
+    expect(result.diff).toEqual(expect.arrayContaining([
+      { type: 'extra', text: 'a' },
+      { type: 'missing', text: 'o' }
+    ]));
+  });
+
+  test('should grade against the Spanish side when requested', async () => {
+    const response = await request(app)
+      .post(`/api/study/review/${flashcardId}/check`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ answer: 'la casa', answerField: 'spanish' })
+      .expect(200);
+
+    expect(response.body.result.match).toBe('normalized');
+    expect(response.body.result.suggestedRating).toBe(4);
+  });
+
+  test('should reject a missing answer', async () => {
+    const response = await request(app)
+      .post(`/api/study/review/${flashcardId}/check`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({})
+      .expect(400);
+
+    expect(response.body.code).toBe('INVALID_ANSWER');
+  });
+});
@@ -0,0 +1,104 @@
+import request from 'supertest';
+import { describe, test, expect, beforeAll, beforeEach } from '@jest/globals';
+
+/**
+ * Contract Test: Study directions (EN→ES, ES→EN, both)
+ *
+ * Validates that cards studied in both directions yield one study item per
+ * direction and that each direction keeps its own scheduling state.
+ */
+
+describe('Study directions - Contract Test', () => {
+  let app;
+  let userToken;
+  let flashcardId;
+
+  beforeAll(async () => {
+    const { default: appModule } = await import('../../index.js');
+    app = appModule;
+  });
+
+  beforeEach(async () => {
+    await request(app)
+      .post('/api/auth/register')
+      .send({ email: 'directions@example.com', password: 'password123' });
+
+    const userLogin = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'directions@example.com', password: 'password123' });
+    userToken = userLogin.body.accessToken;
+
+    const created = await request(app)
+      .post('/api/flashcards')
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ english: `Both ways ${Date.now()}`, spanish: 'En ambos sentidos', directionMode: 'both' });
+    flashcardId = created.body.flashcard.id;
+  });
+
+  test('should emit one direction-tagged item per direction', async () => {
+    const response = await request(app)
+      .get('/api/study/my-session?limit=50')
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(200);
+
+    const directions = response.body.session.cards
+      .filter(card => card.id === flashcardId)
+      .map(card => card.direction)
+      .sort();
+    expect(directions).toEqual(['en_es', 'es_en']);
+  });
+
+  test('should schedule each direction independently', async () => {
+    const review = await request(app)
+      .post(`/api/study/review/${flashcardId}`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ performanceRating: 4, direction: 'es_en' })
+      .expect(200);
+
+    expect(review.body.flashcard.direction).toBe('es_en');
+    expect(review.body.flashcard.reviewCount).toBe(1);
+    expect(review.body.flashcard.nextReview).not.toBeNull();
+
+    const session = await request(app)
+      .get('/api/study/my-session?limit=50')
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(200);
+
+    const forward = session.body.session.cards.find(card => card.id === flashcardId && card.direction === 'en_es');
+    expect(forward.reviewCount).toBe(0);
+    expect(forward.nextReview).toBeNull();
+  });
+
+  test('should follow the user direction preference for cards without an override', async () => {
+    await request(app)
+      .put('/api/users/me/preferences')
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ direction: 'es_en' })
+      .expect(200);
+
+    const created = await request(app)
+      .post('/api/flashcards')
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ english: `Reverse ${Date.now()}`, spanish: 'Inverso' });
+
+    const response = await request(app)
+      .get('/api/study/my-session?limit=50')
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(200);
+
+    const directions = response.body.session.cards
+      .filter(card => card.id === created.body.flashcard.id)
+      .map(card => card.direction);
+    expect(directions).toEqual(['es_en']);
+  });
+
+  test('should return 400 for an unknown direction', async () => {
+    const response = await request(app)
+      .post(`/api/study/review/${flashcardId}`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ performanceRating: 4, direction: 'fr_en' })
+      .expect(400);
+
+    expect(response.body.code).toBe('INVALID_DIRECTION');
+  });
+});
@@ -0,0 +1,125 @@
+import request from 'supertest';
+import { describe, test, expect, beforeAll, beforeEach } from '@jest/globals';
+
+/**
+ * Contract Test: GET /api/study/my-history
+ *
+ * Validates that every review is written to the review log with the rating,
+ * time spent and scheduling state before and after the review, and that the
+ * history can be filtered by date range and flashcard.
+ */
+
+describe('GET /api/study/my-history - Contract Test', () => {
+  let app;
+  let userToken;
+  let flashcardId;
+
+  beforeAll(async () => {
+    const { default: appModule } = await import('../../index.js');
+    app = appModule;
+
+    await request(app)
+      .post('/api/auth/register')
+      .send({ email: 'history@example.com', password: 'password123' });
+
+    const userLogin = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'history@example.com', password: 'password123' });
+    userToken = userLogin.body.accessToken;
+  });
+
+  beforeEach(async () => {
+    const created = await request(app)
+      .post('/api/flashcards')
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ english: `History ${Date.now()}`, spanish: 'Historia' });
+    flashcardId = created.body.flashcard.id;
+
+    await request(app)
+      .post(`/api/study/review/${flashcardId}`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ performanceRating: 4, timeSpent: 12 });
+  });
+
+  test('should return logged reviews with scheduling state', async () => {
+    const response = await request(app)
+      .get(`/api/study/my-history?flashcardId=${flashcardId}`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(200);
+
+    expect(response.body).toHaveProperty('history');
+    expect(response.body).toHaveProperty('pagination');
+
+    const [entry] = response.body.history;
+    expect(entry.flashcardId).toBe(flashcardId);
+    expect(entry.rating).toBe(4);
+    expect(entry.timeSpent).toBe(12);
+    expect(entry.previousState.repetitions).toBe(0);
+    expect(entry.previousState.nextReview).toBeNull();
+    expect(entry.newState.repetitions).toBe(1);
+    expect(entry.newState.nextReview).toBeTruthy();
+    expect(entry).toHaveProperty('reviewedAt');
+  });
+
+  test('should leave the card unchanged when a bulk review has an invalid time spent', async () => {
+    const created = await request(app)
+      .post('/api/flashcards')
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ english: `Bulk history ${Date.now()}`, spanish: 'Historia masiva' })
+      .expect(201);
+    const cardId = created.body.flashcard.id;
+
+    const response = await request(app)
+      .post('/api/bulk/flashcards/review')
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({
+        ids: [cardId],
+        reviews: [
+          { id: cardId, performanceRating: 4, timeSpent: '30' },
+          { id: cardId, performanceRating: 4, timeSpent: 1.5 }
+        ]
+      })
+      .expect(200);
+
+    expect(response.body.result.successful).toHaveLength(0);
+    expect(response.body.result.failed).toHaveLength(2);
+
+    const card = await request(app)
+      .get(`/api/flashcards/${cardId}`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(200);
+    expect(card.body.flashcard.reviewCount).toBe(0);
+    expect(card.body.flashcard.nextReview).toBeNull();
+
+    const history = await request(app)
+      .get(`/api/study/my-history?flashcardId=${cardId}`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(200);
+    expect(history.body.history).toHaveLength(0);
+  });
+
+  test('should filter by date range', async () => {
+    const response = await request(app)
+      .get('/api/study/my-history?from=2000-01-01&to=2000-12-31')
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(200);
+
+    expect(response.body.history).toHaveLength(0);
+    expect(response.body.pagination.total).toBe(0);
+  });
+
+  test('should reject invalid dates', async () => {
+    const response = await request(app)
+      .get('/api/study/my-history?from=not-a-date')
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(400);
+
+    expect(response.body.code).toBe('INVALID_DATE_RANGE');
+  });
+
+  test('should require authentication', async () => {
+    await request(app)
+      .get('/api/study/my-history')
+      .expect(401);
+  });
+});
@@ -0,0 +1,115 @@
+import request from 'supertest';
+import { describe, test, expect, beforeAll, beforeEach } from '@jest/globals';
+
+/**
+ * Contract Test: SM-2 scheduling state on user flashcards
+ *
+ * Validates that POST /api/study/review/:flashcardId persists the card's
+ * scheduling state (easeFactor, repetitions, intervalDays, nextReview) and that
+ * GET /api/study/my-due only returns cards whose stored due date has passed.
+ */
+
+describe('Study Review Scheduling - Contract Test', () => {
+  let app;
+  let userToken;
+  let flashcardId;
+
+  beforeAll(async () => {
+    const { default: appModule } = await import('../../index.js');
+    app = appModule;
+  });
+
+  beforeEach(async () => {
+    await request(app)
+      .post('/api/auth/register')
+      .send({ email: 'scheduling@example.com', password: 'password123' });
+
+    const userLogin = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'scheduling@example.com', password: 'password123' });
+    userToken = userLogin.body.accessToken;
+
+    const created = await request(app)
+      .post('/api/flashcards')
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ english: `Schedule ${Date.now()}`, spanish: 'Horario' });
+    flashcardId = created.body.flashcard.id;
+  });
+
+  test('new flashcard starts with default scheduling state', async () => {
+    const response = await request(app)
+      .get(`/api/flashcards/${flashcardId}`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(200);
+
+    expect(response.body.flashcard).toHaveProperty('easeFactor', 2.5);
+    expect(response.body.flashcard).toHaveProperty('repetitions', 0);
+    expect(response.body.flashcard).toHaveProperty('intervalDays', 0);
+    expect(response.body.flashcard.nextReview).toBeNull();
+  });
+
+  test('new flashcard is due immediately', async () => {
+    const response = await request(app)
+      .get('/api/study/my-due')
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(200);
+
+    const newIds = response.body.dueForReview.newCards.map(card => card.id);
+    expect(newIds).toContain(flashcardId);
+  });
+
+  test('successful review stores a future due date', async () => {
+    const response = await request(app)
+      .post(`/api/study/review/${flashcardId}`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ performanceRating: 4 })
+      .expect(200);
+
+    const { flashcard } = response.body;
+    expect(flashcard.repetitions).toBe(1);
+    expect(flashcard.intervalDays).toBe(1);
+    expect(new Date(flashcard.nextReview).getTime()).toBeGreaterThan(Date.now());
+    expect(flashcard.studyMetadata).toHaveProperty('intervalDays', 1);
+
+    // A second read returns the same stored due date
+    const reread = await request(app)
+      .get(`/api/flashcards/${flashcardId}`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(200);
+    expect(reread.body.flashcard.nextReview).toBe(flashcard.nextReview);
+  });
+
+  test('reviewed flashcard is no longer due', async () => {
+    await request(app)
+      .post(`/api/study/review/${flashcardId}`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ performanceRating: 5 })
+      .expect(200);
+
+    const response = await request(app)
+      .get('/api/study/my-due')
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(200);
+
+    const { dueCards, overdueCards, newCards } = response.body.dueForReview;
+    const dueIds = [...dueCards, ...overdueCards, ...newCards].map(card => card.id);
+    expect(dueIds).not.toContain(flashcardId);
+  });
+
+  test('failed review resets repetitions and keeps ease factor', async () => {
+    await request(app)
+      .post(`/api/study/review/${flashcardId}`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ performanceRating: 5 });
+
+    const response = await request(app)
+      .post(`/api/study/review/${flashcardId}`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ performanceRating: 1 })
+      .expect(200);
+
+    expect(response.body.flashcard.repetitions).toBe(0);
+    expect(response.body.flashcard.intervalDays).toBe(1);
+    expect(response.body.flashcard.easeFactor).toBeCloseTo(2.6);
+  });
+});
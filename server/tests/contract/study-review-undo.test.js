@@ -0,0 +1,73 @@
+import request from 'supertest';
+import { describe, test, expect, beforeAll, beforeEach } from '@jest/globals';
+
+/**
+ * Contract Test: POST /api/study/review/:flashcardId/undo
+ *
+ * Validates that undoing a review restores the scheduling state the server
+ * snapshotted before the review, and removes the review from the history.
+ */
+
+describe('POST /api/study/review/:flashcardId/undo - Contract Test', () => {
+  let app;
+  let userToken;
+  let flashcardId;
+
+  beforeAll(async () => {
+    const { default: appModule } = await import('../../index.js');
+    app = appModule;
+  });
+
+  beforeEach(async () => {
+    await request(app)
+      .post('/api/auth/register')
+      .send({ email: 'undo@example.com', password: 'password123' });
+
+    const userLogin = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'undo@example.com', password: 'password123' });
+    userToken = userLogin.body.accessToken;
+
+    const created = await request(app)
+      .post('/api/flashcards')
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ english: `Undo ${Date.now()}`, spanish: 'Deshacer' });
+    flashcardId = created.body.flashcard.id;
+  });
+
+  test('should restore the state from before the last review', async () => {
+    await request(app)
+      .post(`/api/study/review/${flashcardId}`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ performanceRating: 1 })
+      .expect(200);
+
+    const response = await request(app)
+      .post(`/api/study/review/${flashcardId}/undo`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(200);
+
+    const { flashcard } = response.body;
+    expect(flashcard.difficulty).toBe(0);
+    expect(flashcard.reviewCount).toBe(0);
+    expect(flashcard.repetitions).toBe(0);
+    expect(flashcard.lastReviewed).toBeNull();
+    expect(flashcard.nextReview).toBeNull();
+    expect(response.body.undoneReview.rating).toBe(1);
+
+    const history = await request(app)
+      .get(`/api/study/my-history?flashcardId=${flashcardId}`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(200);
+    expect(history.body.history).toHaveLength(0);
+  });
+
+  test('should return 409 when there is nothing to undo', async () => {
+    const response = await request(app)
+      .post(`/api/study/review/${flashcardId}/undo`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(409);
+
+    expect(response.body.code).toBe('NO_REVIEW_TO_UNDO');
+  });
+});
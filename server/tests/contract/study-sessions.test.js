@@ -0,0 +1,165 @@
+import request from 'supertest';
+import { describe, test, expect, beforeAll, beforeEach } from '@jest/globals';
+
+/**
+ * Contract Test: Study session lifecycle
+ *
+ * Validates POST /api/study/sessions, GET /api/study/sessions/active,
+ * POST /api/study/sessions/:sessionId/resume,
+ * POST /api/study/sessions/:sessionId/complete and
+ * POST /api/study/session/complete, and that reviews made through
+ * /api/study/review/:flashcardId are attached to the open session.
+ */
+
+describe('Study Sessions - Contract Test', () => {
+  let app;
+  let userToken;
+  let flashcardId;
+
+  beforeAll(async () => {
+    const { default: appModule } = await import('../../index.js');
+    app = appModule;
+
+    await request(app)
+      .post('/api/auth/register')
+      .send({ email: 'sessions@example.com', password: 'password123' });
+
+    const userLogin = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'sessions@example.com', password: 'password123' });
+    userToken = userLogin.body.accessToken;
+  });
+
+  beforeEach(async () => {
+    const created = await request(app)
+      .post('/api/flashcards')
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ english: `Session ${Date.now()}`, spanish: 'Sesión' });
+    flashcardId = created.body.flashcard.id;
+  });
+
+  test('should summarize the reviewed cards sent when completing without an open session', async () => {
+    // Close any session left open by an earlier run
+    await request(app)
+      .post('/api/study/session/complete')
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({})
+      .expect(200);
+
+    const response = await request(app)
+      .post('/api/study/session/complete')
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({
+        reviewedCards: [{ id: flashcardId, performanceRating: 4 }, { id: flashcardId, performanceRating: 1 }],
+        sessionDuration: 90
+      })
+      .expect(200);
+
+    expect(response.body).not.toHaveProperty('session');
+    expect(response.body.sessionSummary.totalReviewed).toBe(2);
+    expect(response.body.sessionSummary.sessionDuration).toBe(90);
+    expect(response.body.sessionSummary.performanceBreakdown).toEqual({ 1: 1, 4: 1 });
+    expect(response.body.sessionSummary.accuracyRate).toBe(0.5);
+    expect(response.body).toHaveProperty('updatedUserStats');
+  });
+
+  test('should complete the open session when there is one', async () => {
+    const started = await request(app)
+      .post('/api/study/sessions')
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({})
+      .expect(201);
+
+    const response = await request(app)
+      .post('/api/study/session/complete')
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ reviewedCards: [{ id: flashcardId, performanceRating: 4 }] })
+      .expect(200);
+
+    expect(response.body.session.id).toBe(started.body.session.id);
+    expect(response.body.session.status).toBe('completed');
+    expect(response.body.sessionSummary.totalReviewed).toBe(0);
+  });
+
+  test('should start a session and attach reviews to it', async () => {
+    const started = await request(app)
+      .post('/api/study/sessions')
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ limit: 5 })
+      .expect(201);
+
+    expect(started.body.session.status).toBe('active');
+    expect(Array.isArray(started.body.cards)).toBe(true);
+
+    const review = await request(app)
+      .post(`/api/study/review/${flashcardId}`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ performanceRating: 4, timeSpent: 6 })
+      .expect(200);
+
+    expect(review.body.studyMetadata.sessionId).toBe(started.body.session.id);
+
+    const active = await request(app)
+      .get('/api/study/sessions/active')
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(200);
+
+    expect(active.body.session.summary.totalReviewed).toBe(1);
+  });
+
+  test('should compute the summary from server records on completion', async () => {
+    const started = await request(app)
+      .post('/api/study/sessions')
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({})
+      .expect(201);
+    const sessionId = started.body.session.id;
+
+    await request(app)
+      .post(`/api/study/review/${flashcardId}`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ performanceRating: 1, timeSpent: 4 });
+
+    const completed = await request(app)
+      .post(`/api/study/sessions/${sessionId}/complete`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(200);
+
+    expect(completed.body.session.status).toBe('completed');
+    expect(completed.body.sessionSummary.totalReviewed).toBe(1);
+    expect(completed.body.sessionSummary.accuracyRate).toBe(0);
+    expect(completed.body.sessionSummary.totalTimeSpent).toBe(4);
+    expect(completed.body.sessionSummary).toHaveProperty('sessionDuration');
+
+    await request(app)
+      .post(`/api/study/sessions/${sessionId}/complete`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(409);
+  });
+
+  test('should abandon the previous session and allow resuming it', async () => {
+    const first = await request(app)
+      .post('/api/study/sessions')
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({})
+      .expect(201);
+
+    await request(app)
+      .post('/api/study/sessions')
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({})
+      .expect(201);
+
+    const abandoned = await request(app)
+      .get(`/api/study/sessions/${first.body.session.id}`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(200);
+    expect(abandoned.body.session.status).toBe('abandoned');
+
+    const resumed = await request(app)
+      .post(`/api/study/sessions/${first.body.session.id}/resume`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(200);
+    expect(resumed.body.session.status).toBe('active');
+  });
+});
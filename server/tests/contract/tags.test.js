@@ -0,0 +1,118 @@
+import request from 'supertest';
+import { describe, test, expect, beforeAll, beforeEach } from '@jest/globals';
+
+/**
+ * Contract Test: /api/tags
+ *
+ * Validates tag CRUD, tag assignment on flashcard create/update, tag filters
+ * on card listings and study sessions, and bulk tag changes.
+ */
+
+describe('/api/tags - Contract Test', () => {
+  let app;
+  let userToken;
+
+  beforeAll(async () => {
+    const { default: appModule } = await import('../../index.js');
+    app = appModule;
+  });
+
+  beforeEach(async () => {
+    await request(app)
+      .post('/api/auth/register')
+      .send({ email: 'tags@example.com', password: 'password123' });
+
+    const userLogin = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'tags@example.com', password: 'password123' });
+    userToken = userLogin.body.accessToken;
+  });
+
+  const createCard = (data) => request(app)
+    .post('/api/flashcards')
+    .set('Authorization', `Bearer ${userToken}`)
+    .send(data)
+    .expect(201);
+
+  test('should create a tag and reject duplicates case-insensitively', async () => {
+    const name = `Idioms ${Date.now()}`;
+
+    const created = await request(app)
+      .post('/api/tags')
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ name })
+      .expect(201);
+    expect(created.body.tag.name).toBe(name);
+
+    const duplicate = await request(app)
+      .post('/api/tags')
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ name: name.toLowerCase() })
+      .expect(409);
+    expect(duplicate.body.code).toBe('TAG_NAME_TAKEN');
+  });
+
+  test('should assign tags on create and replace them on update', async () => {
+    const created = await createCard({ english: `Run ${Date.now()}`, spanish: 'Correr', tags: ['verbs', 'A1'] });
+    expect(created.body.flashcard.tags).toEqual(['A1', 'verbs']);
+
+    const updated = await request(app)
+      .put(`/api/flashcards/${created.body.flashcard.id}`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ tags: ['verbs'] })
+      .expect(200);
+    expect(updated.body.flashcard.tags).toEqual(['verbs']);
+  });
+
+  test('should filter cards and study sessions by tags', async () => {
+    const suffix = Date.now();
+    const both = await createCard({ english: `Look up ${suffix}`, spanish: 'Buscar', tags: [`phrasal ${suffix}`, `b2 ${suffix}`] });
+    const one = await createCard({ english: `Give in ${suffix}`, spanish: 'Ceder', tags: [`phrasal ${suffix}`] });
+
+    const all = await request(app)
+      .get(`/api/flashcards/my/cards?tags=${encodeURIComponent(`phrasal ${suffix},b2 ${suffix}`)}`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(200);
+    expect(all.body.flashcards.map(card => card.id)).toEqual([both.body.flashcard.id]);
+
+    const any = await request(app)
+      .get(`/api/flashcards/my/cards?tags=${encodeURIComponent(`phrasal ${suffix},b2 ${suffix}`)}&tagMatch=any`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(200);
+    expect(any.body.flashcards.map(card => card.id).sort()).toEqual(
+      [both.body.flashcard.id, one.body.flashcard.id].sort()
+    );
+
+    const session = await request(app)
+      .get(`/api/study/my-session?tags=${encodeURIComponent(`b2 ${suffix}`)}`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(200);
+    expect(session.body.session.cards.map(card => card.id)).toEqual([both.body.flashcard.id]);
+  });
+
+  test('should add and remove tags across many cards in bulk', async () => {
+    const suffix = Date.now();
+    const first = await createCard({ english: `Red ${suffix}`, spanish: 'Rojo', tags: ['colors'] });
+    const second = await createCard({ english: `Blue ${suffix}`, spanish: 'Azul', tags: ['colors'] });
+    const ids = [first.body.flashcard.id, second.body.flashcard.id];
+
+    const response = await request(app)
+      .put('/api/bulk/flashcards/update')
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ ids, addTags: ['basics'], removeTags: ['colors'] })
+      .expect(200);
+
+    const { tagChanges } = response.body.result;
+    expect(tagChanges.failed).toHaveLength(0);
+    expect(tagChanges.successful.map(result => result.tags)).toEqual([['basics'], ['basics']]);
+  });
+
+  test('should return 400 for an invalid tag match mode', async () => {
+    const response = await request(app)
+      .get('/api/flashcards/my/cards?tags=verbs&tagMatch=some')
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(400);
+
+    expect(response.body.code).toBe('INVALID_QUERY_PARAMS');
+  });
+});
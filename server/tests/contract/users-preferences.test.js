@@ -0,0 +1,132 @@
+import request from 'supertest';
+import { describe, test, expect, beforeAll } from '@jest/globals';
+
+/**
+ * Contract Test: /api/users/me/preferences
+ *
+ * Validates reading and merging the current user's preferences, rejection of
+ * invalid values, and that each user only reads and changes their own.
+ */
+
+describe('/api/users/me/preferences - Contract Test', () => {
+  let app;
+  let userToken;
+  let otherToken;
+
+  beforeAll(async () => {
+    const { default: appModule } = await import('../../index.js');
+    app = appModule;
+
+    for (const email of ['preferences@example.com', 'preferences-other@example.com']) {
+      await request(app)
+        .post('/api/auth/register')
+        .send({ email, password: 'password123' });
+    }
+
+    const userLogin = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'preferences@example.com', password: 'password123' });
+    userToken = userLogin.body.accessToken;
+
+    const otherLogin = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'preferences-other@example.com', password: 'password123' });
+    otherToken = otherLogin.body.accessToken;
+
+    // Start every run from the defaults (the database persists between runs)
+    for (const token of [userToken, otherToken]) {
+      await request(app)
+        .put('/api/users/me/preferences')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ scheduler: null, desiredRetention: null, direction: null, leechThreshold: null })
+        .expect(200);
+    }
+  });
+
+  const getPreferences = (token) => request(app)
+    .get('/api/users/me/preferences')
+    .set('Authorization', `Bearer ${token}`);
+
+  const updatePreferences = (token, data) => request(app)
+    .put('/api/users/me/preferences')
+    .set('Authorization', `Bearer ${token}`)
+    .send(data);
+
+  test('should return the preferences object', async () => {
+    const response = await getPreferences(userToken)
+      .expect('Content-Type', /json/)
+      .expect(200);
+
+    expect(response.body).toEqual({ preferences: {} });
+  });
+
+  test('should merge updates and remove keys set to null', async () => {
+    const updated = await updatePreferences(userToken, { scheduler: 'fsrs', desiredRetention: 0.85 })
+      .expect(200);
+
+    expect(updated.body).toHaveProperty('message');
+    expect(updated.body.preferences).toEqual({ scheduler: 'fsrs', desiredRetention: 0.85 });
+
+    const merged = await updatePreferences(userToken, { desiredRetention: null, direction: 'both' })
+      .expect(200);
+    expect(merged.body.preferences).toEqual({ scheduler: 'fsrs', direction: 'both' });
+
+    const response = await getPreferences(userToken).expect(200);
+    expect(response.body.preferences).toEqual({ scheduler: 'fsrs', direction: 'both' });
+  });
+
+  test('should reject an unknown scheduler', async () => {
+    const response = await updatePreferences(userToken, { scheduler: 'leitner' })
+      .expect('Content-Type', /json/)
+      .expect(400);
+
+    expect(response.body).toHaveProperty('error');
+    expect(response.body).toHaveProperty('message');
+    expect(response.body.code).toBe('VALIDATION_FAILED');
+    expect(response.body.errors).toEqual(
+      expect.arrayContaining([expect.stringContaining('Scheduler must be one of')])
+    );
+  });
+
+  test('should reject out-of-range values and unknown keys', async () => {
+    const response = await updatePreferences(userToken, {
+      desiredRetention: 0.5,
+      leechThreshold: 0,
+      theme: 'dark'
+    }).expect(400);
+
+    expect(response.body.code).toBe('VALIDATION_FAILED');
+    expect(response.body.errors).toHaveLength(3);
+  });
+
+  test('should not change preferences when validation fails', async () => {
+    await updatePreferences(userToken, { scheduler: 'sm2' }).expect(200);
+    await updatePreferences(userToken, { scheduler: 'leitner' }).expect(400);
+
+    const response = await getPreferences(userToken).expect(200);
+    expect(response.body.preferences.scheduler).toBe('sm2');
+  });
+
+  test('should keep each user\'s preferences separate', async () => {
+    await updatePreferences(userToken, { scheduler: 'fsrs' }).expect(200);
+    await updatePreferences(otherToken, { scheduler: 'sm2', leechThreshold: 4 }).expect(200);
+
+    const own = await getPreferences(userToken).expect(200);
+    const other = await getPreferences(otherToken).expect(200);
+
+    expect(own.body.preferences.scheduler).toBe('fsrs');
+    expect(own.body.preferences).not.toHaveProperty('leechThreshold');
+    expect(other.body.preferences).toEqual({ scheduler: 'sm2', leechThreshold: 4 });
+  });
+
+  test('should require authentication', async () => {
+    await request(app)
+      .get('/api/users/me/preferences')
+      .expect(401);
+
+    await request(app)
+      .put('/api/users/me/preferences')
+      .send({ scheduler: 'fsrs' })
+      .expect(401);
+  });
+});
@@ -0,0 +1,105 @@
+import request from 'supertest';
+import { describe, test, expect, beforeAll, beforeEach } from '@jest/globals';
+
+/**
+ * Contract Test: vocabulary fields on /api/flashcards
+ *
+ * Validates the optional part of speech, IPA, gender, plural, notes and
+ * example sentence fields across create, update, bulk import and export.
+ */
+
+describe('Flashcard vocabulary fields - Contract Test', () => {
+  let app;
+  let userToken;
+
+  const vocabulary = {
+    partOfSpeech: 'noun',
+    ipa: '/maʊs/',
+    gender: 'masculine',
+    plural: 'mice / ratones',
+    notes: 'Also a computer mouse',
+    exampleSentence: 'The mouse ran away.',
+    exampleTranslation: 'El ratón se escapó.'
+  };
+
+  beforeAll(async () => {
+    const { default: appModule } = await import('../../index.js');
+    app = appModule;
+  });
+
+  beforeEach(async () => {
+    await request(app)
+      .post('/api/auth/register')
+      .send({ email: 'vocab@example.com', password: 'password123' });
+
+    const loginResponse = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'vocab@example.com', password: 'password123' });
+    userToken = loginResponse.body.accessToken;
+  });
+
+  const createCard = (data) => request(app)
+    .post('/api/flashcards')
+    .set('Authorization', `Bearer ${userToken}`)
+    .send(data);
+
+  test('should store and return vocabulary fields', async () => {
+    const response = await createCard({ english: `mouse ${Date.now()}`, spanish: 'ratón', ...vocabulary }).expect(201);
+
+    expect(response.body.flashcard).toMatchObject(vocabulary);
+  });
+
+  test('should default vocabulary fields to null', async () => {
+    const response = await createCard({ english: `dog ${Date.now()}`, spanish: 'perro' }).expect(201);
+
+    expect(response.body.flashcard).toMatchObject({
+      partOfSpeech: null,
+      ipa: null,
+      gender: null,
+      exampleSentence: null
+    });
+  });
+
+  test('should reject invalid vocabulary fields', async () => {
+    const response = await createCard({ english: 'x', spanish: 'y', partOfSpeech: 'thing' }).expect(400);
+    expect(response.body.message).toContain('Part of speech must be one of');
+
+    await createCard({ english: 'x', spanish: 'y', notes: 'a'.repeat(2001) }).expect(400);
+  });
+
+  test('should update and clear vocabulary fields', async () => {
+    const created = await createCard({ english: `computer mouse ${Date.now()}`, spanish: 'ratón de ordenador', ...vocabulary });
+
+    const response = await request(app)
+      .put(`/api/flashcards/${created.body.flashcard.id}`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ notes: '', ipa: null, partOfSpeech: 'verb' })
+      .expect(200);
+
+    expect(response.body.flashcard).toMatchObject({
+      notes: null,
+      ipa: null,
+      partOfSpeech: 'verb',
+      gender: 'masculine'
+    });
+  });
+
+  test('should import and export vocabulary fields', async () => {
+    const english = `run ${Date.now()}`;
+
+    await request(app)
+      .post('/api/bulk/flashcards/import')
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ flashcards: [{ english, spanish: 'correr', partOfSpeech: 'verb', exampleSentence: 'I run.' }] })
+      .expect(201);
+
+    const response = await request(app)
+      .post('/api/bulk/export')
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ type: 'flashcards' })
+      .expect(200);
+
+    const exported = response.body.data[0].flashcards.find(card => card.english === english);
+    expect(exported).toMatchObject({ partOfSpeech: 'verb', exampleSentence: 'I run.' });
+  });
+});
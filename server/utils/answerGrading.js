@@ -0,0 +1,190 @@
+/**
+ * Typed-answer grading
+ *
+ * Compares a learner's typed answer with the expected translation using
+ * accent/case/punctuation normalization and Levenshtein distance, and maps
+ * the result onto the 0-5 performance rating scale.
+ */
+
+// Stored translations may list alternatives: "car, automobile" or "coche / auto"
+const ALTERNATIVE_SEPARATOR = /\s*[,;/]\s*/;
+
+/**
+ * Fold a single character for comparison (lowercase, no diacritics)
+ * @param {string} char - Character
+ * @returns {string} Folded character
+ */
+const foldChar = (char) => char.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+
+/**
+ * Normalize an answer for comparison
+ * @param {string} text - Raw answer
+ * @returns {string} Lowercase answer without accents, punctuation or extra whitespace
+ */
+export const normalizeAnswer = (text) => {
+  return String(text ?? '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[.,;:!?¡¿"'`()[\]{}-]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+};
+
+/**
+ * Levenshtein edit distance between two strings
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Minimum number of single-character edits
+ */
+export const levenshtein = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      row[j] = Math.min(previous[j] + 1, row[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = row;
+  }
+
+  return previous[b.length];
+};
+
+/**
+ * Number of typos tolerated for an expected answer of a given length
+ * @param {number} length - Normalized expected answer length
+ * @returns {number} Allowed edit distance
+ */
+export const typoTolerance = (length) => (length < 4 ? 0 : Math.max(1, Math.floor(length / 5)));
+
+/**
+ * Character-level diff between a typed answer and the expected answer
+ * Characters are matched ignoring case and accents; output keeps the original characters.
+ * @param {string} answer - Typed answer
+ * @param {string} expected - Expected answer
+ * @returns {Array<{type: string, text: string}>} Segments: equal, extra (typed only), missing (expected only)
+ */
+export const diffCharacters = (answer, expected) => {
+  const a = [...String(answer ?? '').trim()];
+  const b = [...String(expected ?? '').trim()];
+  const foldedA = a.map(foldChar);
+  const foldedB = b.map(foldChar);
+
+  // Full edit-distance table for backtracking
+  const table = Array.from({ length: a.length + 1 }, (_, i) =>
+    Array.from({ length: b.length + 1 }, (_, j) => (i === 0 ? j : j === 0 ? i : 0))
+  );
+
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = foldedA[i - 1] === foldedB[j - 1] ? 0 : 1;
+      table[i][j] = Math.min(table[i - 1][j] + 1, table[i][j - 1] + 1, table[i - 1][j - 1] + cost);
+    }
+  }
+
+  const operations = [];
+  let i = a.length;
+  let j = b.length;
+
+  while (i > 0 || j > 0) {
+    if (i > 0 && j > 0 && foldedA[i - 1] === foldedB[j - 1] && table[i][j] === table[i - 1][j - 1]) {
+      operations.push({ type: 'equal', text: b[j - 1] });
+      i--;
+      j--;
+    } else if (i > 0 && j > 0 && table[i][j] === table[i - 1][j - 1] + 1) {
+      // Substitution: show what was typed and what was expected
+      operations.push({ type: 'missing', text: b[j - 1] });
+      operations.push({ type: 'extra', text: a[i - 1] });
+      i--;
+      j--;
+    } else if (j > 0 && (i === 0 || table[i][j] === table[i][j - 1] + 1)) {
+      operations.push({ type: 'missing', text: b[j - 1] });
+      j--;
+    } else {
+      operations.push({ type: 'extra', text: a[i - 1] });
+      i--;
+    }
+  }
+
+  // Merge consecutive operations of the same type
+  return operations.reverse().reduce((segments, operation) => {
+    const last = segments[segments.length - 1];
+    if (last && last.type === operation.type) {
+      last.text += operation.text;
+    } else {
+      segments.push({ ...operation });
+    }
+    return segments;
+  }, []);
+};
+
+/**
+ * Grade a typed answer
+ * @param {string} answer - Typed answer
+ * @param {string} expected - Stored translation (may contain alternatives)
+ * @returns {Object} Grading result with suggested 0-5 rating and diff
+ */
+export const gradeAnswer = (answer, expected) => {
+  const normalizedAnswer = normalizeAnswer(answer);
+  const alternatives = [expected, ...String(expected ?? '').split(ALTERNATIVE_SEPARATOR)]
+    .filter(alternative => normalizeAnswer(alternative).length > 0);
+
+  // Grade against the closest accepted alternative
+  const best = alternatives
+    .map(alternative => {
+      const normalizedExpected = normalizeAnswer(alternative);
+      return {
+        alternative,
+        normalizedExpected,
+        distance: levenshtein(normalizedAnswer, normalizedExpected)
+      };
+    })
+    .sort((x, y) => x.distance - y.distance)[0];
+
+  const expectedLength = best ? best.normalizedExpected.length : 0;
+  const distance = best ? best.distance : normalizedAnswer.length;
+  const similarity = expectedLength > 0 || normalizedAnswer.length > 0
+    ? 1 - distance / Math.max(expectedLength, normalizedAnswer.length)
+    : 0;
+
+  let match;
+  let suggestedRating;
+
+  if (!normalizedAnswer) {
+    match = 'empty';
+    suggestedRating = 0;
+  } else if (best && String(answer).trim() === best.alternative.trim()) {
+    match = 'exact';
+    suggestedRating = 5;
+  } else if (distance === 0) {
+    // Only case, accents or punctuation differ
+    match = 'normalized';
+    suggestedRating = 4;
+  } else if (distance <= typoTolerance(expectedLength)) {
+    match = 'typo';
+    suggestedRating = 3;
+  } else {
+    match = 'incorrect';
+    suggestedRating = 1;
+  }
+
+  return {
+    correct: suggestedRating >= 3,
+    match,
+    suggestedRating,
+    distance,
+    similarity: Math.round(similarity * 100) / 100,
+    expected: best ? best.alternative : expected,
+    diff: diffCharacters(answer, best ? best.alternative : expected)
+  };
+};
+
+export default {
+  normalizeAnswer,
+  levenshtein,
+  typoTolerance,
+  diffCharacters,
+  gradeAnswer
+};
@@ -0,0 +1,48 @@
+import { normalizeAnswer, levenshtein, typoTolerance, diffCharacters, gradeAnswer } from './answerGrading.js';
+
+describe('answerGrading', () => {
+  test('should normalize accents, case, punctuation and whitespace', () => {
+    expect(normalizeAnswer('  ¿Qué  tal, Señor? ')).toBe('que tal senor');
+    expect(normalizeAnswer(null)).toBe('');
+  });
+
+  test('should compute Levenshtein distance', () => {
+    expect(levenshtein('kitten', 'sitting')).toBe(3);
+    expect(levenshtein('', 'abc')).toBe(3);
+    expect(levenshtein('same', 'same')).toBe(0);
+  });
+
+  test('should not tolerate typos in very short words', () => {
+    expect(typoTolerance(3)).toBe(0);
+    expect(typoTolerance(5)).toBe(1);
+    expect(typoTolerance(12)).toBe(2);
+  });
+
+  test('should suggest ratings by match quality', () => {
+    expect(gradeAnswer('canción', 'canción').suggestedRating).toBe(5);
+    expect(gradeAnswer('Cancion', 'canción').suggestedRating).toBe(4);
+    expect(gradeAnswer('cancin', 'canción')).toMatchObject({ match: 'typo', suggestedRating: 3, correct: true });
+    expect(gradeAnswer('perro', 'canción')).toMatchObject({ match: 'incorrect', suggestedRating: 1, correct: false });
+    expect(gradeAnswer('  ', 'canción').suggestedRating).toBe(0);
+  });
+
+  test('should accept any listed alternative', () => {
+    const result = gradeAnswer('automobile', 'car, automobile');
+    expect(result.suggestedRating).toBe(5);
+    expect(result.expected).toBe('automobile');
+  });
+
+  test('should produce a character diff that keeps original characters', () => {
+    expect(diffCharacters('Cancion', 'canción')).toEqual([{ type: 'equal', text: 'canción' }]);
+    expect(diffCharacters('hause', 'house')).toEqual([
+      { type: 'equal', text: 'h' },
+      { type: 'extra', text: 'a' },
+      { type: 'missing', text: 'o' },
+      { type: 'equal', text: 'use' }
+    ]);
+    expect(diffCharacters('hous', 'house')).toEqual([
+      { type: 'equal', text: 'hous' },
+      { type: 'missing', text: 'e' }
+    ]);
+  });
+});
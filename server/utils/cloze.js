@@ -0,0 +1,83 @@
+/**
+ * Cloze deletions
+ *
+ * Parses sentences with Anki-style deletion markers, e.g.
+ * "I {{c1::took off}} my {{c2::jacket::clothing}}", where the optional third
+ * part is a hint. Each deletion number is a separate study item (c1, c2...).
+ */
+
+// {{cN::answer}} or {{cN::answer::hint}}
+const DELETION_PATTERN = /\{\{c(\d+)::(.*?)(?:::(.*?))?\}\}/g;
+
+// Study item identifiers of cloze deletions
+const ITEM_PATTERN = /^c[1-9]\d*$/;
+
+/**
+ * Parse the deletions of a cloze sentence
+ * @param {string} text - Sentence with deletion markers
+ * @returns {Array<Object>} Deletions in order of appearance ({ item, number, answer, hint })
+ */
+export const parseCloze = (text) => {
+  return [...String(text ?? '').matchAll(DELETION_PATTERN)].map(([, number, answer, hint]) => ({
+    item: `c${Number(number)}`,
+    number: Number(number),
+    answer: answer.trim(),
+    hint: hint?.trim() || null
+  }));
+};
+
+/**
+ * Get the study items of a cloze sentence
+ * @param {string} text - Sentence with deletion markers
+ * @returns {Array<string>} Unique items ordered by deletion number (e.g. ['c1', 'c2'])
+ */
+export const getClozeItems = (text) => {
+  const numbers = new Set(parseCloze(text).map(deletion => deletion.number));
+  return [...numbers].sort((a, b) => a - b).map(number => `c${number}`);
+};
+
+/**
+ * Check if a study item identifies a cloze deletion
+ * @param {string} item - Study item
+ * @returns {boolean} Whether item looks like c1, c2...
+ */
+export const isClozeItem = (item) => ITEM_PATTERN.test(String(item));
+
+/**
+ * Validate a cloze sentence
+ * @param {string} text - Sentence with deletion markers
+ * @returns {Array<string>} Error messages (empty when valid)
+ */
+export const validateCloze = (text) => {
+  const deletions = parseCloze(text);
+  const errors = [];
+
+  if (deletions.length === 0) {
+    errors.push('Cloze text must contain at least one deletion like {{c1::answer}}');
+  }
+  if (deletions.some(deletion => deletion.number < 1)) {
+    errors.push('Cloze deletion numbers must start at 1');
+  }
+  if (deletions.some(deletion => !deletion.answer)) {
+    errors.push('Cloze deletions cannot be empty');
+  }
+
+  return errors;
+};
+
+/**
+ * Render the two sides of a cloze study item
+ * The item's deletions are blanked on the front (showing the hint if any);
+ * every other deletion shows its answer.
+ * @param {string} text - Sentence with deletion markers
+ * @param {string} item - Study item to blank (e.g. c1)
+ * @returns {Object} Front (blanked) and back (filled) sentences
+ */
+export const renderCloze = (text, item) => {
+  const source = String(text ?? '');
+  const fill = (blank) => source.replace(DELETION_PATTERN, (match, number, answer, hint) => {
+    return blank && `c${Number(number)}` === item ? `[${hint?.trim() || '...'}]` : answer.trim();
+  });
+
+  return { front: fill(true), back: fill(false) };
+};
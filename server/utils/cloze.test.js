@@ -0,0 +1,41 @@
+import { parseCloze, getClozeItems, isClozeItem, validateCloze, renderCloze } from './cloze.js';
+
+describe('cloze', () => {
+  const sentence = 'I {{c1::took off}} my {{c2::jacket::clothing}} and {{c1::sat down}}';
+
+  test('should parse deletions with optional hints', () => {
+    expect(parseCloze(sentence)).toEqual([
+      { item: 'c1', number: 1, answer: 'took off', hint: null },
+      { item: 'c2', number: 2, answer: 'jacket', hint: 'clothing' },
+      { item: 'c1', number: 1, answer: 'sat down', hint: null }
+    ]);
+    expect(parseCloze('no deletions here')).toEqual([]);
+  });
+
+  test('should list one item per deletion number', () => {
+    expect(getClozeItems(sentence)).toEqual(['c1', 'c2']);
+    expect(getClozeItems('{{c10::a}} {{c2::b}}')).toEqual(['c2', 'c10']);
+  });
+
+  test('should recognise cloze items', () => {
+    expect(isClozeItem('c1')).toBe(true);
+    expect(isClozeItem('c12')).toBe(true);
+    expect(isClozeItem('c0')).toBe(false);
+    expect(isClozeItem('en_es')).toBe(false);
+  });
+
+  test('should validate deletions', () => {
+    expect(validateCloze(sentence)).toEqual([]);
+    expect(validateCloze('plain sentence')).toHaveLength(1);
+    expect(validateCloze('{{c0::zero}}')).toContain('Cloze deletion numbers must start at 1');
+    expect(validateCloze('{{c1:: }}')).toContain('Cloze deletions cannot be empty');
+  });
+
+  test('should blank only the studied deletion', () => {
+    expect(renderCloze(sentence, 'c1')).toEqual({
+      front: 'I [...] my jacket and [...]',
+      back: 'I took off my jacket and sat down'
+    });
+    expect(renderCloze(sentence, 'c2').front).toBe('I took off my [clothing] and sat down');
+  });
+});
@@ -0,0 +1,54 @@
+/**
+ * Cursor pagination
+ *
+ * Cursors are opaque tokens holding the sort value and id of the last item of
+ * a page, plus the sort they were issued for. The next page starts strictly
+ * after that (value, id) pair, so inserts and deletes between requests never
+ * shift or repeat items the way offsets do.
+ */
+
+/**
+ * Encode a cursor
+ * @param {Object} position - Where the next page starts
+ * @param {string} position.orderBy - Sort field the cursor was issued for
+ * @param {string} position.order - Sort direction (ASC or DESC)
+ * @param {string|number|null} position.value - Sort value of the last item
+ * @param {number} position.id - ID of the last item (tie-breaker)
+ * @returns {string} URL-safe cursor
+ */
+export const encodeCursor = ({ orderBy, order, value, id }) =>
+  Buffer.from(JSON.stringify([orderBy, order, value, id])).toString('base64url');
+
+/**
+ * Decode a cursor issued for a given sort
+ * @param {string} cursor - Cursor from a previous page
+ * @param {string} orderBy - Current sort field
+ * @param {string} order - Current sort direction
+ * @returns {Object|null} Sort value and id of the last item, or null if the cursor is
+ *   malformed or was issued for a different sort
+ */
+export const decodeCursor = (cursor, orderBy, order) => {
+  let position;
+  try {
+    position = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch {
+    return null;
+  }
+
+  if (!Array.isArray(position) || position.length !== 4) {
+    return null;
+  }
+
+  const [cursorOrderBy, cursorOrder, value, id] = position;
+  if (cursorOrderBy !== orderBy || cursorOrder !== order || !Number.isInteger(id) ||
+      !['string', 'number'].includes(typeof value)) {
+    return null;
+  }
+
+  return { value, id };
+};
+
+export default {
+  encodeCursor,
+  decodeCursor
+};
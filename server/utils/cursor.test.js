@@ -0,0 +1,23 @@
+import { encodeCursor, decodeCursor } from './cursor.js';
+
+describe('cursor', () => {
+  test('should round-trip a position', () => {
+    const cursor = encodeCursor({ orderBy: 'english', order: 'ASC', value: 'año', id: 42 });
+
+    expect(cursor).toMatch(/^[\w-]+$/);
+    expect(decodeCursor(cursor, 'english', 'ASC')).toEqual({ value: 'año', id: 42 });
+  });
+
+  test('should reject cursors issued for another sort', () => {
+    const cursor = encodeCursor({ orderBy: 'difficulty', order: 'DESC', value: 3, id: 7 });
+
+    expect(decodeCursor(cursor, 'difficulty', 'ASC')).toBeNull();
+    expect(decodeCursor(cursor, 'english', 'DESC')).toBeNull();
+  });
+
+  test('should reject malformed cursors', () => {
+    expect(decodeCursor('not a cursor', 'id', 'ASC')).toBeNull();
+    expect(decodeCursor(Buffer.from('{"a":1}').toString('base64url'), 'id', 'ASC')).toBeNull();
+    expect(decodeCursor(encodeCursor({ orderBy: 'id', order: 'ASC', value: null, id: 1 }), 'id', 'ASC')).toBeNull();
+  });
+});
@@ -0,0 +1,99 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Check whether a string is an IANA time zone supported by the runtime
+ * @param {string} timeZone - Time zone name (e.g. 'America/Bogota')
+ * @returns {boolean} Whether time zone is valid
+ */
+export const isValidTimeZone = (timeZone) => {
+  if (!timeZone || typeof timeZone !== 'string') {
+    return false;
+  }
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Resolve a user time zone, falling back to UTC when missing or unknown
+ * @param {string} timeZone - Time zone name
+ * @returns {string} Usable time zone name
+ */
+export const resolveTimeZone = (timeZone) => (isValidTimeZone(timeZone) ? timeZone : 'UTC');
+
+/**
+ * Get the calendar date of an instant in a time zone
+ * @param {Date|string} date - Instant
+ * @param {string} [timeZone='UTC'] - Time zone name
+ * @returns {string} Local date as YYYY-MM-DD
+ */
+export const toLocalDate = (date, timeZone = 'UTC') => {
+  // en-CA formats dates as YYYY-MM-DD
+  return new Intl.DateTimeFormat('en-CA', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  }).format(new Date(date));
+};
+
+/**
+ * Add days to a calendar date
+ * @param {string} localDate - Date as YYYY-MM-DD
+ * @param {number} days - Days to add (may be negative)
+ * @returns {string} Resulting date as YYYY-MM-DD
+ */
+export const addDays = (localDate, days) => {
+  const date = new Date(`${localDate}T00:00:00.000Z`);
+  return new Date(date.getTime() + days * DAY_MS).toISOString().slice(0, 10);
+};
+
+/**
+ * List consecutive calendar dates
+ * @param {string} startDate - First date as YYYY-MM-DD
+ * @param {number} count - Number of days
+ * @returns {string[]} Dates as YYYY-MM-DD
+ */
+export const dateRange = (startDate, count) => {
+  return Array.from({ length: count }, (_, index) => addDays(startDate, index));
+};
+
+/**
+ * Get the offset of a time zone from UTC at an instant
+ * @param {Date} date - Instant
+ * @param {string} timeZone - Time zone name
+ * @returns {number} Local wall-clock time minus UTC, in milliseconds
+ */
+const timeZoneOffset = (date, timeZone) => {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(date).map(({ type, value }) => [type, Number(value)]));
+
+  const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return wallClock - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+/**
+ * Get the instant a calendar date starts in a time zone
+ * @param {string} localDate - Date as YYYY-MM-DD
+ * @param {string} [timeZone='UTC'] - Time zone name
+ * @returns {Date} Local midnight
+ */
+export const startOfLocalDay = (localDate, timeZone = 'UTC') => {
+  const utcMidnight = new Date(`${localDate}T00:00:00.000Z`).getTime();
+  const guess = new Date(utcMidnight - timeZoneOffset(new Date(utcMidnight), timeZone));
+
+  // Use the offset in effect at local midnight (differs when a DST change falls in between)
+  return new Date(utcMidnight - timeZoneOffset(guess, timeZone));
+};
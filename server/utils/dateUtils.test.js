@@ -0,0 +1,32 @@
+import { isValidTimeZone, resolveTimeZone, toLocalDate, addDays, dateRange, startOfLocalDay } from './dateUtils.js';
+
+describe('dateUtils', () => {
+  test('should validate IANA time zones', () => {
+    expect(isValidTimeZone('America/Bogota')).toBe(true);
+    expect(isValidTimeZone('Mars/Olympus')).toBe(false);
+    expect(isValidTimeZone(null)).toBe(false);
+    expect(resolveTimeZone('Mars/Olympus')).toBe('UTC');
+  });
+
+  test('should use the time zone for day boundaries', () => {
+    const instant = '2025-03-10T03:30:00.000Z';
+
+    expect(toLocalDate(instant, 'UTC')).toBe('2025-03-10');
+    expect(toLocalDate(instant, 'America/Bogota')).toBe('2025-03-09');
+    expect(toLocalDate('2025-03-09T20:00:00.000Z', 'Asia/Tokyo')).toBe('2025-03-10');
+  });
+
+  test('should do calendar arithmetic across month ends', () => {
+    expect(addDays('2025-02-28', 1)).toBe('2025-03-01');
+    expect(addDays('2025-01-01', -1)).toBe('2024-12-31');
+    expect(dateRange('2024-12-30', 3)).toEqual(['2024-12-30', '2024-12-31', '2025-01-01']);
+  });
+
+  test('should find local midnight in a time zone', () => {
+    expect(startOfLocalDay('2025-03-10', 'UTC').toISOString()).toBe('2025-03-10T00:00:00.000Z');
+    expect(startOfLocalDay('2025-03-10', 'America/Bogota').toISOString()).toBe('2025-03-10T05:00:00.000Z');
+    expect(startOfLocalDay('2025-03-10', 'Asia/Tokyo').toISOString()).toBe('2025-03-09T15:00:00.000Z');
+    // Day after the spring-forward change in New York (UTC-5 -> UTC-4)
+    expect(startOfLocalDay('2025-03-10', 'America/New_York').toISOString()).toBe('2025-03-10T04:00:00.000Z');
+  });
+});
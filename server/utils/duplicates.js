@@ -0,0 +1,70 @@
+/**
+ * Duplicate flashcards
+ *
+ * Two cards of a user are duplicates when their english and spanish texts
+ * match after folding case, accents and punctuation and dropping a leading
+ * article ("to run" / "run", "el perro" / "perro").
+ */
+
+import { normalizeAnswer } from './answerGrading.js';
+
+// Articles dropped from the start of each side ("to" marks English infinitives)
+const LEADING_ARTICLES = {
+  english: ['to', 'the', 'a', 'an'],
+  spanish: ['el', 'la', 'los', 'las', 'lo', 'un', 'una', 'unos', 'unas']
+};
+
+/**
+ * Normalize one side of a card for duplicate comparison
+ * @param {string} text - Card text
+ * @param {string} language - english or spanish
+ * @returns {string} Folded text without a leading article
+ */
+export const normalizeCardText = (text, language) => {
+  const words = normalizeAnswer(text).split(' ').filter(Boolean);
+
+  // Keep a lone article ("the") as it is
+  if (words.length > 1 && LEADING_ARTICLES[language].includes(words[0])) {
+    words.shift();
+  }
+
+  return words.join(' ');
+};
+
+/**
+ * Build the key shared by duplicate cards
+ * @param {Object} flashcard - Flashcard (or flashcard data)
+ * @param {string} flashcard.english - English text
+ * @param {string} [flashcard.spanish] - Spanish text
+ * @param {string} [flashcard.cardType='basic'] - Card type
+ * @returns {string} Duplicate key
+ */
+export const getDuplicateKey = ({ english, spanish, cardType = 'basic' }) => {
+  return [cardType, normalizeCardText(english, 'english'), normalizeCardText(spanish, 'spanish')].join('|');
+};
+
+/**
+ * Pick the most advanced of several scheduling states of the same study item
+ * The longest interval wins; ties go to more successful repetitions, then the later due date.
+ * @param {Array<Object>} states - Scheduling states (intervalDays, repetitions, nextReview...)
+ * @returns {Object} Most advanced state
+ */
+export const pickMostAdvancedState = (states) => {
+  const rank = (state) => [
+    state.intervalDays || 0,
+    state.repetitions || 0,
+    state.nextReview ? new Date(state.nextReview).getTime() : 0
+  ];
+
+  return states.reduce((best, state) => {
+    const [a, b] = [rank(state), rank(best)];
+    const index = a.findIndex((value, i) => value !== b[i]);
+    return index !== -1 && a[index] > b[index] ? state : best;
+  });
+};
+
+export default {
+  normalizeCardText,
+  getDuplicateKey,
+  pickMostAdvancedState
+};
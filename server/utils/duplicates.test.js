@@ -0,0 +1,34 @@
+import { normalizeCardText, getDuplicateKey, pickMostAdvancedState } from './duplicates.js';
+
+describe('duplicates', () => {
+  test('should fold case, accents and punctuation', () => {
+    expect(normalizeCardText('  Café, ¡por favor!  ', 'spanish')).toBe('cafe por favor');
+    expect(normalizeCardText('RUN!', 'english')).toBe('run');
+  });
+
+  test('should drop a leading article', () => {
+    expect(normalizeCardText('To run', 'english')).toBe('run');
+    expect(normalizeCardText('the dog', 'english')).toBe('dog');
+    expect(normalizeCardText('El perro', 'spanish')).toBe('perro');
+    expect(normalizeCardText('the', 'english')).toBe('the');
+    expect(normalizeCardText('el perro', 'english')).toBe('el perro');
+  });
+
+  test('should match duplicate cards by key', () => {
+    const key = getDuplicateKey({ english: 'run', spanish: 'correr' });
+
+    expect(getDuplicateKey({ english: 'To run.', spanish: 'Correr' })).toBe(key);
+    expect(getDuplicateKey({ english: 'run', spanish: 'correr', cardType: 'cloze' })).not.toBe(key);
+    expect(getDuplicateKey({ english: 'run', spanish: 'huir' })).not.toBe(key);
+  });
+
+  test('should pick the most advanced scheduling state', () => {
+    const fresh = { intervalDays: 0, repetitions: 0, nextReview: null };
+    const learning = { intervalDays: 6, repetitions: 2, nextReview: '2026-01-10T00:00:00.000Z' };
+    const later = { intervalDays: 6, repetitions: 2, nextReview: '2026-01-12T00:00:00.000Z' };
+
+    expect(pickMostAdvancedState([fresh, learning])).toBe(learning);
+    expect(pickMostAdvancedState([learning, later, fresh])).toBe(later);
+    expect(pickMostAdvancedState([fresh])).toBe(fresh);
+  });
+});
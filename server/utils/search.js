@@ -0,0 +1,43 @@
+/**
+ * Full-text search
+ *
+ * Turns free text typed by a user into an FTS5 MATCH expression. Every word
+ * becomes a quoted prefix term, so FTS5 operators and punctuation in the
+ * input are never interpreted as query syntax.
+ */
+
+// Upper bound on the number of words taken from a search query
+export const MAX_SEARCH_TERMS = 10;
+
+// Anything that is not a letter or digit separates words
+const WORD_SEPARATOR = /[^\p{L}\p{N}]+/u;
+
+/**
+ * Split search text into words
+ * @param {string} text - Search text
+ * @returns {Array<string>} Words, in order (at most MAX_SEARCH_TERMS)
+ */
+export const getSearchTerms = (text) => {
+  if (typeof text !== 'string') {
+    return [];
+  }
+  return text.split(WORD_SEPARATOR).filter(Boolean).slice(0, MAX_SEARCH_TERMS);
+};
+
+/**
+ * Build an FTS5 query matching cards that contain a prefix match for every word
+ * @param {string} text - Search text
+ * @returns {string|null} MATCH expression, or null when the text has no words
+ */
+export const buildSearchQuery = (text) => {
+  const terms = getSearchTerms(text);
+  if (terms.length === 0) {
+    return null;
+  }
+  return terms.map(term => `"${term}"*`).join(' ');
+};
+
+export default {
+  getSearchTerms,
+  buildSearchQuery
+};
@@ -0,0 +1,23 @@
+import { getSearchTerms, buildSearchQuery, MAX_SEARCH_TERMS } from './search.js';
+
+describe('search', () => {
+  test('should split text into words', () => {
+    expect(getSearchTerms('  take off, (phrasal) ')).toEqual(['take', 'off', 'phrasal']);
+    expect(getSearchTerms('canción año')).toEqual(['canción', 'año']);
+    expect(getSearchTerms(undefined)).toEqual([]);
+  });
+
+  test('should cap the number of words', () => {
+    const text = Array.from({ length: MAX_SEARCH_TERMS + 5 }, (_, i) => `w${i}`).join(' ');
+    expect(getSearchTerms(text)).toHaveLength(MAX_SEARCH_TERMS);
+  });
+
+  test('should build quoted prefix terms', () => {
+    expect(buildSearchQuery('take of')).toBe('"take"* "of"*');
+  });
+
+  test('should neutralise FTS5 syntax', () => {
+    expect(buildSearchQuery('apple OR "pear" NEAR(x*')).toBe('"apple"* "OR"* "pear"* "NEAR"* "x"*');
+    expect(buildSearchQuery('*** ""')).toBeNull();
+  });
+});
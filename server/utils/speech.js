@@ -0,0 +1,39 @@
+/**
+ * Speech cache keys
+ *
+ * Generated audio is content-addressed: requests that would produce the same
+ * speech (same text once normalized, language, voice and model) share a key.
+ * Case is kept because it can change pronunciation ("US" / "us").
+ */
+
+import crypto from 'crypto';
+
+/**
+ * Normalize text before speech generation
+ * @param {string} text - Text to speak
+ * @returns {string} Unicode NFC text with whitespace collapsed and trimmed
+ */
+export const normalizeSpeechText = (text) => {
+  return String(text ?? '').normalize('NFC').replace(/\s+/g, ' ').trim();
+};
+
+/**
+ * Get the cache key of a speech request
+ * @param {Object} request - Speech request
+ * @param {string} request.text - Text to speak
+ * @param {string} request.language - Language code
+ * @param {string} request.voice - Voice name
+ * @param {string} request.model - Model (or engine) generating the audio
+ * @returns {string} SHA-256 hex digest
+ */
+export const getSpeechHash = ({ text, language, voice, model }) => {
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify([normalizeSpeechText(text), language, voice, model]))
+    .digest('hex');
+};
+
+export default {
+  normalizeSpeechText,
+  getSpeechHash
+};
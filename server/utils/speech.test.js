@@ -0,0 +1,27 @@
+import { normalizeSpeechText, getSpeechHash } from './speech.js';
+
+describe('speech', () => {
+  const request = { text: 'good morning', language: 'en', voice: 'Zephyr', model: 'tts-1' };
+
+  test('should collapse whitespace and compose accents', () => {
+    expect(normalizeSpeechText('  good \n morning ')).toBe('good morning');
+    expect(normalizeSpeechText('cafe\u0301')).toBe('caf\u00e9');
+    expect(normalizeSpeechText('US')).toBe('US');
+  });
+
+  test('should give equivalent requests the same hash', () => {
+    const hash = getSpeechHash(request);
+
+    expect(hash).toMatch(/^[0-9a-f]{64}$/);
+    expect(getSpeechHash({ ...request, text: ' good  morning' })).toBe(hash);
+  });
+
+  test('should separate text, language, voice and model', () => {
+    const hash = getSpeechHash(request);
+
+    expect(getSpeechHash({ ...request, text: 'Good morning' })).not.toBe(hash);
+    expect(getSpeechHash({ ...request, language: 'es' })).not.toBe(hash);
+    expect(getSpeechHash({ ...request, voice: 'Puck' })).not.toBe(hash);
+    expect(getSpeechHash({ ...request, model: 'tts-2' })).not.toBe(hash);
+  });
+});